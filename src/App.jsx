@@ -1,5 +1,4 @@
-import React from "react";  // ✅ Add this line
-import { useEffect, useState } from "react";
+import React from "react";
 import HomePageBanner from "./components/HomeComponents/HomePageBanner/HomePageBanner";
 import SmallCard from "./utils/Cards/card1/SmallCard";
 import Collections from "./components/HomeComponents/Collections/Collections";
@@ -17,22 +16,9 @@ import css from "./App.module.css";
 import { orderOnlinePage, diningOutPage, proAndProPlusPage, nightLifePage } from "./helpers/constants";
 
 function App() {
-  const [message, setMessage] = useState("Loading...");
-
-  useEffect(() => {
-    fetch("http://localhost:3000/")
-      .then((response) => response.text())
-      .then((data) => setMessage(data))
-      .catch((error) => {
-        console.error("Error fetching API:", error);
-        setMessage("Failed to connect to server");
-      });
-  }, []);
-
   return (
     <>
       <HomePageBanner />
-      <h2 className={css.apiMessage}>{message}</h2> {/* Display API message */}
       <div className={css.bodySize}>
         <div className={css.chooseTypeCards}>
           <SmallCard imgSrc={orderOnlineImg} text="Order Online" link={`/show-case?page=${orderOnlinePage}`} />
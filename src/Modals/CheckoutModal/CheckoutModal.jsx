@@ -0,0 +1,211 @@
+import { useEffect, useState } from 'react'
+import { createPortal } from 'react-dom'
+import { useNavigate } from 'react-router-dom'
+import React from 'react'
+
+import closeBtn from '/images/closeBtn.jpg'
+import vegIcon from '/icons/veg.png'
+import nonvegIcon from '/icons/nonveg.png'
+
+import css from './CheckoutModal.module.css'
+
+import AddAddressPortal from '../../utils/Cards/MyAddressCards/AddAddressPortal/AddAddressPortal'
+
+import { useAuth } from '../../context/AuthContext/AuthContext'
+import { useCart } from '../../context/CartContext/CartContext'
+import { useLocationContext } from '../../context/LocationContext/LocationContext'
+import { formatAddress } from '../../helpers/address'
+import { formatAmount, getCartBill, getItemTotal, getLineTotal } from '../../helpers/cart'
+import { paymentMethods } from '../../helpers/constants'
+import { validateCoupon } from '../../services/promotionService'
+import { getAddresses } from '../../services/addressService'
+import { isCancel } from '../../services/apiClient'
+
+let CheckoutModal = ({setModal}) => {
+    const {cart, checkout, setCoupon, setPaymentMethod} = useCart();
+    const navigate = useNavigate();
+    const {isLoggedIn, openLogin} = useAuth();
+    const {location} = useLocationContext();
+    const [addresses, setAddresses] = useState([]);
+    const [addressId, setAddressId] = useState(null);
+    const [addressModal, setAddressModal] = useState(false);
+    const [order, setOrder] = useState(null);
+    const [placing, setPlacing] = useState(false);
+    const [error, setError] = useState('');
+    const [couponInput, setCouponInput] = useState(cart.coupon ?? '');
+    const [applied, setApplied] = useState(null);
+    const [couponError, setCouponError] = useState('');
+
+    const itemTotal = getItemTotal(cart.items);
+
+    useEffect(() => {
+        if(!isLoggedIn) return setAddresses([]);
+        const controller = new AbortController();
+        getAddresses({signal: controller.signal})
+            .then(data => {
+                setAddresses(data);
+                setAddressId(val => data.some(address => address.id === val) ? val : data.find(address => address.isDefault)?.id ?? data[0]?.id ?? null);
+            })
+            .catch(err => {
+                if(!isCancel(err)) setAddresses([]);
+            });
+        return () => controller.abort()
+    }, [isLoggedIn])
+
+    const addressSaved = (address) => {
+        setAddresses(val => [...val, address]);
+        setAddressId(address.id);
+    }
+
+    // Re-check the coupon whenever something it depends on changes
+    useEffect(() => {
+        setApplied(null);
+        setCouponError('');
+        if(order || !cart.coupon) return;
+        const controller = new AbortController();
+        validateCoupon({
+            code: cart.coupon,
+            itemTotal,
+            restaurant: cart.restaurant?.hotel,
+            paymentMethod: cart.paymentMethod
+        }, {signal: controller.signal})
+            .then(data => setApplied(data))
+            .catch(err => {
+                if(!isCancel(err)) setCouponError(err.message);
+            });
+        return () => controller.abort()
+    }, [cart.coupon, cart.paymentMethod, cart.restaurant?.hotel, itemTotal, order])
+
+    const bill = order ? {
+        itemTotal: order.itemTotal,
+        discount: order.coupon?.discount ?? 0,
+        taxes: order.taxesandcharges,
+        grandTotal: order.grandTotal
+    } : getCartBill(cart.items, applied?.discount ?? 0);
+
+    const couponCode = order ? order.coupon?.couponName : applied?.code;
+
+    const applyCoupon = (e) => {
+        e.preventDefault();
+        setCoupon(couponInput);
+    }
+
+    const removeCoupon = () => {
+        setCouponInput('');
+        setCoupon(null);
+    }
+
+    const lines = order ? order.items.map(line => ({...line, ttl: line.itemName})) : cart.items;
+
+    const placeOrder = async () => {
+        if(!cart.items.length || placing) return;
+        if(!isLoggedIn) return openLogin();
+        setPlacing(true);
+        setError('');
+        try{
+            setOrder(await checkout(applied, addresses.find(address => address.id === addressId)));
+        }catch(err){
+            setError(err.message);
+        }finally{
+            setPlacing(false);
+        }
+    }
+
+    const domObj = <div className={css.outerDiv}>
+        <div className={css.innerDiv}>
+            <div className={css.header}>
+                <div className={css.title}>{order ? "Order placed" : "Checkout"}</div>
+                <span className={css.closeBtn} onClick={() => setModal(false)}>
+                    <img className={css.closeBtnImg} src={closeBtn} alt="close button" />
+                </span>
+            </div>
+            <div className={css.body}>
+                {order ? <div className={css.statusBar}>Your order #{order.orderNum} has been placed</div> : ""}
+                {error ? <div className={css.errorBar}>{error}</div> : ""}
+                <div className={css.orderTxt}>{order ? order.name : cart.restaurant?.name}</div>
+                {lines.map((line, id) => {
+                    return <div className={css.order} key={line.lineId ?? id}>
+                        <img className={css.foodTypeImg} src={line.foodType === "nonveg" ? nonvegIcon : vegIcon} alt="food type icon" />
+                        <div className={css.orderTtl}>
+                            {line.ttl}
+                            {line.choices?.length ? <div className={css.choices}>{line.choices.join(", ")}</div> : ""}
+                        </div>
+                        <span className={css.qty}>{line.qty} X ₹{line.price}</span>
+                        <span className={css.priceTxt}>₹{formatAmount(getLineTotal(line))}</span>
+                    </div>
+                })}
+                {!order ? <div className={css.section}>
+                    <div className={css.sectionTtl}>Offers</div>
+                    {applied ? <div className={css.couponApplied}>
+                        <div>
+                            <div className={css.couponCode}>{applied.code} applied</div>
+                            <div className={css.couponTag}>You save ₹{formatAmount(applied.discount)}</div>
+                        </div>
+                        <span className={css.couponRemove} onClick={removeCoupon}>Remove</span>
+                    </div> : <form className={css.couponForm} onSubmit={applyCoupon}>
+                        <input className={css.couponInpt} type="text" placeholder="Enter coupon code" value={couponInput} onChange={e => setCouponInput(e.target.value)} />
+                        <button type="submit" className={css.couponBtn} disabled={!couponInput.trim()}>Apply</button>
+                    </form>}
+                    {couponError ? <div className={css.couponError}>{couponError}</div> : ""}
+                </div> : ""}
+                {!order ? <div className={css.section}>
+                    <div className={css.sectionTtl}>Deliver to</div>
+                    {isLoggedIn ? <div className={css.addresses}>
+                        {addresses.map(address => {
+                            return <label key={address.id} className={addressId === address.id ? [css.address, css.paymentActive].join(" ") : css.address}>
+                                <input type="radio" name="address" className={css.paymentInput} checked={addressId === address.id} onChange={() => setAddressId(address.id)} />
+                                <div className={css.addressTtl}>{address.title}</div>
+                                <div className={css.addressTxt}>{formatAddress(address)}</div>
+                            </label>
+                        })}
+                        <div className={css.addAddress} onClick={() => setAddressModal(true)}>+ Add new address</div>
+                    </div> : <div className={css.addressTxt}>
+                        {location.locality}, {location.cityName} · <span className={css.couponRemove} onClick={() => openLogin()}>Log in</span> to place your order
+                    </div>}
+                </div> : ""}
+                {!order ? <div className={css.section}>
+                    <div className={css.sectionTtl}>Pay using</div>
+                    <div className={css.payments}>
+                        {paymentMethods.map(method => {
+                            return <label key={method.key} className={cart.paymentMethod === method.key ? [css.payment, css.paymentActive].join(" ") : css.payment}>
+                                <input type="radio" name="paymentMethod" className={css.paymentInput} checked={cart.paymentMethod === method.key} onChange={() => setPaymentMethod(method.key)} />
+                                {method.label}
+                            </label>
+                        })}
+                    </div>
+                </div> : ""}
+                <div className={css.calArea}>
+                    <div className={css.orderCalcDet}>
+                        <div>Item Total</div>
+                        <div>₹{formatAmount(bill.itemTotal)}</div>
+                    </div>
+                    {+bill.discount ? <div className={[css.orderCalcDet, css.discount].join(" ")}>
+                        <div>Coupon - ({couponCode})</div>
+                        <div>-₹{formatAmount(bill.discount)}</div>
+                    </div> : ""}
+                    <div className={css.orderCalcDet}>
+                        <div>Taxes & charges</div>
+                        <div>₹{formatAmount(bill.taxes)}</div>
+                    </div>
+                    <hr className={css.hr} />
+                    <div className={[css.orderCalcDet, css.grandTotal].join(" ")}>
+                        <div>Grand Total</div>
+                        <div>₹{formatAmount(bill.grandTotal)}</div>
+                    </div>
+                </div>
+            </div>
+            <div className={css.footer}>
+                {order ? <>
+                    <div className={css.btnLight} onClick={() => setModal(false)}>Done</div>
+                    <div className={css.btn} onClick={() => navigate(`/orders/${order.id}/track`)}>Track Order</div>
+                </>
+                : <div className={css.btn} onClick={placeOrder}>{placing ? "Placing Order..." : `Place Order ₹${formatAmount(bill.grandTotal)}`}</div>}
+            </div>
+        </div>
+        {addressModal ? <AddAddressPortal setAddressModal={setAddressModal} onSaved={addressSaved} /> : ""}
+    </div>
+
+    return createPortal(domObj, document.getElementById('modal'));
+}
+
+export default CheckoutModal;
@@ -0,0 +1,84 @@
+import { useState } from 'react'
+import { createPortal } from 'react-dom'
+import React from 'react'
+
+import closeBtn from '/images/closeBtn.jpg'
+import vegIcon from '/icons/veg.png'
+import nonvegIcon from '/icons/nonveg.png'
+
+import css from './CustomiseModal.module.css'
+
+import { formatAmount } from '../../helpers/cart'
+import { getDefaultSelection, getGroupRule, validateSelection, getCustomisedPrice, toCartItem } from '../../helpers/menu'
+
+let CustomiseModal = ({setModal, dish, onAdd}) => {
+    const [selection, setSelection] = useState(() => getDefaultSelection(dish));
+
+    const errors = validateSelection(dish, selection);
+    const isValid = !Object.keys(errors).length;
+    const price = getCustomisedPrice(dish, selection);
+
+    const toggleOption = (group, optionId) => {
+        setSelection(val => {
+            const chosen = val[group.id] ?? [];
+            if(group.max === 1){
+                return {...val, [group.id]: chosen.includes(optionId) && group.min === 0 ? [] : [optionId]};
+            }
+            if(chosen.includes(optionId)){
+                return {...val, [group.id]: chosen.filter(id => id !== optionId)};
+            }
+            return chosen.length < group.max ? {...val, [group.id]: [...chosen, optionId]} : val;
+        });
+    }
+
+    const addHandler = () => {
+        if(!isValid) return;
+        onAdd(toCartItem(dish, selection));
+        setModal(false);
+    }
+
+    const domObj = <div className={css.outerDiv}>
+        <div className={css.innerDiv}>
+            <div className={css.header}>
+                <div className={css.titleBox}>
+                    <img className={css.foodTypeImg} src={dish.foodType === "nonveg" ? nonvegIcon : vegIcon} alt="food type icon" />
+                    <div className={css.title}>{dish.ttl}</div>
+                </div>
+                <span className={css.closeBtn} onClick={() => setModal(false)}>
+                    <img className={css.closeBtnImg} src={closeBtn} alt="close button" />
+                </span>
+            </div>
+            <div className={css.body}>
+                {dish.customisations.map(group => {
+                    const chosen = selection[group.id] ?? [];
+                    return <div className={css.group} key={group.id}>
+                        <div className={css.groupTtl}>{group.name}</div>
+                        <div className={errors[group.id] && chosen.length ? css.groupRuleErr : css.groupRule}>{getGroupRule(group)}</div>
+                        {group.options.map(option => {
+                            const checked = chosen.includes(option.id);
+                            const disabled = !checked && group.max > 1 && chosen.length >= group.max;
+                            return <label key={option.id} className={disabled ? [css.option, css.optionDisabled].join(" ") : css.option}>
+                                <input className={css.input} type={group.max === 1 ? "radio" : "checkbox"} name={`${dish.id}-${group.id}`}
+                                    checked={checked} disabled={disabled} onChange={() => toggleOption(group, option.id)}
+                                    onClick={() => group.max === 1 && checked && group.min === 0 && toggleOption(group, option.id)} />
+                                <span className={css.optionTxt}>{option.name}</span>
+                                <span className={css.optionPrice}>{option.price ? `+ ₹${option.price}` : ""}</span>
+                            </label>
+                        })}
+                    </div>
+                })}
+            </div>
+            <div className={css.footer}>
+                <div className={css.total}>
+                    <div className={css.totalTxt}>Item total</div>
+                    <div className={css.totalPrice}>₹{formatAmount(price)}</div>
+                </div>
+                <div className={isValid ? css.btn : [css.btn, css.btnDisabled].join(" ")} onClick={addHandler}>Add Item</div>
+            </div>
+        </div>
+    </div>
+
+    return createPortal(domObj, document.getElementById('modal'));
+}
+
+export default CustomiseModal;
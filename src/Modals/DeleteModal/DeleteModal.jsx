@@ -2,9 +2,10 @@ import { createPortal } from 'react-dom'
 import React from 'react'
 import css from './DeleteModal.module.css'
 
-let DeleteModal = ({txt, setModal}) => {
+let DeleteModal = ({txt, setModal, onConfirm}) => {
 
     const deleteAction = () => {
+        onConfirm?.();
         setModal(false);
     }
 
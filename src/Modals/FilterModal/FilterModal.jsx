@@ -0,0 +1,102 @@
+import { useState } from 'react'
+import { createPortal } from 'react-dom'
+import React from 'react'
+
+import closeBtn from '/images/closeBtn.jpg'
+
+import css from './FilterModal.module.css'
+
+import { sortOptions, defaultFilters } from '../../helpers/filters'
+import { maxCostForTwo, costStep } from '../../helpers/constants'
+
+const tabs = [
+    {key: 'sort', title: 'Sort by'},
+    {key: 'cuisines', title: 'Cuisines'},
+    {key: 'cost', title: 'Cost for two'},
+]
+
+let FilterModal = ({setModal, filters, cuisines, onApply, initialTab = 'sort'}) => {
+    const [tab, setTab] = useState(initialTab);
+    const [draft, setDraft] = useState(filters);
+
+    const toggleCuisine = (cuisine) => {
+        setDraft(val => ({
+            ...val,
+            cuisines: val.cuisines.includes(cuisine) ? val.cuisines.filter(c => c !== cuisine) : [...val.cuisines, cuisine]
+        }));
+    }
+
+    const setCost = (key, value) => {
+        setDraft(val => {
+            const next = {...val, [key]: Number(value)};
+            if(next.costMin > next.costMax){
+                key === 'costMin' ? next.costMax = next.costMin : next.costMin = next.costMax;
+            }
+            return next;
+        });
+    }
+
+    const apply = () => {
+        onApply(draft);
+        setModal(false);
+    }
+
+    const tabBadge = (key) => {
+        if(key === 'cuisines') return draft.cuisines.length || null;
+        if(key === 'cost') return draft.costMin !== defaultFilters.costMin || draft.costMax !== defaultFilters.costMax ? 1 : null;
+        return null;
+    }
+
+    const domObj = <div className={css.outerDiv}>
+        <div className={css.innerDiv}>
+            <div className={css.header}>
+                <div className={css.title}>Filters</div>
+                <span className={css.closeBtn} onClick={() => setModal(false)}>
+                    <img className={css.closeBtnImg} src={closeBtn} alt="close button" />
+                </span>
+            </div>
+            <div className={css.body}>
+                <div className={css.tabs}>
+                    {tabs.map(val => {
+                        return <div key={val.key} className={tab === val.key ? [css.tab, css.tabActive].join(" ") : css.tab} onClick={() => setTab(val.key)}>
+                            <div className={css.tabTtl}>{val.title}</div>
+                            {val.key === 'sort' ? <div className={css.tabTag}>{sortOptions.find(opt => opt.value === draft.sort)?.label}</div> : null}
+                            {tabBadge(val.key) ? <span className={css.badge}>{tabBadge(val.key)}</span> : null}
+                        </div>
+                    })}
+                </div>
+                <div className={css.panel}>
+                    {tab === 'sort' ? sortOptions.map(val => {
+                        return <label key={val.value} className={css.option}>
+                            <input type="radio" name="sort" className={css.input} checked={draft.sort === val.value} onChange={() => setDraft(f => ({...f, sort: val.value}))} />
+                            {val.label}
+                        </label>
+                    }) : null}
+                    {tab === 'cuisines' ? cuisines.map(cuisine => {
+                        return <label key={cuisine} className={css.option}>
+                            <input type="checkbox" className={css.input} checked={draft.cuisines.includes(cuisine)} onChange={() => toggleCuisine(cuisine)} />
+                            {cuisine}
+                        </label>
+                    }) : null}
+                    {tab === 'cost' ? <div className={css.costBox}>
+                        <div className={css.costTxt}>₹{draft.costMin} - {draft.costMax >= maxCostForTwo ? `₹${maxCostForTwo}+` : `₹${draft.costMax}`}</div>
+                        <label className={css.rangeLabel}>Minimum
+                            <input type="range" className={css.range} min={0} max={maxCostForTwo} step={costStep} value={draft.costMin} onChange={e => setCost('costMin', e.target.value)} />
+                        </label>
+                        <label className={css.rangeLabel}>Maximum
+                            <input type="range" className={css.range} min={0} max={maxCostForTwo} step={costStep} value={draft.costMax} onChange={e => setCost('costMax', e.target.value)} />
+                        </label>
+                    </div> : null}
+                </div>
+            </div>
+            <div className={css.footer}>
+                <div className={css.clearBtn} onClick={() => setDraft(defaultFilters)}>Clear all</div>
+                <div className={css.btn} onClick={apply}>Apply</div>
+            </div>
+        </div>
+    </div>
+
+    return createPortal(domObj, document.getElementById('modal'));
+}
+
+export default FilterModal;
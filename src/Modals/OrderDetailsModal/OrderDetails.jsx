@@ -1,5 +1,6 @@
 import { useEffect, useState } from 'react';
 import { createPortal } from 'react-dom'
+import { Link, useNavigate } from 'react-router-dom'
 import React from 'react'
 
 import closeBtn from '/images/closeBtn.jpg';
@@ -16,112 +17,220 @@ import hiddenIcon from '/icons/hidden.png'
 
 import css from './OrderDetails.module.css'
 import AlertBox from '../../utils/Alerts/AlertBox/AlertBox'
+import DeleteModal from '../DeleteModal/DeleteModal'
+import ReviewModal from '../ReviewModal/ReviewModal'
 
-let OrderDetails = ({setViewDet}) => {
-    
+import { useAuth } from '../../context/AuthContext/AuthContext'
+import { useCart } from '../../context/CartContext/CartContext'
+import { formatAmount, getLineTotal } from '../../helpers/cart'
+import { getReorderLines } from '../../helpers/menu'
+import { downloadInvoice } from '../../helpers/invoice'
+import { maskPhone, maskText } from '../../helpers/mask'
+import { isActiveOrder } from '../../helpers/orderTracking'
+import { getOrder, setOrderFavourite } from '../../services/orderService'
+import { getRestaurant } from '../../services/restaurantService'
+import { isCancel } from '../../services/apiClient'
+
+let OrderDetails = ({id, setViewDet, onUpdate}) => {
+    const {isLoggedIn, openLogin} = useAuth();
+    const {cart, replaceCart} = useCart();
+    const navigate = useNavigate();
+
+    let [order, setOrder] = useState(null);
+    let [error, setError] = useState('');
     let [like, setLike] = useState(false);
+    let [reorder, setReorder] = useState(null);
+    let [confirmReorder, setConfirmReorder] = useState(false);
+    // The order only names its restaurant, the review needs the restaurant itself
+    let [review, setReview] = useState(null);
     let [curState, setCurState] = useState({
         orderId: false,
         phone: true,
         deliverTo: true
     });
 
-    let data = {
-        imgSrc:orderonlineImg,
-        cname: "Samosa Party",
-        licNo: "13622036000120",
-        phone: "411730709312",
-    }
+    useEffect(() => {
+        const controller = new AbortController();
+        setOrder(null);
+        setError('');
+        getOrder(id, {signal: controller.signal})
+            .then(data => {
+                setOrder(data);
+                setLike(!!data.fav);
+            })
+            .catch(err => {
+                if(!isCancel(err)) setError(err.message);
+            });
+        return () => controller.abort()
+    }, [id])
 
     useEffect(()=>{
         if(curState?.orderId){
-            setTimeout(()=>{
+            const timer = setTimeout(()=>{
                 setCurState(val => {return {...val, orderId: false}})
             }, 5000)
+            return () => clearTimeout(timer)
         }
     }, [curState?.orderId])
 
+    const copyOrderId = () => {
+        navigator.clipboard?.writeText(order.orderNum)
+            .then(() => setCurState(val => {return {...val, orderId: true}}))
+            .catch(() => {});
+    }
+
+    // Flip the heart straight away and put it back if the server refuses
+    const toggleFav = async () => {
+        if(!isLoggedIn) return openLogin();
+        const fav = !like;
+        setLike(fav);
+        setError('');
+        try{
+            const updated = await setOrderFavourite(order.id, fav);
+            setOrder(updated);
+            onUpdate?.(updated);
+        }catch(err){
+            setLike(!fav);
+            setError(err.message);
+        }
+    }
+
+    const reorderLink = order?.restaurant ? `/${order.restaurant.city}/${order.restaurant.hotel}/order` : "";
+
+    const placeReorder = async () => {
+        setReorder({loading: true});
+        try{
+            const {menu} = await getRestaurant(order.restaurant.city, order.restaurant.hotel);
+            const lines = getReorderLines(order, menu);
+            const available = lines.filter(val => val.line);
+            if(available.length){
+                replaceCart(available.map(val => val.line), order.restaurant);
+            }
+            if(available.length === lines.length && lines.every(val => val.status === 'ok')){
+                setViewDet(false);
+                navigate(reorderLink);
+                return;
+            }
+            setReorder({lines, added: available.length});
+        }catch(err){
+            setReorder({error: err.message});
+        }
+    }
+
+    // A reorder replaces the whole cart, so anything already in it is only dropped once the user agrees
+    const startReorder = () => {
+        if(reorder?.loading) return;
+        if(cart.items.length) return setConfirmReorder(true);
+        placeReorder();
+    }
+
+    const startReview = async () => {
+        if(!isLoggedIn) return openLogin();
+        if(review?.loading || review?.saved) return;
+        setError('');
+        setReview({loading: true});
+        try{
+            setReview({restaurant: await getRestaurant(order.restaurant.city, order.restaurant.hotel)});
+        }catch(err){
+            setReview(null);
+            setError(err.message);
+        }
+    }
+
+    const isOtherRestaurant = cart.restaurant?.city !== order?.restaurant?.city || cart.restaurant?.hotel !== order?.restaurant?.hotel;
+
+    const savings = +order?.totalSavings || 0;
+
     const domObj = <div className={css.outerDiv}>
         <div className={css.innerDiv}>
             {curState?.orderId ? <AlertBox text="Order ID copied to clipboard!" setClose={setCurState} stateVal="orderId" /> : ""}
             <div className={css.header}>
                 <div className={css.headerLeft}>
                     <div className={css.title}>Order Details</div>
-                    <div className={css.headerDet}>
+                    {order ? <div className={css.headerDet}>
                         <div className={css.imgBox}>
-                            <img className={css.img} src={data.imgSrc} alt="picture" />
+                            <img className={css.img} src={order.imgSrc || orderonlineImg} alt="picture" />
                         </div>
                         <div className={css.txtContent}>
-                            <div className={css.ttl}>Paradise Biryani</div>
-                            <div className={css.address}>kukatpall, Hyd</div>
+                            <div className={css.ttl}>{order.name}</div>
+                            <div className={css.address}>{order.address}</div>
                         </div>
-                    </div>
-                    <div className={css.ttlr}>Download summary <div className={css.icon}><img className={css.iconImg} src={downloadIcon} alt='download icon' /></div></div>
+                    </div> : ""}
+                    {order ? <div className={css.summaryLinks}>
+                        <div className={css.ttlr} onClick={() => downloadInvoice(order)}>Download summary <div className={css.icon}><img className={css.iconImg} src={downloadIcon} alt='download icon' /></div></div>
+                        <Link className={css.printLink} to={`/orders/${order.id}/invoice`} target="_blank">Print invoice</Link>
+                    </div> : ""}
                 </div>
                 <span className={css.closeBtn} onClick={() => setViewDet(val => !val)}>
                     <img className={css.closeBtnImg} src={closeBtn} alt="close button" />
                 </span>
             </div>
-            <div className={css.body}>
-                <div className={css.statusBar}>This order was delivered</div>
+            {!order ? <div className={css.body}>
+                <div className={css.statusBar}>{error || "Loading order details..."}</div>
+            </div>
+            : <div className={css.body}>
+                <div className={css.statusBar}>
+                    {isActiveOrder(order) ? <>
+                        This order is {order.orderStatus?.toLowerCase()} <Link className={css.trackLink} to={`/orders/${order.id}/track`}>Track order</Link>
+                    </> : `This order was ${order.orderStatus?.toLowerCase()}`}
+                </div>
+                {error ? <div className={css.errorTxt}>{error}</div> : ""}
+                {reorder && !reorder.loading ? <div className={css.reorderNote}>
+                    {reorder.error ? <div>{reorder.error}</div> : <>
+                        <div className={css.reorderTtl}>{reorder.added ? "Some items have changed since you last ordered" : "None of these items are available right now"}</div>
+                        {reorder.lines.filter(val => val.status !== 'ok').map((val, i) => {
+                            return <div className={css.reorderLine} key={i}>
+                                <span>{val.item.itemName}</span>
+                                <span className={css.reorderFlag}>{val.status === 'unavailable' ? "No longer available" : `Now ₹${formatAmount(val.line.price)} (was ₹${formatAmount(val.item.price)})`}</span>
+                            </div>
+                        })}
+                        {reorder.added ? <Link className={css.reorderLink} to={reorderLink} onClick={() => setViewDet(false)}>Continue to cart</Link> : ""}
+                    </>}
+                </div> : ""}
                 <div className={css.orders}>
                     <div className={css.orderTxt}>Your Order</div>
-                    <div className={css.order}>
-                        <div className={css.foodTypeImgBox}>
-                            <img className={css.foodTypeImg} src={vegIcon} alt="food type icon" />
-                        </div>
-                        <div className={css.orderTtlBox}>
-                            <div className={css.orderTtl}>Coke Pet - 750 Ml</div>
-                            <div className={css.orderPrice}>
-                                <div className={css.leftPrice}>
-                                    <span className={css.qty}>1</span>
-                                    <span className={css.priceTxt}>X ₹38</span>
-                                </div>
-                                <div className={css.rightPrice}>
-                                    <span className={css.priceTxt}>₹38.00</span>
-                                </div>
+                    {order.items?.map((item, i) => {
+                        return <div className={css.order} key={i}>
+                            <div className={css.foodTypeImgBox}>
+                                <img className={css.foodTypeImg} src={item.foodType === "nonveg" ? nonvegIcon : vegIcon} alt="food type icon" />
                             </div>
-                        </div>
-                    </div>
-                    <div className={css.order}>
-                        <div className={css.foodTypeImgBox}>
-                            <img className={css.foodTypeImg} src={nonvegIcon} alt="food type icon" />
-                        </div>
-                        <div className={css.orderTtlBox}>
-                            <div className={css.orderTtl}>Chiken Biryani - 500mg</div>
-                            <div className={css.orderPrice}>
-                                <div className={css.leftPrice}>
-                                    <span className={css.qty}>1</span>
-                                    <span className={css.priceTxt}>X ₹149</span>
-                                </div>
-                                <div className={css.rightPrice}>
-                                    <span className={css.priceTxt}>₹149.00</span>
+                            <div className={css.orderTtlBox}>
+                                <div className={css.orderTtl}>{item.itemName}</div>
+                                {item.choices?.length ? <div className={css.choices}>{item.choices.join(", ")}</div> : ""}
+                                <div className={css.orderPrice}>
+                                    <div className={css.leftPrice}>
+                                        <span className={css.qty}>{item.qty}</span>
+                                        <span className={css.priceTxt}>X ₹{item.price}</span>
+                                    </div>
+                                    <div className={css.rightPrice}>
+                                        <span className={css.priceTxt}>₹{formatAmount(getLineTotal(item))}</span>
+                                    </div>
                                 </div>
                             </div>
                         </div>
-                    </div>
+                    })}
                 </div>
                 <div className={css.calArea}>
                     <div className={css.orderCalcDet}>
                         <div className={css.leftTxt}>Item Total</div>
-                        <div className={css.rightTxt}>₹187.00</div>
-                    </div>
-                    <div className={[css.orderCalcDet, css.couponTxt]?.join(" ")}>
-                        <div className={css.leftTxt}>Coupon - (TASTY)</div>
-                        <div className={css.rightTxt}>you saved ₹74.50</div>
+                        <div className={css.rightTxt}>₹{order.itemTotal}</div>
                     </div>
+                    {order.coupon ? <div className={[css.orderCalcDet, css.couponTxt]?.join(" ")}>
+                        <div className={css.leftTxt}>Coupon - ({order.coupon.couponName?.toUpperCase()})</div>
+                        <div className={css.rightTxt}>you saved ₹{formatAmount(order.coupon.discount)}</div>
+                    </div> : ""}
                     <div className={css.orderCalcDet}>
                         <div className={css.leftTxt}>Taxes & charges</div>
-                        <div className={css.rightTxt}>₹30.19</div>
+                        <div className={css.rightTxt}>₹{order.taxesandcharges}</div>
                     </div>
-                    <div className={[css.orderCalcDet, css.savings]?.join(" ")}>
+                    {savings ? <div className={[css.orderCalcDet, css.savings]?.join(" ")}>
                         <div className={css.leftTxt}>Your total savings</div>
-                        <div className={css.rightTxt}>₹74.50</div>
-                    </div>
+                        <div className={css.rightTxt}>₹{formatAmount(savings)}</div>
+                    </div> : ""}
                     <hr className={css.hr} />
                     <div className={css.orderCalcDet}>
                         <div className={css.leftTxt}>Grand Total</div>
-                        <div className={css.rightTxt}>₹171.68</div>
+                        <div className={css.rightTxt}>₹{order.grandTotal}</div>
                     </div>
                 </div>
                 <div className={css.orderDetailsDiv}>
@@ -130,62 +239,76 @@ let OrderDetails = ({setViewDet}) => {
                         <div className={css.obdyBox}>
                             <div className={css.obdyttl}>ORDER ID</div>
                             <div className={css.obytxt}>
-                                <span>4117307093</span>
-                                <div className={css.obyIcBox}  onClick={() => setCurState(val => {return {...val, orderId: true}})}>
-                                    <img className={css.obyIc} src={copyIcon} />
+                                <span>{order.orderNum}</span>
+                                <div className={css.obyIcBox} onClick={copyOrderId}>
+                                    <img className={css.obyIc} src={copyIcon} alt='Copy Icon' />
                                 </div>
                             </div>
                         </div>
                         <div className={css.obdyBox}>
                             <div className={css.obdyttl}>PAYMENT</div>
                             <div className={css.obytxt}>
-                                <span className={css.obytxt}>Paid : </span>
-                                <span className={css.obytxt}>4117307093</span>
+                                <span className={css.obytxt}>{order.paymentMethod === "cod" ? "To pay" : "Paid"} : </span>
+                                <span className={css.obytxt}>{order.paymentType}</span>
                             </div>
                         </div>
                         <div className={css.obdyBox}>
                             <div className={css.obdyttl}>DATE</div>
-                            <div className={css.obytxt}>4117307093</div>
+                            <div className={css.obytxt}>{order.orderedOn}</div>
                         </div>
-                        <div className={css.obdyBox}>
+                        {order.phoneNum ? <div className={css.obdyBox}>
                             <div className={css.obdyttl}>PHONE NUMBER</div>
                             <div className={css.obytxt}>
-                                {curState?.phone ? <span>{data?.phone?.slice(0, -3) + "XXX"}</span>
-                                : <span>{data?.phone}</span>}
+                                <span>{curState?.phone ? maskPhone(order.phoneNum) : order.phoneNum}</span>
                                 <div className={css.obyIcBox} onClick={() => setCurState(val => {return {...val, phone: !val.phone}})}>{curState?.phone ? <img className={css.obyIc} src={viewIcon} alt='View Icon' /> : <img className={css.obyIc} src={hiddenIcon} alt='Hidden Icon' />}</div>
                             </div>
-                        </div>
-                        <div className={css.obdyBox}>
+                        </div> : ""}
+                        {order.deliveredTo ? <div className={css.obdyBox}>
                             <div className={css.obdyttl}>DELIVER TO</div>
                             <div className={css.obytxt}>
-                                {curState?.deliverTo ? <div>XXXXXXXXXXXXXXXXXXXXXXXXX</div>
-                                : <span className={css.obyCon}>address </span>}
+                                <span className={css.obyCon}>{curState?.deliverTo ? maskText(order.deliveredTo) : order.deliveredTo}</span>
                                 <div className={css.obyIcBox} onClick={() => setCurState(val => {return {...val, deliverTo: !val.deliverTo}})}>{curState?.deliverTo ? <img className={css.obyIc} src={viewIcon} alt='View Icon' /> : <img className={css.obyIc} src={hiddenIcon} alt='Hidden Icon' />}</div>
                             </div>
-                        </div>
+                        </div> : ""}
                     </div>
-                    <div className={css.ofooter}>
-                        <div className={css.octtl}>{data.cname}</div>
+                    {order.fssaiNo ? <div className={css.ofooter}>
+                        <div className={css.octtl}>{order.name}</div>
                         <div className={css.oimgBox}><img src={fssaiIcon} className={css.oImgFssai} alt="fssai" /></div>
-                        <div className={css.onum}>Lic. No. <span className={css.onum}>{data.licNo}</span></div>
-                    </div>
+                        <div className={css.onum}>Lic. No. <span className={css.onum}>{order.fssaiNo}</span></div>
+                    </div> : ""}
                 </div>
-            </div>
+            </div>}
             <div className={css.footer}>
-                <div className={css.fav} onClick={() => setLike(val => !val)}>
+                {order?.restaurant ? <div className={css.reorderBtn} onClick={startReorder}>
+                    {reorder?.loading ? "Checking menu..." : "Reorder"}
+                </div> : ""}
+                {order?.restaurant && !isActiveOrder(order) ? <div className={css.reviewBtn} onClick={startReview}>
+                    {review?.loading ? "Opening..." : review?.saved ? "Reviewed" : "Rate this order"}
+                </div> : ""}
+                <div className={css.fav} onClick={() => order && toggleFav()}>
                     <div className={css.favImg}>
-                        {like ? <img className={css.likedImg} src={heartO} alt='liked icon' />
-                         : <img className={css.likedImg} src={heartF} alt='liked icon' />}
+                        {like ? <img className={css.likedImg} src={heartF} alt='liked icon' />
+                         : <img className={css.likedImg} src={heartO} alt='liked icon' />}
                     </div>
                     <div className={css.favTxt}>
-                        {like ? "Mark as Favorite" :  "Remove from Favorites"}
+                        {like ? "Remove from Favorites" : "Mark as Favorite"}
                     </div>
                 </div>
             </div>
         </div>
+        {confirmReorder ? <DeleteModal
+            txt={isOtherRestaurant ? `Your cart has items from ${cart.restaurant?.name}. Discard them and reorder from ${order.name}?` : "Replace the items in your cart with this order?"}
+            setModal={setConfirmReorder}
+            onConfirm={placeReorder} /> : ""}
+        {review?.restaurant ? <ReviewModal
+            setModal={() => setReview(val => val?.saved ? val : null)}
+            restaurant={review.restaurant}
+            orderId={order.id}
+            type="delivery"
+            onSaved={() => setReview({saved: true})} /> : ""}
     </div>
 
     return createPortal(domObj, document.getElementById('modal'));
 }
 
-export default OrderDetails;
\ No newline at end of file
+export default OrderDetails;
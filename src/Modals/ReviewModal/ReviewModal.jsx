@@ -0,0 +1,224 @@
+import { useEffect, useRef, useState } from 'react'
+import { createPortal } from 'react-dom'
+import React from 'react'
+
+import css from './ReviewModal.module.css'
+
+import closeBtn from '/images/closeBtn.jpg';
+import multiplyCancelIcon from '/icons/multiply-cancel.png'
+import uploadImage from '/images/upload-image.png'
+
+import RatingNumberBox from '../../utils/RestaurantUtils/RatingNumberBox/RatingNumberBox'
+import DishTagsUtil from '../../utils/RestaurantUtils/DishTagsUtil/DishTagsUtil'
+import RichTextUtil from '../../utils/FormUtils/RichTextUtil/RichTextUtil'
+import RedBtnHov from '../../utils/Buttons/RedBtnHov/RedBtnHov'
+import GrayBtn from '../../utils/Buttons/GrayBtn/GrayBtn'
+
+import { useAuth } from '../../context/AuthContext/AuthContext'
+import { maxReviewLength, maxReviewPhotos, reviewDraftSaveMs } from '../../helpers/constants'
+import { photoFormats, resizeImage, validatePhoto } from '../../helpers/image'
+import { getDishes } from '../../helpers/menu'
+import { getPlainText, sanitizeHtml } from '../../helpers/richText'
+import { clearReviewDraft, getDraftKey, getReviewDraft, ratingLabels, reviewTypes, saveReviewDraft } from '../../helpers/reviews'
+import { createReview, getReview, updateReview } from '../../services/reviewService'
+import { uploadPhoto } from '../../services/photoService'
+import { getMenu } from '../../services/restaurantService'
+import { isCancel } from '../../services/apiClient'
+
+const accept = photoFormats.flatMap(val => [...val.types, ...val.extensions.map(ext => `.${ext}`)]).join(",");
+
+const formatTime = (iso) => new Intl.DateTimeFormat("en", {dateStyle: "medium", timeStyle: "short"}).format(new Date(iso));
+
+// `restaurant` needs city, slug and name; its menu is fetched when it isn't passed in.
+// `review` switches to editing, `rating` and `type` preselect a new one and `orderId` makes it a review of that order
+const ReviewModal = ({setModal, restaurant, menu, review, orderId = null, rating: initialRating = 0, type: initialType = 'dining', onSaved}) => {
+    const {user} = useAuth();
+    const draftKey = getDraftKey(user?.id, {restaurantId: restaurant.id, reviewId: review?.id});
+
+    let [draft] = useState(() => getReviewDraft(draftKey));
+    let [type, setType] = useState(draft?.type ?? review?.type ?? initialType);
+    let [rating, setRating] = useState(draft?.rating ?? review?.rating ?? initialRating);
+    let [body, setBody] = useState(draft?.body ?? review?.body ?? "");
+    let [dishes, setDishes] = useState(draft?.dishes ?? review?.dishes.map(dish => dish.id) ?? []);
+    let [kept, setKept] = useState(review?.photos ?? []);
+    let [added, setAdded] = useState([]);
+    let [dishOptions, setDishOptions] = useState(() => menu ? getDishes(menu) : []);
+    let [savedAt, setSavedAt] = useState(draft?.savedAt ?? null);
+    let [current, setCurrent] = useState(review ?? null);
+    let [saving, setSaving] = useState("");
+    let [error, setError] = useState("");
+    let [photoError, setPhotoError] = useState("");
+
+    const dirty = useRef(false);
+    const nextKey = useRef(1);
+    const previews = useRef([]);
+
+    useEffect(() => {
+        if(menu) return;
+        const controller = new AbortController();
+        getMenu(restaurant.city, restaurant.slug, {signal: controller.signal})
+            .then(data => setDishOptions(getDishes(data)))
+            .catch(err => {
+                if(!isCancel(err)) setDishOptions([]);
+            });
+        return () => controller.abort()
+    }, [restaurant.city, restaurant.slug, menu])
+
+    // Autosave only once something was actually changed, so opening the editor doesn't leave drafts behind
+    useEffect(() => {
+        if(!dirty.current) return;
+        const timer = setTimeout(() => {
+            setSavedAt(saveReviewDraft(draftKey, {type, rating, body, dishes}).savedAt);
+        }, reviewDraftSaveMs);
+        return () => clearTimeout(timer)
+    }, [draftKey, type, rating, body, dishes])
+
+    useEffect(() => {
+        return () => previews.current.forEach(url => URL.revokeObjectURL(url));
+    }, [])
+
+    const change = (setter) => (val) => {
+        dirty.current = true;
+        setter(val);
+    }
+
+    const discardDraft = () => {
+        clearReviewDraft(draftKey);
+        dirty.current = false;
+        setType(review?.type ?? initialType);
+        setRating(review?.rating ?? initialRating);
+        setBody(review?.body ?? "");
+        setDishes(review?.dishes.map(dish => dish.id) ?? []);
+        setSavedAt(null);
+    }
+
+    const addPhotos = async (e) => {
+        const list = [...e.target.files];
+        e.target.value = "";
+        setPhotoError("");
+        const room = maxReviewPhotos - kept.length - added.length;
+        if(list.length > room){
+            setPhotoError(`You can attach up to ${maxReviewPhotos} photos`);
+        }
+        for(const file of list.slice(0, Math.max(0, room))){
+            const invalid = validatePhoto(file);
+            if(invalid){
+                setPhotoError(invalid);
+                continue;
+            }
+            try{
+                const resized = await resizeImage(file);
+                const preview = URL.createObjectURL(resized);
+                previews.current.push(preview);
+                setAdded(val => [...val, {key: nextKey.current++, file: resized, preview}]);
+            }catch(err){
+                setPhotoError(err.message);
+            }
+        }
+    }
+
+    const text = getPlainText(body);
+    const canSubmit = !saving && rating > 0 && text.length > 0 && text.length <= maxReviewLength;
+
+    // The review is saved first and photos follow one by one. If a photo fails the review stays saved,
+    // the modal switches to editing it and submitting again only sends what is left
+    const submit = async () => {
+        if(!canSubmit) return;
+        setError("");
+        setSaving("Saving review...");
+        try{
+            const payload = {type, rating, body: sanitizeHtml(body), dishes};
+            let saved = current
+                ? await updateReview(current.id, {...payload, photos: kept.map(photo => photo.id)})
+                : await createReview(restaurant.city, restaurant.slug, {...payload, orderId});
+            setCurrent(saved);
+            clearReviewDraft(draftKey);
+            dirty.current = false;
+
+            for(const [id, photo] of added.entries()){
+                setSaving(`Uploading photo ${id + 1} of ${added.length}...`);
+                const uploaded = await uploadPhoto(restaurant.city, restaurant.slug, {file: photo.file, reviewId: saved.id});
+                setAdded(val => val.filter(item => item.key !== photo.key));
+                setKept(val => [...val, {id: uploaded.id, src: uploaded.src}]);
+            }
+            if(added.length) saved = await getReview(saved.id);
+
+            onSaved?.(saved);
+            setModal(false);
+        }catch(err){
+            setError(err.message);
+        }finally{
+            setSaving("");
+        }
+    }
+
+    const domObj = <div className={css.outerDiv}>
+        <div className={css.innerDiv}>
+            <div className={css.header}>
+                <div className={css.headerLeft}>
+                    <div className={css.title}>{restaurant.name}</div>
+                    <div className={css.subTitle}>{current ? "Edit your review" : "Write a Review"}</div>
+                </div>
+                <span className={css.closeBtn} onClick={() => setModal(false)}>
+                    <img className={css.closeBtnImg} src={closeBtn} alt="close button" />
+                </span>
+            </div>
+            <div className={css.bdy}>
+                {draft && savedAt ? <div className={css.draftNote}>
+                    Continuing your draft from {formatTime(draft.savedAt)}
+                    <span className={css.link} onClick={discardDraft}>Discard draft</span>
+                </div> : ""}
+                <div className={css.types}>
+                    {reviewTypes.filter(val => !orderId || val.key === 'delivery').map(val => {
+                        return <span key={val.key} className={type === val.key ? [css.type, css.typeActive].join(" ") : css.type} onClick={() => change(setType)(val.key)}>{val.label}</span>
+                    })}
+                </div>
+                <div className={css.ratingBox}>
+                    {[1, 2, 3, 4, 5].map(val => {
+                        return <RatingNumberBox key={val} stars={rating} txt={String(val)} iconR={false} isActive={rating >= val} onClick={() => change(setRating)(val)} />
+                    })}
+                    <div className={css.ratingTxt}>{ratingLabels[rating]}</div>
+                </div>
+                <RichTextUtil value={body} onChange={change(setBody)} disabled={!!saving}
+                    placeholder="Tell others what you ordered, what stood out and what could be better" />
+                <div className={text.length > maxReviewLength ? [css.count, css.error].join(" ") : css.count}>{text.length}/{maxReviewLength}</div>
+                {dishOptions.length ? <div className={css.section}>
+                    <div className={css.sectionTtl}>Dishes you tried</div>
+                    <DishTagsUtil dishes={dishOptions} value={dishes} disabled={!!saving} onChange={change(setDishes)} />
+                </div> : ""}
+                <div className={css.section}>
+                    <div className={css.sectionTtl}>Photos</div>
+                    <div className={css.photos}>
+                        {kept.map(photo => {
+                            return <div key={`kept-${photo.id}`} className={css.photo}>
+                                <img src={photo.src} className={css.photoImg} alt="review photo" />
+                                {!saving ? <img src={multiplyCancelIcon} className={css.photoRemove} alt="remove photo" onClick={() => setKept(val => val.filter(item => item.id !== photo.id))} /> : ""}
+                            </div>
+                        })}
+                        {added.map(photo => {
+                            return <div key={`added-${photo.key}`} className={css.photo}>
+                                <img src={photo.preview} className={css.photoImg} alt="new photo" />
+                                {!saving ? <img src={multiplyCancelIcon} className={css.photoRemove} alt="remove photo" onClick={() => setAdded(val => val.filter(item => item.key !== photo.key))} /> : ""}
+                            </div>
+                        })}
+                        {kept.length + added.length < maxReviewPhotos && !saving ? <label className={css.addPhoto} htmlFor="reviewPhotos">
+                            <input type="file" id="reviewPhotos" className={css.fileInpt} accept={accept} multiple onChange={addPhotos} />
+                            <img src={uploadImage} className={css.addPhotoImg} alt="add photos" />
+                        </label> : ""}
+                    </div>
+                    {photoError ? <div className={css.error}>{photoError}</div> : ""}
+                </div>
+                {error ? <div className={css.error}>{error}</div> : ""}
+            </div>
+            <div className={css.btns}>
+                <div className={css.status}>{saving || (savedAt ? `Draft saved at ${formatTime(savedAt)}` : "")}</div>
+                {canSubmit ? <RedBtnHov txt={current ? "Save changes" : "Publish review"} onClick={submit} />
+                : <GrayBtn txt={current ? "Save changes" : "Publish review"} disabled />}
+            </div>
+        </div>
+    </div>
+
+    return createPortal(domObj, document.getElementById('modal'));
+}
+
+export default ReviewModal
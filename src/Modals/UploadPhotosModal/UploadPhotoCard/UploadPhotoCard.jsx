@@ -1,4 +1,4 @@
-import { useEffect, useState } from "react";
+import { useEffect, useRef } from "react";
 import React from 'react'
 
 import css from "./UploadPhotoCard.module.css";
@@ -7,7 +7,20 @@ import uploadImage from "/images/upload-image.png";
 
 import ViewUploadedCard from "../ViewUploadedCard/ViewUploadedCard";
 
-const UploadPhotoCard = ({ setAnyUpload, files, setFiles, isError, setIsError, setErrorMessage, errorMessage }) => {
+import { maxPhotosPerUpload } from "../../../helpers/constants";
+import { hashFile, photoFormats, resizeImage, validatePhoto } from "../../../helpers/image";
+
+const accept = photoFormats.flatMap(val => [...val.types, ...val.extensions.map(ext => `.${ext}`)]).join(",");
+
+// Problems with a whole pick or drop, as opposed to one queued photo
+const batchKey = "batch";
+
+const UploadPhotoCard = ({ setAnyUpload, files, setFiles, updateFile, uploadFile, cancelFile, isError, setIsError, setErrorMessage, errorMessage }) => {
+  const nextKey = useRef(1);
+  // Content hashes of everything queued, by key, to spot the same photo picked twice
+  const hashes = useRef(new Map());
+  // Photos of a pick or drop still being hashed, they count towards the limit like queued ones
+  const reserved = useRef(0);
 
   useEffect(() => {
     if (files?.length > 0) {
@@ -17,33 +30,95 @@ const UploadPhotoCard = ({ setAnyUpload, files, setFiles, isError, setIsError, s
     }
   }, [files]);
 
-  const fileUplaod = (e) => {
-    if(e.target?.files[0]){
-      setFiles((val) => {
-        return [...val, e.target.files[0]];
+  const setError = (key, message) => {
+    setIsError(val => {
+      return { ...val, [key]: !!message }
+    })
+
+    setErrorMessage(val => {
+      return { ...val, [key]: message }
+    })
+  }
+
+  // Large photos are shrunk here rather than rejected, the original stays in the queue until that's done
+  const addFile = (file, hash) => {
+    const key = nextKey.current++;
+    hashes.current.set(key, hash);
+    setFiles((val) => {
+      return [...val, { key, file, caption: "", dishes: [], status: "processing", progress: 0, error: "" }];
+    });
+
+    resizeImage(file)
+      .then(resized => updateFile(key, { file: resized, status: "ready" }))
+      .catch(err => {
+        updateFile(key, { status: "invalid" });
+        setError(key, err.message);
       });
+  };
+
+  // Slots are taken before any hashing starts, so two picks or drops running at once can't both squeeze past the limit.
+  // Slots held by photos that turn out to be duplicates are handed back once the hashes are known
+  const addFiles = async (list) => {
+    setError(batchKey, null);
+    const problems = [];
+    const valid = list.filter(file => {
+      const invalid = validatePhoto(file);
+      if(invalid) problems.push(invalid);
+      return !invalid;
+    });
+    const room = Math.max(0, maxPhotosPerUpload - hashes.current.size - reserved.current);
+    const batch = valid.slice(0, room);
+    if(valid.length > batch.length){
+      problems.push(`You can add up to ${maxPhotosPerUpload} photos at a time, ${valid.length - batch.length} more were left out`);
+    }
+    reserved.current += batch.length;
+    let batchHashes;
+    try{
+      batchHashes = await Promise.all(batch.map(hashFile));
+    }catch(err){
+      setError(batchKey, [...problems, `Your photos couldn't be read, please pick them again (${err.message})`].join("\n"));
+      return;
+    }finally{
+      reserved.current -= batch.length;
+    }
+    batch.forEach((file, i) => {
+      if([...hashes.current.values()].includes(batchHashes[i])){
+        problems.push(`${file.name} has already been added`);
+        return;
+      }
+      addFile(file, batchHashes[i]);
+    });
+    if(problems.length){
+      setError(batchKey, problems.join("\n"));
     }
   };
 
-  const removeFromFiles = (idVal) => {
+  const fileUpload = (e) => {
+    if(e.target?.files?.length){
+      addFiles([...e.target.files]);
+    }
+    // Lets the same file be picked again after removing it
+    e.target.value = "";
+  };
+
+  const moveFile = (key, index) => {
     setFiles((val) => {
-      return val?.filter((val, id) => {
-        if (id !== idVal) {
-          return val;
-        }
-      });
+      const file = val.find((file) => file.key === key);
+      const rest = val.filter((file) => file.key !== key);
+      return file ? [...rest.slice(0, index), file, ...rest.slice(index)] : val;
     });
+  };
 
-      if(isError[idVal]){
-        setIsError(val => {
-          return { ...val, [idVal]: false}
-        })
-    
-        setErrorMessage(val => {
-          return { ...val, [idVal]: null}
-        })
-      }
+  const removeFromFiles = (key) => {
+    cancelFile(key);
+    hashes.current.delete(key);
+    setFiles((val) => {
+      return val?.filter((file) => file.key !== key);
+    });
 
+    if(isError[key]){
+      setError(key, null);
+    }
   };
 
   const dragOverHandler = (e)=>{
@@ -53,12 +128,9 @@ const UploadPhotoCard = ({ setAnyUpload, files, setFiles, isError, setIsError, s
   const dropHandler = (e)=>{
     e.preventDefault();
 
-    const image = e.dataTransfer?.files[0];
-
-    if(image){
-      setFiles((val) => {
-        return [...val, image];
-      });
+    // Cards being reordered are dropped here too, they carry no files
+    if(e.dataTransfer?.files?.length){
+      addFiles([...e.dataTransfer.files]);
     }
 
   }
@@ -73,16 +145,19 @@ const UploadPhotoCard = ({ setAnyUpload, files, setFiles, isError, setIsError, s
             id="browse"
             name="browse"
             className={css.browseInpt}
-            onChange={(e) => fileUplaod(e)}
+            accept={accept}
+            multiple
+            onChange={(e) => fileUpload(e)}
           />
           <label htmlFor="browse" className={css.browseTxt}>
             Browse
           </label>
         </div>
+        {isError[batchKey] ? <div className={css.errorTxt}>{errorMessage[batchKey]}</div> : ""}
         <div className={css.bdyBox}>
           <div className={css.viewCards}>
             {files?.map((val, id) => {
-              return <ViewUploadedCard file={val} id={id} key={id} removeFromFiles={removeFromFiles} isError={isError} setIsError={setIsError} setErrorMessage={setErrorMessage} errorMessage={errorMessage}/>;
+              return <ViewUploadedCard file={val} key={val.key} index={id} count={files.length} moveFile={moveFile} removeFromFiles={removeFromFiles} updateFile={updateFile} uploadFile={uploadFile} cancelFile={cancelFile} isError={isError} errorMessage={errorMessage}/>;
             })}
           </div>
           <label className={css.imgBox} htmlFor="browse2">
@@ -91,7 +166,9 @@ const UploadPhotoCard = ({ setAnyUpload, files, setFiles, isError, setIsError, s
               id="browse2"
               name="browse2"
               className={css.browseInpt}
-              onChange={(e) => fileUplaod(e)}
+              accept={accept}
+              multiple
+              onChange={(e) => fileUpload(e)}
             />
             <img src={uploadImage} className={css.img} alt="upload image" />
           </label>
@@ -1,4 +1,4 @@
-import {useEffect, useState} from 'react'
+import {useEffect, useRef, useState} from 'react'
 import { createPortal } from 'react-dom'
 import React from 'react'
 
@@ -10,17 +10,76 @@ import UploadPhotoCard from './UploadPhotoCard/UploadPhotoCard'
 import RedBtnHov from '../../utils/Buttons/RedBtnHov/RedBtnHov'
 import GrayBtn from '../../utils/Buttons/GrayBtn/GrayBtn'
 
+import { useAuth } from '../../context/AuthContext/AuthContext'
+import { useRestaurant } from '../../context/RestaurantContext/RestaurantContext'
+import { uploadPhoto } from '../../services/photoService'
+import { isCancel } from '../../services/apiClient'
+
+// Statuses a photo can be (re)sent from
+const uploadable = ['ready', 'failed', 'cancelled'];
+
 const UploadPhotosModal = ({setModal}) => {
+  const {city, slug} = useRestaurant();
+  const {isLoggedIn, openLogin} = useAuth();
+  const controllers = useRef({});
+  const latest = useRef([]);
+  const closed = useRef(false);
 
   const [anyUpload, setAnyUpload] = useState(false);
   const [files, setFiles] = useState([]);
   let [isError, setIsError] = useState({});
   let [errorMessage, setErrorMessage] = useState({});
+  let [submitting, setSubmitting] = useState(false);
+
+  latest.current = files;
+
+  // Closing the modal stops whatever is still uploading
+  useEffect(() => {
+    return () => {
+      closed.current = true;
+      Object.values(controllers.current).forEach(controller => controller.abort());
+    }
+  }, [])
+
+  const updateFile = (key, changes) => {
+    setFiles(val => val.map(file => file.key === key ? {...file, ...changes} : file));
+  }
 
-  const submitFiles = () => {
-    console.log(files, "submit form");
+  const uploadFile = (file) => {
+    if(!isLoggedIn) return openLogin();
+    const controller = new AbortController();
+    controllers.current[file.key] = controller;
+    updateFile(file.key, {status: 'uploading', progress: 0, error: ''});
+    return uploadPhoto(city, slug, file, {signal: controller.signal, onProgress: progress => updateFile(file.key, {progress})})
+      .then(() => updateFile(file.key, {status: 'done', progress: 1}))
+      .catch(err => updateFile(file.key, isCancel(err) ? {status: 'cancelled', progress: 0} : {status: 'failed', progress: 0, error: err.message}))
+      .finally(() => delete controllers.current[file.key]);
   }
 
+  const cancelFile = (key) => {
+    controllers.current[key]?.abort();
+  }
+
+  // One at a time, in the order the queue was arranged. Each photo is read again right before
+  // it goes out, so captions edited while earlier ones upload aren't lost
+  const submitFiles = async () => {
+    if(!isLoggedIn) return openLogin();
+    setSubmitting(true);
+    for(const {key} of files.filter(file => uploadable.includes(file.status))){
+      const file = latest.current.find(val => val.key === key);
+      if(closed.current) return;
+      if(file && uploadable.includes(file.status)) await uploadFile(file);
+    }
+    setSubmitting(false);
+  }
+
+  const done = files.filter(file => file.status === 'done').length;
+  const uploading = submitting || files.some(file => file.status === 'uploading');
+  const canUpload = anyUpload && !uploading
+    && !files.some(file => isError[file.key])
+    && !files.some(file => file.status === 'processing')
+    && files.some(file => uploadable.includes(file.status));
+
   const domObj = <div className={css.outerDiv}>
     <div className={css.innerDiv}>
       <div className={css.header}>
@@ -32,11 +91,14 @@ const UploadPhotosModal = ({setModal}) => {
           </span>
       </div>
       <div className={css.bdy}>
-          <UploadPhotoCard setAnyUpload={setAnyUpload} setFiles={setFiles} files={files} isError={isError} setIsError={setIsError} setErrorMessage={setErrorMessage} errorMessage={errorMessage} />
+          <UploadPhotoCard setAnyUpload={setAnyUpload} setFiles={setFiles} files={files} updateFile={updateFile} uploadFile={uploadFile} cancelFile={cancelFile}
+            isError={isError} setIsError={setIsError} setErrorMessage={setErrorMessage} errorMessage={errorMessage} />
       </div>
       <div className={css.btns}>
-          {anyUpload && !Object.values(isError)?.some(val => val === true) ? <RedBtnHov txt="Upload" onClick={submitFiles} /> : 
-           <GrayBtn txt="Upload" disabled /> }
+          {done ? <div className={css.summary}>{done} of {files.length} {files.length === 1 ? "photo" : "photos"} uploaded</div> : ""}
+          {anyUpload && done === files.length ? <RedBtnHov txt="Done" onClick={() => setModal(false)} />
+          : canUpload ? <RedBtnHov txt="Upload" onClick={submitFiles} /> :
+           <GrayBtn txt={uploading ? "Uploading..." : "Upload"} disabled /> }
       </div>
     </div>
   </div>
@@ -44,4 +106,4 @@ const UploadPhotosModal = ({setModal}) => {
   return createPortal(domObj, document.getElementById('modal'));
 }
 
-export default UploadPhotosModal
\ No newline at end of file
+export default UploadPhotosModal
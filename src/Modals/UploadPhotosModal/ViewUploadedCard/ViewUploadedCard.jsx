@@ -5,36 +5,91 @@ import css from './ViewUploadedCard.module.css'
 
 import multiplyCancelIcon from '/icons/multiply-cancel.png'
 
-const ViewUploadedCard = ({file, id, removeFromFiles, isError, setIsError, setErrorMessage, errorMessage}) => {
+import DishTagsUtil from '../../../utils/RestaurantUtils/DishTagsUtil/DishTagsUtil'
 
-    let [clicked, setClicked] = useState(false);
+import { useRestaurant } from '../../../context/RestaurantContext/RestaurantContext'
+import { getDishes } from '../../../helpers/menu'
+
+const statusText = {
+    processing: "Optimising photo...",
+    ready: "Ready to upload",
+    uploading: "Uploading",
+    done: "Uploaded",
+    cancelled: "Upload cancelled"
+}
+
+// Lets a card dropped on another one be told apart from files dropped into the modal
+const dragType = "application/x-upload-key";
+
+const ViewUploadedCard = ({file, index, count, moveFile, removeFromFiles, updateFile, uploadFile, cancelFile, isError, errorMessage}) => {
+    const {menu} = useRestaurant();
+
+    let [focused, setFocused] = useState(false);
+    let [preview, setPreview] = useState(null);
+    let [dragOver, setDragOver] = useState(false);
 
     useEffect(()=>{
-        if((file?.size / 1024 / 1024) > 1){
-            setIsError(val => {return {...val, [id]: true }} );
-            setErrorMessage(val => {return {...val, [id]: "Image size should be less then 1 mb"}});
-        }
-    }, [file])
-
-    document.addEventListener("click", () => {
-        if(file?.caption?.length <= 0){
-            setClicked(false)
-        }
-    }, true)
-
-  return <div className={css.outerDiv}>
+        const url = URL.createObjectURL(file.file);
+        setPreview(url);
+        return () => URL.revokeObjectURL(url);
+    }, [file.file])
+
+    const hasError = isError?.[file.key] || file.status === 'failed';
+    const locked = file.status === 'uploading' || file.status === 'done';
+    const percent = Math.round(file.progress * 100);
+
+    const dragStartHandler = (e) => {
+        e.dataTransfer.setData(dragType, String(file.key));
+        e.dataTransfer.effectAllowed = "move";
+    }
+
+    const dragOverHandler = (e) => {
+        if(!e.dataTransfer.types.includes(dragType)) return;
+        e.preventDefault();
+        setDragOver(true);
+    }
+
+    const dropHandler = (e) => {
+        setDragOver(false);
+        const key = Number(e.dataTransfer.getData(dragType));
+        if(!key) return;
+        e.preventDefault();
+        e.stopPropagation();
+        moveFile(key, index);
+    }
+
+  return <div className={dragOver ? [css.outerDiv, css.dragOver].join(" ") : css.outerDiv}
+    onDragOver={dragOverHandler} onDragLeave={() => setDragOver(false)} onDrop={dropHandler}>
     <div className={css.innerDiv}>
-        <div className={isError?.[id] ? [css.imgBox, css.error]?.join(" ") : css.imgBox}>
-            <div className={css.cancelIconBox} onClick={() => removeFromFiles(id)}><img src={multiplyCancelIcon} alt="cancel button" className={css.cancelIcon} /></div>
-            <img src={URL?.createObjectURL(file)} className={isError?.[id] ? [css.img, css.error]?.join(" ") : css.img} />
-            {isError?.[id] ? <div className={css.errorTxt} title={errorMessage?.[id] && errorMessage?.[id]}>{errorMessage?.[id] && errorMessage?.[id]}</div> : "" }
+        <div className={hasError ? [css.imgBox, css.error]?.join(" ") : css.imgBox} draggable onDragStart={dragStartHandler} title="Drag to reorder">
+            <div className={css.cancelIconBox} onClick={() => removeFromFiles(file.key)}><img src={multiplyCancelIcon} alt="cancel button" className={css.cancelIcon} /></div>
+            {count > 1 ? <div className={css.moveBox}>
+                {index > 0 ? <span className={css.moveBtn} title="Move up" onClick={() => moveFile(file.key, index - 1)}>↑</span> : ""}
+                {index < count - 1 ? <span className={css.moveBtn} title="Move down" onClick={() => moveFile(file.key, index + 1)}>↓</span> : ""}
+            </div> : ""}
+            {preview ? <img src={preview} className={hasError ? [css.img, css.error]?.join(" ") : css.img} /> : ""}
+            {hasError ? <div className={css.errorTxt} title={errorMessage?.[file.key] || file.error}>
+                {file.status === 'failed' ? <span className={css.action} onClick={() => uploadFile(file)}>Retry</span> : ""}
+                {errorMessage?.[file.key] || file.error}
+            </div> : <div className={css.status}>
+                {locked ? <div className={css.progress}><div className={css.progressBar} style={{width: `${percent}%`}}></div></div> : ""}
+                <div className={css.statusTxt}>
+                    {statusText[file.status]}{file.status === 'uploading' ? ` ${percent}%` : ""}
+                    {file.status === 'uploading' ? <span className={css.action} onClick={() => cancelFile(file.key)}>Cancel</span> : ""}
+                    {file.status === 'cancelled' ? <span className={css.action} onClick={() => uploadFile(file)}>Retry</span> : ""}
+                </div>
+            </div>}
         </div>
         <div className={css.messageBox}>
-            <label htmlFor='textArea' className={clicked ? [css.labelCaption, css.labelCaption2]?.join(" ") : css.labelCaption}>Caption</label>
-            <textarea id="textArea" className={clicked ? [css.textArea, css.textArea2]?.join(" ") : css.textArea } rows="8" cols="10" onClick={() => setClicked(true)}  onChange={e => file.caption = e.target?.value}></textarea>
+            <label htmlFor={`caption-${file.key}`} className={focused || file.caption ? [css.labelCaption, css.labelCaption2]?.join(" ") : css.labelCaption}>Caption</label>
+            <textarea id={`caption-${file.key}`} className={focused ? [css.textArea, css.textArea2]?.join(" ") : css.textArea } rows="8" cols="10" value={file.caption} disabled={locked}
+                onFocus={() => setFocused(true)} onBlur={() => setFocused(false)} onChange={e => updateFile(file.key, {caption: e.target.value})}></textarea>
+            <div className={css.dishBox}>
+                <DishTagsUtil dishes={getDishes(menu)} value={file.dishes} disabled={locked} onChange={dishes => updateFile(file.key, {dishes})} />
+            </div>
         </div>
     </div>
   </div>
 }
 
-export default ViewUploadedCard
\ No newline at end of file
+export default ViewUploadedCard
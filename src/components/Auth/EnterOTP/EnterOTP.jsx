@@ -1,34 +1,126 @@
-import {useEffect, useState} from 'react';
+import {useEffect, useRef, useState} from 'react';
 import { createPortal } from 'react-dom'
 import React from 'react'
 import closeBtn from '/images/closeBtn.jpg';
 
 import css from './EnterOTP.module.css'
 
-let EnterOTP = ({setModal, setLoggedIn = () => {}, setAuth = () => {}}) => {
+import { requestOtp, verifyOtp } from '../../../services/authService'
+import { otpLength, otpResendSeconds } from '../../../helpers/constants'
+import { useAuth } from '../../../context/AuthContext/AuthContext'
 
-    let [count, setCount] = useState(60);
+const emptyOtp = () => Array(otpLength).fill("");
 
-    const loginHandler = ()=> {
-        setModal(false); 
-        setLoggedIn(true);
-        setAuth(false);
-        localStorage.setItem("auth", true);
+let EnterOTP = ({phone, otpRequest, setModal}) => {
+
+    const {login} = useAuth();
+
+    let [count, setCount] = useState(otpRequest?.resendIn ?? otpResendSeconds);
+    let [requestId, setRequestId] = useState(otpRequest?.requestId);
+    let [mockCode, setMockCode] = useState(otpRequest?.mockCode);
+    let [digits, setDigits] = useState(emptyOtp);
+    let [error, setError] = useState(null);
+    let [loading, setLoading] = useState(false);
+    let inputRefs = useRef([]);
+
+    const code = digits.join("");
+    const isComplete = code.length === otpLength;
+
+    const focusBox = (index) => {
+        inputRefs.current[Math.max(0, Math.min(index, otpLength - 1))]?.focus();
+    }
+
+    const fillFrom = (index, value) => {
+        const chars = value.replace(/\D/g, "").slice(0, otpLength - index).split("");
+        if(!chars.length) return;
+        setDigits(val => {
+            const next = [...val];
+            chars.forEach((char, i) => next[index + i] = char);
+            return next;
+        });
+        setError(null);
+        focusBox(index + chars.length);
+    }
+
+    const changeHandler = (e, index) => {
+        const value = e.target.value;
+        if(!value){
+            setDigits(val => val.map((d, i) => i === index ? "" : d));
+            return;
+        }
+        fillFrom(index, value.slice(-1));
+    }
+
+    const keyDownHandler = (e, index) => {
+        if(e.key === "Backspace" && !digits[index] && index > 0){
+            e.preventDefault();
+            setDigits(val => val.map((d, i) => i === index - 1 ? "" : d));
+            focusBox(index - 1);
+        }else if(e.key === "ArrowLeft"){
+            focusBox(index - 1);
+        }else if(e.key === "ArrowRight"){
+            focusBox(index + 1);
+        }else if(e.key === "Enter" && isComplete){
+            loginHandler();
+        }
+    }
+
+    const pasteHandler = (e, index) => {
+        e.preventDefault();
+        fillFrom(index, e.clipboardData.getData("text"));
+    }
+
+    const loginHandler = async () => {
+        if(!isComplete || loading) return;
+        setLoading(true);
+        try{
+            const session = await verifyOtp({requestId, code});
+            setModal(false);
+            login(session);
+        }catch(err){
+            setError({code: err.code, message: err.message});
+            setDigits(emptyOtp());
+            focusBox(0);
+        }finally{
+            setLoading(false);
+        }
     }
 
+    const resendHandler = async () => {
+        if(count > 0 || loading) return;
+        setLoading(true);
+        try{
+            const data = await requestOtp(phone);
+            setRequestId(data.requestId);
+            setMockCode(data.mockCode);
+            setCount(data.resendIn);
+            setDigits(emptyOtp());
+            setError(null);
+            focusBox(0);
+        }catch(err){
+            setError({code: err.code, message: err.message});
+        }finally{
+            setLoading(false);
+        }
+    }
+
+    useEffect(() => {
+        focusBox(0);
+    }, [])
+
     useEffect(()=>{
         if (!count) return;
 
         let interval = setInterval(()=>{
-            if(count > 0){
-                setCount(val => val - 1);
-            }
-        }, [1000])
+            setCount(val => Math.max(val - 1, 0));
+        }, 1000)
     
         return () => clearInterval(interval);
 
     }, [count])
 
+    const mustResend = ["OTP_EXPIRED", "OTP_LOCKED", "NOT_FOUND"].includes(error?.code);
+
     const domObj = <div className={css.outerDiv}>
         <div className={css.innerDiv}>
             <div className={css.header}>
@@ -38,31 +130,32 @@ let EnterOTP = ({setModal, setLoggedIn = () => {}, setAuth = () => {}}) => {
                 </span>
             </div>
             <div className={css.body}>
-                <div className={css.txt1}>OTP send successfully</div>
+                <div className={css.txt1}>OTP sent to +91 {phone}</div>
+                {mockCode ? <div className={css.mockTxt}>Demo mode, no SMS is sent. Your OTP is <b>{mockCode}</b></div> : ""}
                 <div className={css.OTPBox}>
-                    <div className={css.otpNumBox}>
-                        <input className={css.inpBox} type="text" name="" id="" maxLength="1" defaultValue="2" />
-                    </div>
-                    <div className={css.otpNumBox}>
-                        <input className={css.inpBox} type="text" name="" id="" maxLength="1" defaultValue="2" />
-                    </div>
-                    <div className={css.otpNumBox}>
-                        <input className={css.inpBox} type="text" name="" id="" maxLength="1" defaultValue="2" />
-                    </div>
-                    <div className={css.otpNumBox}>
-                        <input className={css.inpBox} type="text" name="" id="" maxLength="1" defaultValue="2" />
-                    </div>
-                    <div className={css.otpNumBox}>
-                        <input className={css.inpBox} type="text" name="" id="" maxLength="1" defaultValue="2" />
-                    </div>
-                    <div className={css.otpNumBox}>
-                        <input className={css.inpBox} type="text" name="" id="" maxLength="1" defaultValue="2" />
-                    </div>
+                    {digits.map((digit, index) => {
+                        return <div className={css.otpNumBox} key={index}>
+                            <input
+                                ref={el => inputRefs.current[index] = el}
+                                className={error ? [css.inpBox, css.inpBoxErr].join(" ") : css.inpBox}
+                                type="text"
+                                inputMode="numeric"
+                                autoComplete={index === 0 ? "one-time-code" : "off"}
+                                maxLength="2"
+                                value={digit}
+                                disabled={mustResend}
+                                onChange={(e) => changeHandler(e, index)}
+                                onKeyDown={(e) => keyDownHandler(e, index)}
+                                onPaste={(e) => pasteHandler(e, index)}
+                                onFocus={(e) => e.target.select()} />
+                        </div>
+                    })}
                 </div>
-                <div onClick={loginHandler} className={css.okBtn}>OK</div>
+                {error ? <div className={css.errorTxt}>{error.message}</div> : ""}
+                <div onClick={loginHandler} className={isComplete && !loading && !mustResend ? css.okBtn : [css.okBtn, css.okBtnDisabled].join(" ")}>{loading ? "Verifying..." : "OK"}</div>
                 <div className={css.footerBox}>
                     <div className={css.time}>Time: {count}</div>
-                    <div className={css.footerTxt}>Didn't receive OTP? <span className={css.resendTxt} onClick={() => setCount(60)}>Resend Now</span></div>
+                    <div className={css.footerTxt}>Didn't receive OTP? <span className={count > 0 ? [css.resendTxt, css.resendDisabled].join(" ") : css.resendTxt} onClick={resendHandler}>Resend Now</span></div>
                 </div>
             </div>
         </div>
@@ -71,4 +164,4 @@ let EnterOTP = ({setModal, setLoggedIn = () => {}, setAuth = () => {}}) => {
     return createPortal(domObj, document.getElementById('modal'));
 }
 
-export default EnterOTP;
\ No newline at end of file
+export default EnterOTP;
@@ -10,11 +10,32 @@ import loginCss from './Login.module.css';
 
 import EnterOTP from '../../Auth/EnterOTP/EnterOTP'
 
-let Login = ({ setAuth, setLoggedIn }) => {
+import { requestOtp } from '../../../services/authService'
+
+let Login = ({ setAuth }) => {
     const [phone, setPhone] = useState();
+    const [error, setError] = useState('');
+    const [loading, setLoading] = useState(false);
+    const [otpRequest, setOtpRequest] = useState(null);
 
     let [otpModal, setOTPModal] = useState(false)
 
+    const isValidPhone = /^\d{10}$/.test(phone ?? '');
+
+    const sendOtpHandler = async () => {
+        if(!isValidPhone || loading) return;
+        setLoading(true);
+        setError('');
+        try{
+            setOtpRequest(await requestOtp(phone));
+            setOTPModal(true);
+        }catch(err){
+            setError(err.message);
+        }finally{
+            setLoading(false);
+        }
+    }
+
     let loginDiv = !otpModal ? <div className={loginCss.outerDiv}>
         <div className={loginCss.modal}>
             <div className={loginCss.header}>
@@ -24,8 +45,9 @@ let Login = ({ setAuth, setLoggedIn }) => {
                 </span>
             </div>
             <div className={loginCss.lgBox}>
-                <input className={loginCss.phoneInp} type="tel" placeholder='Phone number ...' onChange={(e) => setPhone(e.target.value)} />
-                <button  className={phone?.length === 10 ? [loginCss.btn, loginCss.Sbtn].join(" ") : loginCss.btn} onClick={()=> phone?.length === 10 ? setOTPModal(true) : ""}>Send OTP</button>
+                {error ? <div className={loginCss.error}>{error}</div> : ""}
+                <input className={loginCss.phoneInp} type="tel" placeholder='Phone number ...' onChange={(e) => {setPhone(e.target.value.trim()); setError('')}} />
+                <button  className={isValidPhone ? [loginCss.btn, loginCss.Sbtn].join(" ") : loginCss.btn} onClick={sendOtpHandler} disabled={loading}>{loading ? "Sending OTP..." : "Send OTP"}</button>
             </div>
             <div className={loginCss.orBreak}><span className={loginCss.orBreakText}>or</span></div>
             <div className={loginCss.socialSignupBox}>
@@ -39,7 +61,7 @@ let Login = ({ setAuth, setLoggedIn }) => {
             <hr className={loginCss.break} />
             <div className={loginCss.newToZomato}>New to Zomato? <div className={loginCss.createAcc} onClick={() => setAuth({ closed: false, login: false, signup: true })}>Create Account</div></div>
         </div>
-    </div> :  <EnterOTP setModal={setOTPModal} setLoggedIn={setLoggedIn} setAuth={setAuth} />
+    </div> :  <EnterOTP phone={phone} otpRequest={otpRequest} setModal={setOTPModal} />
     return createPortal(loginDiv, document.getElementById('modal'));
 }
 
@@ -0,0 +1,28 @@
+import { useEffect } from 'react'
+import { Navigate, useLocation } from 'react-router-dom'
+import React from 'react'
+
+import { useAuth } from '../../../context/AuthContext/AuthContext'
+
+const ProtectedRoute = ({children}) => {
+  const {status, openLogin} = useAuth();
+  const location = useLocation();
+
+  useEffect(() => {
+    if(status === 'guest'){
+      openLogin(location.pathname + location.search);
+    }
+  }, [status])
+
+  if(status === 'loading'){
+    return null;
+  }
+
+  if(status === 'guest'){
+    return <Navigate to="/" replace />
+  }
+
+  return children;
+}
+
+export default ProtectedRoute
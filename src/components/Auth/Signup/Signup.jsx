@@ -1,16 +1,18 @@
 import { createPortal } from 'react-dom';
 import React, { useState } from 'react';
-import axios from 'axios';
 import gLogo from '/images/google.png';
 import mailLogo from '/images/emailIcon.jpg';
 import closeBtn from '/images/closeBtn.jpg';
 
 import signupCss from './Signup.module.css';
 
+import { signup } from '../../../services/userService';
+
 const Signup = ({ setAuth }) => {
     const [formData, setFormData] = useState({
         username: '',
         email: '',
+        phone: '',
         checkbox: false
     });
     const [error, setError] = useState('');
@@ -33,41 +35,44 @@ const Signup = ({ setAuth }) => {
             setError('');
 
             // Validate form
-            if (!formData.username || !formData.email) {
+            if (!formData.username || !formData.email || !formData.phone) {
                 setError('Please fill in all fields');
                 return;
             }
 
+            if (!/^\d{10}$/.test(formData.phone.trim())) {
+                setError('Enter a valid 10 digit phone number');
+                return;
+            }
+
             if (!formData.checkbox) {
                 setError('Please accept the terms and conditions');
                 return;
             }
 
-            // Make API call to backend
-            const response = await axios.post('http://localhost:4001/signup', {
+            const data = await signup({
                 username: formData.username.trim(),
                 email: formData.email.trim(),
+                phone: formData.phone.trim(),
                 checkbox: formData.checkbox
             });
 
-            console.log('Signup response:', response.data);
-
-            if (response.data.success) {
+            if (data?.success) {
                 setSuccess('Registration successful! Redirecting to login...');
                 // Clear form
                 setFormData({
                     username: '',
                     email: '',
+                    phone: '',
                     checkbox: false
                 });
                 // Redirect to login immediately
                 setAuth({ closed: false, login: true, signup: false });
             } else {
-                setError(response.data.error || 'Registration failed. Please try again.');
+                setError(data?.error || 'Registration failed. Please try again.');
             }
         } catch (err) {
-            console.error('Signup error:', err);
-            setError(err.response?.data?.error || 'An error occurred during registration');
+            setError(err.message || 'An error occurred during registration');
         } finally {
             setLoading(false);
         }
@@ -105,6 +110,14 @@ const Signup = ({ setAuth }) => {
                         onChange={handleChange}
                         placeholder='Email' 
                     />
+                    <input 
+                        className={signupCss.inpBox} 
+                        type="tel" 
+                        name="phone"
+                        value={formData.phone}
+                        onChange={handleChange}
+                        placeholder='Phone' 
+                    />
                     <span className={signupCss.termsTxt}>
                         <input 
                             type="checkbox" 
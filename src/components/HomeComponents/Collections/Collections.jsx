@@ -9,12 +9,16 @@ import CallingBarHoppersImg from '/images/callingallbarhoppers.jpg'
 
 import CollectionsCard from '../../../utils/Cards/card2/CollectionsCard'
 
+import { useLocationContext } from '../../../context/LocationContext/LocationContext'
+
 let Collections = () => {
+    let { location } = useLocationContext();
+
     return <div className={css.outerDiv}>
         <div className={css.title}>Collections</div>
         <div className={css.tagLine}>
-            <span className={css.desc}>Explore curated lists of top restaurants, cafes, pubs, and bars in Hyderabad, based on trends</span>
-            <span className={css.collectionPlacesTag}>All collections in Hyderabad <span className={css.rightArrowBox}><img className={css.rightArrow} src={rightArrow} alt="right arrow" /></span></span>
+            <span className={css.desc}>Explore curated lists of top restaurants, cafes, pubs, and bars in {location.cityName}, based on trends</span>
+            <span className={css.collectionPlacesTag}>All collections in {location.cityName} <span className={css.rightArrowBox}><img className={css.rightArrow} src={rightArrow} alt="right arrow" /></span></span>
         </div>
         <div className={css.cards}>
             <CollectionsCard imgSrc={CathTheMatachImg} title="Catch the Match" places="30" />
@@ -5,12 +5,15 @@ import Navbar from '../../Navbars/NavigationBar/NavigationBar'
 import MobileNavbar from '../../Navbars/MobileNavbar/MobileNavbar';
 import SearchBar from '../../../utils/SearchBar/SearchBar'
 
+import { useLocationContext } from '../../../context/LocationContext/LocationContext'
+
 import css from './HomePageBanner.module.css'
 
 import banner from '/banners/banner1.jpg'
 
 let HomePageBanner = () => {
     let [toogleMenu, setToggleMenu] = useState(true);
+    let { location } = useLocationContext();
 
     let toggleBanner = toogleMenu ? (<div className={css.banner}>
         <Navbar setToggleMenu={setToggleMenu} toogleMenu={toogleMenu} />
@@ -18,7 +21,7 @@ let HomePageBanner = () => {
             <img src={banner} alt="banner" className={css.bannerImg} />
             <div className={css.bannerTxt}>
                 <div className={css.title}>Zomato</div>
-                <div className={css.tag}>Discover the best food & drinks in <span className={css.bld}>Hyderabad</span></div>
+                <div className={css.tag}>Discover the best food & drinks in <span className={css.bld}>{location.cityName}</span></div>
                 <div className={css.searchbar}>
                     <SearchBar />
                 </div>
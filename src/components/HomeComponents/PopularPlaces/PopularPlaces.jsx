@@ -1,4 +1,5 @@
 import { useState } from 'react';
+import { useNavigate } from 'react-router-dom';
 import React from "react";
 
 import PlacesCard from '../../../utils/Cards/card3/PlacesCard'
@@ -6,17 +7,34 @@ import ShowMore from '../../../utils/Cards/card3/ShowMore'
 
 import css from './PopularPlaces.module.css';
 
+import { useLocationContext } from '../../../context/LocationContext/LocationContext'
+import { getCity, toLocation } from '../../../helpers/location'
+import { diningOutPage } from '../../../helpers/constants'
+
+const collapsedCount = 5;
+
 let PopularPlaces = () => {
-    let [showMore, setShowMore] = useState();
+    let [showMore, setShowMore] = useState(false);
+    let { location, setLocation } = useLocationContext();
+    let navigate = useNavigate();
+
+    const city = getCity(location.city);
+    const localities = city?.localities ?? [];
+    const visible = showMore ? localities : localities.slice(0, collapsedCount);
+
+    const selectLocality = (e, locality) => {
+        e.preventDefault();
+        setLocation(toLocation(city, locality));
+        navigate(`/show-case?page=${diningOutPage}`);
+    }
+
     return <div className={css.outerDiv}>
-        <div className={css.title}><span className={css.titleTxt}>Popular localities in and around</span> <span className={css.bld}>Hyderabad</span></div>
+        <div className={css.title}><span className={css.titleTxt}>Popular localities in and around</span> <span className={css.bld}>{location.cityName}</span></div>
         <div className={css.placesCards}>
-            <PlacesCard place="Jubilee Hills" count="421" link='/jubileehills' />
-            <PlacesCard place="Jubilee Hills" count="421" link='/jubileehills' />
-            <PlacesCard place="Jubilee Hills" count="421" link='/jubileehills' />
-            <PlacesCard place="Jubilee Hills" count="421" link='/jubileehills' />
-            <PlacesCard place="Jubilee Hills" count="421" link='/jubileehills' />
-            <ShowMore setShowMore={setShowMore} />
+            {visible.map(locality => {
+                return <PlacesCard key={locality.name} place={locality.name} count={locality.places} link={`/show-case?page=${diningOutPage}`} onClick={e => selectLocality(e, locality)} />
+            })}
+            {localities.length > collapsedCount ? <ShowMore setShowMore={setShowMore} expanded={showMore} /> : null}
         </div>
     </div>
 }
@@ -6,17 +6,20 @@ import downArrow from '/icons/down-arrow.png'
 import rightArrow from '/icons/right-arrow1.png'
 import profilePic from '/images/profilepic.jpg'
 
+import { useAuth } from '../../../context/AuthContext/AuthContext'
+
 import css from './AddRestaurantMobileNavbar.module.css';
 
 let AddRestaurantMobileNavbar = ({ toogleMenu, setToggleMenu }) => {
 
     let [state, setState] = useState(true);
+    let {user, isLoggedIn, logout, openLogin} = useAuth();
 
     let dropdownOptions = state ? css.optionsBox : `${css.optionsBox} ${css.dnone}`;
 
     const logoutHandler = () => {
-        setLoggedIn(false);
-        localStorage.removeItem("auth");
+        setState(true);
+        logout();
     }
 
     return <div className={css.navbarH}>
@@ -24,10 +27,11 @@ let AddRestaurantMobileNavbar = ({ toogleMenu, setToggleMenu }) => {
             <img className={css.menuBar} src={close} alt='menu bar' onClick={() => setToggleMenu(val => !val)} />
             <Link to='/' className={css.title}>Zomato</Link>
         </div>
+        {isLoggedIn ? <>
         <div className={css.navbar} onClick={() => setState(val => !val)}>
             <span className={css.profile}>
-                <img src={profilePic} alt="profile pic" className={css.profilePic} />
-                <div className={css.profileName}>Profile</div>
+                <img src={user?.profilePic || profilePic} alt="profile pic" className={css.profilePic} />
+                <div className={css.profileName}>{user?.name?.split(" ")[0] || "Profile"}</div>
             </span>
             <img src={downArrow} className={css.downArrow} alt='down arrow' />
         </div>
@@ -42,6 +46,9 @@ let AddRestaurantMobileNavbar = ({ toogleMenu, setToggleMenu }) => {
                 </div>
             </div>
         </div>
+        </> : <div className={css.navbar} onClick={() => openLogin()}>
+            <div className={css.profileName}>Log in</div>
+        </div>}
     </div>
 }
 
@@ -1,20 +1,13 @@
-import { useState } from 'react';
 import { Link } from 'react-router-dom'
 import React from 'react'
 import close from '/icons/close.png'
 
-import css from './MobileNavbar.module.css';
+import { useAuth } from '../../../context/AuthContext/AuthContext'
 
-import Login from '../../Auth/Login/Login'
-import Signup from '../../Auth/Signup/Signup'
+import css from './MobileNavbar.module.css';
 
 let MobileNavbar = ({ toogleMenu, setToggleMenu }) => {
-    let [loggedIn, setLoggedIn] = useState(localStorage.getItem('auth') || false);
-    let [auth, setAuth] = useState({
-        closed: true,
-        login: false,
-        signup: false
-    });
+    let {user, isLoggedIn, logout, openLogin, openSignup} = useAuth();
 
     return <>
     <div className={css.mobileMenu}>
@@ -24,14 +17,15 @@ let MobileNavbar = ({ toogleMenu, setToggleMenu }) => {
         </div>
         <div className={css.navbar}>
             <Link to='/add-restaurant' className={css.menuItem} >Add restuarant</Link>
-            <div className={css.menuItem} onClick={() => setAuth({ closed: false, login: true, signup: false })}>Log in</div>
-            <div className={css.menuItem} onClick={() => setAuth({ closed: false, login: false, signup: true })}>Sign up</div>
+            {isLoggedIn ? <>
+                <Link to={`/user/${user?.id}/reviews`} className={css.menuItem}>Profile</Link>
+                <div className={css.menuItem} onClick={logout}>Logout</div>
+            </> : <>
+                <div className={css.menuItem} onClick={() => openLogin()}>Log in</div>
+                <div className={css.menuItem} onClick={openSignup}>Sign up</div>
+            </>}
         </div>
     </div>
-    <div className={css.modals}>
-        {auth?.login ? <Login setAuth={setAuth} setLoggedIn={setLoggedIn} /> : null}
-        {auth?.signup ? <Signup setAuth={setAuth} /> : null}
-    </div>
     </>
 }
 
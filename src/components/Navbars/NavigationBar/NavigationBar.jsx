@@ -7,23 +7,19 @@ import menuBar from '/icons/menu.png'
 import downArrow from '/icons/down-arrow.png'
 import profilePic from '/images/profilepic.jpg'
 
-import Login from '../../Auth/Login/Login'
-import Signup from '../../Auth/Signup/Signup'
+import NotificationCountUtil from '../../../utils/UserProfileUtils/NotificationCountUtil/NotificationCountUtil'
+
+import { useAuth } from '../../../context/AuthContext/AuthContext'
 
 import css from './NavigationBar.module.css';
 
 let NavigationBar = ({ toogleMenu, setToggleMenu, page }) => {
     let [menuDisplay, setMenuDisplay] = useState(false);
-    let [loggedIn, setLoggedIn] = useState(localStorage.getItem('auth') || false);
-    let [auth, setAuth] = useState({
-        closed: true,
-        login: false,
-        signup: false
-    });
+    let {user, isLoggedIn: loggedIn, logout, openLogin, openSignup} = useAuth();
 
     const logoutHandler = () => {
-        setLoggedIn(false);
-        localStorage.removeItem("auth");
+        setMenuDisplay(false);
+        logout();
     }
 
     return <div className={css.navbar}>
@@ -37,42 +33,43 @@ let NavigationBar = ({ toogleMenu, setToggleMenu, page }) => {
                 {page !== 'add-restaurant' ? <Link to='/add-restaurant' className={css.menuItem} >Add restuarant</Link> : ''}
                 {loggedIn ? (<div className={css.menuItem}>
                     <div className={css.profile} onClick={() => setMenuDisplay(val => !val)}>
-                        <img src={profilePic} alt="profile pic" className={css.profilePic} />
-                        <div className={css.profileName}>Profile</div>
+                        <img src={user?.profilePic || profilePic} alt="profile pic" className={css.profilePic} />
+                        <div className={css.profileName}>{user?.name?.split(" ")[0] || "Profile"}</div>
                         <img src={downArrow} alt="arrow" className={css.arrow} />
                     </div>
                     <div className={css.menu} style={{display: menuDisplay ? "block" : ""}}>
-                        <Link to='/user/ll/reviews' className={css.menuItemLinkTxt}>
+                        <Link to={`/user/${user?.id}/reviews`} className={css.menuItemLinkTxt}>
                             <div className={css.menuItemLink}>
                                 Profile
                             </div>
                         </Link>
-                        <Link to='/user/ll/notifications' className={css.menuItemLinkTxt}>
+                        <Link to={`/user/${user?.id}/notifications`} className={css.menuItemLinkTxt}>
                             <div className={css.menuItemLink}>
                                 Notifications
+                                <NotificationCountUtil />
                             </div>
                         </Link>
-                        <Link to='/user/ll/bookmarks' className={css.menuItemLinkTxt}>
+                        <Link to={`/user/${user?.id}/bookmarks`} className={css.menuItemLinkTxt}>
                             <div className={css.menuItemLink}>
                                 Bookmarks
                             </div>
                         </Link>
-                        <Link to='/user/ll/reviews' className={css.menuItemLinkTxt}>
+                        <Link to={`/user/${user?.id}/reviews`} className={css.menuItemLinkTxt}>
                             <div className={css.menuItemLink}>
                                 Reviews
                             </div>
                         </Link>
-                        <Link to='/user/ll/network' className={css.menuItemLinkTxt}>
+                        <Link to={`/user/${user?.id}/network`} className={css.menuItemLinkTxt}>
                             <div className={css.menuItemLink}>
                                 Network
                             </div>
                         </Link>
-                        <Link to='/user/ll/find-friends' className={css.menuItemLinkTxt}>
+                        <Link to={`/user/${user?.id}/find-friends`} className={css.menuItemLinkTxt}>
                             <div className={css.menuItemLink}>
                                 Find Friends
                             </div>
                         </Link>
-                        <Link to='/user/ll/settings' className={css.menuItemLinkTxt}>
+                        <Link to={`/user/${user?.id}/settings`} className={css.menuItemLinkTxt}>
                             <div className={css.menuItemLink}>
                                 Settings
                             </div>
@@ -84,15 +81,11 @@ let NavigationBar = ({ toogleMenu, setToggleMenu, page }) => {
                         </div>
                     </div>
                 </div>) : (<>
-                    <div className={css.menuItem} onClick={() => setAuth({ closed: false, login: true, signup: false })}>Log in</div>
-                    <div className={css.menuItem} onClick={() => setAuth({ closed: false, login: false, signup: true })}>Sign up</div>
+                    <div className={css.menuItem} onClick={() => openLogin()}>Log in</div>
+                    <div className={css.menuItem} onClick={openSignup}>Sign up</div>
                 </>)}
             </div>
         </div>
-        <div className={css.modals}>
-            {auth?.login ? <Login setAuth={setAuth} setLoggedIn={setLoggedIn} /> : null}
-            {auth?.signup ? <Signup setAuth={setAuth} /> : null}
-        </div>
     </div>
 }
 
@@ -7,16 +7,19 @@ import downArrow from '/icons/down-arrow.png'
 import profilePic from '/images/profilepic.jpg'
 
 import SearchBar from '../../../utils/SearchBar/SearchBar'
+import NotificationCountUtil from '../../../utils/UserProfileUtils/NotificationCountUtil/NotificationCountUtil'
+
+import { useAuth } from '../../../context/AuthContext/AuthContext'
 
 import css from './NavigationBar2.module.css';
 
 let NavigationBar = ({ toogleMenu, setToggleMenu }) => {
     let [menuDisplay, setMenuDisplay] = useState(false);
-    let [loggedIn, setLoggedIn] = useState(localStorage.getItem('auth') || false);
+    let {user, isLoggedIn: loggedIn, logout, openLogin, openSignup} = useAuth();
 
     const logoutHandler = () => {
-        setLoggedIn(false);
-        localStorage.removeItem("auth");
+        setMenuDisplay(false);
+        logout();
     }
 
     return <div className={css.navbar}>
@@ -31,42 +34,43 @@ let NavigationBar = ({ toogleMenu, setToggleMenu }) => {
             <div className={css.rightSide}>
                 {loggedIn ? (<div className={css.menuItem}>
                     <div className={css.profile} onClick={() => setMenuDisplay(val => !val)}>
-                        <img src={profilePic} alt="profile pic" className={css.profilePic} />
-                        <div className={css.profileName}>Profile</div>
+                        <img src={user?.profilePic || profilePic} alt="profile pic" className={css.profilePic} />
+                        <div className={css.profileName}>{user?.name?.split(" ")[0] || "Profile"}</div>
                         <img src={downArrow} alt="arrow" className={css.arrow} />
                     </div>
                     <div className={css.menu} style={{display: menuDisplay ? "block" : ""}}>
-                    <Link to='/user/ll/reviews' className={css.menuItemLinkTxt}>
+                    <Link to={`/user/${user?.id}/reviews`} className={css.menuItemLinkTxt}>
                             <div className={css.menuItemLink}>
                                 Profile
                             </div>
                         </Link>
-                        <Link to='/user/ll/notifications' className={css.menuItemLinkTxt}>
+                        <Link to={`/user/${user?.id}/notifications`} className={css.menuItemLinkTxt}>
                             <div className={css.menuItemLink}>
                                 Notifications
+                                <NotificationCountUtil />
                             </div>
                         </Link>
-                        <Link to='/user/ll/bookmarks' className={css.menuItemLinkTxt}>
+                        <Link to={`/user/${user?.id}/bookmarks`} className={css.menuItemLinkTxt}>
                             <div className={css.menuItemLink}>
                                 Bookmarks
                             </div>
                         </Link>
-                        <Link to='/user/ll/reviews' className={css.menuItemLinkTxt}>
+                        <Link to={`/user/${user?.id}/reviews`} className={css.menuItemLinkTxt}>
                             <div className={css.menuItemLink}>
                                 Reviews
                             </div>
                         </Link>
-                        <Link to='/user/ll/network' className={css.menuItemLinkTxt}>
+                        <Link to={`/user/${user?.id}/network`} className={css.menuItemLinkTxt}>
                             <div className={css.menuItemLink}>
                                 Network
                             </div>
                         </Link>
-                        <Link to='/user/ll/find-friends' className={css.menuItemLinkTxt}>
+                        <Link to={`/user/${user?.id}/find-friends`} className={css.menuItemLinkTxt}>
                             <div className={css.menuItemLink}>
                                 Find Friends
                             </div>
                         </Link>
-                        <Link to='/user/ll/settings' className={css.menuItemLinkTxt}>
+                        <Link to={`/user/${user?.id}/settings`} className={css.menuItemLinkTxt}>
                             <div className={css.menuItemLink}>
                                 Settings
                             </div>
@@ -78,8 +82,8 @@ let NavigationBar = ({ toogleMenu, setToggleMenu }) => {
                         </div>
                     </div>
                 </div>) : (<>
-                    <div className={css.menuItem} onClick={setLoggedIn}>Log in</div>
-                    <div className={css.menuItem}>Sign up</div>
+                    <div className={css.menuItem} onClick={() => openLogin()}>Log in</div>
+                    <div className={css.menuItem} onClick={openSignup}>Sign up</div>
                 </>)}
             </div>
         </div>
@@ -2,27 +2,16 @@ import React from 'react'
 
 import css from './MenuComponent.module.css'
 
-import MenuCardImg from '/images/menucard.png'
-
 import MenuCard from '../../../../../utils/Cards/RestaurantBodyCards/MenuCard/MenuCard'
 
+import { useRestaurant } from '../../../../../context/RestaurantContext/RestaurantContext'
+
 const MenuComponent = () => {
 
-  const menuCards = [
-    {
-      imgSrc: MenuCardImg,
-      ttl: "Menu",
-      pages: 23
-    },
-    {
-      imgSrc: MenuCardImg,
-      ttl: "Menu Card",
-      pages: 12
-    }
-  ]
+  const {name, menuCards} = useRestaurant();
 
   return <div className={css.outerDiv}>
-      <div className={css.ttl}>Krupa Mess & Tiffins Menu</div>
+      <div className={css.ttl}>{name} Menu</div>
         <div className={css.menuCard}>
           {menuCards?.map((val, id) => {
             return <MenuCard key={id} imgSrc={val.imgSrc} ttl={val.ttl} pages={val.pages} />
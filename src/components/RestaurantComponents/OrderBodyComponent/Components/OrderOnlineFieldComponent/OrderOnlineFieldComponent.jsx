@@ -1,5 +1,7 @@
 import {useEffect, useState} from 'react'
+import {useParams} from 'react-router-dom'
 import {Formik, Form} from 'formik'
+import React from 'react'
 
 import css from './OrderOnlineFieldComponent.module.css'
 
@@ -10,96 +12,106 @@ import DownloadAppUtil from '../../../../../utils/RestaurantUtils/DownloadAppUti
 import SmallSearchBarUtil from '../../../../../utils/RestaurantUtils/SmallSearchBarUtil/SmallSearchBarUtil'
 import OfferTrackUtil from '../../../../../utils/RestaurantUtils/OfferTrackUtil/OfferTrackUtil'
 import FoodItemProduct from '../../../../../utils/RestaurantUtils/FoodItemProduct/FoodItemProduct'
+import CartSummaryUtil from '../../../../../utils/RestaurantUtils/CartSummaryUtil/CartSummaryUtil'
+import CheckoutModal from '../../../../../Modals/CheckoutModal/CheckoutModal'
+import CustomiseModal from '../../../../../Modals/CustomiseModal/CustomiseModal'
+import DeleteModal from '../../../../../Modals/DeleteModal/DeleteModal'
+
+import { useCart } from '../../../../../context/CartContext/CartContext'
+import { useRestaurant } from '../../../../../context/RestaurantContext/RestaurantContext'
+import { useAuth } from '../../../../../context/AuthContext/AuthContext'
+import { dietTags, filterMenu, isCustomisable, toCartItem } from '../../../../../helpers/menu'
+import { evaluatePromotion, getBestPromotion } from '../../../../../helpers/promotions'
+import { formatAmount, getItemTotal } from '../../../../../helpers/cart'
+import { defaultDeliveryMinutes } from '../../../../../helpers/constants'
+import { getPromotions } from '../../../../../services/promotionService'
+import { getUserOrders } from '../../../../../services/orderService'
+import { isCancel } from '../../../../../services/apiClient'
 
 import compassIcon from '/icons/compass.png'
 import clockIcon from '/icons/clock.png'
 import vegIcon from '/icons/veg.png'
-
-import hariyalikebab from '/images/hariyalikebab.jpg'
+import nonvegIcon from '/icons/nonveg.png'
 
 const OrderOnlineFieldComponent = () => {
 
+  const {city, hotel} = useParams();
+  const {id, name, menu, deliveryTime} = useRestaurant();
+  const {cart, addItem, removeItem, getQty, getLastLine, setCoupon} = useCart();
+  const {user} = useAuth();
+  const [checkoutModal, setCheckoutModal] = useState(false);
+  const [customiseDish, setCustomiseDish] = useState(null);
+  const [pendingItem, setPendingItem] = useState(null);
+
+  const restaurant = {city, hotel, name}
+
   const [isActive, setIsActive] = useState({
-    recommended: true
-  });
-  const [foodType, setFoodType] = useState({
-    veg: false, 
-    egg: false
+    [Object.keys(menu)[0]]: true
   });
 
-  const offerTrackData = [
-    {txt1: "0% OFF up to ₹80 + 10% OFF up to ₹75 Paytm Cashback", txt2: "use code PAYTMBASH"},
-    {txt1: "Flat ₹125 OFF", txt2: "use code ICICINB"}
-  ]
-
-  const initialValues = {veg: false, egg: false}
-
-  const foodItemsData = {
-    recommended: [
-      {mustTry:true, ttl:"Hariyali Kebab", votes:"12", price:"1400", desc:"Tandoori Prawns [6 Pieces]+Fish Tikka [6 Pieces]+Pathar ka Gosht [6 Pieces]+Boti Kebab [6 Pieces]+Schezwan Tikka [6 Pieces]+Andhra Kebab [6 Pieces]+Seek Kebab [6 Pieces]", vegNonveg:vegIcon, foodType: "veg"},
-      {mustTry:true, ttl:"Hariyali Kebab", votes:"12", price:"1400", desc:"Tandoori Prawns [6 Pieces]+Fish Tikka [6 Pieces]+Pathar ka Gosht [6 Pieces]+Boti Kebab [6 Pieces]+Schezwan Tikka [6 Pieces]+Andhra Kebab [6 Pieces]+Seek Kebab [6 Pieces]", vegNonveg:vegIcon, foodType: "veg"},
-      {mustTry:true, ttl:"Hariyali Kebab", votes:"12", price:"1400", desc:"Tandoori Prawns [6 Pieces]+Fish Tikka [6 Pieces]+Pathar ka Gosht [6 Pieces]+Boti Kebab [6 Pieces]+Schezwan Tikka [6 Pieces]+Andhra Kebab [6 Pieces]+Seek Kebab [6 Pieces]", vegNonveg:vegIcon, foodType: "veg"},
-      {mustTry:true, imgSrc:hariyalikebab, ttl:"Hariyali Kebab", votes:"12", price:"1400", desc:"Tandoori Prawns [6 Pieces]+Fish Tikka [6 Pieces]+Pathar ka Gosht [6 Pieces]+Boti Kebab [6 Pieces]+Schezwan Tikka [6 Pieces]+Andhra Kebab [6 Pieces]+Seek Kebab [6 Pieces]", vegNonveg:vegIcon, foodType: "veg"},
-      {mustTry:true, imgSrc:hariyalikebab, ttl:"Hariyali Kebab", votes:"12", price:"1400", desc:"Tandoori Prawns [6 Pieces]+Fish Tikka [6 Pieces]+Pathar ka Gosht [6 Pieces]+Boti Kebab [6 Pieces]+Schezwan Tikka [6 Pieces]+Andhra Kebab [6 Pieces]+Seek Kebab [6 Pieces]", vegNonveg:vegIcon, foodType: "veg"}
-    ],
-    biryanis: [
-      {mustTry:true, imgSrc:hariyalikebab, ttl:"Hariyali Kebab", votes:"12", price:"1400", desc:"Tandoori Prawns [6 Pieces]+Fish Tikka [6 Pieces]+Pathar ka Gosht [6 Pieces]+Boti Kebab [6 Pieces]+Schezwan Tikka [6 Pieces]+Andhra Kebab [6 Pieces]+Seek Kebab [6 Pieces]", vegNonveg:vegIcon, foodType: "egg"},
-      {mustTry:true, imgSrc:hariyalikebab, ttl:"Hariyali Kebab", votes:"12", price:"1400", desc:"Tandoori Prawns [6 Pieces]+Fish Tikka [6 Pieces]+Pathar ka Gosht [6 Pieces]+Boti Kebab [6 Pieces]+Schezwan Tikka [6 Pieces]+Andhra Kebab [6 Pieces]+Seek Kebab [6 Pieces]", vegNonveg:vegIcon, foodType: "egg"},
-      {mustTry:true, imgSrc:hariyalikebab, ttl:"Hariyali Kebab", votes:"12", price:"1400", desc:"Tandoori Prawns [6 Pieces]+Fish Tikka [6 Pieces]+Pathar ka Gosht [6 Pieces]+Boti Kebab [6 Pieces]+Schezwan Tikka [6 Pieces]+Andhra Kebab [6 Pieces]+Seek Kebab [6 Pieces]", vegNonveg:vegIcon, foodType: "egg"},
-      {mustTry:true, imgSrc:hariyalikebab, ttl:"Hariyali Kebab", votes:"12", price:"1400", desc:"Tandoori Prawns [6 Pieces]+Fish Tikka [6 Pieces]+Pathar ka Gosht [6 Pieces]+Boti Kebab [6 Pieces]+Schezwan Tikka [6 Pieces]+Andhra Kebab [6 Pieces]+Seek Kebab [6 Pieces]", vegNonveg:vegIcon, foodType: "veg"},
-      {mustTry:true, ttl:"Hariyali Kebab", votes:"12", price:"1400", desc:"Tandoori Prawns [6 Pieces]+Fish Tikka [6 Pieces]+Pathar ka Gosht [6 Pieces]+Boti Kebab [6 Pieces]+Schezwan Tikka [6 Pieces]+Andhra Kebab [6 Pieces]+Seek Kebab [6 Pieces]", vegNonveg:vegIcon, foodType: "veg"}
-    ],
-    indian: [
-      {mustTry:true, imgSrc:hariyalikebab, ttl:"Hariyali Kebab", votes:"12", price:"1400", desc:"Tandoori Prawns [6 Pieces]+Fish Tikka [6 Pieces]+Pathar ka Gosht [6 Pieces]+Boti Kebab [6 Pieces]+Schezwan Tikka [6 Pieces]+Andhra Kebab [6 Pieces]+Seek Kebab [6 Pieces]", vegNonveg:vegIcon, foodType: "veg"},
-      {mustTry:true, imgSrc:hariyalikebab, ttl:"Hariyali Kebab", votes:"12", price:"1400", desc:"Tandoori Prawns [6 Pieces]+Fish Tikka [6 Pieces]+Pathar ka Gosht [6 Pieces]+Boti Kebab [6 Pieces]+Schezwan Tikka [6 Pieces]+Andhra Kebab [6 Pieces]+Seek Kebab [6 Pieces]", vegNonveg:vegIcon, foodType: "veg"},
-      {mustTry:true, imgSrc:hariyalikebab, ttl:"Hariyali Kebab", votes:"12", price:"1400", desc:"Tandoori Prawns [6 Pieces]+Fish Tikka [6 Pieces]+Pathar ka Gosht [6 Pieces]+Boti Kebab [6 Pieces]+Schezwan Tikka [6 Pieces]+Andhra Kebab [6 Pieces]+Seek Kebab [6 Pieces]", vegNonveg:vegIcon, foodType: "veg"},
-      {mustTry:true, imgSrc:hariyalikebab, ttl:"Hariyali Kebab", votes:"12", price:"1400", desc:"Tandoori Prawns [6 Pieces]+Fish Tikka [6 Pieces]+Pathar ka Gosht [6 Pieces]+Boti Kebab [6 Pieces]+Schezwan Tikka [6 Pieces]+Andhra Kebab [6 Pieces]+Seek Kebab [6 Pieces]", vegNonveg:vegIcon, foodType: "veg"},
-      {mustTry:true, ttl:"Hariyali Kebab", votes:"12", price:"1400", desc:"Tandoori Prawns [6 Pieces]+Fish Tikka [6 Pieces]+Pathar ka Gosht [6 Pieces]+Boti Kebab [6 Pieces]+Schezwan Tikka [6 Pieces]+Andhra Kebab [6 Pieces]+Seek Kebab [6 Pieces]", vegNonveg:vegIcon, foodType: "veg"}
-    ],
-    tandoori: [
-      {mustTry:true, imgSrc:hariyalikebab, ttl:"Hariyali Kebab", votes:"12", price:"1400", desc:"Tandoori Prawns [6 Pieces]+Fish Tikka [6 Pieces]+Pathar ka Gosht [6 Pieces]+Boti Kebab [6 Pieces]+Schezwan Tikka [6 Pieces]+Andhra Kebab [6 Pieces]+Seek Kebab [6 Pieces]", vegNonveg:vegIcon, foodType: "veg"},
-      {mustTry:true, imgSrc:hariyalikebab, ttl:"Hariyali Kebab", votes:"12", price:"1400", desc:"Tandoori Prawns [6 Pieces]+Fish Tikka [6 Pieces]+Pathar ka Gosht [6 Pieces]+Boti Kebab [6 Pieces]+Schezwan Tikka [6 Pieces]+Andhra Kebab [6 Pieces]+Seek Kebab [6 Pieces]", vegNonveg:vegIcon, foodType: "veg"},
-      {mustTry:true, imgSrc:hariyalikebab, ttl:"Hariyali Kebab", votes:"12", price:"1400", desc:"Tandoori Prawns [6 Pieces]+Fish Tikka [6 Pieces]+Pathar ka Gosht [6 Pieces]+Boti Kebab [6 Pieces]+Schezwan Tikka [6 Pieces]+Andhra Kebab [6 Pieces]+Seek Kebab [6 Pieces]", vegNonveg:vegIcon, foodType: "veg"},
-      {mustTry:true, imgSrc:hariyalikebab, ttl:"Hariyali Kebab", votes:"12", price:"1400", desc:"Tandoori Prawns [6 Pieces]+Fish Tikka [6 Pieces]+Pathar ka Gosht [6 Pieces]+Boti Kebab [6 Pieces]+Schezwan Tikka [6 Pieces]+Andhra Kebab [6 Pieces]+Seek Kebab [6 Pieces]", vegNonveg:vegIcon, foodType: "egg"},
-      {mustTry:true, ttl:"Hariyali Kebab", votes:"12", price:"1400", desc:"Tandoori Prawns [6 Pieces]+Fish Tikka [6 Pieces]+Pathar ka Gosht [6 Pieces]+Boti Kebab [6 Pieces]+Schezwan Tikka [6 Pieces]+Andhra Kebab [6 Pieces]+Seek Kebab [6 Pieces]", vegNonveg:vegIcon, foodType: "veg"}
-    ],
-    chinese: [
-      {mustTry:true, imgSrc:hariyalikebab, ttl:"Hariyali Kebab", votes:"12", price:"1400", desc:"Tandoori Prawns [6 Pieces]+Fish Tikka [6 Pieces]+Pathar ka Gosht [6 Pieces]+Boti Kebab [6 Pieces]+Schezwan Tikka [6 Pieces]+Andhra Kebab [6 Pieces]+Seek Kebab [6 Pieces]", vegNonveg:vegIcon, foodType: "veg"},
-      {mustTry:true, imgSrc:hariyalikebab, ttl:"Hariyali Kebab", votes:"12", price:"1400", desc:"Tandoori Prawns [6 Pieces]+Fish Tikka [6 Pieces]+Pathar ka Gosht [6 Pieces]+Boti Kebab [6 Pieces]+Schezwan Tikka [6 Pieces]+Andhra Kebab [6 Pieces]+Seek Kebab [6 Pieces]", vegNonveg:vegIcon, foodType: "veg"},
-      {mustTry:true, imgSrc:hariyalikebab, ttl:"Hariyali Kebab", votes:"12", price:"1400", desc:"Tandoori Prawns [6 Pieces]+Fish Tikka [6 Pieces]+Pathar ka Gosht [6 Pieces]+Boti Kebab [6 Pieces]+Schezwan Tikka [6 Pieces]+Andhra Kebab [6 Pieces]+Seek Kebab [6 Pieces]", vegNonveg:vegIcon, foodType: "veg"},
-      {mustTry:true, imgSrc:hariyalikebab, ttl:"Hariyali Kebab", votes:"12", price:"1400", desc:"Tandoori Prawns [6 Pieces]+Fish Tikka [6 Pieces]+Pathar ka Gosht [6 Pieces]+Boti Kebab [6 Pieces]+Schezwan Tikka [6 Pieces]+Andhra Kebab [6 Pieces]+Seek Kebab [6 Pieces]", vegNonveg:vegIcon, foodType: "veg"},
-      {mustTry:true, ttl:"Hariyali Kebab", votes:"12", price:"1400", desc:"Tandoori Prawns [6 Pieces]+Fish Tikka [6 Pieces]+Pathar ka Gosht [6 Pieces]+Boti Kebab [6 Pieces]+Schezwan Tikka [6 Pieces]+Andhra Kebab [6 Pieces]+Seek Kebab [6 Pieces]", vegNonveg:vegIcon, foodType: "veg"}
-    ],
-    "Noodles & Fried Rice": [
-      {mustTry:true, imgSrc:hariyalikebab, ttl:"Hariyali Kebab", votes:"12", price:"1400", desc:"Tandoori Prawns [6 Pieces]+Fish Tikka [6 Pieces]+Pathar ka Gosht [6 Pieces]+Boti Kebab [6 Pieces]+Schezwan Tikka [6 Pieces]+Andhra Kebab [6 Pieces]+Seek Kebab [6 Pieces]", vegNonveg:vegIcon, foodType: "veg"},
-      {mustTry:true, imgSrc:hariyalikebab, ttl:"Hariyali Kebab", votes:"12", price:"1400", desc:"Tandoori Prawns [6 Pieces]+Fish Tikka [6 Pieces]+Pathar ka Gosht [6 Pieces]+Boti Kebab [6 Pieces]+Schezwan Tikka [6 Pieces]+Andhra Kebab [6 Pieces]+Seek Kebab [6 Pieces]", vegNonveg:vegIcon, foodType: "veg"},
-      {mustTry:true, imgSrc:hariyalikebab, ttl:"Hariyali Kebab", votes:"12", price:"1400", desc:"Tandoori Prawns [6 Pieces]+Fish Tikka [6 Pieces]+Pathar ka Gosht [6 Pieces]+Boti Kebab [6 Pieces]+Schezwan Tikka [6 Pieces]+Andhra Kebab [6 Pieces]+Seek Kebab [6 Pieces]", vegNonveg:vegIcon, foodType: "veg"},
-      {mustTry:true, imgSrc:hariyalikebab, ttl:"Hariyali Kebab", votes:"12", price:"1400", desc:"Tandoori Prawns [6 Pieces]+Fish Tikka [6 Pieces]+Pathar ka Gosht [6 Pieces]+Boti Kebab [6 Pieces]+Schezwan Tikka [6 Pieces]+Andhra Kebab [6 Pieces]+Seek Kebab [6 Pieces]", vegNonveg:vegIcon, foodType: "veg"},
-      {mustTry:true, ttl:"Hariyali Kebab", votes:"12", price:"1400", desc:"Tandoori Prawns [6 Pieces]+Fish Tikka [6 Pieces]+Pathar ka Gosht [6 Pieces]+Boti Kebab [6 Pieces]+Schezwan Tikka [6 Pieces]+Andhra Kebab [6 Pieces]+Seek Kebab [6 Pieces]", vegNonveg:vegIcon, foodType: "veg"}
-    ],
-    soups: [
-      {mustTry:true, imgSrc:hariyalikebab, ttl:"Hariyali Kebab", votes:"12", price:"1400", desc:"Tandoori Prawns [6 Pieces]+Fish Tikka [6 Pieces]+Pathar ka Gosht [6 Pieces]+Boti Kebab [6 Pieces]+Schezwan Tikka [6 Pieces]+Andhra Kebab [6 Pieces]+Seek Kebab [6 Pieces]", vegNonveg:vegIcon, foodType: "veg"},
-      {mustTry:true, imgSrc:hariyalikebab, ttl:"Hariyali Kebab", votes:"12", price:"1400", desc:"Tandoori Prawns [6 Pieces]+Fish Tikka [6 Pieces]+Pathar ka Gosht [6 Pieces]+Boti Kebab [6 Pieces]+Schezwan Tikka [6 Pieces]+Andhra Kebab [6 Pieces]+Seek Kebab [6 Pieces]", vegNonveg:vegIcon, foodType: "veg"},
-      {mustTry:true, imgSrc:hariyalikebab, ttl:"Hariyali Kebab", votes:"12", price:"1400", desc:"Tandoori Prawns [6 Pieces]+Fish Tikka [6 Pieces]+Pathar ka Gosht [6 Pieces]+Boti Kebab [6 Pieces]+Schezwan Tikka [6 Pieces]+Andhra Kebab [6 Pieces]+Seek Kebab [6 Pieces]", vegNonveg:vegIcon, foodType: "veg"},
-      {mustTry:true, imgSrc:hariyalikebab, ttl:"Hariyali Kebab", votes:"12", price:"1400", desc:"Tandoori Prawns [6 Pieces]+Fish Tikka [6 Pieces]+Pathar ka Gosht [6 Pieces]+Boti Kebab [6 Pieces]+Schezwan Tikka [6 Pieces]+Andhra Kebab [6 Pieces]+Seek Kebab [6 Pieces]", vegNonveg:vegIcon, foodType: "veg"},
-      {mustTry:true, ttl:"Hariyali Kebab", votes:"12", price:"1400", desc:"Tandoori Prawns [6 Pieces]+Fish Tikka [6 Pieces]+Pathar ka Gosht [6 Pieces]+Boti Kebab [6 Pieces]+Schezwan Tikka [6 Pieces]+Andhra Kebab [6 Pieces]+Seek Kebab [6 Pieces]", vegNonveg:vegIcon, foodType: "egg"}
-    ],
-    roti: [
-      {mustTry:true, imgSrc:hariyalikebab, ttl:"Hariyali Kebab", votes:"12", price:"1400", desc:"Tandoori Prawns [6 Pieces]+Fish Tikka [6 Pieces]+Pathar ka Gosht [6 Pieces]+Boti Kebab [6 Pieces]+Schezwan Tikka [6 Pieces]+Andhra Kebab [6 Pieces]+Seek Kebab [6 Pieces]", vegNonveg:vegIcon, foodType: "veg"},
-      {mustTry:true, imgSrc:hariyalikebab, ttl:"Hariyali Kebab", votes:"12", price:"1400", desc:"Tandoori Prawns [6 Pieces]+Fish Tikka [6 Pieces]+Pathar ka Gosht [6 Pieces]+Boti Kebab [6 Pieces]+Schezwan Tikka [6 Pieces]+Andhra Kebab [6 Pieces]+Seek Kebab [6 Pieces]", vegNonveg:vegIcon, foodType: "veg"},
-      {mustTry:true, imgSrc:hariyalikebab, ttl:"Hariyali Kebab", votes:"12", price:"1400", desc:"Tandoori Prawns [6 Pieces]+Fish Tikka [6 Pieces]+Pathar ka Gosht [6 Pieces]+Boti Kebab [6 Pieces]+Schezwan Tikka [6 Pieces]+Andhra Kebab [6 Pieces]+Seek Kebab [6 Pieces]", vegNonveg:vegIcon, foodType: "veg"},
-      {mustTry:true, imgSrc:hariyalikebab, ttl:"Hariyali Kebab", votes:"12", price:"1400", desc:"Tandoori Prawns [6 Pieces]+Fish Tikka [6 Pieces]+Pathar ka Gosht [6 Pieces]+Boti Kebab [6 Pieces]+Schezwan Tikka [6 Pieces]+Andhra Kebab [6 Pieces]+Seek Kebab [6 Pieces]", vegNonveg:vegIcon, foodType: "veg"},
-      {mustTry:true, ttl:"Hariyali Kebab", votes:"12", price:"1400", desc:"Tandoori Prawns [6 Pieces]+Fish Tikka [6 Pieces]+Pathar ka Gosht [6 Pieces]+Boti Kebab [6 Pieces]+Schezwan Tikka [6 Pieces]+Andhra Kebab [6 Pieces]+Seek Kebab [6 Pieces]", vegNonveg:vegIcon, foodType: "veg"}
-    ],
-    dessert: [
-      {mustTry:true, imgSrc:hariyalikebab, ttl:"Hariyali Kebab", votes:"12", price:"1400", desc:"Tandoori Prawns [6 Pieces]+Fish Tikka [6 Pieces]+Pathar ka Gosht [6 Pieces]+Boti Kebab [6 Pieces]+Schezwan Tikka [6 Pieces]+Andhra Kebab [6 Pieces]+Seek Kebab [6 Pieces]", vegNonveg:vegIcon, foodType: "veg"},
-      {mustTry:true, imgSrc:hariyalikebab, ttl:"Hariyali Kebab", votes:"12", price:"1400", desc:"Tandoori Prawns [6 Pieces]+Fish Tikka [6 Pieces]+Pathar ka Gosht [6 Pieces]+Boti Kebab [6 Pieces]+Schezwan Tikka [6 Pieces]+Andhra Kebab [6 Pieces]+Seek Kebab [6 Pieces]", vegNonveg:vegIcon, foodType: "veg"},
-      {mustTry:true, imgSrc:hariyalikebab, ttl:"Hariyali Kebab", votes:"12", price:"1400", desc:"Tandoori Prawns [6 Pieces]+Fish Tikka [6 Pieces]+Pathar ka Gosht [6 Pieces]+Boti Kebab [6 Pieces]+Schezwan Tikka [6 Pieces]+Andhra Kebab [6 Pieces]+Seek Kebab [6 Pieces]", vegNonveg:vegIcon, foodType: "veg"},
-      {mustTry:true, imgSrc:hariyalikebab, ttl:"Hariyali Kebab", votes:"12", price:"1400", desc:"Tandoori Prawns [6 Pieces]+Fish Tikka [6 Pieces]+Pathar ka Gosht [6 Pieces]+Boti Kebab [6 Pieces]+Schezwan Tikka [6 Pieces]+Andhra Kebab [6 Pieces]+Seek Kebab [6 Pieces]", vegNonveg:vegIcon, foodType: "veg"},
-      {mustTry:true, ttl:"Hariyali Kebab", votes:"12", price:"1400", desc:"Tandoori Prawns [6 Pieces]+Fish Tikka [6 Pieces]+Pathar ka Gosht [6 Pieces]+Boti Kebab [6 Pieces]+Schezwan Tikka [6 Pieces]+Andhra Kebab [6 Pieces]+Seek Kebab [6 Pieces]", vegNonveg:vegIcon, foodType: "veg"}
-    ],
+  useEffect(() => {
+    setIsActive({[Object.keys(menu)[0]]: true});
+  }, [id])
+  const [query, setQuery] = useState('');
+  const [diet, setDiet] = useState([]);
+
+  const [promotions, setPromotions] = useState([]);
+  // First order offers need the user's order count, null when logged out and undefined until it loads
+  const [orderCount, setOrderCount] = useState(null);
+
+  useEffect(() => {
+    const controller = new AbortController();
+    getPromotions(hotel, {signal: controller.signal})
+      .then(data => setPromotions(data))
+      .catch(err => {
+        if(!isCancel(err)) setPromotions([]);
+      });
+    return () => controller.abort()
+  }, [hotel])
+
+  useEffect(() => {
+    if(!user) return setOrderCount(null);
+    const controller = new AbortController();
+    setOrderCount(undefined);
+    getUserOrders(user.id, {size: 1}, {signal: controller.signal})
+      .then(data => setOrderCount(data.total))
+      .catch(err => {
+        if(!isCancel(err)) setOrderCount(undefined);
+      });
+    return () => controller.abort()
+  }, [user?.id])
+
+  const cartTotal = cart.restaurant?.hotel === hotel ? getItemTotal(cart.items) : 0;
+  const offerContext = {itemTotal: cartTotal, restaurant: hotel, orderCount};
+  const bestOffer = cartTotal ? getBestPromotion(promotions, offerContext) : null;
+
+  const offerSummary = (promotion) => {
+    if(!cartTotal){
+      return promotion.type === "flat" || promotion.maxDiscount ? `Save up to ₹${promotion.maxDiscount ?? promotion.value}` : `Save ${promotion.value}%`;
+    }
+    const result = evaluatePromotion(promotion, offerContext);
+    if(result.valid) return `Saves ₹${formatAmount(result.discount)} on your cart`;
+    return result.shortBy ? `Add ₹${formatAmount(result.shortBy)} more to unlock` : result.reason;
   }
 
+  const isOtherRestaurant = cart.items.length > 0 && (cart.restaurant?.city !== city || cart.restaurant?.hotel !== hotel);
+
+  // Adding from another restaurant starts a new cart, so the old one is only dropped once the user agrees
+  const addToCart = (item) => {
+    if(isOtherRestaurant) return setPendingItem(item);
+    addItem(item, restaurant);
+  }
+
+  const initialValues = Object.fromEntries(dietTags.map(tag => [tag.key, false]))
+
+  const toggleDiet = (key) => {
+    setDiet(val => val.includes(key) ? val.filter(tag => tag !== key) : [...val, key]);
+  }
+
+  const foodItemsData = Object.fromEntries(filterMenu(menu, {query, diet}).map(([category, items]) => {
+    return [category, items.map(item => ({...item, vegNonveg: item.foodType === "nonveg" ? nonvegIcon : vegIcon}))]
+  }))
+
   let breakDiv = <hr className={css.hr2} />
   const foodItemsDataLength = Object.keys(foodItemsData).length
 
@@ -137,7 +149,16 @@ const OrderOnlineFieldComponent = () => {
     const observer = new IntersectionObserver(handleIntersection, options)
 
     allTtls.forEach(post => observer.observe(post))
-  }, [])
+
+    return () => observer.disconnect()
+  }, [menu, query, diet])
+
+  const foodItem = (item, id, secId) => {
+    return <FoodItemProduct key={item.id ?? id} data={item} dataset="secTtl" id={secId} query={query}
+      qty={getQty(item.id)}
+      onAdd={() => isCustomisable(item) ? setCustomiseDish(item) : addToCart(toCartItem(item))}
+      onRemove={() => removeItem(getLastLine(item.id)?.lineId)} />
+  }
 
   return <div className={css.outerDiv}>
     <div className={css.innerDiv}>
@@ -149,7 +170,7 @@ const OrderOnlineFieldComponent = () => {
       <div className={css.rightBox}>
         <div className={css.hSec}>
             <div className={css.ttl}>Order Online</div>
-            <SmallSearchBarUtil placeholder="Search within menu" />
+            <SmallSearchBarUtil placeholder="Search within menu" value={query} onChange={setQuery} />
         </div>
         <div className={css.tabBox}>
           <div className={css.tagLine}>
@@ -159,19 +180,23 @@ const OrderOnlineFieldComponent = () => {
           <div className={css.hr} />
           <div className={css.tagLine}>
             <img src={clockIcon} className={css.clockIcon} alt="time" />
-            <span className={css.tabTxt}>30 min</span>
+            <span className={css.tabTxt}>{deliveryTime || defaultDeliveryMinutes} min</span>
           </div>
         </div>
         <div className={css.offersTrack}>
-          {offerTrackData?.map((val, id) => {
-            return <OfferTrackUtil key={id} txt1={val.txt1} txt2={val.txt2} />
+          {promotions?.map(val => {
+            return <OfferTrackUtil key={val.code} txt1={val.title} txt2={`use code ${val.code}`} txt3={offerSummary(val)}
+              tag={cart.coupon === val.code ? "APPLIED" : bestOffer?.promotion.code === val.code ? "BEST OFFER" : ""}
+              active={cart.coupon === val.code}
+              onClick={() => setCoupon(cart.coupon === val.code ? null : val.code)} />
           })}
         </div>
         <div className={css.formBox}>
           <Formik initialValues={initialValues}>
               <Form className={css.form}>
-                    <CheckBoxUtil label="Veg Only" name="veg" onChange={() => setFoodType(val => val?.veg ? {veg: false, egg: false} : {veg: true, egg: false})} checked={foodType?.veg || foodType?.egg} />
-                    {foodType?.veg || foodType?.egg ? <CheckBoxUtil label="contains egg" name="egg" onChange={() => setFoodType(val => val?.egg ? {veg: true, egg: false} : {veg: true, egg: true})} checked={foodType?.egg} /> : ""}
+                    {dietTags.map(tag => {
+                      return <CheckBoxUtil key={tag.key} label={tag.label} name={tag.key} onChange={() => toggleDiet(tag.key)} checked={diet.includes(tag.key)} />
+                    })}
                </Form>
           </Formik>
         </div>
@@ -180,34 +205,26 @@ const OrderOnlineFieldComponent = () => {
             return <div key={index} >
               <div className={css.sec} >
                 <div className={css.secTtl}>{val[0]}</div>
-                {foodType.egg ? 
-                  val[1]?.map((item, id) => {
-                    if(item?.foodType === "egg"){
-                      return <FoodItemProduct   key={id} data={item} dataset="secTtl" id={val[0]}  />
-                    }
-                  })
-                : 
-                foodType.veg ?
-                  val[1]?.map((item, id) => {
-                    if(item?.foodType === "veg"){
-                      return <FoodItemProduct   key={id} data={item} dataset="secTtl"  id={val[0]} />
-                    }
-                  })
-                : 
-                  val[1]?.map((item, id) => {
-                    return <FoodItemProduct  key={id} data={item} dataset="secTtl" id={val[0]}  />
-                  })
-                }
-                {/* {val[1]?.map((item, id) => {
-                  return <FoodItemProduct key={id} {...item}  />
-                })} */}
+                {val[1]?.map((item, id) => {
+                  return foodItem(item, id, val[0])
+                })}
               </div>
               {breakDivFunc(index)}
             </div>
           })}
+          {!foodItemsDataLength ? <div className={css.noItems}>
+            No dishes match {query ? `"${query}"` : "the selected filters"}
+          </div> : ""}
         </div>
+        <CartSummaryUtil onCheckout={() => setCheckoutModal(true)} />
       </div>
     </div>
+    {checkoutModal ? <CheckoutModal setModal={setCheckoutModal} /> : ""}
+    {customiseDish ? <CustomiseModal setModal={setCustomiseDish} dish={customiseDish} onAdd={addToCart} /> : ""}
+    {pendingItem ? <DeleteModal
+      txt={`Your cart has items from ${cart.restaurant?.name}. Discard them and add this dish from ${name}?`}
+      setModal={() => setPendingItem(null)}
+      onConfirm={() => addItem(pendingItem, restaurant)} /> : ""}
     <DownloadAppUtil />
   </div>
 }
@@ -1,11 +1,11 @@
+import {useEffect, useState} from 'react'
 import {Link, useParams} from "react-router-dom"
+import React from 'react'
 
 import css from './OverviewFieldComponent.module.css'
 
 import rightArrrow from '/icons/right-arrow.png'
-import food1 from '/images/food1.jpg'
 import CathTheMatachImg from '/images/cathcthematch.jpg'
-import happyHoursImg from "/images/happyhours.jpg";
 
 import OverviewAboutCard from '../../../../../utils/Cards/RestaurantBodyCards/OverviewAboutCard/OverviewAboutCard'
 import MenuCard from '../../../../../utils/Cards/RestaurantBodyCards/MenuCard/MenuCard'
@@ -14,51 +14,27 @@ import LabelUtil from '../../../../../utils/RestaurantUtils/LabelUtil/LabelUtil'
 import RecentlyViewedCard from '../../../../../utils/Cards/RecentlyViewedCard/RecentlyViewedCard'
 import CollectionsCard from '../../../../../utils/Cards/card2/CollectionsCard'
 
+import { useRestaurant } from '../../../../../context/RestaurantContext/RestaurantContext'
+import { getSimilarRestaurants } from '../../../../../services/restaurantService'
+
 const OverviewFieldComponent = () => {
   const {city, hotel, page=""} = useParams();
+  const restaurant = useRestaurant();
+  const {phone, address, lat, lng, cuisines, menuCards: menuData, knownFor, costForTwo, moreInfo} = restaurant;
 
-  const data = {
-    phone: "9988098812",
-    address: "50000, kukatpally, Hyderabad, Telangane, India",
-    lat: 11.11,
-    lng: 18.31
-  }
+  const [similarRest, setSimilarRest] = useState([]);
 
-  const similarRest = [
-    {
-      id: 1,
-      imgSrc: happyHoursImg,
-      name: "Paradise Biryani",
-      ratingsDining: 4.2,
-      ratingsDelivery: 4.6,
-      address: "Kukatpally, Hyd",
-      link: "#"
-    },
-    {
-      id: 2,
-      imgSrc: happyHoursImg,
-      name: "Paradise Biryani",
-      ratingsDining: 4.2,
-      ratingsDelivery: 4.6,
-      address: "Kukatpally, Hyd",
-      link: "#"
-    }
-  ]
+  useEffect(() => {
+    const controller = new AbortController();
+    getSimilarRestaurants(restaurant, 4, {signal: controller.signal})
+      .then(setSimilarRest)
+      .catch(() => setSimilarRest([]));
+    return () => controller.abort()
+  }, [restaurant])
 
-  const labels = [
-    {link: "/", txt: "North Indian"},
-    {link: "/", txt: "South Indian"},
-    {link: "/", txt: "East Indian"},
-    {link: "/", txt: "West Indian"},
-    {link: "/", txt: "Desserts"}
-  ]
+  const data = {phone, address, lat, lng}
 
-  const menuData = [
-    {ttl: "Food Menu", imgSrc:food1, pages:"23"},
-    {ttl: "Food Menu Card", imgSrc:food1, pages:"30"}
-  ]
-
-  const moreInfo = ["Breakfast", "Takeaway Available", "Family Friendly", "Home Delivery", "Indoor Seating"]
+  const labels = cuisines.map(txt => ({link: "/", txt}))
 
   const collectionData = [
     {imgSrc: CathTheMatachImg, title: "Catch the Match", places: "23"},
@@ -88,11 +64,11 @@ const OverviewFieldComponent = () => {
         </div>
         <div className={css.sec}>
             <div className={css.subTtl}>People Say This Place Is Known For</div>
-            <div className={css.secTxt}>Great Buffet Spread, Fusion Dishes, Ample Seating Area, Family Place, Family Crowd, Quantity</div>
+            <div className={css.secTxt}>{knownFor}</div>
         </div>
         <div className={css.sec}>
             <div className={css.subTtl}>Average Cost</div>
-            <div className={css.secTxt}>₹800 for two people (approx.)</div>
+            <div className={css.secTxt}>₹{costForTwo} for two people (approx.)</div>
             <div className={css.secTxt1}>Exclusive of applicable taxes and charges, if any</div>
             <div className={css.toolTipBox}>
               <div className={css.secTxtToolTip}>
@@ -117,14 +93,14 @@ const OverviewFieldComponent = () => {
               })}
             </div>
         </div>
-        <div className={css.sec}>
+        {similarRest.length ? <div className={css.sec}>
             <div className={css.subTtl}>Similar Restaurants</div>
             <div className={css.secBdy}>
               {similarRest.map((item) => {
                 return <RecentlyViewedCard udata={item} key={item?.id} />;
               })}
             </div>
-        </div>
+        </div> : ""}
       </div>
       <div className={css.rightBox}>
         <OverviewAboutCard data={data} />
@@ -1,90 +1,72 @@
-import {useState} from 'react'
+import {useEffect, useState} from 'react'
 
 import RedButton from '../../../../../utils/Buttons/RedButton/RedButton'
 import WhiteButton from '../../../../../utils/Buttons/WhiteButton/WhiteButton'
 
 import GalleryImgCard from '../../../../../utils/Cards/RestaurantHeroCards/GalleryImgCard/GalleryImgCard'
-
-import biryaniImg from '/images/fortheloveofbiryani.jpg'
+import Pagination from '../../../../../utils/Pagination/Pagination'
 
 import css from './PhotosComponent.module.css'
 
+import { useRestaurant } from '../../../../../context/RestaurantContext/RestaurantContext'
+import { photosPageSize } from '../../../../../helpers/constants'
+import { getRestaurantPhotos, subscribeToPhotos } from '../../../../../services/photoService'
+import { isCancel } from '../../../../../services/apiClient'
+
+const categories = [
+  {key: 'all', label: 'All'},
+  {key: 'food', label: 'Food'},
+  {key: 'ambience', label: 'Ambience'}
+]
+
 const PhotosComponent = () => {
+  const {id, city, slug, name} = useRestaurant();
 
-  const allPhotosData = [
-    {
-      imgSrc: biryaniImg
-    },
-    {
-      imgSrc: biryaniImg
-    },
-    {
-      imgSrc: biryaniImg
-    },
-    {
-      imgSrc: biryaniImg
-    },
-    {
-      imgSrc: biryaniImg
-    },
-    {
-      imgSrc: biryaniImg
-    },
-    {
-      imgSrc: biryaniImg
-    },
-    {
-      imgSrc: biryaniImg
-    },
-  ]
+  const [category, setCategory] = useState('all');
+  const [page, setPage] = useState(1);
+  const [data, setData] = useState({items: [], total: 0, counts: {}});
+  const [version, setVersion] = useState(0);
 
-  const foodPhotosData = [
-    {
-      imgSrc: biryaniImg
-    },
-    {
-      imgSrc: biryaniImg
-    },
-    {
-      imgSrc: biryaniImg
-    }
-  ]
+  // New uploads are pushed so they show up without leaving the tab
+  useEffect(() => {
+    return subscribeToPhotos(id, (event) => {
+      if(event?.type === 'added') setVersion(val => val + 1);
+    });
+  }, [id])
 
-  const ambeiencePhotosData = [
-    {
-      imgSrc: biryaniImg
-    },
-    {
-      imgSrc: biryaniImg
-    },
-    {
-      imgSrc: biryaniImg
-    },
-    {
-      imgSrc: biryaniImg
-    },
-    {
-      imgSrc: biryaniImg
-    }
-  ]
+  useEffect(() => {
+    const controller = new AbortController();
+    getRestaurantPhotos(city, slug, {category: category === 'all' ? undefined : category, page, size: photosPageSize}, {signal: controller.signal})
+      .then(res => setData(res))
+      .catch(err => {
+        if(!isCancel(err)) setData({items: [], total: 0, counts: {}});
+      });
+    return () => controller.abort()
+  }, [city, slug, category, page, version])
 
-  const [state, setState] = useState(allPhotosData)
+  const selectCategory = (key) => {
+    setCategory(key);
+    setPage(1);
+  }
 
   return <div className={css.outerDiv}>
-    <div className={css.ttl}>Krupa Mess & Tiffins Photos</div>
+    <div className={css.ttl}>{name} Photos</div>
     <div className={css.btns}>
-      <RedButton txt="All" count={23} onClick={() => setState(allPhotosData)} />
-      <WhiteButton txt="Food" count={17} onClick={() => setState(foodPhotosData)} />
-      <WhiteButton txt="Ambience" count={6} onClick={() => setState(ambeiencePhotosData)} />
+      {categories.map(val => {
+        const Button = val.key === category ? RedButton : WhiteButton;
+        return <Button key={val.key} txt={val.label} count={data.counts[val.key] ?? 0} onClick={() => selectCategory(val.key)} />
+      })}
     </div>
     <div className={css.photoCards}>
-      {state?.map((item, id) => {
-        return <div key={id} className={css.imgCard}>
-          <GalleryImgCard imgSrc={item.imgSrc} />
+      {data.items.map((item) => {
+        return <div key={item.id} className={css.imgCard} title={item.caption || item.dishes.map(dish => dish.name).join(", ")}>
+          <GalleryImgCard imgSrc={item.src} />
         </div>
       })}
+      {!data.items.length ? <div className={css.emptyTxt}>No photos yet, be the first to add one</div> : ""}
     </div>
+    {data.total ? <Pagination page={page} size={photosPageSize} total={data.total} label="photos" onChange={setPage} /> : ""}
   </div>
 }
 
-export default PhotosComponent
\ No newline at end of file
+export default PhotosComponent
@@ -1,4 +1,5 @@
-import React from 'react'
+import {useEffect, useMemo, useRef, useState} from 'react'
+import { useParams, useSearchParams } from 'react-router-dom'
 
 import css from './ReviewsComponent.module.css'
 
@@ -6,70 +7,167 @@ import RateYourExperienceCard from '../../../../../utils/Cards/RestaurantBodyCar
 import RestUserReviewedCard from '../../../../../utils/RestaurantUtils/RestUserReviewedCard/RestUserReviewedCard'
 import DropdownUtil from '../../../../../utils/RestaurantUtils/DropdownUtil/DropdownUtil'
 
-import profilepic from '/images/profilepic.jpg'
 import dropdownIcon from '/icons/down-arrow1.png';
 import menu from '/icons/menu.png';
 
+import { useAuth } from '../../../../../context/AuthContext/AuthContext'
+import { useRestaurant } from '../../../../../context/RestaurantContext/RestaurantContext'
+import { reviewsPageSize } from '../../../../../helpers/constants'
+import { readReviewQuery, reviewFilters, reviewSorts, writeReviewQuery } from '../../../../../helpers/reviews'
+import { getRestaurantReviews, getReview, subscribeToReviews } from '../../../../../services/reviewService'
+import { subscribeToFollowing } from '../../../../../services/userService'
+import { isCancel } from '../../../../../services/apiClient'
+
 const ReviewsComponent = () => {
 
-  let data = [
-      {
-        imgSrc: profilepic,
-        title: "Paradise Biryani",
-        address: "Kukatpally, Hyd",
-        reviews: 0,
-        followers: 0,
-        stars: 3,
-        days: 10,
-        votes: 10,
-        comments: 2,
-        id: 123,
-        userImg: profilepic,
-        userId: 11,
-    },
-    {
-      imgSrc: profilepic,
-      title: "Paradise Biryani",
-      address: "Kukatpally, Hyd",
-      reviews: 0,
-      followers: 0,
-      stars: 3,
-      days: 10,
-      votes: 10,
-      comments: 2,
-      id: 123,
-      userImg: profilepic,
-      userId: 11,
+  const {id, city, slug} = useRestaurant();
+  const {user, isLoggedIn, openLogin} = useAuth();
+  const {reviewId} = useParams();
+
+  const [searchParams, setSearchParams] = useSearchParams();
+  const query = useMemo(() => readReviewQuery(searchParams), [searchParams]);
+
+  const [data, setData] = useState({items: [], total: 0});
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+  const [version, setVersion] = useState(0);
+  // The review a permalink points at, undefined while loading and null when it's gone
+  const [pinned, setPinned] = useState();
+
+  const sentinel = useRef(null);
+  const scrolledTo = useRef(null);
+  const controller = useRef(null);
+  const loaded = useRef({key: "", count: 0});
+
+  const load = ({page, size, append}) => {
+    controller.current?.abort();
+    const current = controller.current = new AbortController();
+    setLoading(true);
+    setError(null);
+    getRestaurantReviews(city, slug, {...query, page, size}, {signal: current.signal})
+      .then(res => {
+        setData(val => ({items: append ? [...val.items, ...res.items] : res.items, total: res.total}));
+        setLoading(false);
+      })
+      .catch(err => {
+        if(isCancel(err)) return;
+        setError(err);
+        setLoading(false);
+      });
+  }
+
+  const patchReview = (targetId, patch) => {
+    setData(val => ({...val, items: val.items.map(item => item.id === targetId ? {...item, ...patch} : item)}));
+    setPinned(val => val?.id === targetId ? {...val, ...patch} : val);
+  }
+
+  // The author's own edits and deletes show straight away, before the pushed reload catches up
+  const updateReview = (review) => patchReview(review.id, review);
+
+  const removeReview = (targetId) => {
+    setData(val => ({items: val.items.filter(item => item.id !== targetId), total: Math.max(0, val.total - 1)}));
+    setPinned(val => val?.id === targetId ? null : val);
+  }
+
+  // Saved and deleted reviews are pushed, so the author sees them without reloading.
+  // Vote and comment counts are patched in place
+  useEffect(() => {
+    return subscribeToReviews(id, (event) => {
+      if(event?.type === 'saved' || event?.type === 'deleted') setVersion(val => val + 1);
+      if(event?.type === 'votes') patchReview(event.reviewId, {votes: event.votes});
+      if(event?.type === 'comments') patchReview(event.reviewId, {comments: event.comments});
+    });
+  }, [id])
+
+  // Every card by someone the viewer just followed or unfollowed picks up the change,
+  // and the following filter reloads since its reviews changed
+  useEffect(() => {
+    if(!user) return;
+    return subscribeToFollowing(user.id, (event) => {
+      const follow = (review) => review.user?.id === event.userId ? {...review, user: {...review.user, isFollowing: event.type === 'followed', followers: event.followers}} : review;
+      setData(val => ({...val, items: val.items.map(follow)}));
+      setPinned(val => val ? follow(val) : val);
+      if(query.filter === 'following') setVersion(val => val + 1);
+    });
+  }, [user?.id, query.filter])
+
+  useEffect(() => {
+    if(!reviewId){
+      setPinned(undefined);
+      return;
     }
-  ];
-
-const options1 = [
-  "All Reviews",
-  "Following",
-  "Popular",
-  "Bloggers",
-  "My Reviews",
-  "Order Reviews"
-]
-
-const options2 = [
-  "Newest First",
-  "Oldest First",
-  "Highest Rated",
-  "Lowest Rated"
-]
+    const controller = new AbortController();
+    getReview(reviewId, {signal: controller.signal})
+      .then(review => setPinned(review.restaurant?.id === id ? review : null))
+      .catch(err => {
+        if(!isCancel(err)) setPinned(null);
+      });
+    return () => controller.abort()
+  }, [id, reviewId, user?.id, version])
+
+  useEffect(() => {
+    if(!pinned || scrolledTo.current === pinned.id) return;
+    scrolledTo.current = pinned.id;
+    document.getElementById(`review-${pinned.id}`)?.scrollIntoView({behavior: "smooth", block: "start"});
+  }, [pinned])
+
+  // A new filter or sort starts over from the first page, a pushed change reloads everything scrolled in so far
+  useEffect(() => {
+    const key = [city, slug, query.filter, query.sort, user?.id].join("|");
+    const size = loaded.current.key === key ? Math.max(loaded.current.count, reviewsPageSize) : reviewsPageSize;
+    if(loaded.current.key !== key) setData({items: [], total: 0});
+    loaded.current = {key, count: size};
+    load({page: 1, size, append: false});
+    return () => controller.current?.abort()
+  }, [city, slug, query.filter, query.sort, user?.id, version])
+
+  const hasMore = data.items.length < data.total;
+
+  useEffect(() => {
+    if(!hasMore || loading || error || !sentinel.current) return;
+    const observer = new IntersectionObserver((entries) => {
+      if(!entries[0].isIntersecting) return;
+      observer.disconnect();
+      loaded.current.count = data.items.length + reviewsPageSize;
+      load({page: Math.floor(data.items.length / reviewsPageSize) + 1, size: reviewsPageSize, append: true});
+    }, {rootMargin: "200px"});
+    observer.observe(sentinel.current);
+    return () => observer.disconnect()
+  }, [hasMore, loading, error, data.items.length])
+
+  const selectFilter = (label) => {
+    const filter = reviewFilters.find(val => val.label === label);
+    if(filter.auth && !isLoggedIn) return openLogin();
+    setSearchParams(writeReviewQuery(searchParams, {...query, filter: filter.value}), {replace: true});
+  }
+
+  const selectSort = (label) => {
+    const sort = reviewSorts.find(val => val.label === label);
+    setSearchParams(writeReviewQuery(searchParams, {...query, sort: sort.value}), {replace: true});
+  }
 
   return <div className={css.outerDiv}>
     <div className={css.innerDiv}>
       <div className={css.left}>
         <div className={css.dropDowns}>
-          <DropdownUtil options={options1} icon2={dropdownIcon} filFunc={(val) => console.log(val)} />
-          <DropdownUtil options={options2} icon1={menu} icon2={dropdownIcon}  filFunc={(val) => console.log(val)} />
+          <DropdownUtil options={reviewFilters.map(val => val.label)} value={reviewFilters.find(val => val.value === query.filter).label} icon2={dropdownIcon} filFunc={selectFilter} />
+          <DropdownUtil options={reviewSorts.map(val => val.label)} value={reviewSorts.find(val => val.value === query.sort).label} icon1={menu} icon2={dropdownIcon} filFunc={selectSort} />
         </div>
+        {reviewId ? <div className={css.pinned}>
+          {pinned ? <RestUserReviewedCard data={pinned} highlight onChange={updateReview} onDeleted={removeReview} /> : ""}
+          {pinned === null ? <div className={css.emptyTxt}>This review is no longer available</div> : ""}
+        </div> : ""}
         <div className={css.re}>
-          {data?.map((item, id) => {
-            return <RestUserReviewedCard ket={id} data={item} />
+          {data.items.filter(item => item.id !== pinned?.id).map((item) => {
+            return <RestUserReviewedCard key={item.id} data={item} onChange={updateReview} onDeleted={removeReview} />
           })}
+          {!loading && !error && !data.items.length ? <div className={css.emptyTxt}>{query.filter === 'all' ? "No reviews yet, be the first to write one" : "No reviews match this filter"}</div> : ""}
+          {error ? <div className={css.emptyTxt}>
+            {error.status === 401 ? <>Log in to see these reviews <span className={css.link} onClick={() => openLogin()}>Log in</span></>
+            : <>{error.message} <span className={css.link} onClick={() => setVersion(val => val + 1)}>Try again</span></>}
+          </div> : ""}
+          {loading ? <div className={css.emptyTxt}>Loading reviews...</div> : ""}
+          <div ref={sentinel}></div>
         </div>
       </div>
       <div className={css.right}>
@@ -79,4 +177,4 @@ const options2 = [
   </div>
 }
 
-export default ReviewsComponent
\ No newline at end of file
+export default ReviewsComponent
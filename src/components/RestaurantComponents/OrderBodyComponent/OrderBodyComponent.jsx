@@ -13,7 +13,7 @@ const OrderBodyComponent = () => {
 
     const [pageCompo, setPageComp] = useState("")
 
-    const {city, hotel, page=""} = useParams();
+    const {city, hotel, page="", reviewId} = useParams();
 
     const isActiveClass = (e) => {
         if(e?.isActive){
@@ -24,7 +24,8 @@ const OrderBodyComponent = () => {
     }
 
     useEffect(()=> {
-        switch(`/${city}/${hotel}/${page}`){
+        // Review permalinks open the reviews tab
+        switch(`/${city}/${hotel}/${reviewId ? "reviews" : page}`){
             case `/${city}/${hotel}/`:
                 setPageComp(<OverviewFieldComponent />);
                 break;
@@ -43,7 +44,7 @@ const OrderBodyComponent = () => {
             default: 
                 setPageComp(<OverviewFieldComponent />);
         }
-    }, [city, hotel, page])
+    }, [city, hotel, page, reviewId])
 
 
   return <div className={css.outerDiv}>
@@ -6,28 +6,34 @@ import RatingUtil from '../../../utils/RestaurantUtils/RatingUtil/RatingUtil'
 
 import infoIcon from '/icons/info.png'
 
+import { useRestaurant } from '../../../context/RestaurantContext/RestaurantContext'
+
 const OrderTitleComponent = () => {
+  const {name, cuisines, locality, cityName, openNow, timings, ratings} = useRestaurant();
+
   return <div className={css.outerDiv}>
     <div className={css.innerDiv}>
         <div className={css.left}>
-            <div className={css.title}>Krupa Mess & Tiffins</div>
-            <div className={css.specials}>South Indian, Chinese, North Indian, Sichuan, Pizza</div>
-            <div className={css.address}>Abids, Hyderabad</div>
+            <div className={css.title}>{name}</div>
+            <div className={css.specials}>{cuisines.join(", ")}</div>
+            <div className={css.address}>{locality}, {cityName}</div>
             <div className={css.timings}>
-                <span className={css.opORclo}>Open now -</span>
-                <span className={css.time}>10am - 11pm (Today)</span>
+                <span className={css.opORclo}>{openNow ? "Open now" : "Closed now"} -</span>
+                <span className={css.time}>{timings.today}</span>
                 <span className={css.infoIconBox}>
                     <img className={css.infoIcon} src={infoIcon} />
                     <div className={css.infoTooltip}>   
                         <div className={css.ttil}>Opening Hours</div>
-                        <div className={css.ttim}>Mon-Sun:<span className={css.ctim}>11:30am-10:30pm</span></div>
+                        {timings.week.map((val, id) => {
+                            return <div key={id} className={css.ttim}>{val.days}:<span className={css.ctim}>{val.time}</span></div>
+                        })}
                     </div>
                 </span>
             </div>
         </div>
         <div className={css.right}>
-            <RatingUtil rating="4.1" count="601" txt="Dining Reviews" />
-            <RatingUtil rating="3.6" count="37.3k" txt="Delivery Reviews" />
+            <RatingUtil rating={ratings.dining.rating} count={ratings.dining.count} txt="Dining Reviews" />
+            <RatingUtil rating={ratings.delivery.rating} count={ratings.delivery.count} txt="Delivery Reviews" />
         </div>
     </div>
   </div>
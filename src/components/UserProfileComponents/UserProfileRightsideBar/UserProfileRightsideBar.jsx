@@ -5,9 +5,7 @@ import css from './UserProfileRightsideBar.module.css'
 
 import {reviewPage, photosPage, followersPage, recentlyviewedPage, bookmarksPage, blogpostsPage, orderhistoryPage, myaddressPage, favoriteordersPage, bookingsPage} from '../../../helpers/constants'
 
-import ImgSrc from '/images/proandproplus.jpg';
-
-import UserReviewedCard from '../../../utils/UserProfileUtils/UserProfile/Activity/UserReviewedCard/UserReviewedCard'
+import UserReviews from '../../../utils/UserProfileUtils/UserProfile/Activity/UserReviews/UserReviews'
 import UserPhotosCard from '../../../utils/UserProfileUtils/UserProfile/Activity/UserPhotosCard/UserPhotosCard'
 import RecentlyViewed from '../../../utils/UserProfileUtils/UserProfile/Activity/RecentlyViewed/RecentlyViewed'
 import UserBookmarks from '../../../utils/UserProfileUtils/UserProfile/Activity/UserBookmarks/UserBookmarks'
@@ -24,104 +22,13 @@ let UserProfileRightsideBar = () => {
 
     let {userId, hashId} = useParams(); 
 
-    let data = [{
-        imgSrc: ImgSrc,
-        title: "Paradise Biryani",
-        address: "Kukatpally, Hyd",
-        stars: 5,
-        days: 10,
-        votes: 10,
-        comments: 2,
-        id: 123,
-        userImg: ImgSrc,
-        userId: userId,
-    },
-    {
-        imgSrc: ImgSrc,
-        title: "Paradise Biryani",
-        address: "Kukatpally, Hyd",
-        stars: 5,
-        days: 10,
-        votes: 10,
-        comments: 2,
-        id: 123,
-        userImg: ImgSrc,
-        userId: userId,
-    },{
-        imgSrc: ImgSrc,
-        title: "Paradise Biryani",
-        address: "Kukatpally, Hyd",
-        stars: 5,
-        days: 10,
-        votes: 10,
-        comments: 2,
-        id: 123,
-        userImg: ImgSrc,
-        userId: userId,
-    },{
-        imgSrc: ImgSrc,
-        title: "Paradise Biryani",
-        address: "Kukatpally, Hyd",
-        stars: 5,
-        days: 10,
-        votes: 10,
-        comments: 2,
-        id: 123,
-        userImg: ImgSrc,
-        userId: userId,
-    },{
-        imgSrc: ImgSrc,
-        title: "Paradise Biryani",
-        address: "Kukatpally, Hyd",
-        stars: 5,
-        days: 10,
-        votes: 10,
-        comments: 2,
-        id: 123,
-        userImg: ImgSrc,
-        userId: userId,
-    },{
-        imgSrc: ImgSrc,
-        title: "Paradise Biryani",
-        address: "Kukatpally, Hyd",
-        stars: 5,
-        days: 10,
-        votes: 10,
-        comments: 2,
-        id: 123,
-        userImg: ImgSrc,
-        userId: userId,
-    },{
-        imgSrc: ImgSrc,
-        title: "Paradise Biryani",
-        address: "Kukatpally, Hyd",
-        stars: 5,
-        days: 10,
-        votes: 10,
-        comments: 2,
-        id: 123,
-        userImg: ImgSrc,
-        userId: userId,
-    },{
-        imgSrc: ImgSrc,
-        title: "Paradise Biryani",
-        address: "Kukatpally, Hyd",
-        stars: 5,
-        days: 10,
-        votes: 10,
-        comments: 2,
-        id: 123,
-        userImg: ImgSrc,
-        userId: userId,
-    }]
-
    useEffect(() => {
     switch(hashId){
         case photosPage:
             setCurrComp(<UserPhotosCard hashId={hashId} />);
             break;
         case followersPage:
-            setCurrComp(<UserFollowersCard hashId={hashId} userData={{following: 0, followers: 0}} />);
+            setCurrComp(<UserFollowersCard hashId={hashId} />);
             break;
         case recentlyviewedPage:
             setCurrComp(<RecentlyViewed hashId={hashId} />);
@@ -145,9 +52,7 @@ let UserProfileRightsideBar = () => {
             setCurrComp(<YoursBooking hashId={hashId} />);
             break;
         default:
-            setCurrComp(data?.map((val, index) => {
-                return <UserReviewedCard data={val} key={index}/>
-            }))
+            setCurrComp(<UserReviews hashId={reviewPage} />)
     }
    }, [hashId])
    
@@ -0,0 +1,133 @@
+import React, { createContext, useCallback, useContext, useEffect, useMemo, useRef, useState } from 'react'
+import { useNavigate } from 'react-router-dom'
+
+import Login from '../../components/Auth/Login/Login'
+import Signup from '../../components/Auth/Signup/Signup'
+
+import { authTokenStorageKey, authExpiryStorageKey } from '../../helpers/constants'
+import { setAuthTokenGetter } from '../../services/apiClient'
+import { getCurrentUser, refreshSession, logout as logoutSession } from '../../services/authService'
+
+const AuthContext = createContext(null);
+
+// Refresh a minute before the server side session runs out
+const refreshMargin = 60 * 1000;
+
+const closedModal = {closed: true, login: false, signup: false};
+
+export const AuthProvider = ({children}) => {
+    const navigate = useNavigate();
+    const tokenRef = useRef(localStorage.getItem(authTokenStorageKey));
+    const redirectRef = useRef(null);
+
+    const [user, setUser] = useState(null);
+    const [expiresAt, setExpiresAt] = useState(+localStorage.getItem(authExpiryStorageKey) || null);
+    const [status, setStatus] = useState(tokenRef.current ? 'loading' : 'guest');
+    const [authModal, setAuthModal] = useState(closedModal);
+
+    useEffect(() => {
+        setAuthTokenGetter(() => tokenRef.current);
+    }, [])
+
+    const storeSession = (token, expiry) => {
+        tokenRef.current = token;
+        setExpiresAt(expiry ?? null);
+        if(token){
+            localStorage.setItem(authTokenStorageKey, token);
+            localStorage.setItem(authExpiryStorageKey, expiry);
+        }else{
+            localStorage.removeItem(authTokenStorageKey);
+            localStorage.removeItem(authExpiryStorageKey);
+        }
+    }
+
+    const clearSession = useCallback(() => {
+        storeSession(null);
+        setUser(null);
+        setStatus('guest');
+    }, [])
+
+    useEffect(() => {
+        if(!tokenRef.current) return;
+        const controller = new AbortController();
+        getCurrentUser({signal: controller.signal})
+            .then(data => {
+                setUser(data);
+                setStatus('authenticated');
+            })
+            .catch(err => {
+                if(err.status === 401) clearSession();
+                else if(err.code !== 'CANCELLED') setStatus('guest');
+            });
+        return () => controller.abort()
+    }, [clearSession])
+
+    const refresh = useCallback(async () => {
+        try{
+            const session = await refreshSession();
+            storeSession(session.token, session.expiresAt);
+            return session.token;
+        }catch(err){
+            if(err.status === 401) clearSession();
+            throw err;
+        }
+    }, [clearSession])
+
+    useEffect(() => {
+        if(status !== 'authenticated' || !expiresAt) return;
+        const timer = setTimeout(() => {
+            refresh().catch(() => {});
+        }, Math.max(expiresAt - Date.now() - refreshMargin, 0));
+        return () => clearTimeout(timer);
+    }, [status, expiresAt, refresh])
+
+    const login = useCallback(({token, expiresAt, user}) => {
+        storeSession(token, expiresAt);
+        setUser(user);
+        setStatus('authenticated');
+        setAuthModal(closedModal);
+        if(redirectRef.current){
+            navigate(redirectRef.current, {replace: true});
+            redirectRef.current = null;
+        }
+    }, [navigate])
+
+    const logout = useCallback(async () => {
+        try{
+            await logoutSession();
+        }catch(e){
+            // The local session is dropped either way
+        }
+        clearSession();
+    }, [clearSession])
+
+    const openLogin = useCallback((redirectTo = null) => {
+        redirectRef.current = redirectTo;
+        setAuthModal({closed: false, login: true, signup: false});
+    }, [])
+
+    const openSignup = useCallback(() => {
+        setAuthModal({closed: false, login: false, signup: true});
+    }, [])
+
+    const value = useMemo(() => ({
+        user,
+        status,
+        isLoggedIn: status === 'authenticated',
+        login,
+        logout,
+        refresh,
+        openLogin,
+        openSignup
+    }), [user, status, login, logout, refresh, openLogin, openSignup])
+
+    return <AuthContext.Provider value={value}>
+        {children}
+        {authModal.login ? <Login setAuth={setAuthModal} /> : null}
+        {authModal.signup ? <Signup setAuth={setAuthModal} /> : null}
+    </AuthContext.Provider>
+}
+
+export const useAuth = () => useContext(AuthContext);
+
+export default AuthContext
@@ -0,0 +1,101 @@
+import React, { createContext, useContext, useEffect, useReducer } from 'react'
+
+import { cartStorageKey, paymentMethods } from '../../helpers/constants'
+import { buildOrder } from '../../helpers/cart'
+import { formatAddress } from '../../helpers/address'
+import { createOrder } from '../../services/orderService'
+import { useLocationContext } from '../LocationContext/LocationContext'
+
+const CartContext = createContext(null);
+
+const emptyCart = {restaurant: null, items: [], coupon: null, paymentMethod: paymentMethods[0].key};
+
+const isSameRestaurant = (a, b) => a?.city === b?.city && a?.hotel === b?.hotel;
+
+const cartReducer = (state, action) => {
+    switch(action.type){
+        case 'ADD_ITEM': {
+            const {item, restaurant} = action.payload;
+            // A coupon picked before anything was added carries over to the new restaurant
+            const base = isSameRestaurant(state.restaurant, restaurant) ? state : {
+                ...emptyCart,
+                restaurant,
+                coupon: state.items.length ? null : state.coupon,
+                paymentMethod: state.paymentMethod
+            };
+            const lineId = item.lineId ?? item.id;
+            const existing = base.items.find(line => line.lineId === lineId);
+            if(existing){
+                return {...base, items: base.items.map(line => line.lineId === lineId ? {...line, qty: line.qty + 1} : line)};
+            }
+            return {...base, items: [...base.items, {...item, lineId, price: +item.price, qty: 1}]};
+        }
+        case 'REMOVE_ITEM': {
+            const lineId = action.payload;
+            return {
+                ...state,
+                items: state.items
+                    .map(line => line.lineId === lineId ? {...line, qty: line.qty - 1} : line)
+                    .filter(line => line.qty > 0)
+            };
+        }
+        case 'REPLACE': {
+            const {items, restaurant} = action.payload;
+            return {...emptyCart, restaurant, items, paymentMethod: state.paymentMethod};
+        }
+        case 'SET_COUPON':
+            return {...state, coupon: action.payload};
+        case 'SET_PAYMENT_METHOD':
+            return {...state, paymentMethod: action.payload};
+        case 'CLEAR':
+            return {...emptyCart, paymentMethod: state.paymentMethod};
+        default:
+            return state;
+    }
+}
+
+const readCart = () => {
+    try{
+        const cart = JSON.parse(localStorage.getItem(cartStorageKey)) || emptyCart;
+        return {...emptyCart, ...cart};
+    }catch(e){
+        return emptyCart;
+    }
+}
+
+export const CartProvider = ({children}) => {
+    const [cart, dispatch] = useReducer(cartReducer, emptyCart, readCart);
+    const { location } = useLocationContext();
+
+    useEffect(() => {
+        localStorage.setItem(cartStorageKey, JSON.stringify(cart));
+    }, [cart])
+
+    const addItem = (item, restaurant) => dispatch({type: 'ADD_ITEM', payload: {item, restaurant}});
+    const removeItem = (lineId) => dispatch({type: 'REMOVE_ITEM', payload: lineId});
+    const clearCart = () => dispatch({type: 'CLEAR'});
+    const setCoupon = (code) => dispatch({type: 'SET_COUPON', payload: code?.trim().toUpperCase() || null});
+    const setPaymentMethod = (key) => dispatch({type: 'SET_PAYMENT_METHOD', payload: key});
+    const getQty = (id) => cart.items.filter(line => line.id === id).reduce((acc, line) => acc + line.qty, 0);
+    // Most recently added line of a dish, used when stepping a customised dish down from the menu
+    const getLastLine = (id) => cart.items.findLast(line => line.id === id);
+
+    const replaceCart = (items, restaurant) => dispatch({type: 'REPLACE', payload: {items, restaurant}});
+
+    // coupon is the validated {code, discount} for the current cart, if any.
+    // Without a saved address the order goes to the area picked in the location bar
+    const checkout = async (coupon, address = null) => {
+        const deliveredTo = address ? formatAddress(address) : `${location.locality}, ${location.cityName}`;
+        const order = await createOrder(buildOrder(cart, coupon, deliveredTo));
+        clearCart();
+        return order;
+    }
+
+    return <CartContext.Provider value={{cart, addItem, removeItem, clearCart, replaceCart, setCoupon, setPaymentMethod, getQty, getLastLine, checkout}}>
+        {children}
+    </CartContext.Provider>
+}
+
+export const useCart = () => useContext(CartContext);
+
+export default CartContext
@@ -0,0 +1,61 @@
+import React, { createContext, useCallback, useContext, useEffect, useMemo, useState } from 'react'
+
+import { defaultLocation, locationStorageKey } from '../../helpers/constants'
+import { getCurrentPosition, getNearestLocation } from '../../helpers/location'
+
+const LocationContext = createContext(null);
+
+const readLocation = () => {
+    try{
+        return JSON.parse(localStorage.getItem(locationStorageKey)) ?? defaultLocation;
+    }catch(e){
+        return defaultLocation;
+    }
+}
+
+export const LocationProvider = ({children}) => {
+    const [location, setLocation] = useState(readLocation);
+    const [detecting, setDetecting] = useState(false);
+    const [error, setError] = useState('');
+
+    useEffect(() => {
+        localStorage.setItem(locationStorageKey, JSON.stringify(location));
+    }, [location])
+
+    const selectLocation = useCallback((next) => {
+        setError('');
+        setLocation(next);
+    }, [])
+
+    // Snaps the browser position to the closest locality we know about
+    const detectLocation = useCallback(() => {
+        setDetecting(true);
+        setError('');
+        return getCurrentPosition()
+            .then(coords => {
+                const next = {...getNearestLocation(coords), ...coords};
+                setLocation(next);
+                setDetecting(false);
+                return next;
+            })
+            .catch(err => {
+                setError(err.message);
+                setDetecting(false);
+                return null;
+            });
+    }, [])
+
+    const value = useMemo(() => ({
+        location,
+        detecting,
+        error,
+        setLocation: selectLocation,
+        detectLocation
+    }), [location, detecting, error, selectLocation, detectLocation])
+
+    return <LocationContext.Provider value={value}>{children}</LocationContext.Provider>
+}
+
+export const useLocationContext = () => useContext(LocationContext);
+
+export default LocationContext
@@ -0,0 +1,7 @@
+import { createContext, useContext } from 'react'
+
+const RestaurantContext = createContext(null);
+
+export const useRestaurant = () => useContext(RestaurantContext);
+
+export default RestaurantContext
@@ -0,0 +1,34 @@
+const addresses = [
+    {
+        id: 1,
+        userId: "ll",
+        type: "other",
+        title: "Hostel",
+        completeAddress: "Sai Residency, Road No. 4",
+        floor: "2nd floor",
+        nearBy: "Near Metro Station",
+        area: "Dilsukhnagar, Hyderabad",
+        city: "hyderabad",
+        locality: "Dilsukhnagar",
+        lat: 17.3688,
+        lng: 78.5247,
+        isDefault: true
+    },
+    {
+        id: 2,
+        userId: "ll",
+        type: "work",
+        title: "Work",
+        completeAddress: "Manjeera Trinity Corporate, JNTU Road",
+        floor: "",
+        nearBy: "",
+        area: "Kukatpally, Hyderabad",
+        city: "hyderabad",
+        locality: "Kukatpally",
+        lat: 17.4849,
+        lng: 78.4138,
+        isDefault: false
+    }
+]
+
+export default addresses
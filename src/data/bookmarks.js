@@ -0,0 +1,12 @@
+const bookmarks = [
+    {userId: "ll", restaurantId: 2, createdAt: "2026-09-20T18:30:00.000Z"},
+    {userId: "ll", restaurantId: 9, createdAt: "2026-09-12T13:10:00.000Z"},
+    {userId: "ll", restaurantId: 1, createdAt: "2026-09-01T08:45:00.000Z"},
+    {userId: "ll", restaurantId: 6, createdAt: "2026-08-25T20:00:00.000Z"},
+    {userId: "ll", restaurantId: 5, createdAt: "2026-08-18T19:20:00.000Z"},
+    {userId: "ll", restaurantId: 3, createdAt: "2026-08-02T12:05:00.000Z"},
+    {userId: "ll", restaurantId: 8, createdAt: "2026-07-21T21:15:00.000Z"},
+    {userId: "123", restaurantId: 2, createdAt: "2026-09-05T14:00:00.000Z"}
+]
+
+export default bookmarks
@@ -0,0 +1,16 @@
+// followerId follows followeeId
+const follows = [
+    ...["123", "11", "12", "13", "14", "15", "16", "17", "18", "19", "20", "21", "22"].map((followerId, i) => ({
+        followerId,
+        followeeId: "ll",
+        createdAt: `2026-09-${String(28 - i).padStart(2, "0")}T10:00:00.000Z`
+    })),
+    ...["123", "11", "13", "17", "23"].map((followeeId, i) => ({
+        followerId: "ll",
+        followeeId,
+        createdAt: `2026-08-${String(20 - i).padStart(2, "0")}T10:00:00.000Z`
+    })),
+    {followerId: "123", followeeId: "11", createdAt: "2026-07-02T10:00:00.000Z"}
+]
+
+export default follows
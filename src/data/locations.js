@@ -0,0 +1,173 @@
+const locations = [
+    {
+        city: "hyderabad",
+        cityName: "Hyderabad",
+        state: "Telangana",
+        lat: 17.3850,
+        lng: 78.4867,
+        localities: [
+            {name: "Gachibowli", lat: 17.4401, lng: 78.3489, places: 612},
+            {name: "Madhapur", lat: 17.4483, lng: 78.3915, places: 734},
+            {name: "Kondapur", lat: 17.4600, lng: 78.3548, places: 455},
+            {name: "Jubilee Hills", lat: 17.4326, lng: 78.4071, places: 421},
+            {name: "Banjara Hills", lat: 17.4156, lng: 78.4347, places: 538},
+            {name: "Kukatpally", lat: 17.4849, lng: 78.4138, places: 498},
+            {name: "Hitech City", lat: 17.4435, lng: 78.3772, places: 389},
+            {name: "Abids", lat: 17.3924, lng: 78.4747, places: 214},
+            {name: "Ameerpet", lat: 17.4375, lng: 78.4482, places: 301},
+            {name: "Begumpet", lat: 17.4447, lng: 78.4664, places: 256},
+            {name: "Secunderabad", lat: 17.4399, lng: 78.4983, places: 367},
+            {name: "Dilsukhnagar", lat: 17.3688, lng: 78.5247, places: 342}
+        ]
+    },
+    {
+        city: "bangalore",
+        cityName: "Bangalore",
+        state: "Karnataka",
+        lat: 12.9716,
+        lng: 77.5946,
+        localities: [
+            {name: "Koramangala", lat: 12.9352, lng: 77.6245, places: 987},
+            {name: "Indiranagar", lat: 12.9784, lng: 77.6408, places: 856},
+            {name: "HSR Layout", lat: 12.9116, lng: 77.6389, places: 642},
+            {name: "Whitefield", lat: 12.9698, lng: 77.7500, places: 701},
+            {name: "Jayanagar", lat: 12.9308, lng: 77.5838, places: 533},
+            {name: "MG Road", lat: 12.9756, lng: 77.6050, places: 468},
+            {name: "BTM Layout", lat: 12.9166, lng: 77.6101, places: 590}
+        ]
+    },
+    {
+        city: "mumbai",
+        cityName: "Mumbai",
+        state: "Maharashtra",
+        lat: 19.0760,
+        lng: 72.8777,
+        localities: [
+            {name: "Bandra West", lat: 19.0596, lng: 72.8295, places: 912},
+            {name: "Andheri West", lat: 19.1364, lng: 72.8296, places: 1043},
+            {name: "Lower Parel", lat: 18.9953, lng: 72.8306, places: 487},
+            {name: "Powai", lat: 19.1176, lng: 72.9060, places: 534},
+            {name: "Colaba", lat: 18.9067, lng: 72.8147, places: 389}
+        ]
+    },
+    {
+        city: "delhi",
+        cityName: "Delhi",
+        state: "Delhi",
+        lat: 28.6139,
+        lng: 77.2090,
+        localities: [
+            {name: "Connaught Place", lat: 28.6315, lng: 77.2167, places: 803},
+            {name: "Hauz Khas", lat: 28.5494, lng: 77.2001, places: 512},
+            {name: "Saket", lat: 28.5245, lng: 77.2066, places: 476},
+            {name: "Rajouri Garden", lat: 28.6415, lng: 77.1209, places: 598}
+        ]
+    },
+    {
+        city: "chennai",
+        cityName: "Chennai",
+        state: "Tamil Nadu",
+        lat: 13.0827,
+        lng: 80.2707,
+        localities: [
+            {name: "T. Nagar", lat: 13.0418, lng: 80.2341, places: 621},
+            {name: "Adyar", lat: 13.0012, lng: 80.2565, places: 433},
+            {name: "Velachery", lat: 12.9815, lng: 80.2180, places: 502},
+            {name: "Anna Nagar", lat: 13.0850, lng: 80.2101, places: 557}
+        ]
+    },
+    {
+        city: "pune",
+        cityName: "Pune",
+        state: "Maharashtra",
+        lat: 18.5204,
+        lng: 73.8567,
+        localities: [
+            {name: "Koregaon Park", lat: 18.5362, lng: 73.8940, places: 488},
+            {name: "Kalyani Nagar", lat: 18.5463, lng: 73.9033, places: 352},
+            {name: "Baner", lat: 18.5590, lng: 73.7868, places: 419},
+            {name: "Viman Nagar", lat: 18.5679, lng: 73.9143, places: 377},
+            {name: "Hinjewadi", lat: 18.5913, lng: 73.7389, places: 296}
+        ]
+    },
+    {
+        city: "kolkata",
+        cityName: "Kolkata",
+        state: "West Bengal",
+        lat: 22.5726,
+        lng: 88.3639,
+        localities: [
+            {name: "Park Street", lat: 22.5535, lng: 88.3520, places: 642},
+            {name: "Salt Lake", lat: 22.5867, lng: 88.4171, places: 518},
+            {name: "Ballygunge", lat: 22.5271, lng: 88.3654, places: 397},
+            {name: "New Town", lat: 22.5921, lng: 88.4847, places: 344},
+            {name: "Gariahat", lat: 22.5190, lng: 88.3660, places: 286}
+        ]
+    },
+    {
+        city: "ahmedabad",
+        cityName: "Ahmedabad",
+        state: "Gujarat",
+        lat: 23.0225,
+        lng: 72.5714,
+        localities: [
+            {name: "Navrangpura", lat: 23.0365, lng: 72.5611, places: 402},
+            {name: "Satellite", lat: 23.0300, lng: 72.5170, places: 381},
+            {name: "Bodakdev", lat: 23.0395, lng: 72.5066, places: 297},
+            {name: "Maninagar", lat: 22.9962, lng: 72.6030, places: 254}
+        ]
+    },
+    {
+        city: "jaipur",
+        cityName: "Jaipur",
+        state: "Rajasthan",
+        lat: 26.9124,
+        lng: 75.7873,
+        localities: [
+            {name: "C Scheme", lat: 26.9050, lng: 75.8050, places: 318},
+            {name: "Malviya Nagar", lat: 26.8530, lng: 75.8050, places: 356},
+            {name: "Vaishali Nagar", lat: 26.9120, lng: 75.7430, places: 289},
+            {name: "Raja Park", lat: 26.8960, lng: 75.8270, places: 221}
+        ]
+    },
+    {
+        city: "kochi",
+        cityName: "Kochi",
+        state: "Kerala",
+        lat: 9.9312,
+        lng: 76.2673,
+        localities: [
+            {name: "Edappally", lat: 10.0261, lng: 76.3125, places: 312},
+            {name: "Kakkanad", lat: 10.0159, lng: 76.3419, places: 248},
+            {name: "Fort Kochi", lat: 9.9658, lng: 76.2421, places: 203},
+            {name: "Panampilly Nagar", lat: 9.9593, lng: 76.2958, places: 187}
+        ]
+    },
+    {
+        city: "chandigarh",
+        cityName: "Chandigarh",
+        state: "Chandigarh",
+        lat: 30.7333,
+        lng: 76.7794,
+        localities: [
+            {name: "Sector 17", lat: 30.7398, lng: 76.7827, places: 274},
+            {name: "Sector 35", lat: 30.7226, lng: 76.7575, places: 231},
+            {name: "Sector 8", lat: 30.7410, lng: 76.7990, places: 168}
+        ]
+    },
+    {
+        city: "lucknow",
+        cityName: "Lucknow",
+        state: "Uttar Pradesh",
+        lat: 26.8467,
+        lng: 80.9462,
+        localities: [
+            {name: "Hazratganj", lat: 26.8500, lng: 80.9460, places: 336},
+            {name: "Gomti Nagar", lat: 26.8560, lng: 81.0050, places: 412},
+            {name: "Aliganj", lat: 26.8900, lng: 80.9400, places: 219},
+            {name: "Aminabad", lat: 26.8470, lng: 80.9250, places: 174}
+        ]
+    }
+]
+
+export default locations
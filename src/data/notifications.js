@@ -0,0 +1,5 @@
+const notifications = [
+    {id: 1, userId: "123", type: "reviewReply", text: "Paradise Hotel replied to your review", link: "/hyderabad/paradise-hotel/reviews/8", read: false, createdAt: "2026-08-31T10:15:00.000Z"}
+]
+
+export default notifications
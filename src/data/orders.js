@@ -0,0 +1,81 @@
+const orders = [
+    {
+        id: 1,
+        userId: "ll",
+        restaurant: {city: "hyderabad", hotel: "paradise-hotel", name: "Paradise Hotel"},
+        imgSrc: "/images/orderonline.jpg",
+        name: "Paradise Hotel",
+        address: "Kukatpally, Hyd",
+        orderNum: "211",
+        items: [
+            {id: "ph-2", itemName: "Paneer Biryani", qty: 1, price: "139", foodType: "veg"},
+            {id: "ph-1", itemName: "Chicken Biryani", qty: 1, price: "149", foodType: "nonveg"}
+        ],
+        orderedOn: "9/14/26, 1:12:40 PM",
+        itemTotal: "288.00",
+        coupon: {
+            couponName: "TryNew",
+            discount: "50"
+        },
+        taxesandcharges: "44.40",
+        totalSavings: "50.00",
+        grandTotal: "282.40",
+        paymentType: "Using Card",
+        orderStatus: "Delivered",
+        phoneNum: "8074786491",
+        deliveredTo: "My home, Kukatpally, Hyderabad",
+        fssaiNo: "13618013000777",
+        fav: false
+    },
+    {
+        id: 2,
+        userId: "ll",
+        restaurant: {city: "hyderabad", hotel: "paradise-hotel", name: "Paradise Hotel"},
+        imgSrc: "/images/orderonline.jpg",
+        name: "Paradise Hotel",
+        address: "Kukatpally, Hyd",
+        orderNum: "187",
+        items: [
+            {id: "ph-1", itemName: "Chicken Biryani", qty: 1, price: "149", foodType: "nonveg"},
+            {id: "ph-5", itemName: "Coke Pet - 750 Ml", qty: 1, price: "38", foodType: "veg"}
+        ],
+        orderedOn: "8/30/26, 8:45:12 PM",
+        itemTotal: "187.00",
+        coupon: null,
+        taxesandcharges: "39.35",
+        totalSavings: "0.00",
+        grandTotal: "226.35",
+        paymentType: "Using UPI",
+        orderStatus: "Delivered",
+        phoneNum: "8074786491",
+        deliveredTo: "My home, Kukatpally, Hyderabad",
+        fssaiNo: "13618013000777",
+        fav: true
+    },
+    {
+        id: 3,
+        userId: "ll",
+        restaurant: {city: "hyderabad", hotel: "krupa-mess-and-tiffins", name: "Krupa Mess & Tiffins"},
+        imgSrc: "/images/orderonline.jpg",
+        name: "Krupa Mess & Tiffins",
+        address: "Abids, Hyd",
+        orderNum: "164",
+        items: [
+            {id: "kmt-2", itemName: "Ghee Karam Dosa", qty: 2, price: "120", foodType: "veg"}
+        ],
+        orderedOn: "8/02/26, 9:05:33 AM",
+        itemTotal: "240.00",
+        coupon: null,
+        taxesandcharges: "42.00",
+        totalSavings: "0.00",
+        grandTotal: "282.00",
+        paymentType: "Cash on Delivery",
+        orderStatus: "Delivered",
+        phoneNum: "8074786491",
+        deliveredTo: "Office, Hitech City, Hyderabad",
+        fssaiNo: "13622036000120",
+        fav: false
+    }
+]
+
+export default orders
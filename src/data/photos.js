@@ -0,0 +1,14 @@
+// Photos tagged with dishes show up under Food, the rest under Ambience.
+// `reviewId` is set when the photo was attached to a review
+const photos = [
+    {id: 1, restaurantId: 1, userId: "ll", src: "/images/hariyalikebab.jpg", caption: "Smoky and loaded with mint", dishes: ["kmt-1"], reviewId: null, createdAt: "2026-09-28T13:40:00.000Z"},
+    {id: 2, restaurantId: 1, userId: "ll", src: "/images/Food/biryani.png", caption: "", dishes: ["kmt-4"], reviewId: null, createdAt: "2026-09-28T13:42:00.000Z"},
+    {id: 3, restaurantId: 1, userId: "123", src: "/images/food1.jpg", caption: "Sunday lunch crowd", dishes: [], reviewId: null, createdAt: "2026-09-14T07:15:00.000Z"},
+    {id: 4, restaurantId: 1, userId: "11", src: "/images/Food/biryani2.png", caption: "Egg biryani, generous portion", dishes: ["kmt-5"], reviewId: 3, createdAt: "2026-09-02T19:05:00.000Z"},
+    {id: 5, restaurantId: 1, userId: "11", src: "/images/food3.jpg", caption: "", dishes: [], reviewId: null, createdAt: "2026-09-02T19:06:00.000Z"},
+    {id: 6, restaurantId: 2, userId: "ll", src: "/images/Food/biryani.png", caption: "The classic", dishes: ["ph-1"], reviewId: 7, createdAt: "2026-09-20T20:10:00.000Z"},
+    {id: 7, restaurantId: 2, userId: "123", src: "/images/food2.jpg", caption: "Rooftop seating", dishes: [], reviewId: null, createdAt: "2026-08-30T18:25:00.000Z"},
+    {id: 8, restaurantId: 9, userId: "ll", src: "/images/Food/biryani2.png", caption: "", dishes: ["mf-1"], reviewId: null, createdAt: "2026-08-11T14:00:00.000Z"}
+]
+
+export default photos
@@ -0,0 +1,49 @@
+// restaurants: null means the coupon works everywhere
+const promotions = [
+    {
+        code: "PAYTMBASH",
+        title: "10% OFF up to ₹75 Paytm Cashback",
+        type: "percentage",
+        value: 10,
+        maxDiscount: 75,
+        minOrder: 199,
+        paymentMethods: ["paytm"],
+        firstOrderOnly: false,
+        restaurants: null
+    },
+    {
+        code: "ICICINB",
+        title: "Flat ₹125 OFF",
+        type: "flat",
+        value: 125,
+        maxDiscount: null,
+        minOrder: 500,
+        paymentMethods: ["icici-netbanking"],
+        firstOrderOnly: false,
+        restaurants: null
+    },
+    {
+        code: "TRYNEW",
+        title: "50% OFF up to ₹100 on your first order",
+        type: "percentage",
+        value: 50,
+        maxDiscount: 100,
+        minOrder: 99,
+        paymentMethods: null,
+        firstOrderOnly: true,
+        restaurants: null
+    },
+    {
+        code: "TASTY",
+        title: "40% OFF up to ₹80",
+        type: "percentage",
+        value: 40,
+        maxDiscount: 80,
+        minOrder: 159,
+        paymentMethods: null,
+        firstOrderOnly: false,
+        restaurants: ["paradise-hotel", "krupa-mess-and-tiffins", "meghana-foods"]
+    }
+]
+
+export default promotions
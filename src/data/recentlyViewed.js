@@ -0,0 +1,12 @@
+const recentlyViewed = [
+    {userId: "ll", restaurantId: 9, viewedAt: "2026-10-12T19:02:00.000Z"},
+    {userId: "ll", restaurantId: 2, viewedAt: "2026-10-11T13:40:00.000Z"},
+    {userId: "ll", restaurantId: 4, viewedAt: "2026-10-09T20:15:00.000Z"},
+    {userId: "ll", restaurantId: 1, viewedAt: "2026-10-06T08:30:00.000Z"},
+    {userId: "ll", restaurantId: 7, viewedAt: "2026-10-02T21:45:00.000Z"},
+    {userId: "ll", restaurantId: 6, viewedAt: "2026-09-29T18:10:00.000Z"},
+    {userId: "ll", restaurantId: 5, viewedAt: "2026-09-24T12:55:00.000Z"},
+    {userId: "ll", restaurantId: 3, viewedAt: "2026-09-20T19:35:00.000Z"}
+]
+
+export default recentlyViewed
@@ -0,0 +1,7 @@
+// Ownership claims from the add restaurant flow, only verified owners can reply to reviews
+const restaurantOwners = [
+    {restaurantId: 2, userId: "ll", verifiedAt: "2026-06-10T09:00:00.000Z", createdAt: "2026-06-02T11:30:00.000Z"},
+    {restaurantId: 1, userId: "123", verifiedAt: null, createdAt: "2026-09-18T16:45:00.000Z"}
+]
+
+export default restaurantOwners
@@ -0,0 +1,470 @@
+const weekTimings = (open, close) => ({
+    today: `${open} - ${close} (Today)`,
+    week: [{days: "Mon-Sun", time: `${open}-${close}`}]
+})
+
+// Option prices are added on top of the dish price
+const biryaniOptions = [
+    {id: "size", name: "Quantity", min: 1, max: 1, options: [
+        {id: "half", name: "Half", price: 0},
+        {id: "full", name: "Full", price: 120}
+    ]},
+    {id: "addons", name: "Add ons", min: 0, max: 3, options: [
+        {id: "raita", name: "Extra Raita", price: 30},
+        {id: "salan", name: "Mirchi Ka Salan", price: 40},
+        {id: "salad", name: "Onion Salad", price: 15}
+    ]}
+]
+
+const pizzaOptions = [
+    {id: "size", name: "Size", min: 1, max: 1, options: [
+        {id: "regular", name: "Regular", price: 0},
+        {id: "medium", name: "Medium", price: 150},
+        {id: "large", name: "Large", price: 300}
+    ]},
+    {id: "toppings", name: "Extra Toppings", min: 0, max: 3, options: [
+        {id: "cheese", name: "Extra Cheese", price: 60},
+        {id: "jalapeno", name: "Jalapenos", price: 40},
+        {id: "olives", name: "Black Olives", price: 40},
+        {id: "mushroom", name: "Mushrooms", price: 50}
+    ]}
+]
+
+const drinkOptions = [
+    {id: "size", name: "Size", min: 1, max: 1, options: [
+        {id: "500ml", name: "500 Ml", price: 0},
+        {id: "750ml", name: "750 Ml", price: 12}
+    ]}
+]
+
+const burgerOptions = [
+    {id: "addons", name: "Add ons", min: 0, max: 2, options: [
+        {id: "cheese", name: "Cheese Slice", price: 25},
+        {id: "mayo", name: "Extra Mayo", price: 10}
+    ]}
+]
+
+const mealsOptions = [
+    {id: "extras", name: "Extras", min: 0, max: 3, options: [
+        {id: "curd", name: "Extra Curd", price: 20},
+        {id: "papad", name: "Papad", price: 10},
+        {id: "sweet", name: "Sweet of the Day", price: 30}
+    ]}
+]
+
+const restaurants = [
+    {
+        id: 1,
+        slug: "krupa-mess-and-tiffins",
+        city: "hyderabad",
+        cityName: "Hyderabad",
+        locality: "Abids",
+        name: "Krupa Mess & Tiffins",
+        cuisines: ["South Indian", "Chinese", "North Indian", "Sichuan", "Pizza"],
+        address: "5-9-22, Abids Road, Abids, Hyderabad, Telangana, India",
+        phone: "9988098812",
+        lat: 17.3924,
+        lng: 78.4747,
+        fssaiNo: "13622036000120",
+        timings: weekTimings("10am", "11pm"),
+        openNow: true,
+        ratings: {
+            dining: {rating: "4.1", count: "601"},
+            delivery: {rating: "3.6", count: "37.3k"}
+        },
+        costForTwo: 800,
+        pureVeg: false,
+        outdoorSeating: false,
+        servesAlcohol: false,
+        promoted: true,
+        deliveryTime: "30",
+        offer: {off: "30", proExtra: "40"},
+        thumb: "/images/Food/chapathi.png",
+        gallery: ["/images/food1.jpg", "/images/food2.jpg", "/images/food1.jpg", "/images/food3.jpg"],
+        knownFor: "Great Buffet Spread, Fusion Dishes, Ample Seating Area, Family Place, Family Crowd, Quantity",
+        moreInfo: ["Breakfast", "Takeaway Available", "Family Friendly", "Home Delivery", "Indoor Seating"],
+        menuCards: [
+            {ttl: "Food Menu", imgSrc: "/images/menucard.png", pages: 23},
+            {ttl: "Food Menu Card", imgSrc: "/images/menucard.png", pages: 12}
+        ],
+        menu: {
+            recommended: [
+                {id: "kmt-1", mustTry: true, imgSrc: "/images/hariyalikebab.jpg", ttl: "Hariyali Kebab", votes: "12", price: "280", desc: "Paneer and vegetable kebabs marinated in mint, coriander and green chilli, chargrilled in the tandoor and served with onion rings", foodType: "veg"},
+                {id: "kmt-2", mustTry: true, ttl: "Ghee Karam Dosa", votes: "48", price: "120", desc: "Crisp dosa smeared with spicy red chutney and ghee, served with coconut chutney and sambar", foodType: "veg", tags: ["gluten-free"]},
+                {id: "kmt-3", mustTry: false, ttl: "Mixed Grill Platter", votes: "31", price: "1400", desc: "Tandoori Prawns [6 Pieces]+Fish Tikka [6 Pieces]+Pathar ka Gosht [6 Pieces]+Boti Kebab [6 Pieces]+Schezwan Tikka [6 Pieces]+Andhra Kebab [6 Pieces]+Seek Kebab [6 Pieces]", foodType: "nonveg"}
+            ],
+            biryanis: [
+                {id: "kmt-4", mustTry: true, imgSrc: "/images/Food/biryani.png", ttl: "Chicken Dum Biryani", votes: "112", price: "260", desc: "Hyderabadi style dum biryani layered with marinated chicken and long grain basmati, served with mirchi ka salan and raita", foodType: "nonveg", tags: ["gluten-free"], customisations: biryaniOptions},
+                {id: "kmt-5", mustTry: false, imgSrc: "/images/Food/biryani2.png", ttl: "Egg Biryani", votes: "54", price: "190", desc: "Fragrant basmati rice cooked with boiled eggs, fried onions and house spice blend, served with raita", foodType: "egg", tags: ["gluten-free"], customisations: biryaniOptions},
+                {id: "kmt-6", mustTry: false, ttl: "Paneer Biryani", votes: "40", price: "210", desc: "Dum cooked basmati rice with spiced paneer cubes, mint and saffron", foodType: "veg", customisations: biryaniOptions}
+            ],
+            indian: [
+                {id: "kmt-7", mustTry: false, ttl: "Paneer Butter Masala", votes: "66", price: "230", desc: "Cottage cheese simmered in a rich tomato, butter and cashew gravy", foodType: "veg", tags: ["gluten-free"]},
+                {id: "kmt-8", mustTry: false, ttl: "Dal Tadka", votes: "29", price: "160", desc: "Yellow lentils tempered with ghee, cumin, garlic and dried red chilli", foodType: "veg", tags: ["gluten-free"]},
+                {id: "kmt-9", mustTry: false, ttl: "Egg Curry", votes: "18", price: "170", desc: "Boiled eggs in a spicy onion tomato gravy, Andhra style", foodType: "egg"}
+            ],
+            tandoori: [
+                {id: "kmt-10", mustTry: true, imgSrc: "/images/Food/chicken.png", ttl: "Tandoori Chicken", votes: "88", price: "320", desc: "Half chicken marinated overnight in yoghurt and Kashmiri chilli, roasted in the clay oven", foodType: "nonveg"},
+                {id: "kmt-11", mustTry: false, ttl: "Paneer Tikka", votes: "45", price: "250", desc: "Cubes of paneer, capsicum and onion marinated in spiced yoghurt and grilled", foodType: "veg", tags: ["gluten-free"]}
+            ],
+            chinese: [
+                {id: "kmt-12", mustTry: false, ttl: "Veg Manchurian", votes: "37", price: "180", desc: "Vegetable dumplings tossed in a tangy soy, garlic and chilli sauce", foodType: "veg"},
+                {id: "kmt-13", mustTry: false, ttl: "Chilli Chicken", votes: "51", price: "240", desc: "Crispy chicken tossed with green chillies, capsicum and spring onion", foodType: "nonveg"}
+            ],
+            "Noodles & Fried Rice": [
+                {id: "kmt-14", mustTry: false, ttl: "Veg Hakka Noodles", votes: "26", price: "170", desc: "Wok tossed noodles with shredded cabbage, carrot and capsicum", foodType: "veg"},
+                {id: "kmt-15", mustTry: false, ttl: "Egg Fried Rice", votes: "33", price: "180", desc: "Rice stir fried with scrambled egg, spring onion and light soy", foodType: "egg"}
+            ],
+            soups: [
+                {id: "kmt-16", mustTry: false, ttl: "Tomato Soup", votes: "14", price: "110", desc: "Slow cooked tomato soup finished with cream and croutons", foodType: "veg"},
+                {id: "kmt-17", mustTry: false, ttl: "Chicken Manchow Soup", votes: "21", price: "140", desc: "Spicy soy broth with minced chicken, vegetables and crispy noodles", foodType: "nonveg"}
+            ],
+            roti: [
+                {id: "kmt-18", mustTry: false, ttl: "Butter Naan", votes: "40", price: "50", desc: "Leavened flatbread baked in the tandoor and brushed with butter", foodType: "veg"},
+                {id: "kmt-19", mustTry: false, ttl: "Tandoori Roti", votes: "25", price: "30", desc: "Whole wheat flatbread baked in the tandoor", foodType: "veg", tags: ["vegan", "jain"]}
+            ],
+            dessert: [
+                {id: "kmt-20", mustTry: false, imgSrc: "/images/Food/icecream.png", ttl: "Double Ka Meetha", votes: "19", price: "120", desc: "Hyderabadi bread pudding soaked in saffron milk and topped with dry fruits", foodType: "veg"},
+                {id: "kmt-21", mustTry: false, ttl: "Gulab Jamun [2 Pieces]", votes: "22", price: "80", desc: "Soft milk dumplings soaked in cardamom sugar syrup", foodType: "veg"}
+            ]
+        }
+    },
+    {
+        id: 2,
+        slug: "paradise-hotel",
+        city: "hyderabad",
+        cityName: "Hyderabad",
+        locality: "Kukatpally",
+        name: "Paradise Hotel",
+        cuisines: ["Biryani", "North Indian", "Kebab"],
+        address: "Plot 12, KPHB Colony, Kukatpally, Hyderabad, Telangana, India",
+        phone: "9848012345",
+        lat: 17.4849,
+        lng: 78.4138,
+        fssaiNo: "13618013000777",
+        timings: weekTimings("11am", "11pm"),
+        openNow: true,
+        ratings: {
+            dining: {rating: "4.2", count: "2,140"},
+            delivery: {rating: "3.6", count: "52.1k"}
+        },
+        costForTwo: 700,
+        pureVeg: false,
+        outdoorSeating: false,
+        servesAlcohol: false,
+        promoted: true,
+        deliveryTime: "25",
+        offer: {off: "30", proExtra: "40"},
+        thumb: "/images/Food/biryani.png",
+        gallery: ["/images/Food/biryani.png", "/images/Food/biryani2.png", "/images/food1.jpg", "/images/Food/chicken.png"],
+        knownFor: "Biryani, Quick Service, Generous Portions",
+        moreInfo: ["Takeaway Available", "Home Delivery", "Indoor Seating"],
+        menuCards: [
+            {ttl: "Menu", imgSrc: "/images/menucard.png", pages: 8}
+        ],
+        menu: {
+            recommended: [
+                {id: "ph-1", mustTry: true, imgSrc: "/images/Food/biryani.png", ttl: "Chicken Biryani", votes: "940", price: "149", desc: "Signature Hyderabadi dum biryani with tender chicken, served with mirchi ka salan", foodType: "nonveg", customisations: biryaniOptions},
+                {id: "ph-2", mustTry: false, ttl: "Paneer Biryani", votes: "210", price: "139", desc: "Basmati rice dum cooked with spiced paneer and fried onions", foodType: "veg", customisations: biryaniOptions}
+            ],
+            kebabs: [
+                {id: "ph-3", mustTry: true, ttl: "Chicken Seekh Kebab", votes: "180", price: "229", desc: "Minced chicken skewers with ginger, garlic and green chilli", foodType: "nonveg"},
+                {id: "ph-4", mustTry: false, ttl: "Hara Bhara Kebab", votes: "64", price: "179", desc: "Spinach, pea and potato patties shallow fried with spices", foodType: "veg", tags: ["vegan"]}
+            ],
+            beverages: [
+                {id: "ph-5", mustTry: false, ttl: "Coke Pet", votes: "12", price: "26", desc: "Chilled Coca-Cola", foodType: "veg", tags: ["vegan", "gluten-free", "jain"], customisations: drinkOptions}
+            ]
+        }
+    },
+    {
+        id: 3,
+        slug: "mangal-hotel",
+        city: "hyderabad",
+        cityName: "Hyderabad",
+        locality: "Gachibowli",
+        name: "Mangal Hotel",
+        cuisines: ["South Indian", "Andhra"],
+        address: "DLF Cyber City Road, Gachibowli, Hyderabad, Telangana, India",
+        phone: "9000011122",
+        lat: 17.4401,
+        lng: 78.3489,
+        fssaiNo: "13619022000451",
+        timings: weekTimings("7am", "10pm"),
+        openNow: true,
+        ratings: {
+            dining: {rating: "2.6", count: "88"},
+            delivery: {rating: "3.1", count: "1,204"}
+        },
+        costForTwo: 300,
+        pureVeg: true,
+        outdoorSeating: true,
+        servesAlcohol: false,
+        promoted: false,
+        deliveryTime: "25",
+        offer: {off: "30", proExtra: "40"},
+        thumb: "/images/Food/biryani2.png",
+        gallery: ["/images/food2.jpg", "/images/food3.jpg", "/images/food1.jpg", "/images/food2.jpg"],
+        knownFor: "Breakfast, Filter Coffee, Pocket Friendly",
+        moreInfo: ["Breakfast", "Pure Veg", "Outdoor Seating", "Home Delivery"],
+        menuCards: [
+            {ttl: "Menu", imgSrc: "/images/menucard.png", pages: 4}
+        ],
+        menu: {
+            tiffins: [
+                {id: "mh-1", mustTry: true, ttl: "Idli Vada", votes: "76", price: "60", desc: "Two steamed idlis and a crisp medu vada with sambar and chutneys", foodType: "veg", tags: ["vegan", "gluten-free"]},
+                {id: "mh-2", mustTry: false, ttl: "Pesarattu", votes: "41", price: "80", desc: "Green gram dosa with ginger chutney and upma filling", foodType: "veg", tags: ["vegan", "gluten-free"]}
+            ],
+            meals: [
+                {id: "mh-3", mustTry: false, ttl: "Andhra Veg Meals", votes: "58", price: "150", desc: "Rice, pappu, two curries, sambar, rasam, curd, pickle and papad", foodType: "veg", tags: ["gluten-free"], customisations: mealsOptions}
+            ]
+        }
+    },
+    {
+        id: 4,
+        slug: "chapathi-hotel",
+        city: "hyderabad",
+        cityName: "Hyderabad",
+        locality: "Gachibowli",
+        name: "Chapathi Hotel",
+        cuisines: ["North Indian", "Home Style"],
+        address: "Indira Nagar, Gachibowli, Hyderabad, Telangana, India",
+        phone: "9000033344",
+        lat: 17.4435,
+        lng: 78.3552,
+        fssaiNo: "13620011000932",
+        timings: weekTimings("12noon", "11pm"),
+        openNow: false,
+        ratings: {
+            dining: {rating: "4.6", count: "312"},
+            delivery: {rating: "4.4", count: "6,820"}
+        },
+        costForTwo: 400,
+        pureVeg: false,
+        outdoorSeating: false,
+        servesAlcohol: false,
+        promoted: true,
+        deliveryTime: "30",
+        offer: {off: null, proExtra: "40"},
+        thumb: "/images/Food/chapathi.png",
+        gallery: ["/images/Food/chapathi.png", "/images/food2.jpg", "/images/food1.jpg", "/images/food3.jpg"],
+        knownFor: "Soft Chapathis, Home Style Curries",
+        moreInfo: ["Home Delivery", "Indoor Seating"],
+        menuCards: [
+            {ttl: "Menu", imgSrc: "/images/menucard.png", pages: 6}
+        ],
+        menu: {
+            combos: [
+                {id: "ch-1", mustTry: true, imgSrc: "/images/Food/chapathi.png", ttl: "Chapathi Chicken Curry Combo", votes: "130", price: "199", desc: "Four chapathis with home style chicken curry and onion salad", foodType: "nonveg"},
+                {id: "ch-2", mustTry: false, ttl: "Chapathi Dal Combo", votes: "72", price: "129", desc: "Four chapathis with dal fry and pickle", foodType: "veg", tags: ["vegan"]}
+            ]
+        }
+    },
+    {
+        id: 5,
+        slug: "fish-mandi-hotel",
+        city: "hyderabad",
+        cityName: "Hyderabad",
+        locality: "Madhapur",
+        name: "Fish Mandi Hotel",
+        cuisines: ["Arabian", "Seafood"],
+        address: "Ayyappa Society, Madhapur, Hyderabad, Telangana, India",
+        phone: "9000055566",
+        lat: 17.4483,
+        lng: 78.3915,
+        fssaiNo: "13621044000218",
+        timings: weekTimings("12noon", "12midnight"),
+        openNow: true,
+        ratings: {
+            dining: {rating: "4.9", count: "1,020"},
+            delivery: {rating: "4.3", count: "9,410"}
+        },
+        costForTwo: 1200,
+        pureVeg: false,
+        outdoorSeating: true,
+        servesAlcohol: true,
+        promoted: false,
+        deliveryTime: "40",
+        offer: {off: "20", proExtra: "40"},
+        thumb: "/images/Food/fish.png",
+        gallery: ["/images/Food/fish.png", "/images/food1.jpg", "/images/food3.jpg", "/images/food2.jpg"],
+        knownFor: "Mandi Platters, Rooftop Seating, Live Music",
+        moreInfo: ["Outdoor Seating", "Full Bar Available", "Live Music", "Home Delivery"],
+        menuCards: [
+            {ttl: "Food Menu", imgSrc: "/images/menucard.png", pages: 10},
+            {ttl: "Bar Menu", imgSrc: "/images/menucard.png", pages: 4}
+        ],
+        menu: {
+            mandi: [
+                {id: "fm-1", mustTry: true, imgSrc: "/images/Food/fish.png", ttl: "Fish Mandi", votes: "320", price: "549", desc: "Smoked mandi rice with fried fish, served with salan and mayonnaise", foodType: "nonveg"},
+                {id: "fm-2", mustTry: false, ttl: "Chicken Juicy Mandi", votes: "410", price: "499", desc: "Slow cooked juicy chicken over fragrant mandi rice", foodType: "nonveg"}
+            ]
+        }
+    },
+    {
+        id: 6,
+        slug: "pizza-hotel",
+        city: "hyderabad",
+        cityName: "Hyderabad",
+        locality: "Gachibowli",
+        name: "Pizza Hotel",
+        cuisines: ["Pizza", "Fast Food", "Italian"],
+        address: "Financial District, Gachibowli, Hyderabad, Telangana, India",
+        phone: "9000077788",
+        lat: 17.4166,
+        lng: 78.3428,
+        fssaiNo: "13622055000640",
+        timings: weekTimings("11am", "1am"),
+        openNow: true,
+        ratings: {
+            dining: {rating: "3.2", count: "143"},
+            delivery: {rating: "3.9", count: "12.6k"}
+        },
+        costForTwo: 600,
+        pureVeg: false,
+        outdoorSeating: false,
+        servesAlcohol: false,
+        promoted: true,
+        deliveryTime: "25",
+        offer: {off: "30", proExtra: "40"},
+        thumb: "/images/Food/pizza.png",
+        gallery: ["/images/Food/pizza.png", "/images/food2.jpg", "/images/food3.jpg", "/images/food1.jpg"],
+        knownFor: "Thin Crust Pizza, Late Night Delivery",
+        moreInfo: ["Late Night Delivery", "Home Delivery", "Takeaway Available"],
+        menuCards: [
+            {ttl: "Menu", imgSrc: "/images/menucard.png", pages: 5}
+        ],
+        menu: {
+            pizzas: [
+                {id: "pz-1", mustTry: true, imgSrc: "/images/Food/pizza.png", ttl: "Margherita Pizza", votes: "260", price: "249", desc: "Classic tomato sauce, mozzarella and fresh basil on a thin crust", foodType: "veg", tags: ["jain"], customisations: pizzaOptions},
+                {id: "pz-2", mustTry: false, ttl: "Chicken Tikka Pizza", votes: "190", price: "349", desc: "Tandoori chicken tikka, onion and capsicum with mozzarella", foodType: "nonveg", customisations: pizzaOptions}
+            ],
+            sides: [
+                {id: "pz-3", mustTry: false, ttl: "Garlic Bread", votes: "84", price: "129", desc: "Toasted baguette with garlic butter and herbs", foodType: "veg"}
+            ]
+        }
+    },
+    {
+        id: 7,
+        slug: "mangalcaptain-hotel",
+        city: "hyderabad",
+        cityName: "Hyderabad",
+        locality: "Kondapur",
+        name: "MangalCaptain Hotel",
+        cuisines: ["Desserts", "Ice Cream", "Beverages"],
+        address: "Botanical Garden Road, Kondapur, Hyderabad, Telangana, India",
+        phone: "9000099911",
+        lat: 17.4622,
+        lng: 78.3568,
+        fssaiNo: "13622066000117",
+        timings: weekTimings("11am", "12midnight"),
+        openNow: true,
+        ratings: {
+            dining: {rating: "4.6", count: "204"},
+            delivery: {rating: "4.1", count: "3,880"}
+        },
+        costForTwo: 350,
+        pureVeg: true,
+        outdoorSeating: true,
+        servesAlcohol: false,
+        promoted: true,
+        deliveryTime: "25",
+        offer: {off: null, proExtra: "40"},
+        thumb: "/images/Food/icecream.png",
+        gallery: ["/images/Food/icecream.png", "/images/food2.jpg", "/images/food1.jpg", "/images/food3.jpg"],
+        knownFor: "Sundaes, Thick Shakes, Late Night Desserts",
+        moreInfo: ["Pure Veg", "Outdoor Seating", "Desserts and Bakes", "Home Delivery"],
+        menuCards: [
+            {ttl: "Menu", imgSrc: "/images/menucard.png", pages: 3}
+        ],
+        menu: {
+            sundaes: [
+                {id: "mc-1", mustTry: true, imgSrc: "/images/Food/icecream.png", ttl: "Death By Chocolate", votes: "150", price: "220", desc: "Chocolate ice cream, brownie, fudge sauce and nuts", foodType: "veg"},
+                {id: "mc-2", mustTry: false, ttl: "Fruit Salad With Ice Cream", votes: "60", price: "160", desc: "Seasonal fruits with a scoop of vanilla ice cream", foodType: "veg", tags: ["gluten-free", "jain"]}
+            ]
+        }
+    },
+    {
+        id: 8,
+        slug: "kfcs-hotel",
+        city: "hyderabad",
+        cityName: "Hyderabad",
+        locality: "Gachibowli",
+        name: "KFCS Hotel",
+        cuisines: ["Burger", "Fast Food", "Chicken"],
+        address: "Telecom Nagar, Gachibowli, Hyderabad, Telangana, India",
+        phone: "9000012121",
+        lat: 17.4380,
+        lng: 78.3625,
+        fssaiNo: "13622077000388",
+        timings: weekTimings("11am", "11pm"),
+        openNow: false,
+        ratings: {
+            dining: {rating: "2.8", count: "97"},
+            delivery: {rating: "3.8", count: "21.4k"}
+        },
+        costForTwo: 500,
+        pureVeg: false,
+        outdoorSeating: false,
+        servesAlcohol: false,
+        promoted: false,
+        deliveryTime: "25",
+        offer: {off: "30", proExtra: "40"},
+        thumb: "/images/Food/kfc.png",
+        gallery: ["/images/Food/kfc.png", "/images/Food/chicken.png", "/images/food1.jpg", "/images/food2.jpg"],
+        knownFor: "Fried Chicken Buckets, Quick Bites",
+        moreInfo: ["Home Delivery", "Takeaway Available"],
+        menuCards: [
+            {ttl: "Menu", imgSrc: "/images/menucard.png", pages: 4}
+        ],
+        menu: {
+            buckets: [
+                {id: "kf-1", mustTry: true, imgSrc: "/images/Food/kfc.png", ttl: "Hot & Crispy Bucket [6 Pieces]", votes: "610", price: "599", desc: "Six pieces of spicy fried chicken", foodType: "nonveg"}
+            ],
+            burgers: [
+                {id: "kf-2", mustTry: false, ttl: "Veg Zinger Burger", votes: "140", price: "149", desc: "Crispy veg patty with lettuce and mayo in a toasted bun", foodType: "veg", customisations: burgerOptions}
+            ]
+        }
+    },
+    {
+        id: 9,
+        slug: "meghana-foods",
+        city: "bangalore",
+        cityName: "Bangalore",
+        locality: "Koramangala",
+        name: "Meghana Foods",
+        cuisines: ["Biryani", "Andhra", "Chinese"],
+        address: "80 Feet Road, Koramangala 6th Block, Bangalore, Karnataka, India",
+        phone: "9845012345",
+        lat: 12.9352,
+        lng: 77.6245,
+        fssaiNo: "11219334000810",
+        timings: weekTimings("12noon", "11:30pm"),
+        openNow: true,
+        ratings: {
+            dining: {rating: "4.4", count: "8,420"},
+            delivery: {rating: "4.2", count: "96.5k"}
+        },
+        costForTwo: 700,
+        pureVeg: false,
+        outdoorSeating: false,
+        servesAlcohol: false,
+        promoted: false,
+        deliveryTime: "35",
+        offer: {off: "20", proExtra: "40"},
+        thumb: "/images/Food/biryani2.png",
+        gallery: ["/images/Food/biryani2.png", "/images/food1.jpg", "/images/food2.jpg", "/images/food3.jpg"],
+        knownFor: "Boneless Biryani, Andhra Spice, Quick Service",
+        moreInfo: ["Home Delivery", "Indoor Seating"],
+        menuCards: [
+            {ttl: "Menu", imgSrc: "/images/menucard.png", pages: 9}
+        ],
+        menu: {
+            biryanis: [
+                {id: "mf-1", mustTry: true, imgSrc: "/images/Food/biryani2.png", ttl: "Boneless Chicken Biryani", votes: "2310", price: "330", desc: "Andhra style biryani with spicy boneless chicken pieces", foodType: "nonveg", customisations: biryaniOptions},
+                {id: "mf-2", mustTry: false, ttl: "Veg Biryani", votes: "420", price: "240", desc: "Basmati rice cooked with mixed vegetables and Andhra spices", foodType: "veg", tags: ["gluten-free"], customisations: biryaniOptions}
+            ]
+        }
+    }
+]
+
+export default restaurants
@@ -0,0 +1,9 @@
+// `parentId` points at the comment being replied to, replies are only one level deep
+const reviewComments = [
+    {id: 1, reviewId: 1, userId: "123", parentId: null, body: "Agree, their ghee karam dosa is the best in town.", createdAt: "2026-09-29T09:05:00.000Z", updatedAt: "2026-09-29T09:05:00.000Z"},
+    {id: 2, reviewId: 1, userId: "ll", parentId: 1, body: "Try it with the peanut chutney next time!", createdAt: "2026-09-29T11:20:00.000Z", updatedAt: "2026-09-29T11:20:00.000Z"},
+    {id: 3, reviewId: 3, userId: "13", parentId: null, body: "Did you ask them to go easy on the oil?", createdAt: "2026-09-04T10:00:00.000Z", updatedAt: "2026-09-04T10:00:00.000Z"},
+    {id: 4, reviewId: 7, userId: "11", parentId: null, body: "Still my go-to biryani place.", createdAt: "2026-09-22T20:30:00.000Z", updatedAt: "2026-09-22T20:30:00.000Z"}
+]
+
+export default reviewComments
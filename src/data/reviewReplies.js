@@ -0,0 +1,6 @@
+// The restaurant's official reply, at most one per review
+const reviewReplies = [
+    {reviewId: 8, restaurantId: 2, userId: "ll", body: "Thanks for the feedback! We've added staff for weekend evenings, do give us another try.", createdAt: "2026-08-31T10:15:00.000Z", updatedAt: "2026-08-31T10:15:00.000Z"}
+]
+
+export default reviewReplies
@@ -0,0 +1,12 @@
+// userId found reviewId helpful
+const reviewVotes = [
+    {reviewId: 1, userId: "123", createdAt: "2026-09-29T09:00:00.000Z"},
+    {reviewId: 1, userId: "11", createdAt: "2026-09-30T12:15:00.000Z"},
+    {reviewId: 1, userId: "13", createdAt: "2026-10-01T18:40:00.000Z"},
+    {reviewId: 3, userId: "ll", createdAt: "2026-09-03T08:10:00.000Z"},
+    {reviewId: 5, userId: "ll", createdAt: "2026-08-04T10:00:00.000Z"},
+    {reviewId: 5, userId: "14", createdAt: "2026-08-06T14:30:00.000Z"},
+    {reviewId: 7, userId: "123", createdAt: "2026-09-21T07:45:00.000Z"}
+]
+
+export default reviewVotes
@@ -0,0 +1,14 @@
+// `orderId` links a delivery review to the order it was written for
+const reviews = [
+    {id: 1, restaurantId: 1, userId: "ll", type: "delivery", rating: 5, body: "<p>Ghee karam dosa arrived <b>hot and crisp</b>. Packing was neat and the chutneys didn't spill.</p>", dishes: ["kmt-2"], orderId: 3, createdAt: "2026-09-28T14:10:00.000Z", updatedAt: "2026-09-28T14:10:00.000Z"},
+    {id: 2, restaurantId: 1, userId: "123", type: "dining", rating: 4, body: "<p>Classic mess vibe, quick service. The kebabs were the highlight.</p>", dishes: ["kmt-1"], orderId: null, createdAt: "2026-09-14T08:00:00.000Z", updatedAt: "2026-09-14T08:00:00.000Z"},
+    {id: 3, restaurantId: 1, userId: "11", type: "dining", rating: 3, body: "<p>Egg biryani was good but a little too oily for me.</p><ul><li>Portions: generous</li><li>Wait time: 20 minutes</li></ul>", dishes: ["kmt-5"], orderId: null, createdAt: "2026-09-02T19:30:00.000Z", updatedAt: "2026-09-02T19:30:00.000Z"},
+    {id: 4, restaurantId: 1, userId: "12", type: "delivery", rating: 2, body: "<p>Came in late and the food was lukewarm.</p>", dishes: [], orderId: null, createdAt: "2026-08-21T13:45:00.000Z", updatedAt: "2026-08-21T13:45:00.000Z"},
+    {id: 5, restaurantId: 1, userId: "13", type: "dining", rating: 5, body: "<p>Best tiffins in the area, <i>every single time</i>.</p>", dishes: ["kmt-2", "kmt-6"], orderId: null, createdAt: "2026-08-03T09:20:00.000Z", updatedAt: "2026-08-03T09:20:00.000Z"},
+    {id: 6, restaurantId: 1, userId: "14", type: "delivery", rating: 4, body: "<p>Chicken dum biryani was well spiced, raita could have been thicker.</p>", dishes: ["kmt-4"], orderId: null, createdAt: "2026-07-19T20:05:00.000Z", updatedAt: "2026-07-19T20:05:00.000Z"},
+    {id: 7, restaurantId: 2, userId: "ll", type: "delivery", rating: 4, body: "<p>The biryani is as good as it was years ago.</p>", dishes: ["ph-1"], orderId: 1, createdAt: "2026-09-20T21:00:00.000Z", updatedAt: "2026-09-20T21:00:00.000Z"},
+    {id: 8, restaurantId: 2, userId: "123", type: "dining", rating: 3, body: "<p>Crowded on weekends, service slows down a lot.</p>", dishes: [], orderId: null, createdAt: "2026-08-30T19:00:00.000Z", updatedAt: "2026-08-30T19:00:00.000Z"},
+    {id: 9, restaurantId: 9, userId: "ll", type: "dining", rating: 5, body: "<p>Boneless biryani lives up to the hype.</p>", dishes: ["mf-1"], orderId: null, createdAt: "2026-08-11T14:30:00.000Z", updatedAt: "2026-08-11T14:30:00.000Z"}
+]
+
+export default reviews
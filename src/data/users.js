@@ -0,0 +1,127 @@
+// `blogger` marks food bloggers, their reviews show under the Bloggers filter
+const users = [
+    {
+        id: "ll",
+        name: "Koushil Mankali",
+        email: "koushil@example.com",
+        phone: "8074786491",
+        profilePic: "/images/koushil.jpg",
+        city: "hyderabad"
+    },
+    {
+        id: "123",
+        name: "Ravi Teja",
+        email: "ravi@example.com",
+        phone: "9876500011",
+        profilePic: "/images/profilepic.jpg",
+        city: "hyderabad"
+    },
+    {
+        id: "11",
+        name: "Sneha Reddy",
+        email: "sneha@example.com",
+        phone: "9876500022",
+        profilePic: "/images/profilepic.jpg",
+        city: "hyderabad",
+        blogger: true
+    },
+    {
+        id: "12",
+        name: "Arjun Rao",
+        email: "arjun@example.com",
+        phone: "9876500012",
+        profilePic: "/images/profilepic.jpg",
+        city: "hyderabad"
+    },
+    {
+        id: "13",
+        name: "Priya Sharma",
+        email: "priya@example.com",
+        phone: "9876500013",
+        profilePic: "/images/profilepic.jpg",
+        city: "hyderabad",
+        blogger: true
+    },
+    {
+        id: "14",
+        name: "Kiran Kumar",
+        email: "kiran@example.com",
+        phone: "9876500014",
+        profilePic: "/images/profilepic.jpg",
+        city: "hyderabad"
+    },
+    {
+        id: "15",
+        name: "Ananya Iyer",
+        email: "ananya@example.com",
+        phone: "9876500015",
+        profilePic: "/images/profilepic.jpg",
+        city: "hyderabad"
+    },
+    {
+        id: "16",
+        name: "Rahul Verma",
+        email: "rahul@example.com",
+        phone: "9876500016",
+        profilePic: "/images/profilepic.jpg",
+        city: "hyderabad"
+    },
+    {
+        id: "17",
+        name: "Meera Nair",
+        email: "meera@example.com",
+        phone: "9876500017",
+        profilePic: "/images/profilepic.jpg",
+        city: "hyderabad"
+    },
+    {
+        id: "18",
+        name: "Vikram Singh",
+        email: "vikram@example.com",
+        phone: "9876500018",
+        profilePic: "/images/profilepic.jpg",
+        city: "hyderabad"
+    },
+    {
+        id: "19",
+        name: "Divya Menon",
+        email: "divya@example.com",
+        phone: "9876500019",
+        profilePic: "/images/profilepic.jpg",
+        city: "hyderabad"
+    },
+    {
+        id: "20",
+        name: "Sai Charan",
+        email: "sai@example.com",
+        phone: "9876500020",
+        profilePic: "/images/profilepic.jpg",
+        city: "hyderabad"
+    },
+    {
+        id: "21",
+        name: "Lakshmi Prasad",
+        email: "lakshmi@example.com",
+        phone: "9876500021",
+        profilePic: "/images/profilepic.jpg",
+        city: "hyderabad"
+    },
+    {
+        id: "22",
+        name: "Farhan Ali",
+        email: "farhan@example.com",
+        phone: "9876500022",
+        profilePic: "/images/profilepic.jpg",
+        city: "hyderabad"
+    },
+    {
+        id: "23",
+        name: "Nikhil Jain",
+        email: "nikhil@example.com",
+        phone: "9876500023",
+        profilePic: "/images/profilepic.jpg",
+        city: "hyderabad"
+    }
+]
+
+export default users
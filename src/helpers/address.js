@@ -0,0 +1,4 @@
+export const addressTypeLabels = {home: "Home", work: "Work", other: "Other"}
+
+// One line for cards, checkout and the order's "deliver to"
+export const formatAddress = (address) => [address?.floor, address?.completeAddress, address?.nearBy, address?.area].filter(Boolean).join(', ');
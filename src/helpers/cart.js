@@ -0,0 +1,58 @@
+import { gstRate, deliveryCharge, paymentMethods } from './constants'
+
+export const roundAmount = (amount) => Math.round((+amount || 0) * 100) / 100;
+
+export const formatAmount = (amount) => roundAmount(amount).toFixed(2);
+
+export const getLineTotal = (line) => roundAmount(+line?.price * +line?.qty);
+
+export const getCartCount = (items = []) => items.reduce((acc, line) => acc + line.qty, 0);
+
+export const getItemTotal = (items = []) => roundAmount(items.reduce((acc, line) => acc + getLineTotal(line), 0));
+
+// GST is charged on the discounted amount
+export const getCartBill = (items = [], discount = 0) => {
+    const itemTotal = getItemTotal(items);
+    const taxes = items.length ? roundAmount((itemTotal - discount) * gstRate + deliveryCharge) : 0;
+
+    return {
+        itemTotal,
+        discount: roundAmount(discount),
+        taxes,
+        grandTotal: roundAmount(itemTotal - discount + taxes)
+    }
+}
+
+export const buildOrder = (cart, coupon = null, deliveredTo = null) => {
+    const {itemTotal, discount, taxes, grandTotal} = getCartBill(cart?.items, coupon?.discount);
+    const paymentMethod = paymentMethods.find(val => val.key === cart?.paymentMethod) ?? paymentMethods[0];
+    const placedAt = new Date();
+
+    return {
+        orderNum: String(placedAt.getTime()).slice(-6),
+        restaurant: cart?.restaurant,
+        name: cart?.restaurant?.name,
+        items: cart?.items?.map(line => ({
+            id: line.id,
+            itemName: line.ttl,
+            choices: line.choices ?? [],
+            qty: line.qty,
+            price: line.price,
+            foodType: line.foodType
+        })),
+        orderedOn: new Intl.DateTimeFormat("en", {
+            timeStyle: "medium",
+            dateStyle: "short"
+        })?.format(placedAt),
+        itemTotal: formatAmount(itemTotal),
+        ...(coupon ? {coupon: {couponName: coupon.code, discount: formatAmount(discount)}} : {}),
+        taxesandcharges: formatAmount(taxes),
+        totalSavings: formatAmount(discount),
+        grandTotal: formatAmount(grandTotal),
+        paymentMethod: paymentMethod.key,
+        paymentType: `Using ${paymentMethod.label}`,
+        orderStatus: "Placed",
+        deliveredTo,
+        fav: false
+    }
+}
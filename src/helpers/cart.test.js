@@ -0,0 +1,53 @@
+import { describe, expect, it } from 'vitest'
+
+import { buildOrder, getCartBill, getItemTotal } from './cart'
+
+const items = [
+    {id: "b1", lineId: "b1:size=full", ttl: "Chicken Biryani", choices: ["Full"], price: 380, qty: 2, foodType: "nonveg"},
+    {id: "k1", lineId: "k1", ttl: "Kheer", price: 90, qty: 1, foodType: "veg"}
+]
+
+const cart = {restaurant: {city: "hyderabad", hotel: "paradise", name: "Paradise"}, items, coupon: "SAVE50", paymentMethod: "upi"}
+
+describe('getCartBill', () => {
+    it('adds up every line', () => {
+        expect(getItemTotal(items)).toBe(850);
+    })
+
+    it('charges GST on the discounted amount plus the delivery charge', () => {
+        // (850 - 50) * 5% + 30
+        expect(getCartBill(items, 50)).toEqual({itemTotal: 850, discount: 50, taxes: 70, grandTotal: 870});
+    })
+
+    it('charges nothing for an empty cart', () => {
+        expect(getCartBill([], 0)).toEqual({itemTotal: 0, discount: 0, taxes: 0, grandTotal: 0});
+    })
+})
+
+describe('buildOrder', () => {
+    it('totals the order with the coupon and keeps each line\'s choices', () => {
+        const order = buildOrder(cart, {code: "SAVE50", discount: 50}, "Banjara Hills, Hyderabad");
+        expect(order).toMatchObject({
+            restaurant: cart.restaurant,
+            name: "Paradise",
+            itemTotal: "850.00",
+            coupon: {couponName: "SAVE50", discount: "50.00"},
+            taxesandcharges: "70.00",
+            totalSavings: "50.00",
+            grandTotal: "870.00",
+            paymentMethod: "upi",
+            paymentType: "Using UPI",
+            deliveredTo: "Banjara Hills, Hyderabad"
+        });
+        expect(order.items).toEqual([
+            {id: "b1", itemName: "Chicken Biryani", choices: ["Full"], qty: 2, price: 380, foodType: "nonveg"},
+            {id: "k1", itemName: "Kheer", choices: [], qty: 1, price: 90, foodType: "veg"}
+        ]);
+    })
+
+    it('leaves the coupon off when none was applied', () => {
+        const order = buildOrder(cart);
+        expect(order).not.toHaveProperty('coupon');
+        expect(order.grandTotal).toBe("922.50");
+    })
+})
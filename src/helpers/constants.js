@@ -14,3 +14,75 @@ export const myaddressPage = 'my-address'
 export const favoriteordersPage = 'favorite-orders'
 export const bookingsPage = 'bookings'
 
+
+export const cartStorageKey = 'cart'
+export const gstRate = 0.05
+export const deliveryCharge = 30
+
+export const authTokenStorageKey = 'token'
+export const authExpiryStorageKey = 'tokenExpiresAt'
+export const mockDbStorageKey = 'mockDb'
+
+export const otpLength = 6
+export const otpResendSeconds = 60
+
+export const defaultLocation = {
+    city: 'hyderabad',
+    cityName: 'Hyderabad',
+    locality: 'Gachibowli',
+    lat: 17.4401,
+    lng: 78.3489
+}
+
+export const locationStorageKey = 'location'
+export const geolocationTimeoutMs = 10000
+
+export const nearbyDistanceKm = 5
+export const maxCostForTwo = 2000
+export const costStep = 100
+
+export const recentSearchesStorageKey = 'recentSearches'
+export const maxRecentSearches = 5
+export const searchDebounceMs = 300
+
+export const paymentMethods = [
+    {key: 'card', label: 'Card'},
+    {key: 'upi', label: 'UPI'},
+    {key: 'paytm', label: 'Paytm Wallet'},
+    {key: 'icici-netbanking', label: 'ICICI Netbanking'},
+    {key: 'cod', label: 'Cash on Delivery'}
+]
+
+export const defaultDeliveryMinutes = 30
+export const trackingRefreshMs = 30000
+
+export const ordersPageSize = 6
+export const peoplePageSize = 12
+export const restaurantsPageSize = 6
+export const photosPageSize = 12
+export const reviewsPageSize = 5
+export const notificationsPageSize = 10
+
+// Any XYZ tile server works. The default is the public OpenStreetMap server, which asks for
+// light use and a credit line, so point this at your own tiles for anything beyond development
+export const mapTileUrl = import.meta.env.VITE_MAP_TILE_URL || 'https://tile.openstreetmap.org/{z}/{x}/{y}.png'
+export const mapTileAttribution = import.meta.env.VITE_MAP_TILE_ATTRIBUTION ?? '© OpenStreetMap contributors'
+export const mapTileSize = 256
+export const mapMinZoom = 10
+export const mapMaxZoom = 18
+export const mapDefaultZoom = 15
+
+// Photos are scaled and recompressed in the browser until they fit, instead of being rejected
+export const photoMaxDimension = 1600
+export const photoMaxBytes = 1024 * 1024
+export const maxPhotosPerUpload = 10
+
+export const reviewDraftsStorageKey = 'reviewDrafts'
+export const reviewDraftSaveMs = 1000
+export const maxReviewLength = 5000
+export const maxReviewPhotos = 5
+export const maxCommentLength = 1000
+export const maxReplyLength = 1000
+// Reviewers with at least this many followers show up under the "Popular" reviews filter
+export const popularReviewerMinFollowers = 5
+export const suggestedUsersCount = 4
@@ -0,0 +1,107 @@
+import { maxCostForTwo } from './constants'
+import { getDistance } from './location'
+
+export const sortOptions = [
+    {value: 'popularity', label: 'Popularity'},
+    {value: 'rating', label: 'Rating: High to Low'},
+    {value: 'deliveryTime', label: 'Delivery Time'},
+    {value: 'distance', label: 'Distance'},
+    {value: 'costLow', label: 'Cost: Low to High'},
+    {value: 'costHigh', label: 'Cost: High to Low'},
+]
+
+export const defaultFilters = {
+    sort: 'popularity',
+    veg: false,
+    rating: 0,
+    open: false,
+    outdoor: false,
+    alcohol: false,
+    offers: false,
+    distance: 0,
+    cuisines: [],
+    costMin: 0,
+    costMax: maxCostForTwo
+}
+
+const flagKeys = ['veg', 'open', 'outdoor', 'alcohol', 'offers'];
+const numberKeys = ['rating', 'distance', 'costMin', 'costMax'];
+
+export const readFilters = (params) => {
+    const filters = {...defaultFilters};
+    const sort = params.get('sort');
+    if(sortOptions.some(val => val.value === sort)) filters.sort = sort;
+    flagKeys.forEach(key => {
+        filters[key] = params.get(key) === '1';
+    });
+    numberKeys.forEach(key => {
+        const value = Number(params.get(key));
+        if(params.has(key) && !Number.isNaN(value)) filters[key] = value;
+    });
+    filters.cuisines = params.get('cuisines')?.split(',').filter(Boolean) ?? [];
+    return filters;
+}
+
+// Only non-default values end up in the url, unrelated params (like page) are kept
+export const writeFilters = (params, filters) => {
+    const next = new URLSearchParams(params);
+    Object.keys(defaultFilters).forEach(key => next.delete(key));
+    if(filters.sort !== defaultFilters.sort) next.set('sort', filters.sort);
+    flagKeys.forEach(key => {
+        if(filters[key]) next.set(key, '1');
+    });
+    numberKeys.forEach(key => {
+        if(filters[key] !== defaultFilters[key]) next.set(key, filters[key]);
+    });
+    if(filters.cuisines.length) next.set('cuisines', filters.cuisines.join(','));
+    return next;
+}
+
+export const countActiveFilters = (filters) => {
+    return Object.keys(defaultFilters).filter(key => {
+        if(key === 'cuisines') return filters.cuisines.length > 0;
+        if(key === 'costMax') return false;
+        if(key === 'costMin') return filters.costMin !== defaultFilters.costMin || filters.costMax !== defaultFilters.costMax;
+        return filters[key] !== defaultFilters[key];
+    }).length;
+}
+
+const parseCount = (count) => {
+    const value = parseFloat(String(count).replace(/,/g, ''));
+    return /k$/i.test(count) ? value * 1000 : value;
+}
+
+const comparators = {
+    popularity: (a, b) => parseCount(b.ratingCount) - parseCount(a.ratingCount),
+    rating: (a, b) => b.rating - a.rating,
+    deliveryTime: (a, b) => a.deliveryTime - b.deliveryTime,
+    distance: (a, b) => a.distance - b.distance,
+    costLow: (a, b) => a.costForTwo - b.costForTwo,
+    costHigh: (a, b) => b.costForTwo - a.costForTwo
+}
+
+// ratingType picks between dining and delivery ratings, origin is used for distances
+export const applyFilters = (restaurants, filters, {ratingType = 'dining', origin}) => {
+    return restaurants
+        .map(restaurant => ({
+            ...restaurant,
+            rating: Number(restaurant.ratings[ratingType].rating),
+            ratingCount: restaurant.ratings[ratingType].count,
+            deliveryTime: Number(restaurant.deliveryTime),
+            distance: origin ? getDistance(origin, restaurant) : 0
+        }))
+        .filter(val => !filters.veg || val.pureVeg)
+        .filter(val => !filters.open || val.openNow)
+        .filter(val => !filters.outdoor || val.outdoorSeating)
+        .filter(val => !filters.alcohol || val.servesAlcohol)
+        .filter(val => !filters.offers || Number(val.offer?.off) > 0)
+        .filter(val => val.rating >= filters.rating)
+        .filter(val => !filters.distance || val.distance <= filters.distance)
+        .filter(val => !filters.cuisines.length || val.cuisines.some(c => filters.cuisines.includes(c)))
+        .filter(val => val.costForTwo >= filters.costMin && (filters.costMax >= maxCostForTwo || val.costForTwo <= filters.costMax))
+        .sort(comparators[filters.sort]);
+}
+
+export const getCuisines = (restaurants) => {
+    return [...new Set(restaurants.flatMap(val => val.cuisines))].sort();
+}
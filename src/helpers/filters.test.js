@@ -0,0 +1,91 @@
+import { describe, expect, it } from 'vitest'
+
+import { applyFilters, countActiveFilters, defaultFilters, readFilters, writeFilters } from './filters'
+
+const restaurant = (id, extra = {}) => ({
+    id,
+    ratings: {dining: {rating: "4.0", count: "100"}, delivery: {rating: "3.5", count: "1.2K"}},
+    deliveryTime: "30",
+    lat: 17.4,
+    lng: 78.4,
+    pureVeg: false,
+    openNow: true,
+    outdoorSeating: false,
+    servesAlcohol: false,
+    offer: null,
+    cuisines: ["Biryani"],
+    costForTwo: 500,
+    ...extra
+});
+
+const ids = (list) => list.map(val => val.id);
+
+describe('applyFilters', () => {
+    const restaurants = [
+        restaurant(1, {ratings: {dining: {rating: "4.5", count: "20"}, delivery: {rating: "3.0", count: "5K"}}, pureVeg: true, costForTwo: 300}),
+        restaurant(2, {ratings: {dining: {rating: "4.0", count: "50"}, delivery: {rating: "3.5", count: "1.2K"}}, openNow: false, servesAlcohol: true, cuisines: ["Chinese"], costForTwo: 1500, deliveryTime: "20"}),
+        restaurant(3, {offer: {off: "20"}, outdoorSeating: true, cuisines: ["Chinese", "Biryani"], lat: 17.5, costForTwo: 2500})
+    ];
+
+    it('keeps everything with the default filters, most rated first', () => {
+        expect(ids(applyFilters(restaurants, defaultFilters, {}))).toEqual([3, 2, 1]);
+    })
+
+    it('applies the flag filters', () => {
+        expect(ids(applyFilters(restaurants, {...defaultFilters, veg: true}, {}))).toEqual([1]);
+        expect(ids(applyFilters(restaurants, {...defaultFilters, open: true}, {}))).toEqual([3, 1]);
+        expect(ids(applyFilters(restaurants, {...defaultFilters, outdoor: true}, {}))).toEqual([3]);
+        expect(ids(applyFilters(restaurants, {...defaultFilters, alcohol: true}, {}))).toEqual([2]);
+        expect(ids(applyFilters(restaurants, {...defaultFilters, offers: true}, {}))).toEqual([3]);
+    })
+
+    it('reads ratings of the chosen type', () => {
+        const filters = {...defaultFilters, rating: 3.5};
+        expect(ids(applyFilters(restaurants, filters, {ratingType: 'dining'}))).toEqual([3, 2, 1]);
+        expect(ids(applyFilters(restaurants, filters, {ratingType: 'delivery'}))).toEqual([2, 3]);
+        expect(ids(applyFilters(restaurants, defaultFilters, {ratingType: 'delivery'}))).toEqual([1, 2, 3]);
+    })
+
+    it('matches any of the picked cuisines', () => {
+        expect(ids(applyFilters(restaurants, {...defaultFilters, cuisines: ["Chinese"]}, {}))).toEqual([3, 2]);
+    })
+
+    it('treats the top of the cost range as open ended', () => {
+        expect(ids(applyFilters(restaurants, {...defaultFilters, costMin: 400}, {}))).toEqual([3, 2]);
+        expect(ids(applyFilters(restaurants, {...defaultFilters, costMax: 1000}, {}))).toEqual([1]);
+    })
+
+    it('measures distance from the origin only when there is one', () => {
+        const origin = {lat: 17.4, lng: 78.4};
+        expect(ids(applyFilters(restaurants, {...defaultFilters, distance: 5}, {origin}))).toEqual([2, 1]);
+        expect(ids(applyFilters(restaurants, {...defaultFilters, distance: 5}, {}))).toEqual([3, 2, 1]);
+        expect(ids(applyFilters(restaurants, {...defaultFilters, sort: 'distance'}, {origin}))[2]).toBe(3);
+    })
+
+    it('sorts by the picked option', () => {
+        expect(ids(applyFilters(restaurants, {...defaultFilters, sort: 'rating'}, {}))).toEqual([1, 2, 3]);
+        expect(ids(applyFilters(restaurants, {...defaultFilters, sort: 'deliveryTime'}, {}))[0]).toBe(2);
+        expect(ids(applyFilters(restaurants, {...defaultFilters, sort: 'costLow'}, {}))).toEqual([1, 2, 3]);
+        expect(ids(applyFilters(restaurants, {...defaultFilters, sort: 'costHigh'}, {}))).toEqual([3, 2, 1]);
+    })
+})
+
+describe('readFilters and writeFilters', () => {
+    it('round trip through the url and keep unrelated params', () => {
+        const filters = {...defaultFilters, sort: 'rating', veg: true, rating: 4, cuisines: ["Biryani", "Chinese"]};
+        const params = writeFilters(new URLSearchParams('page=2&costMin=100'), filters);
+        expect(params.toString()).toBe('page=2&sort=rating&veg=1&rating=4&cuisines=Biryani%2CChinese');
+        expect(readFilters(params)).toEqual(filters);
+    })
+
+    it('ignore unknown sorts and bad numbers', () => {
+        expect(readFilters(new URLSearchParams('sort=nope&rating=abc'))).toEqual(defaultFilters);
+    })
+})
+
+describe('countActiveFilters', () => {
+    it('counts the cost range once', () => {
+        expect(countActiveFilters(defaultFilters)).toBe(0);
+        expect(countActiveFilters({...defaultFilters, veg: true, costMin: 100, costMax: 500, cuisines: ["Biryani"]})).toBe(3);
+    })
+})
@@ -0,0 +1,67 @@
+import { photoMaxDimension, photoMaxBytes } from './constants'
+
+const jpegQualities = [0.9, 0.8, 0.7, 0.6, 0.5];
+
+export const photoFormats = [
+    {label: 'JPEG', types: ['image/jpeg'], extensions: ['jpg', 'jpeg']},
+    {label: 'PNG', types: ['image/png'], extensions: ['png']},
+    {label: 'WebP', types: ['image/webp'], extensions: ['webp']}
+]
+
+const getExtension = (name) => name.includes('.') ? name.split('.').pop().toLowerCase() : '';
+
+// The extension decides the format; a MIME type, when the browser reports one, has to agree with it
+export const getPhotoFormat = (file) => {
+    const format = photoFormats.find(val => val.extensions.includes(getExtension(file.name)));
+    if(!format || (file.type && !format.types.includes(file.type))) return null;
+    return format;
+}
+
+export const validatePhoto = (file) => {
+    if(getPhotoFormat(file)) return null;
+    return `${file.name} isn't a ${photoFormats.map(val => val.label).join(', ').replace(/, (\w+)$/, ' or $1')} photo`;
+}
+
+export const hashFile = async (file) => {
+    const digest = await crypto.subtle.digest('SHA-256', await file.arrayBuffer());
+    return Array.from(new Uint8Array(digest), byte => byte.toString(16).padStart(2, '0')).join('');
+}
+
+const toBlob = (canvas, type, quality) => new Promise(resolve => canvas.toBlob(resolve, type, quality));
+
+const toJpegName = (name) => `${name.replace(/\.[^.]+$/, '')}.jpg`;
+
+// Scales a photo to fit maxDimension and steps the JPEG quality down until it fits maxBytes.
+// Photos that already fit are returned untouched
+export const resizeImage = async (file, {maxDimension = photoMaxDimension, maxBytes = photoMaxBytes} = {}) => {
+    let bitmap;
+    try{
+        bitmap = await createImageBitmap(file);
+    }catch(e){
+        throw new Error("This file couldn't be read as an image");
+    }
+
+    const scale = Math.min(1, maxDimension / Math.max(bitmap.width, bitmap.height));
+    if(scale === 1 && file.size <= maxBytes){
+        bitmap.close();
+        return file;
+    }
+
+    const canvas = document.createElement('canvas');
+    canvas.width = Math.round(bitmap.width * scale);
+    canvas.height = Math.round(bitmap.height * scale);
+    const ctx = canvas.getContext('2d');
+    // JPEG has no alpha, so transparent PNGs would otherwise turn black
+    ctx.fillStyle = '#fff';
+    ctx.fillRect(0, 0, canvas.width, canvas.height);
+    ctx.drawImage(bitmap, 0, 0, canvas.width, canvas.height);
+    bitmap.close();
+
+    for(const quality of jpegQualities){
+        const blob = await toBlob(canvas, 'image/jpeg', quality);
+        if(blob && blob.size <= maxBytes){
+            return new File([blob], toJpegName(file.name), {type: 'image/jpeg', lastModified: file.lastModified});
+        }
+    }
+    throw new Error('This image is too large even after compressing it');
+}
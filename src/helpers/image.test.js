@@ -0,0 +1,43 @@
+import { describe, expect, it } from 'vitest'
+
+import { getPhotoFormat, hashFile, validatePhoto } from './image'
+
+const photo = (name, type, content = "photo") => new File([content], name, {type});
+
+describe('validatePhoto', () => {
+    it('accepts JPEG, PNG and WebP photos', () => {
+        expect(validatePhoto(photo("dosa.jpg", "image/jpeg"))).toBeNull();
+        expect(validatePhoto(photo("dosa.JPEG", "image/jpeg"))).toBeNull();
+        expect(validatePhoto(photo("dosa.png", "image/png"))).toBeNull();
+        expect(validatePhoto(photo("dosa.webp", "image/webp"))).toBeNull();
+    })
+
+    it('goes by the extension when the browser reports no type', () => {
+        expect(getPhotoFormat(photo("dosa.png", "")).label).toBe("PNG");
+    })
+
+    it('rejects other formats and names the ones it takes', () => {
+        expect(validatePhoto(photo("dosa.heic", "image/heic"))).toBe("dosa.heic isn't a JPEG, PNG or WebP photo");
+        expect(validatePhoto(photo("menu.pdf", "application/pdf"))).toBe("menu.pdf isn't a JPEG, PNG or WebP photo");
+        expect(validatePhoto(photo("dosa", "image/jpeg"))).not.toBeNull();
+    })
+
+    it('rejects a file whose type disagrees with its extension', () => {
+        expect(validatePhoto(photo("dosa.jpg", "image/png"))).not.toBeNull();
+    })
+})
+
+describe('hashFile', () => {
+    it('hashes the contents as SHA-256 hex', async () => {
+        expect(await hashFile(photo("a.jpg", "image/jpeg", "abc")))
+            .toBe("ba7816bf8f01cfea414140de5dae2223b00361a396177a9cb410ff61f20015ad");
+    })
+
+    it('gives the same photo under another name the same hash', async () => {
+        const a = await hashFile(photo("a.jpg", "image/jpeg", "same bytes"));
+        const b = await hashFile(photo("b.jpg", "image/jpeg", "same bytes"));
+        const c = await hashFile(photo("c.jpg", "image/jpeg", "other bytes"));
+        expect(a).toBe(b);
+        expect(a).not.toBe(c);
+    })
+})
@@ -0,0 +1,137 @@
+import { gstRate } from './constants'
+import { formatAmount, getLineTotal, roundAmount } from './cart'
+import { createTextPdf, charWidth, pageWidth } from './pdf'
+
+const margin = 40
+const fontSize = 9
+
+// Characters that fit across the page at the PDF font size
+export const invoiceWidth = Math.floor((pageWidth - 2 * margin) / (fontSize * charWidth))
+
+export const invoiceColumns = [
+    {key: 'name', label: 'Item', width: invoiceWidth - 36},
+    {key: 'qty', label: 'Qty', width: 6, align: 'right'},
+    {key: 'rate', label: 'Rate', width: 14, align: 'right'},
+    {key: 'amount', label: 'Amount', width: 16, align: 'right'}
+]
+
+// Breaks down the stored taxes so the summary always adds up to the order's grand total
+export const buildInvoice = (order) => {
+    const itemTotal = +order.itemTotal || 0;
+    const discount = +order.coupon?.discount || 0;
+    const taxable = roundAmount(itemTotal - discount);
+    const gst = roundAmount(taxable * gstRate);
+    const cgst = roundAmount(gst / 2);
+    const sgst = roundAmount(gst - cgst);
+    const delivery = roundAmount((+order.taxesandcharges || 0) - gst);
+    const halfRate = `${(gstRate * 50).toFixed(1)}%`;
+
+    return {
+        number: `INV-${order.orderNum}`,
+        orderNum: order.orderNum,
+        date: order.orderedOn,
+        restaurant: {
+            name: order.name,
+            address: order.address ?? '',
+            fssaiNo: order.fssaiNo ?? ''
+        },
+        customer: {
+            phone: order.phoneNum ?? '',
+            deliveredTo: order.deliveredTo ?? ''
+        },
+        paymentType: order.paymentType,
+        items: (order.items ?? []).map(item => ({
+            name: item.choices?.length ? `${item.itemName} (${item.choices.join(', ')})` : item.itemName,
+            qty: String(item.qty),
+            rate: formatAmount(item.price),
+            amount: formatAmount(getLineTotal(item))
+        })),
+        summary: [
+            {label: 'Item total', amount: formatAmount(itemTotal)},
+            ...(discount ? [{label: `Discount (${order.coupon.couponName?.toUpperCase()})`, amount: `-${formatAmount(discount)}`}] : []),
+            {label: 'Taxable value', amount: formatAmount(taxable)},
+            {label: `CGST @ ${halfRate}`, amount: formatAmount(cgst)},
+            {label: `SGST @ ${halfRate}`, amount: formatAmount(sgst)},
+            ...(delivery ? [{label: 'Delivery charges', amount: formatAmount(delivery)}] : [])
+        ],
+        grandTotal: order.grandTotal
+    }
+}
+
+const wrap = (text, width) => {
+    const lines = [];
+    let line = '';
+    String(text).split(/\s+/).filter(Boolean).forEach(word => {
+        while(word.length > width){
+            if(line) lines.push(line);
+            lines.push(word.slice(0, width));
+            word = word.slice(width);
+            line = '';
+        }
+        if(!line) line = word;
+        else if(line.length + word.length + 1 <= width) line += ' ' + word;
+        else{
+            lines.push(line);
+            line = word;
+        }
+    });
+    if(line || !lines.length) lines.push(line);
+    return lines;
+}
+
+const pad = (text, width, align) => align === 'right' ? text.padStart(width) : text.padEnd(width);
+
+const row = (cells) => {
+    const wrapped = invoiceColumns.map(col => wrap(cells[col.key] ?? '', col.width));
+    const height = Math.max(...wrapped.map(val => val.length));
+    return Array.from({length: height}, (_, i) => {
+        return invoiceColumns.map((col, c) => pad(wrapped[c][i] ?? '', col.width, col.align)).join('').trimEnd();
+    });
+}
+
+const split = (left, right) => pad(left, invoiceWidth - right.length) + right;
+
+// Fixed-width text rendering of the invoice; the PDF is drawn from exactly these lines
+export const getInvoiceLines = (invoice) => {
+    const rule = '-'.repeat(invoiceWidth);
+    const text = (value, bold = false) => ({text: value, bold});
+
+    return [
+        text('TAX INVOICE', true),
+        text(''),
+        text(invoice.restaurant.name, true),
+        ...wrap(invoice.restaurant.address, invoiceWidth).map(line => text(line)),
+        text(`FSSAI Lic. No. ${invoice.restaurant.fssaiNo}`),
+        text(rule),
+        text(split(`Invoice No: ${invoice.number}`, `Date: ${invoice.date}`)),
+        text(split(`Order ID: ${invoice.orderNum}`, invoice.paymentType ?? '')),
+        ...(invoice.customer.deliveredTo ? wrap(`Deliver to: ${invoice.customer.deliveredTo}`, invoiceWidth).map(line => text(line)) : []),
+        ...(invoice.customer.phone ? [text(`Phone: ${invoice.customer.phone}`)] : []),
+        text(rule),
+        ...row(Object.fromEntries(invoiceColumns.map(col => [col.key, col.label]))).map(line => text(line, true)),
+        text(rule),
+        ...invoice.items.flatMap(item => row(item).map(line => text(line))),
+        text(rule),
+        ...invoice.summary.map(line => text(split(line.label, `Rs. ${line.amount}`))),
+        text(rule),
+        text(split('Grand Total', `Rs. ${invoice.grandTotal}`), true),
+        text(rule),
+        text(''),
+        text('This is a computer generated invoice and does not need a signature.')
+    ]
+}
+
+export const getInvoicePdf = (invoice) => createTextPdf(getInvoiceLines(invoice), {fontSize, lineHeight: 13, margin});
+
+export const downloadInvoice = (order) => {
+    const invoice = buildInvoice(order);
+    const url = URL.createObjectURL(new Blob([getInvoicePdf(invoice)], {type: 'application/pdf'}));
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = `${invoice.number}.pdf`;
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+    // Some browsers only start reading the blob after the click has been handled
+    setTimeout(() => URL.revokeObjectURL(url), 1000);
+}
@@ -0,0 +1,121 @@
+import { afterEach, describe, expect, it, vi } from 'vitest'
+
+import { buildInvoice, downloadInvoice, getInvoiceLines, getInvoicePdf, invoiceColumns, invoiceWidth } from './invoice'
+
+const order = {
+    orderNum: "482913",
+    orderedOn: "10/1/26, 12:00:00 PM",
+    name: "Paradise Hotel",
+    address: "Secunderabad, Hyderabad",
+    fssaiNo: "13619012000123",
+    phoneNum: "9876543210",
+    deliveredTo: "Flat 4, Sunrise Apartments, Banjara Hills, Hyderabad",
+    paymentType: "Using UPI",
+    items: [
+        {itemName: "Chicken Biryani", choices: ["Full", "Extra raita"], qty: 2, price: 350},
+        {itemName: "Double Ka Meetha", choices: [], qty: 1, price: 120}
+    ],
+    itemTotal: "820.00",
+    coupon: {couponName: "save50", discount: "50.00"},
+    taxesandcharges: "68.50",
+    grandTotal: "838.50"
+}
+
+describe('buildInvoice', () => {
+    it('lists every item with its choices, rate and amount', () => {
+        expect(buildInvoice(order).items).toEqual([
+            {name: "Chicken Biryani (Full, Extra raita)", qty: "2", rate: "350.00", amount: "700.00"},
+            {name: "Double Ka Meetha", qty: "1", rate: "120.00", amount: "120.00"}
+        ]);
+    })
+
+    it('splits the stored taxes into GST halves and delivery so the summary adds up', () => {
+        const invoice = buildInvoice(order);
+        expect(invoice.summary).toEqual([
+            {label: 'Item total', amount: '820.00'},
+            {label: 'Discount (SAVE50)', amount: '-50.00'},
+            {label: 'Taxable value', amount: '770.00'},
+            {label: 'CGST @ 2.5%', amount: '19.25'},
+            {label: 'SGST @ 2.5%', amount: '19.25'},
+            {label: 'Delivery charges', amount: '30.00'}
+        ]);
+        const [, , taxable, ...charges] = invoice.summary;
+        const total = charges.reduce((acc, line) => acc + +line.amount, +taxable.amount);
+        expect(total.toFixed(2)).toBe(invoice.grandTotal);
+    })
+
+    it('leaves out the discount and delivery lines when there are none', () => {
+        const invoice = buildInvoice({...order, coupon: undefined, itemTotal: "100.00", taxesandcharges: "5.00", grandTotal: "105.00"});
+        expect(invoice.summary).toEqual([
+            {label: 'Item total', amount: '100.00'},
+            {label: 'Taxable value', amount: '100.00'},
+            {label: 'CGST @ 2.5%', amount: '2.50'},
+            {label: 'SGST @ 2.5%', amount: '2.50'}
+        ]);
+    })
+
+    it('copes with older orders missing restaurant and customer details', () => {
+        const invoice = buildInvoice({...order, address: undefined, fssaiNo: undefined, phoneNum: undefined, deliveredTo: undefined});
+        expect(invoice.restaurant).toEqual({name: "Paradise Hotel", address: '', fssaiNo: ''});
+        expect(invoice.customer).toEqual({phone: '', deliveredTo: ''});
+    })
+})
+
+describe('getInvoiceLines', () => {
+    const lines = getInvoiceLines(buildInvoice(order));
+    const texts = lines.map(line => line.text);
+
+    it('never runs past the page width', () => {
+        expect(Math.max(...texts.map(text => text.length))).toBeLessThanOrEqual(invoiceWidth);
+        expect(invoiceColumns.reduce((acc, col) => acc + col.width, 0)).toBe(invoiceWidth);
+    })
+
+    it('right aligns numbers under their headings', () => {
+        const header = texts.find(text => text.startsWith('Item'));
+        const row = texts.find(text => text.startsWith('Chicken Biryani'));
+        expect(header.length).toBe(invoiceWidth);
+        expect(row.length).toBe(invoiceWidth);
+        expect(row.endsWith('350.00          700.00')).toBe(true);
+        expect(texts.at(-4)).toBe('Grand Total'.padEnd(invoiceWidth - 'Rs. 838.50'.length) + 'Rs. 838.50');
+    })
+
+    it('wraps long item names onto extra lines', () => {
+        const name = 'Very long dish name '.repeat(6).trim();
+        const rows = getInvoiceLines(buildInvoice({...order, items: [{itemName: name, qty: 1, price: 10}]}))
+            .map(line => line.text)
+            .filter(text => text.startsWith('Very') || text.startsWith('name') || text.startsWith('long') || text.startsWith('dish'));
+        expect(rows.length).toBeGreaterThan(1);
+        expect(rows.join(' ').replace(/\s+1\s+10\.00\s+10\.00/, '').replace(/\s+/g, ' ')).toBe(name);
+    })
+
+    it('is the same every time for the same order', () => {
+        expect(getInvoiceLines(buildInvoice(order))).toEqual(lines);
+        expect(getInvoicePdf(buildInvoice(order))).toBe(getInvoicePdf(buildInvoice(order)));
+        expect(lines.filter(line => line.bold).map(line => line.text.trim().split(/\s+/)[0])).toEqual(['TAX', 'Paradise', 'Item', 'Grand']);
+    })
+})
+
+describe('downloadInvoice', () => {
+    afterEach(() => {
+        vi.useRealTimers();
+        vi.unstubAllGlobals();
+        vi.restoreAllMocks();
+    })
+
+    it('keeps the file url alive until after the click has been handled', () => {
+        vi.useFakeTimers();
+        const link = {click: vi.fn(), remove: vi.fn()};
+        vi.stubGlobal('document', {createElement: () => link, body: {appendChild: vi.fn()}});
+        const create = vi.spyOn(URL, 'createObjectURL').mockReturnValue('blob:invoice');
+        const revoke = vi.spyOn(URL, 'revokeObjectURL').mockImplementation(() => {});
+
+        downloadInvoice(order);
+        expect(create).toHaveBeenCalledTimes(1);
+        expect(link.download).toBe('INV-482913.pdf');
+        expect(link.click).toHaveBeenCalled();
+        expect(revoke).not.toHaveBeenCalled();
+
+        vi.runAllTimers();
+        expect(revoke).toHaveBeenCalledWith('blob:invoice');
+    })
+})
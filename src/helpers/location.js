@@ -0,0 +1,58 @@
+import locations from '../data/locations'
+import { geolocationTimeoutMs } from './constants'
+
+const toRad = (deg) => deg * Math.PI / 180;
+
+// Great-circle distance in km
+export const getDistance = (from, to) => {
+    const dLat = toRad(to.lat - from.lat);
+    const dLng = toRad(to.lng - from.lng);
+    const a = Math.sin(dLat / 2) ** 2 + Math.cos(toRad(from.lat)) * Math.cos(toRad(to.lat)) * Math.sin(dLng / 2) ** 2;
+    return 6371 * 2 * Math.atan2(Math.sqrt(a), Math.sqrt(1 - a));
+}
+
+export const toLocation = (city, locality) => ({
+    city: city.city,
+    cityName: city.cityName,
+    locality: locality.name,
+    lat: locality.lat,
+    lng: locality.lng
+})
+
+export const getCity = (city) => locations.find(val => val.city === city);
+
+export const getNearestLocation = (coords) => {
+    let nearest = null;
+    locations.forEach(city => city.localities.forEach(locality => {
+        const distance = getDistance(coords, locality);
+        if(!nearest || distance < nearest.distance){
+            nearest = {distance, location: toLocation(city, locality)};
+        }
+    }));
+    return nearest.location;
+}
+
+export const searchLocations = (q) => {
+    const value = q.trim().toLowerCase();
+    return locations.flatMap(city => city.localities
+        .filter(locality => !value || locality.name.toLowerCase().includes(value) || city.cityName.toLowerCase().includes(value))
+        .map(locality => toLocation(city, locality)));
+}
+
+const geolocationErrors = {
+    1: 'Location permission was denied',
+    2: 'Your location is unavailable right now',
+    3: 'Detecting your location took too long'
+}
+
+// Resolves the browser position as {lat, lng}, rejects with a readable message
+export const getCurrentPosition = () => new Promise((resolve, reject) => {
+    if(!navigator.geolocation){
+        return reject(new Error('Location detection is not supported by your browser'));
+    }
+    navigator.geolocation.getCurrentPosition(
+        ({coords}) => resolve({lat: coords.latitude, lng: coords.longitude}),
+        (err) => reject(new Error(geolocationErrors[err.code] ?? 'Could not detect your location')),
+        {timeout: geolocationTimeoutMs}
+    );
+})
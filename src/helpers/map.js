@@ -0,0 +1,47 @@
+import { mapTileSize } from './constants'
+
+// Web Mercator, the projection every XYZ tile server uses. Pixel values are in "world" space for the zoom level.
+const worldSize = (zoom) => mapTileSize * 2 ** zoom;
+
+export const toPixel = ({lat, lng}, zoom) => {
+    const sin = Math.sin(lat * Math.PI / 180);
+    return {
+        x: (lng + 180) / 360 * worldSize(zoom),
+        y: (0.5 - Math.log((1 + sin) / (1 - sin)) / (4 * Math.PI)) * worldSize(zoom)
+    }
+}
+
+export const toLatLng = ({x, y}, zoom) => {
+    const n = Math.PI - 2 * Math.PI * y / worldSize(zoom);
+    return {
+        lat: 180 / Math.PI * Math.atan(Math.sinh(n)),
+        lng: x / worldSize(zoom) * 360 - 180
+    }
+}
+
+// Tiles needed to cover a `width` x `height` viewport centred on `center`, with their offsets inside it
+export const getTiles = (center, zoom, width, height) => {
+    const middle = toPixel(center, zoom);
+    const left = middle.x - width / 2;
+    const top = middle.y - height / 2;
+    const count = 2 ** zoom;
+    const tiles = [];
+    for(let ty = Math.floor(top / mapTileSize); ty <= Math.floor((top + height) / mapTileSize); ty++){
+        if(ty < 0 || ty >= count) continue;
+        for(let tx = Math.floor(left / mapTileSize); tx <= Math.floor((left + width) / mapTileSize); tx++){
+            tiles.push({
+                key: `${zoom}/${tx}/${ty}`,
+                x: ((tx % count) + count) % count,
+                y: ty,
+                z: zoom,
+                left: tx * mapTileSize - left,
+                top: ty * mapTileSize - top
+            });
+        }
+    }
+    return tiles;
+}
+
+export const getTileUrl = (template, {x, y, z}) => template.replace('{x}', x).replace('{y}', y).replace('{z}', z);
+
+export const roundCoord = (value) => Math.round(value * 1e6) / 1e6;
@@ -0,0 +1,8 @@
+// Keeps the last few digits so the number can still be recognised
+export const maskPhone = (phone, visible = 3) => {
+    const digits = String(phone ?? '');
+    return digits.length > visible ? digits.slice(-visible).padStart(digits.length, 'X') : digits;
+}
+
+// Hides every character but keeps spacing and punctuation so the masked text has the same shape
+export const maskText = (text) => String(text ?? '').replace(/[^\s,.-]/g, 'X');
@@ -0,0 +1,109 @@
+// Veg, egg and non-veg are a dish's base type and widen the menu when combined,
+// the remaining tags are dish attributes and every selected one has to match
+export const dietTags = [
+    {key: 'veg', label: 'Veg', base: true},
+    {key: 'egg', label: 'Egg', base: true},
+    {key: 'nonveg', label: 'Non-veg', base: true},
+    {key: 'vegan', label: 'Vegan'},
+    {key: 'gluten-free', label: 'Gluten-free'},
+    {key: 'jain', label: 'Jain'},
+]
+
+export const getDishes = (menu) => Object.values(menu ?? {}).flat();
+
+export const getDishTags = (dish) => [dish.foodType, ...(dish.tags ?? [])];
+
+export const matchesDiet = (dish, selected) => {
+    const tags = getDishTags(dish);
+    const base = dietTags.filter(tag => tag.base && selected.includes(tag.key));
+    const rest = dietTags.filter(tag => !tag.base && selected.includes(tag.key));
+    return (!base.length || base.some(tag => tags.includes(tag.key))) && rest.every(tag => tags.includes(tag.key));
+}
+
+export const matchesQuery = (dish, q) => {
+    const value = q.trim().toLowerCase();
+    return !value || dish.ttl.toLowerCase().includes(value) || dish.desc?.toLowerCase().includes(value);
+}
+
+// Returns [category, dishes] pairs with empty categories dropped
+export const filterMenu = (menu, {query = '', diet = []}) => {
+    return Object.entries(menu)
+        .map(([category, dishes]) => [category, dishes.filter(dish => matchesQuery(dish, query) && matchesDiet(dish, diet))])
+        .filter(([, dishes]) => dishes.length);
+}
+
+export const isCustomisable = (dish) => dish?.customisations?.length > 0;
+
+// A selection maps group ids to the chosen option ids, single choice
+// required groups start on their first option
+export const getDefaultSelection = (dish) => {
+    return Object.fromEntries((dish.customisations ?? []).map(group => {
+        return [group.id, group.min > 0 && group.max === 1 ? [group.options[0].id] : []];
+    }));
+}
+
+export const getGroupRule = (group) => {
+    if(group.min > 0){
+        return group.min === group.max ? `Required · Select ${group.min}` : `Required · Select ${group.min} to ${group.max}`;
+    }
+    return `Optional · Select up to ${group.max}`;
+}
+
+export const validateSelection = (dish, selection) => {
+    return Object.fromEntries((dish.customisations ?? []).flatMap(group => {
+        const count = selection[group.id]?.length ?? 0;
+        if(count < group.min) return [[group.id, `Select at least ${group.min}`]];
+        if(count > group.max) return [[group.id, `Select at most ${group.max}`]];
+        return [];
+    }));
+}
+
+const getChosenOptions = (dish, selection) => {
+    return (dish.customisations ?? []).flatMap(group => {
+        return group.options.filter(option => selection[group.id]?.includes(option.id));
+    });
+}
+
+export const getCustomisedPrice = (dish, selection) => {
+    return getChosenOptions(dish, selection).reduce((acc, option) => acc + option.price, +dish.price);
+}
+
+// Two copies of a dish only share a cart line when the same options were picked
+export const getLineId = (dish, selection) => {
+    const key = Object.keys(selection).sort()
+        .filter(groupId => selection[groupId].length)
+        .map(groupId => `${groupId}=${[...selection[groupId]].sort().join('+')}`)
+        .join(';');
+    return key ? `${dish.id}:${key}` : dish.id;
+}
+
+export const toCartItem = (dish, selection = {}) => {
+    const {customisations, ...item} = dish;
+    return {
+        ...item,
+        lineId: getLineId(dish, selection),
+        price: getCustomisedPrice(dish, selection),
+        choices: getChosenOptions(dish, selection).map(option => option.name)
+    }
+}
+
+// Matches a past order against today's menu. Choices are stored by name, so they are looked up again,
+// and orders from before customisations existed fall back to the dish's default options.
+export const getReorderLines = (order, menu) => {
+    const dishes = getDishes(menu);
+    return (order?.items ?? []).map(item => {
+        const dish = dishes.find(val => val.id === item.id);
+        if(!dish) return {item, status: 'unavailable'};
+
+        const choices = item.choices ?? [];
+        const selection = choices.length ? Object.fromEntries((dish.customisations ?? []).map(group => {
+            return [group.id, group.options.filter(option => choices.includes(option.name)).map(option => option.id)];
+        })) : getDefaultSelection(dish);
+        if(choices.length && (Object.values(selection).flat().length !== choices.length || Object.keys(validateSelection(dish, selection)).length)){
+            return {item, status: 'unavailable'};
+        }
+
+        const line = {...toCartItem(dish, selection), qty: +item.qty};
+        return {item, line, status: line.price !== +item.price ? 'priceChanged' : 'ok'};
+    });
+}
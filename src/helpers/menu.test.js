@@ -0,0 +1,92 @@
+import { describe, expect, it } from 'vitest'
+
+import { getCustomisedPrice, getDefaultSelection, getLineId, getReorderLines, toCartItem, validateSelection } from './menu'
+
+const biryani = {
+    id: "b1",
+    ttl: "Chicken Biryani",
+    price: "260",
+    foodType: "nonveg",
+    customisations: [
+        {id: "size", name: "Size", min: 1, max: 1, options: [
+            {id: "half", name: "Half", price: 0},
+            {id: "full", name: "Full", price: 120}
+        ]},
+        {id: "extras", name: "Extras", min: 0, max: 2, options: [
+            {id: "raita", name: "Extra raita", price: 20},
+            {id: "egg", name: "Boiled egg", price: 25},
+            {id: "salan", name: "Mirchi ka salan", price: 30}
+        ]}
+    ]
+}
+
+const kheer = {id: "k1", ttl: "Kheer", price: "90", foodType: "veg"}
+
+const menu = {Biryani: [biryani], Desserts: [kheer]}
+
+describe('customisation selection', () => {
+    it('starts single choice required groups on their first option and leaves the rest empty', () => {
+        expect(getDefaultSelection(biryani)).toEqual({size: ["half"], extras: []});
+    })
+
+    it('reports groups picked below their minimum or above their maximum', () => {
+        expect(validateSelection(biryani, {size: [], extras: []})).toEqual({size: "Select at least 1"});
+        expect(validateSelection(biryani, {size: ["half"], extras: ["raita", "egg", "salan"]})).toEqual({extras: "Select at most 2"});
+        expect(validateSelection(biryani, {size: ["full"], extras: ["egg"]})).toEqual({});
+    })
+
+    it('adds the price of every chosen option to the dish price', () => {
+        expect(getCustomisedPrice(biryani, {size: ["full"], extras: ["raita", "egg"]})).toBe(425);
+    })
+})
+
+describe('getLineId', () => {
+    it('uses the dish id when nothing was picked', () => {
+        expect(getLineId(kheer, {})).toBe("k1");
+        expect(getLineId(biryani, {size: [], extras: []})).toBe("b1");
+    })
+
+    it('gives the same line to the same options picked in any order', () => {
+        const a = getLineId(biryani, {size: ["full"], extras: ["raita", "egg"]});
+        const b = getLineId(biryani, {extras: ["egg", "raita"], size: ["full"]});
+        expect(a).toBe(b);
+        expect(a).not.toBe(getLineId(biryani, {size: ["full"], extras: ["raita"]}));
+    })
+})
+
+describe('toCartItem', () => {
+    it('prices the line with its options and keeps their names', () => {
+        const item = toCartItem(biryani, {size: ["full"], extras: ["salan"]});
+        expect(item).toMatchObject({id: "b1", price: 410, choices: ["Full", "Mirchi ka salan"]});
+        expect(item).not.toHaveProperty('customisations');
+    })
+})
+
+describe('getReorderLines', () => {
+    it('rebuilds lines from the stored choice names', () => {
+        const [result] = getReorderLines({items: [{id: "b1", choices: ["Full", "Extra raita"], qty: 2, price: 400}]}, menu);
+        expect(result.status).toBe('ok');
+        expect(result.line).toMatchObject({id: "b1", qty: 2, price: 400, choices: ["Full", "Extra raita"]});
+    })
+
+    it('flags dishes whose price changed since the order', () => {
+        const [result] = getReorderLines({items: [{id: "k1", qty: 1, price: 80}]}, menu);
+        expect(result.status).toBe('priceChanged');
+        expect(result.line.price).toBe(90);
+    })
+
+    it('marks dishes and options that are no longer on the menu as unavailable', () => {
+        const lines = getReorderLines({items: [
+            {id: "gone", qty: 1, price: 100},
+            {id: "b1", choices: ["Full", "Extra cheese"], qty: 1, price: 380}
+        ]}, menu);
+        expect(lines.map(val => val.status)).toEqual(['unavailable', 'unavailable']);
+        expect(lines.every(val => !val.line)).toBe(true);
+    })
+
+    it('falls back to the default options for items ordered without choices', () => {
+        const [result] = getReorderLines({items: [{id: "b1", qty: 1, price: 260}]}, menu);
+        expect(result.status).toBe('ok');
+        expect(result.line.choices).toEqual(["Half"]);
+    })
+})
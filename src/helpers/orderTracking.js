@@ -0,0 +1,45 @@
+import { defaultDeliveryMinutes } from './constants'
+
+// `remaining` is the share of the restaurant's delivery time still left once an order reaches that status
+export const orderStatuses = [
+    {key: 'placed', label: 'Placed', title: 'Order placed', desc: 'We have sent your order to the restaurant', remaining: 1},
+    {key: 'accepted', label: 'Accepted', title: 'Order accepted', desc: 'The restaurant has confirmed your order', remaining: 0.9},
+    {key: 'preparing', label: 'Preparing', title: 'Preparing your food', desc: 'Your food is being freshly prepared', remaining: 0.7},
+    {key: 'pickedUp', label: 'Picked up', title: 'Out for delivery', desc: 'Your delivery partner is on the way', remaining: 0.35},
+    {key: 'delivered', label: 'Delivered', title: 'Delivered', desc: 'Enjoy your meal!', remaining: 0}
+]
+
+export const getStatusIndex = (status) => orderStatuses.findIndex(val => val.key === status);
+
+// Orders placed before tracking existed only carry the display label
+export const getOrderStatus = (order) => {
+    return order?.status ?? orderStatuses.find(val => val.label === order?.orderStatus)?.key ?? 'placed';
+}
+
+export const isActiveOrder = (order) => !!order && getOrderStatus(order) !== 'delivered';
+
+export const getNextStatus = (status) => orderStatuses[getStatusIndex(status) + 1]?.key ?? null;
+
+export const getEta = (deliveryMinutes, status, from = Date.now()) => {
+    const {remaining = 1} = orderStatuses[getStatusIndex(status)] ?? {};
+    return new Date(from + Math.ceil((+deliveryMinutes || defaultDeliveryMinutes) * remaining) * 60000).toISOString();
+}
+
+export const getMinutesLeft = (eta, now = Date.now()) => eta ? Math.max(0, Math.ceil((new Date(eta) - now) / 60000)) : null;
+
+export const applyStatus = (order, status, at = new Date()) => ({
+    ...order,
+    status,
+    orderStatus: orderStatuses[getStatusIndex(status)].label,
+    timeline: {...order.timeline, [status]: at.toISOString()},
+    eta: getEta(order.deliveryTime, status, at.getTime())
+})
+
+// The part of an order that changes while it is being tracked
+export const toTracking = (order) => ({
+    id: order.id,
+    status: getOrderStatus(order),
+    orderStatus: order.orderStatus,
+    timeline: order.timeline ?? {},
+    eta: order.eta ?? null
+})
@@ -0,0 +1,53 @@
+import { describe, expect, it } from 'vitest'
+
+import { applyStatus, getEta, getMinutesLeft, getNextStatus, getOrderStatus, isActiveOrder, toTracking } from './orderTracking'
+import { defaultDeliveryMinutes } from './constants'
+
+const at = new Date('2026-10-01T12:00:00.000Z');
+
+describe('order statuses', () => {
+    it('go placed, accepted, preparing, picked up, delivered', () => {
+        const sequence = ['placed'];
+        while(getNextStatus(sequence.at(-1))) sequence.push(getNextStatus(sequence.at(-1)));
+        expect(sequence).toEqual(['placed', 'accepted', 'preparing', 'pickedUp', 'delivered']);
+    })
+
+    it('fall back to the display label for older orders', () => {
+        expect(getOrderStatus({status: 'preparing', orderStatus: 'Placed'})).toBe('preparing');
+        expect(getOrderStatus({orderStatus: 'Delivered'})).toBe('delivered');
+        expect(getOrderStatus({orderStatus: 'Something else'})).toBe('placed');
+        expect(isActiveOrder({orderStatus: 'Delivered'})).toBe(false);
+        expect(isActiveOrder(null)).toBe(false);
+    })
+})
+
+describe('getEta', () => {
+    it('leaves the share of the delivery time the status still has', () => {
+        expect(getEta(30, 'placed', at.getTime())).toBe('2026-10-01T12:30:00.000Z');
+        expect(getEta("30", 'pickedUp', at.getTime())).toBe('2026-10-01T12:11:00.000Z');
+        expect(getEta(30, 'delivered', at.getTime())).toBe('2026-10-01T12:00:00.000Z');
+    })
+
+    it('uses the default delivery time when the restaurant has none', () => {
+        expect(getEta(undefined, 'placed', at.getTime())).toBe(new Date(at.getTime() + defaultDeliveryMinutes * 60000).toISOString());
+    })
+})
+
+describe('getMinutesLeft', () => {
+    it('rounds up and never goes below zero', () => {
+        expect(getMinutesLeft('2026-10-01T12:10:30.000Z', at.getTime())).toBe(11);
+        expect(getMinutesLeft('2026-10-01T11:50:00.000Z', at.getTime())).toBe(0);
+        expect(getMinutesLeft(null, at.getTime())).toBeNull();
+    })
+})
+
+describe('applyStatus', () => {
+    it('adds to the timeline and keeps the earlier steps', () => {
+        const placed = applyStatus({id: 1, deliveryTime: "20"}, 'placed', at);
+        const accepted = applyStatus(placed, 'accepted', new Date('2026-10-01T12:01:00.000Z'));
+        expect(accepted.orderStatus).toBe('Accepted');
+        expect(accepted.timeline).toEqual({placed: '2026-10-01T12:00:00.000Z', accepted: '2026-10-01T12:01:00.000Z'});
+        expect(accepted.eta).toBe('2026-10-01T12:19:00.000Z');
+        expect(toTracking(accepted)).toEqual({id: 1, status: 'accepted', orderStatus: 'Accepted', timeline: accepted.timeline, eta: accepted.eta});
+    })
+})
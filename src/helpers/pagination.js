@@ -0,0 +1,38 @@
+export const ellipsis = '...'
+
+export const getPageCount = (total, size) => Math.max(1, Math.ceil((+total || 0) / size));
+
+// Always shows the first and last page plus `siblings` pages either side of the current one;
+// a gap of a single page is filled in rather than replaced with an ellipsis
+export const getPageRange = (page, pageCount, siblings = 1) => {
+    const slots = siblings * 2 + 5;
+    if(pageCount <= slots){
+        return Array.from({length: pageCount}, (_, i) => i + 1);
+    }
+
+    let start = page - siblings;
+    let end = page + siblings;
+    if(start <= 3){
+        start = 2;
+        end = siblings * 2 + 3;
+    }else if(end >= pageCount - 2){
+        start = pageCount - siblings * 2 - 2;
+        end = pageCount - 1;
+    }
+    const middle = Array.from({length: end - start + 1}, (_, i) => start + i);
+
+    return [
+        1,
+        ...(start > 2 ? [ellipsis] : []),
+        ...middle,
+        ...(end < pageCount - 1 ? [ellipsis] : []),
+        pageCount
+    ];
+}
+
+export const getRangeText = (page, size, total) => {
+    if(!+total) return `0 of 0`;
+    const from = (page - 1) * size + 1;
+    const to = Math.min(page * size, total);
+    return `${from}-${to} of ${total}`;
+}
@@ -0,0 +1,42 @@
+import { describe, expect, it } from 'vitest'
+
+import { ellipsis, getPageCount, getPageRange, getRangeText } from './pagination'
+
+describe('getPageRange', () => {
+    it('lists every page when they all fit', () => {
+        expect(getPageRange(1, 1)).toEqual([1]);
+        expect(getPageRange(3, 5)).toEqual([1, 2, 3, 4, 5]);
+        expect(getPageRange(7, 7)).toEqual([1, 2, 3, 4, 5, 6, 7]);
+    })
+
+    it('keeps the pages after the first page together', () => {
+        expect(getPageRange(1, 20)).toEqual([1, 2, 3, 4, 5, ellipsis, 20]);
+        expect(getPageRange(4, 20)).toEqual([1, 2, 3, 4, 5, ellipsis, 20]);
+    })
+
+    it('keeps the pages before the last page together', () => {
+        expect(getPageRange(20, 20)).toEqual([1, ellipsis, 16, 17, 18, 19, 20]);
+        expect(getPageRange(17, 20)).toEqual([1, ellipsis, 16, 17, 18, 19, 20]);
+    })
+
+    it('shows the neighbours of a middle page between two gaps', () => {
+        expect(getPageRange(10, 20)).toEqual([1, ellipsis, 9, 10, 11, ellipsis, 20]);
+        expect(getPageRange(10, 20, 2)).toEqual([1, ellipsis, 8, 9, 10, 11, 12, ellipsis, 20]);
+    })
+})
+
+describe('getPageCount', () => {
+    it('always has at least one page', () => {
+        expect(getPageCount(0, 10)).toBe(1);
+        expect(getPageCount(undefined, 10)).toBe(1);
+        expect(getPageCount(21, 10)).toBe(3);
+    })
+})
+
+describe('getRangeText', () => {
+    it('describes the items on the page', () => {
+        expect(getRangeText(1, 10, 0)).toBe("0 of 0");
+        expect(getRangeText(1, 10, 25)).toBe("1-10 of 25");
+        expect(getRangeText(3, 10, 25)).toBe("21-25 of 25");
+    })
+})
@@ -0,0 +1,52 @@
+// Minimal single-font PDF writer. Courier is one of the 14 standard fonts, so nothing is embedded,
+// and every glyph is 0.6em wide, which lets callers lay text out on a fixed character grid.
+export const pageWidth = 595
+export const pageHeight = 842
+export const charWidth = 0.6
+
+const escapeText = (text) => text
+    .replace(/₹/g, 'Rs.')
+    .replace(/[^\x20-\x7e]/g, '?')
+    .replace(/[\\()]/g, (char) => '\\' + char);
+
+const toStream = (lines, {fontSize, lineHeight, margin}) => {
+    const ops = lines.map(({text, bold}, i) => {
+        const y = pageHeight - margin - fontSize - i * lineHeight;
+        return `BT /${bold ? 'F2' : 'F1'} ${fontSize} Tf ${margin} ${y} Td (${escapeText(text)}) Tj ET`;
+    });
+    return ops.join('\n');
+}
+
+// `lines` are {text, bold} rows; they are split across as many A4 pages as needed
+export const createTextPdf = (lines, {fontSize = 10, lineHeight = 14, margin = 40} = {}) => {
+    const perPage = Math.floor((pageHeight - 2 * margin) / lineHeight);
+    const pages = [];
+    for(let i = 0; i < Math.max(lines.length, 1); i += perPage){
+        pages.push(lines.slice(i, i + perPage));
+    }
+
+    const objects = [
+        '<< /Type /Catalog /Pages 2 0 R >>',
+        `<< /Type /Pages /Kids [${pages.map((_, i) => `${5 + i * 2} 0 R`).join(' ')}] /Count ${pages.length} >>`,
+        '<< /Type /Font /Subtype /Type1 /BaseFont /Courier /Encoding /WinAnsiEncoding >>',
+        '<< /Type /Font /Subtype /Type1 /BaseFont /Courier-Bold /Encoding /WinAnsiEncoding >>'
+    ];
+    pages.forEach((page, i) => {
+        const stream = toStream(page, {fontSize, lineHeight, margin});
+        objects.push(`<< /Type /Page /Parent 2 0 R /MediaBox [0 0 ${pageWidth} ${pageHeight}] /Resources << /Font << /F1 3 0 R /F2 4 0 R >> >> /Contents ${6 + i * 2} 0 R >>`);
+        objects.push(`<< /Length ${stream.length} >>\nstream\n${stream}\nendstream`);
+    });
+
+    // Everything above is ASCII, so string lengths are byte offsets
+    let pdf = '%PDF-1.4\n';
+    const offsets = objects.map((object, i) => {
+        const offset = pdf.length;
+        pdf += `${i + 1} 0 obj\n${object}\nendobj\n`;
+        return offset;
+    });
+    const xref = pdf.length;
+    pdf += `xref\n0 ${objects.length + 1}\n0000000000 65535 f \n`;
+    pdf += offsets.map(offset => `${String(offset).padStart(10, '0')} 00000 n \n`).join('');
+    pdf += `trailer\n<< /Size ${objects.length + 1} /Root 1 0 R >>\nstartxref\n${xref}\n%%EOF\n`;
+    return pdf;
+}
@@ -0,0 +1,43 @@
+import { roundAmount } from './cart'
+import { paymentMethods } from './constants'
+
+const methodLabel = (key) => paymentMethods.find(val => val.key === key)?.label ?? key;
+
+export const getDiscount = (promotion, itemTotal) => {
+    const raw = promotion.type === 'percentage' ? itemTotal * promotion.value / 100 : promotion.value;
+    const capped = promotion.maxDiscount ? Math.min(raw, promotion.maxDiscount) : raw;
+    return roundAmount(Math.min(capped, itemTotal));
+}
+
+// Checks every rule of a promotion against an order. Rules whose context is
+// missing (no payment method picked yet, unknown order count) are skipped so
+// the same check can rank offers before checkout and enforce them at checkout.
+export const evaluatePromotion = (promotion, {itemTotal, restaurant, paymentMethod, orderCount} = {}) => {
+    const result = (code, reason) => ({valid: false, code, reason, discount: 0, shortBy: 0});
+
+    if(promotion.restaurants && restaurant && !promotion.restaurants.includes(restaurant)){
+        return result('COUPON_NOT_APPLICABLE', 'This coupon is not valid at this restaurant');
+    }
+    if(promotion.firstOrderOnly && orderCount === null){
+        return result('COUPON_LOGIN_REQUIRED', 'Log in to use this coupon');
+    }
+    if(promotion.firstOrderOnly && orderCount > 0){
+        return result('COUPON_FIRST_ORDER', 'This coupon is only valid on your first order');
+    }
+    if(promotion.paymentMethods && paymentMethod && !promotion.paymentMethods.includes(paymentMethod)){
+        return result('COUPON_PAYMENT_METHOD', `Pay using ${promotion.paymentMethods.map(methodLabel).join(' or ')} to use this coupon`);
+    }
+    if(itemTotal < promotion.minOrder){
+        return {...result('COUPON_MIN_ORDER', `Add items worth ₹${roundAmount(promotion.minOrder - itemTotal)} more to use this coupon`), shortBy: roundAmount(promotion.minOrder - itemTotal)};
+    }
+    return {valid: true, code: null, reason: null, discount: getDiscount(promotion, itemTotal), shortBy: 0};
+}
+
+export const getBestPromotion = (promotions, context) => {
+    return promotions
+        .map(promotion => ({promotion, ...evaluatePromotion(promotion, context)}))
+        .filter(val => val.valid)
+        .sort((a, b) => b.discount - a.discount)[0] ?? null;
+}
+
+export const getPaymentLabel = methodLabel;
@@ -0,0 +1,49 @@
+import { describe, expect, it } from 'vitest'
+
+import { evaluatePromotion, getBestPromotion, getDiscount } from './promotions'
+
+const flat = {code: 'FLAT100', type: 'flat', value: 100, minOrder: 300};
+const percent = {code: 'HALF', type: 'percentage', value: 50, maxDiscount: 150, minOrder: 0};
+
+describe('getDiscount', () => {
+    it('caps percentage discounts and never goes over the item total', () => {
+        expect(getDiscount(percent, 200)).toBe(100);
+        expect(getDiscount(percent, 1000)).toBe(150);
+        expect(getDiscount({...flat, minOrder: 0}, 60)).toBe(60);
+    })
+})
+
+describe('evaluatePromotion', () => {
+    it('reports how much more is needed for the minimum order', () => {
+        expect(evaluatePromotion(flat, {itemTotal: 250.5})).toEqual({
+            valid: false,
+            code: 'COUPON_MIN_ORDER',
+            reason: 'Add items worth ₹49.5 more to use this coupon',
+            discount: 0,
+            shortBy: 49.5
+        });
+        expect(evaluatePromotion(flat, {itemTotal: 300})).toMatchObject({valid: true, discount: 100});
+    })
+
+    it('checks the restaurant and payment method only when they are known', () => {
+        const promotion = {...flat, restaurants: ['paradise-hotel'], paymentMethods: ['upi']};
+        expect(evaluatePromotion(promotion, {itemTotal: 500}).valid).toBe(true);
+        expect(evaluatePromotion(promotion, {itemTotal: 500, restaurant: 'krupa-mess-and-tiffins'}).code).toBe('COUPON_NOT_APPLICABLE');
+        expect(evaluatePromotion(promotion, {itemTotal: 500, paymentMethod: 'cod'}).code).toBe('COUPON_PAYMENT_METHOD');
+    })
+
+    it('needs a logged in first order for first order coupons', () => {
+        const promotion = {...flat, firstOrderOnly: true};
+        expect(evaluatePromotion(promotion, {itemTotal: 500, orderCount: null}).code).toBe('COUPON_LOGIN_REQUIRED');
+        expect(evaluatePromotion(promotion, {itemTotal: 500, orderCount: 2}).code).toBe('COUPON_FIRST_ORDER');
+        expect(evaluatePromotion(promotion, {itemTotal: 500, orderCount: 0}).valid).toBe(true);
+    })
+})
+
+describe('getBestPromotion', () => {
+    it('picks the biggest valid discount', () => {
+        expect(getBestPromotion([flat, percent], {itemTotal: 400}).promotion).toBe(percent);
+        expect(getBestPromotion([flat, percent], {itemTotal: 100}).promotion).toBe(percent);
+        expect(getBestPromotion([flat], {itemTotal: 100})).toBeNull();
+    })
+})
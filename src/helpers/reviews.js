@@ -0,0 +1,92 @@
+import { reviewDraftsStorageKey } from './constants'
+
+export const reviewTypes = [
+    {key: 'dining', label: 'Dining'},
+    {key: 'delivery', label: 'Delivery'}
+]
+
+export const ratingLabels = ["", "Horrible", "Bad", "Average", "Good", "Excellent"]
+
+export const reviewFilters = [
+    {value: 'all', label: 'All Reviews'},
+    {value: 'following', label: 'Following', auth: true},
+    {value: 'popular', label: 'Popular'},
+    {value: 'bloggers', label: 'Bloggers'},
+    {value: 'mine', label: 'My Reviews', auth: true},
+    {value: 'orders', label: 'Order Reviews'}
+]
+
+export const reviewSorts = [
+    {value: 'newest', label: 'Newest First'},
+    {value: 'oldest', label: 'Oldest First'},
+    {value: 'highest', label: 'Highest Rated'},
+    {value: 'lowest', label: 'Lowest Rated'}
+]
+
+export const defaultReviewQuery = {
+    filter: 'all',
+    sort: 'newest'
+}
+
+export const readReviewQuery = (params) => {
+    const filter = params.get('filter');
+    const sort = params.get('sort');
+    return {
+        filter: reviewFilters.some(val => val.value === filter) ? filter : defaultReviewQuery.filter,
+        sort: reviewSorts.some(val => val.value === sort) ? sort : defaultReviewQuery.sort
+    }
+}
+
+// Defaults are left out of the url, unrelated params are kept
+export const writeReviewQuery = (params, query) => {
+    const next = new URLSearchParams(params);
+    Object.keys(defaultReviewQuery).forEach(key => {
+        if(query[key] === defaultReviewQuery[key]) next.delete(key);
+        else next.set(key, query[key]);
+    });
+    return next;
+}
+
+export const getReviewTypeLabel = (type) => reviewTypes.find(val => val.key === type)?.label ?? type;
+
+export const getDaysAgo = (iso, now = Date.now()) => {
+    const days = Math.floor((now - new Date(iso).getTime()) / (24 * 60 * 60 * 1000));
+    if(days <= 0) return "Today";
+    return days === 1 ? "1 day ago" : `${days} days ago`;
+}
+
+// Permalink that opens the restaurant's reviews and scrolls to this one
+export const getReviewLink = (review) => `${review.restaurant.link}/reviews/${review.id}`;
+
+// Top level comments in order, each with its replies
+export const getCommentThreads = (comments) => {
+    return comments.filter(val => val.parentId === null).map(comment => ({
+        ...comment,
+        replies: comments.filter(val => val.parentId === comment.id)
+    }));
+}
+
+// Drafts are kept per user and per restaurant, or per review while editing one.
+// Only the text fields are kept, photos can't be stored in localStorage
+export const getDraftKey = (userId, {restaurantId, reviewId}) => reviewId ? `${userId}:review-${reviewId}` : `${userId}:restaurant-${restaurantId}`;
+
+const readDrafts = () => {
+    try{
+        return JSON.parse(localStorage.getItem(reviewDraftsStorageKey)) ?? {};
+    }catch(e){
+        return {};
+    }
+}
+
+export const getReviewDraft = (key) => readDrafts()[key] ?? null;
+
+export const saveReviewDraft = (key, draft) => {
+    const next = {...readDrafts(), [key]: {...draft, savedAt: new Date().toISOString()}};
+    localStorage.setItem(reviewDraftsStorageKey, JSON.stringify(next));
+    return next[key];
+}
+
+export const clearReviewDraft = (key) => {
+    const {[key]: removed, ...rest} = readDrafts();
+    localStorage.setItem(reviewDraftsStorageKey, JSON.stringify(rest));
+}
@@ -0,0 +1,36 @@
+// Formatting the review editor can produce; anything else is unwrapped down to its text
+const allowedTags = ['P', 'DIV', 'BR', 'B', 'STRONG', 'I', 'EM', 'U', 'UL', 'OL', 'LI'];
+// Dropped together with their content
+const droppedTags = ['SCRIPT', 'STYLE', 'IFRAME', 'OBJECT', 'EMBED', 'TEMPLATE', 'NOSCRIPT'];
+
+export const richTextCommands = [
+    {command: 'bold', label: 'B', title: 'Bold'},
+    {command: 'italic', label: 'I', title: 'Italic'},
+    {command: 'underline', label: 'U', title: 'Underline'},
+    {command: 'insertUnorderedList', label: '•', title: 'Bulleted list'},
+    {command: 'insertOrderedList', label: '1.', title: 'Numbered list'}
+]
+
+const parse = (html) => new DOMParser().parseFromString(`<div>${html ?? ''}</div>`, 'text/html').body.firstChild;
+
+const clean = (node) => {
+    [...node.childNodes].forEach(child => {
+        if(child.nodeType === Node.TEXT_NODE) return;
+        if(child.nodeType !== Node.ELEMENT_NODE || droppedTags.includes(child.tagName)){
+            child.remove();
+            return;
+        }
+        clean(child);
+        if(!allowedTags.includes(child.tagName)){
+            child.replaceWith(...child.childNodes);
+            return;
+        }
+        [...child.attributes].forEach(attr => child.removeAttribute(attr.name));
+    });
+    return node;
+}
+
+// Runs on both ends: the server stores only what survives, the client never renders anything else
+export const sanitizeHtml = (html) => clean(parse(html)).innerHTML.trim();
+
+export const getPlainText = (html) => parse(html).textContent.replace(/\s+/g, ' ').trim();
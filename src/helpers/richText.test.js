@@ -0,0 +1,38 @@
+// @vitest-environment jsdom
+import { describe, expect, it } from 'vitest'
+
+import { getPlainText, sanitizeHtml } from './richText'
+
+describe('sanitizeHtml', () => {
+    it('keeps the formatting the editor produces', () => {
+        expect(sanitizeHtml('<p><b>Great</b> <i>biryani</i></p><ul><li>Spicy</li></ul>'))
+            .toBe('<p><b>Great</b> <i>biryani</i></p><ul><li>Spicy</li></ul>');
+    })
+
+    it('drops scripts and styles together with their content', () => {
+        expect(sanitizeHtml('Tasty<script>alert(1)</script><style>p{color:red}</style>')).toBe('Tasty');
+    })
+
+    it('strips event handler and style attributes', () => {
+        expect(sanitizeHtml('<p onclick="alert(1)" style="color:red">Hot</p><img src="x" onerror="alert(1)">'))
+            .toBe('<p>Hot</p>');
+    })
+
+    it('unwraps javascript: links down to their text', () => {
+        expect(sanitizeHtml('<a href="javascript:alert(1)">Menu</a>')).toBe('Menu');
+    })
+
+    it('unwraps unknown tags but keeps allowed ones inside them', () => {
+        expect(sanitizeHtml('<span class="x">Good <b>food</b></span>')).toBe('Good <b>food</b>');
+    })
+
+    it('copes with an empty review', () => {
+        expect(sanitizeHtml(null)).toBe('');
+    })
+})
+
+describe('getPlainText', () => {
+    it('collapses the text of the markup', () => {
+        expect(getPlainText('<p>Great</p>\n<p>  food </p>')).toBe('Great food');
+    })
+})
@@ -0,0 +1,53 @@
+import { orderOnlinePage, recentSearchesStorageKey, maxRecentSearches } from './constants'
+
+export const searchGroups = [
+    {key: 'restaurants', title: 'Restaurants'},
+    {key: 'cuisines', title: 'Cuisines'},
+    {key: 'dishes', title: 'Dishes'},
+]
+
+// Every suggestion becomes {type, label, tag, link} so the dropdown, the
+// results page and the recent searches list can share one shape
+export const toOption = (type, item) => {
+    if(type === 'restaurants'){
+        return {type, key: `r-${item.id}`, label: item.name, tag: item.locality, imgSrc: item.thumb, link: `/${item.city}/${item.slug}`};
+    }
+    if(type === 'cuisines'){
+        return {type, key: `c-${item.name}`, label: item.name, tag: `${item.count} ${item.count === 1 ? 'place' : 'places'}`, link: `/show-case?page=${orderOnlinePage}&cuisines=${encodeURIComponent(item.name)}`};
+    }
+    return {type, key: `d-${item.id}`, label: item.name, tag: item.restaurant.name, imgSrc: item.imgSrc, link: `/${item.restaurant.city}/${item.restaurant.slug}/order`};
+}
+
+export const toOptions = (results) => {
+    return searchGroups.flatMap(group => (results?.[group.key] ?? []).map(item => toOption(group.key, item)));
+}
+
+export const getSearchLink = (q) => `/search?q=${encodeURIComponent(q.trim())}`;
+
+export const getRecentSearches = () => {
+    try{
+        return JSON.parse(localStorage.getItem(recentSearchesStorageKey)) ?? [];
+    }catch(e){
+        return [];
+    }
+}
+
+export const addRecentSearch = (option) => {
+    const list = getRecentSearches().filter(val => val.link !== option.link);
+    const next = [{type: option.type, key: option.key, label: option.label, tag: option.tag, link: option.link}, ...list].slice(0, maxRecentSearches);
+    localStorage.setItem(recentSearchesStorageKey, JSON.stringify(next));
+    return next;
+}
+
+export const clearRecentSearches = () => {
+    localStorage.removeItem(recentSearchesStorageKey);
+    return [];
+}
+
+// Splits text around the first case-insensitive match of q, null when there is none
+export const splitMatch = (text, q) => {
+    const value = q?.trim();
+    const index = value ? text.toLowerCase().indexOf(value.toLowerCase()) : -1;
+    if(index < 0) return null;
+    return [text.slice(0, index), text.slice(index, index + value.length), text.slice(index + value.length)];
+}
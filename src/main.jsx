@@ -51,7 +51,15 @@ import GetTheApp from "./pages/GetTheApp/GetTheApp";
 import ErrorPage from "./pages/ErrorPage/ErrorPage";
 import SkipedPage from "./pages/SkipedPage/SkipedPage";
 import UserSettingsPage from "./pages/UserSettingsPage/UserSettingsPage";
+import SearchPage from "./pages/SearchPage/SearchPage";
+import OrderTracking from "./pages/OrderTracking/OrderTracking";
+import OrderInvoice from "./pages/OrderInvoice/OrderInvoice";
+import NotificationsPage from "./pages/NotificationsPage/NotificationsPage";
 import TestPage from "./pages/TestPage/TestPage";
+import ProtectedRoute from "./components/Auth/ProtectedRoute/ProtectedRoute";
+import { AuthProvider } from "./context/AuthContext/AuthContext";
+import { CartProvider } from "./context/CartContext/CartContext";
+import { LocationProvider } from "./context/LocationContext/LocationContext";
 
 import "./index.css";
 
@@ -65,23 +73,33 @@ if (!rootElement) {
   ReactDOM.createRoot(rootElement).render(
     <React.StrictMode>
       <BrowserRouter>
-        <Routes>
-          <Route index element={<App />} />
-          <Route path="/" element={<App />} />
-          <Route path="/add-restaurant" element={<AddRestaurant />} />
-          <Route path="/show-case" element={<ShowCase />} />
-          <Route path="/user/:userId" element={<User />} />
-          <Route path="/user/:userId/:hashId" element={<User />} />
-          <Route path="/user/:userId/notifications" element={<SkipedPage />} />
-          <Route path="/user/:userId/network" element={<SkipedPage />} />
-          <Route path="/user/:userId/find-friends" element={<SkipedPage />} />
-          <Route path="/user/:userId/settings" element={<UserSettingsPage />} />
-          <Route path="/get-the-app" element={<GetTheApp />} />
-          <Route path="/:city/:hotel" element={<RestaurantPage />} />
-          <Route path="/:city/:hotel/:page" element={<RestaurantPage />} />
-          <Route path="/test" element={<TestPage />} />
-          <Route path="*" element={<ErrorPage />} />
-        </Routes>
+        <AuthProvider>
+          <LocationProvider>
+            <CartProvider>
+              <Routes>
+                <Route index element={<App />} />
+                <Route path="/" element={<App />} />
+                <Route path="/add-restaurant" element={<AddRestaurant />} />
+                <Route path="/show-case" element={<ShowCase />} />
+                <Route path="/search" element={<SearchPage />} />
+                <Route path="/orders/:orderId/track" element={<ProtectedRoute><OrderTracking /></ProtectedRoute>} />
+                <Route path="/orders/:orderId/invoice" element={<ProtectedRoute><OrderInvoice /></ProtectedRoute>} />
+                <Route path="/user/:userId" element={<User />} />
+                <Route path="/user/:userId/:hashId" element={<User />} />
+                <Route path="/user/:userId/notifications" element={<ProtectedRoute><NotificationsPage /></ProtectedRoute>} />
+                <Route path="/user/:userId/network" element={<SkipedPage />} />
+                <Route path="/user/:userId/find-friends" element={<SkipedPage />} />
+                <Route path="/user/:userId/settings" element={<ProtectedRoute><UserSettingsPage /></ProtectedRoute>} />
+                <Route path="/get-the-app" element={<GetTheApp />} />
+                <Route path="/:city/:hotel" element={<RestaurantPage />} />
+                <Route path="/:city/:hotel/:page" element={<RestaurantPage />} />
+                <Route path="/:city/:hotel/reviews/:reviewId" element={<RestaurantPage />} />
+                <Route path="/test" element={<TestPage />} />
+                <Route path="*" element={<ErrorPage />} />
+              </Routes>
+            </CartProvider>
+          </LocationProvider>
+        </AuthProvider>
       </BrowserRouter>
     </React.StrictMode>
   );
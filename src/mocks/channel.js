@@ -0,0 +1,15 @@
+// In-memory stand-in for the server-sent events stream, keyed by the stream path
+const topics = new Map();
+
+export const publish = (topic, data) => {
+    topics.get(topic)?.forEach(listener => listener(structuredClone(data)));
+}
+
+export const subscribe = (topic, listener) => {
+    if(!topics.has(topic)) topics.set(topic, new Set());
+    topics.get(topic).add(listener);
+    return () => {
+        topics.get(topic)?.delete(listener);
+        if(!topics.get(topic)?.size) topics.delete(topic);
+    }
+}
@@ -0,0 +1,67 @@
+import restaurants from '../data/restaurants'
+import orders from '../data/orders'
+import users from '../data/users'
+import promotions from '../data/promotions'
+import follows from '../data/follows'
+import bookmarks from '../data/bookmarks'
+import recentlyViewed from '../data/recentlyViewed'
+import addresses from '../data/addresses'
+import photos from '../data/photos'
+import reviews from '../data/reviews'
+import reviewVotes from '../data/reviewVotes'
+import reviewComments from '../data/reviewComments'
+import reviewReplies from '../data/reviewReplies'
+import restaurantOwners from '../data/restaurantOwners'
+import notifications from '../data/notifications'
+
+import { mockDbStorageKey } from '../helpers/constants'
+
+const seed = () => ({
+    restaurants: structuredClone(restaurants),
+    orders: structuredClone(orders),
+    users: structuredClone(users),
+    promotions: structuredClone(promotions),
+    follows: structuredClone(follows),
+    bookmarks: structuredClone(bookmarks),
+    recentlyViewed: structuredClone(recentlyViewed),
+    addresses: structuredClone(addresses),
+    photos: structuredClone(photos),
+    reviews: structuredClone(reviews),
+    reviewVotes: structuredClone(reviewVotes),
+    reviewComments: structuredClone(reviewComments),
+    reviewReplies: structuredClone(reviewReplies),
+    restaurantOwners: structuredClone(restaurantOwners),
+    notifications: structuredClone(notifications),
+    otpRequests: [],
+    sessions: []
+})
+
+const load = () => {
+    try{
+        const saved = JSON.parse(localStorage.getItem(mockDbStorageKey));
+        return saved ? {...seed(), ...saved} : seed();
+    }catch(e){
+        return seed();
+    }
+}
+
+let db = load();
+
+export const getDb = () => db;
+
+// Restaurants and promotions come from the bundled fixtures on every load, everything else survives reloads
+export const saveDb = () => {
+    const {restaurants, promotions, ...rest} = db;
+    try{
+        localStorage.setItem(mockDbStorageKey, JSON.stringify(rest));
+    }catch(e){
+        // Uploaded photos can outgrow the storage quota, the change still lives in memory until reload
+    }
+}
+
+export const resetDb = () => {
+    db = seed();
+    localStorage.removeItem(mockDbStorageKey);
+}
+
+export const nextId = (collection) => db[collection].reduce((acc, val) => Math.max(acc, +val.id || 0), 0) + 1;
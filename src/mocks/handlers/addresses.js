@@ -0,0 +1,78 @@
+import { getDb, saveDb, nextId } from '../db'
+import { getSessionUser } from '../session'
+import { ok, created, noContent, badRequest, unauthorized, notFound } from '../responses'
+
+const addressTypes = ['home', 'work', 'other'];
+
+const fields = ['type', 'title', 'completeAddress', 'floor', 'nearBy', 'area', 'city', 'locality', 'lat', 'lng'];
+
+const pick = (body) => Object.fromEntries(fields.filter(key => body?.[key] !== undefined).map(key => [key, body[key]]));
+
+const validate = (address) => {
+    if(!address.completeAddress || address.completeAddress.trim().length < 5) return 'Please enter the complete address';
+    if(!addressTypes.includes(address.type)) return 'Please pick an address type';
+    if(typeof address.lat !== 'number' || typeof address.lng !== 'number') return 'Please place the pin on the map';
+    if(!address.area?.trim() || !address.city?.trim()) return 'We could not find the area for this pin, please move it and try again';
+    return null;
+}
+
+const mine = (user) => getDb().addresses.filter(val => val.userId === user.id);
+
+// Handlers share the same "logged in and owns it" checks
+const withAddress = (handler) => ({params, body, headers}) => {
+    const user = getSessionUser(headers);
+    if(!user) return unauthorized();
+    const address = mine(user).find(val => String(val.id) === params.addressId);
+    if(!address) return notFound('Address not found');
+    return handler({user, address, body});
+}
+
+const makeDefault = (user, address) => {
+    mine(user).forEach(val => { val.isDefault = val.id === address.id; });
+}
+
+const addressHandlers = [
+    ['GET', '/users/me/addresses', ({headers}) => {
+        const user = getSessionUser(headers);
+        if(!user) return unauthorized();
+        return ok(mine(user).sort((a, b) => b.isDefault - a.isDefault || b.id - a.id));
+    }],
+    ['POST', '/users/me/addresses', ({body, headers}) => {
+        const user = getSessionUser(headers);
+        if(!user) return unauthorized();
+        const address = {...pick(body), id: nextId('addresses'), userId: user.id, isDefault: false};
+        const error = validate(address);
+        if(error) return badRequest(error);
+        getDb().addresses.push(address);
+        if(body.isDefault || mine(user).length === 1) makeDefault(user, address);
+        saveDb();
+        return created(address);
+    }],
+    ['PUT', '/users/me/addresses/:addressId', withAddress(({user, address, body}) => {
+        const updated = {...address, ...pick(body)};
+        const error = validate(updated);
+        if(error) return badRequest(error);
+        Object.assign(address, updated);
+        if(body.isDefault) makeDefault(user, address);
+        saveDb();
+        return ok(address);
+    })],
+    ['POST', '/users/me/addresses/:addressId/default', withAddress(({user, address}) => {
+        makeDefault(user, address);
+        saveDb();
+        return ok(address);
+    })],
+    // Removing the default hands it to the most recently added address left
+    ['DELETE', '/users/me/addresses/:addressId', withAddress(({user, address}) => {
+        const db = getDb();
+        db.addresses = db.addresses.filter(val => val !== address);
+        const rest = mine(user);
+        if(address.isDefault && rest.length){
+            makeDefault(user, rest.reduce((acc, val) => val.id > acc.id ? val : acc));
+        }
+        saveDb();
+        return noContent();
+    })]
+]
+
+export default addressHandlers
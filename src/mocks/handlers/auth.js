@@ -0,0 +1,108 @@
+import { getDb, saveDb, nextId } from '../db'
+import { createToken, getSession, getSessionUser } from '../session'
+import { ok, noContent, badRequest, unauthorized, notFound, conflict } from '../responses'
+
+import { otpLength, otpResendSeconds } from '../../helpers/constants'
+
+const otpValiditySeconds = 300;
+const maxAttempts = 5;
+const sessionSeconds = 60 * 60;
+
+const otpError = (code, message, details) => ({status: 400, data: {error: {code, message, details}}});
+
+const createSession = (userId) => {
+    const session = {token: createToken(), userId, expiresAt: Date.now() + sessionSeconds * 1000};
+    getDb().sessions.push(session);
+    return session;
+}
+
+const findOrCreateUser = (phone) => {
+    const db = getDb();
+    let user = db.users.find(val => val.phone === phone);
+    if(!user){
+        user = {id: String(nextId('users')), name: "", email: "", phone, profilePic: "/images/profilepic.jpg", city: ""};
+        db.users.push(user);
+    }
+    return user;
+}
+
+const authHandlers = [
+    ['POST', '/auth/otp/request', ({body}) => {
+        const phone = String(body?.phone ?? '').trim();
+        if(!/^\d{10}$/.test(phone)){
+            return badRequest('Enter a valid 10 digit phone number');
+        }
+
+        const db = getDb();
+        const previous = db.otpRequests.find(val => val.phone === phone);
+        if(previous && previous.resendAt > Date.now()){
+            return conflict(`Please wait ${Math.ceil((previous.resendAt - Date.now()) / 1000)} seconds before requesting a new OTP`);
+        }
+
+        const code = String(Math.floor(Math.random() * 10 ** otpLength)).padStart(otpLength, '0');
+        const otpRequest = {
+            requestId: createToken(),
+            phone,
+            code,
+            attempts: 0,
+            expiresAt: Date.now() + otpValiditySeconds * 1000,
+            resendAt: Date.now() + otpResendSeconds * 1000
+        };
+        db.otpRequests = [...db.otpRequests.filter(val => val.phone !== phone), otpRequest];
+        saveDb();
+
+        // There is no SMS gateway behind the mock, so the code comes back for the login form to show.
+        // A real backend never sends it
+        return ok({requestId: otpRequest.requestId, expiresIn: otpValiditySeconds, resendIn: otpResendSeconds, mockCode: code});
+    }],
+    ['POST', '/auth/otp/verify', ({body}) => {
+        const db = getDb();
+        const otpRequest = db.otpRequests.find(val => val.requestId === body?.requestId);
+        if(!otpRequest){
+            return notFound('This OTP request is no longer valid. Please request a new OTP');
+        }
+        if(otpRequest.expiresAt < Date.now()){
+            return otpError('OTP_EXPIRED', 'This OTP has expired. Please request a new one');
+        }
+        if(otpRequest.attempts >= maxAttempts){
+            return otpError('OTP_LOCKED', 'Too many wrong attempts. Please request a new OTP');
+        }
+        if(otpRequest.code !== String(body?.code ?? '')){
+            otpRequest.attempts += 1;
+            saveDb();
+            const attemptsLeft = maxAttempts - otpRequest.attempts;
+            return otpError('OTP_INVALID', `Incorrect OTP. ${attemptsLeft} attempt(s) left`, {attemptsLeft});
+        }
+
+        db.otpRequests = db.otpRequests.filter(val => val !== otpRequest);
+        const user = findOrCreateUser(otpRequest.phone);
+        const session = createSession(user.id);
+        saveDb();
+
+        return ok({token: session.token, expiresAt: session.expiresAt, user});
+    }],
+    ['GET', '/auth/me', ({headers}) => {
+        const user = getSessionUser(headers);
+        return user ? ok(user) : unauthorized('Your session has expired. Please log in again');
+    }],
+    ['POST', '/auth/refresh', ({headers}) => {
+        const current = getSession(headers);
+        if(!current){
+            return unauthorized('Your session has expired. Please log in again');
+        }
+        const db = getDb();
+        db.sessions = db.sessions.filter(val => val !== current);
+        const session = createSession(current.userId);
+        saveDb();
+        return ok({token: session.token, expiresAt: session.expiresAt});
+    }],
+    ['POST', '/auth/logout', ({headers}) => {
+        const current = getSession(headers);
+        const db = getDb();
+        db.sessions = db.sessions.filter(val => val !== current);
+        saveDb();
+        return noContent();
+    }]
+]
+
+export default authHandlers
@@ -0,0 +1,61 @@
+import { ok, badRequest } from '../responses'
+
+import locations from '../../data/locations'
+import { getCity, getDistance, getNearestLocation, toLocation } from '../../helpers/location'
+
+// Lower rank is a better match: locality prefix, locality word prefix,
+// locality anywhere, then city or state
+const matchRank = (city, locality, q) => {
+    const name = locality.name.toLowerCase();
+    if(name.startsWith(q)) return 0;
+    if(name.split(/\s+/).some(word => word.startsWith(q))) return 1;
+    if(name.includes(q)) return 2;
+    if(city.cityName.toLowerCase().startsWith(q)) return 3;
+    return `${city.cityName} ${city.state}`.toLowerCase().includes(q) ? 4 : -1;
+}
+
+const toPlace = (city, locality) => ({
+    ...toLocation(city, locality),
+    state: city.state,
+    area: `${locality.name}, ${city.cityName}`
+})
+
+const geocodeHandlers = [
+    ['GET', '/geocode/search', ({query}) => {
+        const q = query.get('q')?.trim().toLowerCase() ?? '';
+        const limit = +(query.get('limit') ?? 8);
+        if(!q) return ok([]);
+
+        const near = query.get('lat') && query.get('lng') ? {lat: +query.get('lat'), lng: +query.get('lng')} : null;
+        const matches = locations.flatMap(city => city.localities.map(locality => ({
+            place: toPlace(city, locality),
+            rank: matchRank(city, locality, q),
+            distance: near ? getDistance(near, locality) : 0,
+            places: locality.places
+        })));
+
+        // Closer places win between equal matches, busier ones when we don't know where the user is
+        return ok(matches
+            .filter(val => val.rank >= 0)
+            .sort((a, b) => a.rank - b.rank || a.distance - b.distance || b.places - a.places)
+            .slice(0, limit)
+            .map(val => val.place));
+    }],
+    ['GET', '/geocode/reverse', ({query}) => {
+        const lat = +query.get('lat');
+        const lng = +query.get('lng');
+        if(!query.get('lat') || !query.get('lng') || Number.isNaN(lat) || Number.isNaN(lng)){
+            return badRequest('lat and lng are required');
+        }
+        const location = getNearestLocation({lat, lng});
+        const city = getCity(location.city);
+        return ok({
+            ...location,
+            state: city.state,
+            area: `${location.locality}, ${location.cityName}`,
+            distanceKm: Math.round(getDistance({lat, lng}, location) * 10) / 10
+        });
+    }]
+]
+
+export default geocodeHandlers
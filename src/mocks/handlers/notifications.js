@@ -0,0 +1,46 @@
+import { getDb, saveDb, nextId } from '../db'
+import { getSessionUser } from '../session'
+import { publish } from '../channel'
+import { ok, unauthorized } from '../responses'
+import { paginate } from '../paginate'
+
+export const notificationTopic = (userId) => `/users/${userId}/notifications/events`;
+
+const countUnread = (userId) => getDb().notifications.filter(val => val.userId === userId && !val.read).length;
+
+// Queues a notification for the user and pushes it to their open tabs, the caller saves the db
+export const notify = (userId, {type, text, link}) => {
+    const notification = {
+        id: nextId('notifications'),
+        userId,
+        type,
+        text,
+        link,
+        read: false,
+        createdAt: new Date().toISOString()
+    };
+    getDb().notifications.push(notification);
+    publish(notificationTopic(userId), {type: 'added', notification, unread: countUnread(userId)});
+    return notification;
+}
+
+const notificationHandlers = [
+    ['GET', '/users/me/notifications', ({query, headers}) => {
+        const user = getSessionUser(headers);
+        if(!user) return unauthorized();
+        const list = getDb().notifications.filter(val => val.userId === user.id).sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+        return ok({...paginate(list, query), unread: countUnread(user.id)});
+    }],
+    ['POST', '/users/me/notifications/read', ({headers}) => {
+        const user = getSessionUser(headers);
+        if(!user) return unauthorized();
+        getDb().notifications.forEach(val => {
+            if(val.userId === user.id) val.read = true;
+        });
+        saveDb();
+        publish(notificationTopic(user.id), {type: 'read', unread: 0});
+        return ok({unread: 0});
+    }]
+]
+
+export default notificationHandlers
@@ -0,0 +1,137 @@
+import { getDb, saveDb, nextId } from '../db'
+import { getSessionUser } from '../session'
+import { ok, created, badRequest, unauthorized, forbidden, notFound, conflict } from '../responses'
+import { paginate } from '../paginate'
+import { advanceOrder, runOrderSimulation, resumeOrderSimulation } from '../simulator'
+import { checkCoupon } from './promotions'
+import { findRestaurant } from './restaurants'
+
+import { formatAmount, getCartBill, getItemTotal } from '../../helpers/cart'
+import { getReorderLines } from '../../helpers/menu'
+import { paymentMethods } from '../../helpers/constants'
+import { applyStatus, getStatusIndex, isActiveOrder, toTracking } from '../../helpers/orderTracking'
+
+// Orders carry the customer's phone number and address, so only the person who placed one can read it
+const findOwnOrder = (orderId, headers) => {
+    const user = getSessionUser(headers);
+    if(!user) return {error: unauthorized()};
+    const order = getDb().orders.find(val => String(val.id) === orderId);
+    if(!order) return {error: notFound('Order not found')};
+    if(order.userId !== user.id) return {error: forbidden('You can only see your own orders')};
+    return {order};
+}
+
+const orderHandlers = [
+    ['GET', '/users/:userId/orders', ({params, query, headers}) => {
+        const user = getSessionUser(headers);
+        if(!user) return unauthorized();
+        if(user.id !== params.userId) return forbidden('You can only see your own orders');
+        const favOnly = query.get('fav') === 'true';
+        return ok(paginate(getDb().orders.filter(val => val.userId === user.id && (!favOnly || val.fav)), query));
+    }],
+    ['GET', '/orders/:orderId', ({params, headers}) => {
+        const {error, order} = findOwnOrder(params.orderId, headers);
+        return error ?? ok(order);
+    }],
+    ['GET', '/orders/:orderId/tracking', ({params, headers}) => {
+        const {error, order} = findOwnOrder(params.orderId, headers);
+        if(error) return error;
+        resumeOrderSimulation(order.id);
+        return ok(toTracking(order));
+    }],
+    ['PUT', '/orders/:orderId/favourite', ({params, body, headers}) => {
+        const user = getSessionUser(headers);
+        if(!user) return unauthorized();
+        const order = getDb().orders.find(val => String(val.id) === params.orderId);
+        if(!order) return notFound('Order not found');
+        if(order.userId !== user.id) return forbidden('You can only favourite your own orders');
+        order.fav = !!body?.fav;
+        saveDb();
+        return ok(order);
+    }],
+    ['POST', '/orders/:orderId/advance', ({params, body, headers}) => {
+        const {error, order} = findOwnOrder(params.orderId, headers);
+        if(error) return error;
+        if(!isActiveOrder(order)) return conflict('This order has already been delivered');
+        if(body?.status && getStatusIndex(body.status) === -1) return badRequest(`Unknown order status "${body.status}"`);
+        return ok(toTracking(advanceOrder(order.id, body?.status)));
+    }],
+    // Prices are read from today's menu rather than trusted from the client, and the order
+    // is turned down when the bill the client showed no longer matches
+    ['POST', '/orders', ({body, headers}) => {
+        const user = getSessionUser(headers);
+        if(!user) return unauthorized('Please log in to place your order');
+        if(!body?.items?.length){
+            return badRequest('An order needs at least one item');
+        }
+        if(body.items.some(item => !Number.isInteger(+item.qty) || +item.qty < 1)){
+            return badRequest('Item quantities must be whole numbers');
+        }
+        const restaurant = findRestaurant({city: body.restaurant?.city, slug: body.restaurant?.hotel});
+        if(!restaurant) return notFound('Restaurant not found');
+        const paymentMethod = paymentMethods.find(val => val.key === body.paymentMethod);
+        if(!paymentMethod) return badRequest('Please pick a payment method');
+        const lines = getReorderLines(body, restaurant.menu);
+        const unavailable = lines.find(val => val.status === 'unavailable');
+        if(unavailable){
+            return badRequest(`${unavailable.item.itemName} is no longer available, please review your order`);
+        }
+        const items = lines.map(({line}) => ({
+            id: line.id,
+            itemName: line.ttl,
+            choices: line.choices,
+            qty: line.qty,
+            price: line.price,
+            foodType: line.foodType
+        }));
+        const itemTotal = getItemTotal(items);
+        let discount = 0;
+        if(body.coupon){
+            const result = checkCoupon({
+                code: body.coupon.couponName,
+                itemTotal,
+                restaurant: restaurant.slug,
+                paymentMethod: paymentMethod.key
+            }, headers);
+            if(result.error) return result.error;
+            if(formatAmount(result.discount) !== body.coupon.discount){
+                return badRequest('The coupon discount has changed, please review your order');
+            }
+            discount = result.discount;
+        }
+        const bill = getCartBill(items, discount);
+        if(formatAmount(bill.grandTotal) !== body.grandTotal){
+            return badRequest('Prices on the menu have changed, please review your order');
+        }
+        // Only the display fields are taken from the client, everything else is the server's own
+        const order = applyStatus({
+            orderNum: String(body.orderNum ?? ''),
+            orderedOn: String(body.orderedOn ?? ''),
+            restaurant: {city: restaurant.city, hotel: restaurant.slug, name: restaurant.name},
+            name: restaurant.name,
+            items,
+            itemTotal: formatAmount(bill.itemTotal),
+            ...(body.coupon ? {coupon: {couponName: body.coupon.couponName, discount: formatAmount(bill.discount)}} : {}),
+            taxesandcharges: formatAmount(bill.taxes),
+            totalSavings: formatAmount(bill.discount),
+            grandTotal: formatAmount(bill.grandTotal),
+            paymentMethod: paymentMethod.key,
+            paymentType: `Using ${paymentMethod.label}`,
+            deliveredTo: body.deliveredTo ? String(body.deliveredTo) : null,
+            fav: false,
+            id: nextId('orders'),
+            userId: user.id,
+            phoneNum: user.phone,
+            imgSrc: restaurant.thumb,
+            address: `${restaurant.locality}, ${restaurant.cityName}`,
+            fssaiNo: restaurant.fssaiNo,
+            deliveryTime: restaurant.deliveryTime
+        }, 'placed');
+        getDb().orders.unshift(order);
+        saveDb();
+        runOrderSimulation(order.id);
+        return created(order);
+    }]
+]
+
+export default orderHandlers
@@ -0,0 +1,55 @@
+import { afterEach, beforeEach, describe, expect, it, vi } from 'vitest'
+
+import { getDb, resetDb } from '../db'
+import { stopOrderSimulation } from '../simulator'
+import orderHandlers from './orders'
+import { buildOrder } from '../../helpers/cart'
+
+const placeOrder = orderHandlers.find(val => val[0] === 'POST' && val[1] === '/orders')[2];
+
+const headers = {Authorization: 'Bearer test-token'};
+
+const cart = {
+    restaurant: {city: "hyderabad", hotel: "krupa-mess-and-tiffins", name: "Krupa Mess & Tiffins"},
+    items: [{id: "kmt-2", lineId: "kmt-2", ttl: "Ghee Karam Dosa", price: 120, qty: 2, foodType: "veg"}],
+    paymentMethod: "upi"
+}
+
+describe('POST /orders', () => {
+    let placed;
+
+    beforeEach(() => {
+        const storage = new Map();
+        vi.stubGlobal('localStorage', {
+            getItem: (key) => storage.get(key) ?? null,
+            setItem: (key, value) => storage.set(key, String(value)),
+            removeItem: (key) => storage.delete(key)
+        });
+        resetDb();
+        getDb().sessions.push({token: 'test-token', userId: 'll', expiresAt: Date.now() + 60 * 1000});
+        placed = [];
+    })
+
+    afterEach(() => {
+        placed.forEach(stopOrderSimulation);
+        vi.unstubAllGlobals();
+    })
+
+    const submit = (body) => {
+        const response = placeOrder({body, headers});
+        if(response.data?.id) placed.push(response.data.id);
+        return response;
+    }
+
+    it('does not find a restaurant by its slug in another city', () => {
+        const {status} = submit(buildOrder({...cart, restaurant: {...cart.restaurant, city: "mumbai"}}));
+        expect(status).toBe(404);
+    })
+
+    it('keeps only the fields an order is made of', () => {
+        const {status, data} = submit({...buildOrder(cart), userId: "123", fav: true, status: "delivered", phoneNum: "0000000000", isAdmin: true});
+        expect(status).toBe(201);
+        expect(data).toMatchObject({userId: "ll", fav: false, status: "placed", phoneNum: "8074786491", paymentType: "Using UPI", grandTotal: "282.00"});
+        expect(data).not.toHaveProperty('isAdmin');
+    })
+})
@@ -0,0 +1,97 @@
+import { getDb, saveDb, nextId } from '../db'
+import { getSessionUser } from '../session'
+import { publish } from '../channel'
+import { ok, created, badRequest, unauthorized, notFound } from '../responses'
+import { paginate } from '../paginate'
+import { findRestaurant } from './restaurants'
+import { reviewTopic, toReview } from './reviews'
+
+import { getDishes } from '../../helpers/menu'
+
+const photoCategories = ['food', 'ambience'];
+
+export const photoTopic = (restaurantId) => `/restaurants/${restaurantId}/photos/events`;
+
+const getCategory = (photo) => photo.dishes.length ? 'food' : 'ambience';
+
+const newestFirst = (a, b) => b.createdAt.localeCompare(a.createdAt);
+
+const toPhoto = (photo) => {
+    const {restaurants, users} = getDb();
+    const restaurant = restaurants.find(val => val.id === photo.restaurantId);
+    const user = users.find(val => val.id === photo.userId);
+    const dishes = getDishes(restaurant?.menu);
+    return {
+        id: photo.id,
+        src: photo.src,
+        caption: photo.caption,
+        reviewId: photo.reviewId,
+        category: getCategory(photo),
+        dishes: photo.dishes.map(id => dishes.find(val => val.id === id)).filter(Boolean).map(({id, ttl}) => ({id, name: ttl})),
+        user: user ? {id: user.id, name: user.name, profilePic: user.profilePic} : null,
+        restaurant: restaurant ? {id: restaurant.id, name: restaurant.name, link: `/${restaurant.city}/${restaurant.slug}`} : null,
+        createdAt: photo.createdAt
+    }
+}
+
+const parseDishes = (value) => {
+    try{
+        const dishes = JSON.parse(value ?? '[]');
+        return Array.isArray(dishes) ? dishes : null;
+    }catch(e){
+        return null;
+    }
+}
+
+const photoHandlers = [
+    // Counts cover every category so the tabs can show them whichever one is open
+    ['GET', '/restaurants/:city/:slug/photos', ({params, query}) => {
+        const restaurant = findRestaurant(params);
+        if(!restaurant) return notFound('Restaurant not found');
+        const category = query.get('category');
+        const list = getDb().photos.filter(val => val.restaurantId === restaurant.id).sort(newestFirst);
+        const counts = Object.fromEntries(photoCategories.map(key => [key, list.filter(val => getCategory(val) === key).length]));
+        const items = list.filter(val => !category || getCategory(val) === category).map(toPhoto);
+        return ok({...paginate(items, query), counts: {all: list.length, ...counts}});
+    }],
+    ['POST', '/restaurants/:city/:slug/photos', ({params, body, headers}) => {
+        const user = getSessionUser(headers);
+        if(!user) return unauthorized();
+        const restaurant = findRestaurant(params);
+        if(!restaurant) return notFound('Restaurant not found');
+        if(!body?.photo?.dataUrl?.startsWith('data:image/')) return badRequest('Please attach an image');
+
+        const dishes = parseDishes(body.dishes);
+        const menu = getDishes(restaurant.menu);
+        if(!dishes || dishes.some(id => !menu.some(val => val.id === id))){
+            return badRequest('Tagged dishes must be on the menu');
+        }
+
+        const db = getDb();
+        const review = body.reviewId ? db.reviews.find(val => val.id === +body.reviewId) : null;
+        if(body.reviewId && (review?.userId !== user.id || review?.restaurantId !== restaurant.id)){
+            return badRequest('Photos can only be added to your own review of this restaurant');
+        }
+        const photo = {
+            id: nextId('photos'),
+            restaurantId: restaurant.id,
+            userId: user.id,
+            src: body.photo.dataUrl,
+            caption: (body.caption ?? '').trim(),
+            dishes,
+            reviewId: review?.id ?? null,
+            createdAt: new Date().toISOString()
+        };
+        db.photos.push(photo);
+        saveDb();
+        publish(photoTopic(restaurant.id), {type: 'added', photo: toPhoto(photo)});
+        if(review) publish(reviewTopic(restaurant.id), {type: 'saved', review: toReview(review)});
+        return created(toPhoto(photo));
+    }],
+    ['GET', '/users/:userId/photos', ({params, query}) => {
+        const list = getDb().photos.filter(val => val.userId === params.userId).sort(newestFirst).map(toPhoto);
+        return ok(paginate(list, query));
+    }]
+]
+
+export default photoHandlers
@@ -0,0 +1,40 @@
+import { getDb } from '../db'
+import { getSessionUser } from '../session'
+import { ok, badRequest } from '../responses'
+
+import { evaluatePromotion } from '../../helpers/promotions'
+
+const couponError = (code, message, details) => ({status: 400, data: {error: {code, message, details}}});
+
+const findPromotion = (code) => getDb().promotions.find(val => val.code === code?.trim().toUpperCase());
+
+// Shared with order placement so a coupon is re-checked against the final order
+export const checkCoupon = ({code, itemTotal, restaurant, paymentMethod}, headers) => {
+    const promotion = findPromotion(code);
+    if(!promotion){
+        return {error: couponError('COUPON_INVALID', `${code} is not a valid coupon`)};
+    }
+    const user = getSessionUser(headers);
+    const orderCount = user ? getDb().orders.filter(val => val.userId === user.id).length : null;
+    const result = evaluatePromotion(promotion, {itemTotal: +itemTotal, restaurant, paymentMethod, orderCount});
+    if(!result.valid){
+        return {error: couponError(result.code, result.reason, {shortBy: result.shortBy})};
+    }
+    return {promotion, discount: result.discount};
+}
+
+const promotionHandlers = [
+    ['GET', '/promotions', ({query}) => {
+        const restaurant = query.get('restaurant');
+        return ok(getDb().promotions.filter(val => !restaurant || !val.restaurants || val.restaurants.includes(restaurant)));
+    }],
+    ['POST', '/promotions/validate', ({body, headers}) => {
+        if(!body?.code){
+            return badRequest('Enter a coupon code');
+        }
+        const {error, promotion, discount} = checkCoupon(body, headers);
+        return error ?? ok({code: promotion.code, title: promotion.title, discount});
+    }]
+]
+
+export default promotionHandlers
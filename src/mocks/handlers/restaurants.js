@@ -0,0 +1,24 @@
+import { getDb } from '../db'
+import { ok, notFound } from '../responses'
+
+export const findRestaurant = ({city, slug}) => getDb().restaurants.find(val => val.city === city?.toLowerCase() && val.slug === slug);
+
+export const withoutMenu = ({menu, ...restaurant}) => restaurant;
+
+const restaurantHandlers = [
+    ['GET', '/restaurants', ({query}) => {
+        const city = query.get('city')?.toLowerCase();
+        const list = getDb().restaurants.filter(val => !city || val.city === city);
+        return ok(list.map(withoutMenu));
+    }],
+    ['GET', '/restaurants/:city/:slug', ({params}) => {
+        const restaurant = findRestaurant(params);
+        return restaurant ? ok(withoutMenu(restaurant)) : notFound('Restaurant not found');
+    }],
+    ['GET', '/restaurants/:city/:slug/menu', ({params}) => {
+        const restaurant = findRestaurant(params);
+        return restaurant ? ok(restaurant.menu) : notFound('Restaurant not found');
+    }]
+]
+
+export default restaurantHandlers
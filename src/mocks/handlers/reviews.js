@@ -0,0 +1,397 @@
+import { getDb, saveDb, nextId } from '../db'
+import { getSessionUser } from '../session'
+import { publish } from '../channel'
+import { ok, created, noContent, badRequest, unauthorized, forbidden, notFound, conflict } from '../responses'
+import { paginate } from '../paginate'
+import { findRestaurant } from './restaurants'
+import { notify } from './notifications'
+import { isFollowing } from './users'
+
+import { maxCommentLength, maxReplyLength, maxReviewLength, popularReviewerMinFollowers } from '../../helpers/constants'
+import { getDishes } from '../../helpers/menu'
+import { readReviewQuery, reviewTypes } from '../../helpers/reviews'
+import { getPlainText, sanitizeHtml } from '../../helpers/richText'
+import { isActiveOrder } from '../../helpers/orderTracking'
+
+export const reviewTopic = (restaurantId) => `/restaurants/${restaurantId}/reviews/events`;
+
+export const isVerifiedOwner = (userId, restaurantId) => {
+    return getDb().restaurantOwners.some(val => val.userId === userId && val.restaurantId === restaurantId && val.verifiedAt);
+}
+
+const newestFirst = (a, b) => b.createdAt.localeCompare(a.createdAt);
+
+const reviewSorters = {
+    newest: newestFirst,
+    oldest: (a, b) => a.createdAt.localeCompare(b.createdAt),
+    highest: (a, b) => b.rating - a.rating || newestFirst(a, b),
+    lowest: (a, b) => a.rating - b.rating || newestFirst(a, b)
+}
+
+// Each filter gets the session user, following and my reviews are only reachable when logged in
+const reviewFilterers = {
+    all: () => () => true,
+    following: (user) => {
+        const followees = getDb().follows.filter(val => val.followerId === user.id).map(val => val.followeeId);
+        return (review) => followees.includes(review.userId);
+    },
+    popular: () => {
+        const {follows} = getDb();
+        return (review) => follows.filter(val => val.followeeId === review.userId).length >= popularReviewerMinFollowers;
+    },
+    bloggers: () => {
+        const bloggers = getDb().users.filter(val => val.blogger).map(val => val.id);
+        return (review) => bloggers.includes(review.userId);
+    },
+    mine: (user) => (review) => review.userId === user.id,
+    orders: () => (review) => review.orderId !== null
+}
+
+const needsLogin = ['following', 'mine'];
+
+// `viewer` is the session user, if any, and only decides `voted`, `canReply` and whether they follow the author
+export const toReview = (review, viewer = null) => {
+    const {restaurants, users, reviews, follows, photos, reviewVotes, reviewComments, reviewReplies} = getDb();
+    const votes = reviewVotes.filter(val => val.reviewId === review.id);
+    const reply = reviewReplies.find(val => val.reviewId === review.id);
+    const restaurant = restaurants.find(val => val.id === review.restaurantId);
+    const user = users.find(val => val.id === review.userId);
+    const dishes = getDishes(restaurant?.menu);
+    return {
+        id: review.id,
+        type: review.type,
+        rating: review.rating,
+        body: review.body,
+        orderId: review.orderId,
+        dishes: review.dishes.map(id => dishes.find(val => val.id === id)).filter(Boolean).map(({id, ttl}) => ({id, name: ttl})),
+        photos: photos.filter(val => val.reviewId === review.id).map(({id, src}) => ({id, src})),
+        votes: votes.length,
+        voted: !!viewer && votes.some(val => val.userId === viewer.id),
+        comments: reviewComments.filter(val => val.reviewId === review.id).length,
+        reply: reply ? {body: reply.body, createdAt: reply.createdAt, updatedAt: reply.updatedAt} : null,
+        canReply: !!viewer && viewer.id !== review.userId && isVerifiedOwner(viewer.id, review.restaurantId),
+        user: user ? {
+            id: user.id,
+            name: user.name,
+            profilePic: user.profilePic,
+            reviews: reviews.filter(val => val.userId === user.id).length,
+            followers: follows.filter(val => val.followeeId === user.id).length,
+            isFollowing: !!viewer && isFollowing(viewer.id, user.id)
+        } : null,
+        restaurant: restaurant ? {
+            id: restaurant.id,
+            name: restaurant.name,
+            city: restaurant.city,
+            slug: restaurant.slug,
+            thumb: restaurant.thumb,
+            address: `${restaurant.locality}, ${restaurant.cityName}`,
+            link: `/${restaurant.city}/${restaurant.slug}`
+        } : null,
+        createdAt: review.createdAt,
+        updatedAt: review.updatedAt
+    }
+}
+
+// An order review has to be the author's own delivered order from this restaurant, reviewed once
+const validateOrder = (orderId, user, restaurant) => {
+    const {orders, reviews} = getDb();
+    const order = orders.find(val => val.id === orderId);
+    if(!order || order.userId !== user.id) return notFound('Order not found');
+    if(order.restaurant?.city !== restaurant.city || order.restaurant?.hotel !== restaurant.slug){
+        return badRequest('This order is from another restaurant');
+    }
+    if(isActiveOrder(order)) return badRequest('You can review this order once it has been delivered');
+    if(reviews.some(val => val.orderId === order.id)) return conflict("You've already reviewed this order");
+    return null;
+}
+
+const validateReview = (body, restaurant) => {
+    if(!reviewTypes.some(val => val.key === body?.type)) return 'Please pick dining or delivery';
+    if(!Number.isInteger(body.rating) || body.rating < 1 || body.rating > 5) return 'Please rate your experience from 1 to 5';
+    const text = getPlainText(sanitizeHtml(body.body));
+    if(!text) return 'Please write a few words about your experience';
+    if(text.length > maxReviewLength) return `Reviews can be up to ${maxReviewLength} characters long`;
+    const menu = getDishes(restaurant.menu);
+    if(!Array.isArray(body.dishes) || body.dishes.some(id => !menu.some(val => val.id === id))) return 'Tagged dishes must be on the menu';
+    return null;
+}
+
+// Only the author gets past this, everyone else sees the matching error response
+const findOwnReview = (reviewId, headers) => {
+    const user = getSessionUser(headers);
+    if(!user) return {error: unauthorized()};
+    const review = getDb().reviews.find(val => val.id === +reviewId);
+    if(!review) return {error: notFound('Review not found')};
+    if(review.userId !== user.id) return {error: forbidden('You can only change your own reviews')};
+    return {review};
+}
+
+const toComment = (comment) => {
+    const user = getDb().users.find(val => val.id === comment.userId);
+    return {
+        id: comment.id,
+        reviewId: comment.reviewId,
+        parentId: comment.parentId,
+        body: comment.body,
+        user: user ? {id: user.id, name: user.name, profilePic: user.profilePic} : null,
+        createdAt: comment.createdAt,
+        updatedAt: comment.updatedAt
+    }
+}
+
+const validateComment = (body) => {
+    const text = typeof body?.body === 'string' ? body.body.trim() : '';
+    if(!text) return 'Please write a comment';
+    if(text.length > maxCommentLength) return `Comments can be up to ${maxCommentLength} characters long`;
+    return null;
+}
+
+const findOwnComment = (commentId, headers) => {
+    const user = getSessionUser(headers);
+    if(!user) return {error: unauthorized()};
+    const comment = getDb().reviewComments.find(val => val.id === +commentId);
+    if(!comment) return {error: notFound('Comment not found')};
+    if(comment.userId !== user.id) return {error: forbidden('You can only change your own comments')};
+    return {comment};
+}
+
+// Counts are pushed on their own so open lists can update in place without refetching
+const publishVotes = (review) => {
+    const votes = getDb().reviewVotes.filter(val => val.reviewId === review.id).length;
+    publish(reviewTopic(review.restaurantId), {type: 'votes', reviewId: review.id, votes});
+    return votes;
+}
+
+const publishComments = (review) => {
+    const comments = getDb().reviewComments.filter(val => val.reviewId === review.id).length;
+    publish(reviewTopic(review.restaurantId), {type: 'comments', reviewId: review.id, comments});
+}
+
+// Only the restaurant's verified owner gets past this, and never on their own review
+const findRepliableReview = (reviewId, headers) => {
+    const user = getSessionUser(headers);
+    if(!user) return {error: unauthorized()};
+    const review = getDb().reviews.find(val => val.id === +reviewId);
+    if(!review) return {error: notFound('Review not found')};
+    if(!isVerifiedOwner(user.id, review.restaurantId)) return {error: forbidden('Only the verified owner of this restaurant can reply')};
+    if(review.userId === user.id) return {error: forbidden("You can't reply to your own review")};
+    return {user, review};
+}
+
+const validateReply = (body) => {
+    const text = typeof body?.body === 'string' ? body.body.trim() : '';
+    if(!text) return 'Please write a reply';
+    if(text.length > maxReplyLength) return `Replies can be up to ${maxReplyLength} characters long`;
+    return null;
+}
+
+const setVote = (voted) => ({params, headers}) => {
+    const user = getSessionUser(headers);
+    if(!user) return unauthorized();
+    const db = getDb();
+    const review = db.reviews.find(val => val.id === +params.reviewId);
+    if(!review) return notFound('Review not found');
+    db.reviewVotes = db.reviewVotes.filter(val => val.reviewId !== review.id || val.userId !== user.id);
+    if(voted) db.reviewVotes.push({reviewId: review.id, userId: user.id, createdAt: new Date().toISOString()});
+    saveDb();
+    return ok({votes: publishVotes(review), voted});
+}
+
+const reviewHandlers = [
+    ['GET', '/restaurants/:city/:slug/reviews', ({params, query, headers}) => {
+        const restaurant = findRestaurant(params);
+        if(!restaurant) return notFound('Restaurant not found');
+        const {filter, sort} = readReviewQuery(query);
+        const user = getSessionUser(headers);
+        if(!user && needsLogin.includes(filter)) return unauthorized();
+        const matches = reviewFilterers[filter](user);
+        const list = getDb().reviews
+            .filter(val => val.restaurantId === restaurant.id && matches(val))
+            .sort(reviewSorters[sort])
+            .map(val => toReview(val, user));
+        return ok(paginate(list, query));
+    }],
+    ['POST', '/restaurants/:city/:slug/reviews', ({params, body, headers}) => {
+        const user = getSessionUser(headers);
+        if(!user) return unauthorized();
+        const restaurant = findRestaurant(params);
+        if(!restaurant) return notFound('Restaurant not found');
+        const error = validateReview(body, restaurant);
+        if(error) return badRequest(error);
+        const orderId = body.orderId ?? null;
+        if(orderId !== null){
+            if(body.type !== 'delivery') return badRequest('Order reviews are delivery reviews');
+            const orderError = validateOrder(orderId, user, restaurant);
+            if(orderError) return orderError;
+        }
+
+        const db = getDb();
+        const now = new Date().toISOString();
+        const review = {
+            id: nextId('reviews'),
+            restaurantId: restaurant.id,
+            userId: user.id,
+            type: body.type,
+            rating: body.rating,
+            body: sanitizeHtml(body.body),
+            dishes: [...new Set(body.dishes)],
+            orderId,
+            createdAt: now,
+            updatedAt: now
+        };
+        db.reviews.push(review);
+        saveDb();
+        publish(reviewTopic(restaurant.id), {type: 'saved', review: toReview(review)});
+        return created(toReview(review, user));
+    }],
+    ['GET', '/reviews/:reviewId', ({params, headers}) => {
+        const review = getDb().reviews.find(val => val.id === +params.reviewId);
+        return review ? ok(toReview(review, getSessionUser(headers))) : notFound('Review not found');
+    }],
+    // `photos` lists the attached photos to keep, the others are deleted
+    ['PUT', '/reviews/:reviewId', ({params, body, headers}) => {
+        const {review, error: notAllowed} = findOwnReview(params.reviewId, headers);
+        if(notAllowed) return notAllowed;
+        const db = getDb();
+        const restaurant = db.restaurants.find(val => val.id === review.restaurantId);
+        const error = validateReview(body, restaurant);
+        if(error) return badRequest(error);
+
+        Object.assign(review, {
+            type: body.type,
+            rating: body.rating,
+            body: sanitizeHtml(body.body),
+            dishes: [...new Set(body.dishes)],
+            updatedAt: new Date().toISOString()
+        });
+        if(Array.isArray(body.photos)){
+            db.photos = db.photos.filter(val => val.reviewId !== review.id || body.photos.includes(val.id));
+        }
+        saveDb();
+        publish(reviewTopic(review.restaurantId), {type: 'saved', review: toReview(review)});
+        return ok(toReview(review, getSessionUser(headers)));
+    }],
+    ['DELETE', '/reviews/:reviewId', ({params, headers}) => {
+        const {review, error} = findOwnReview(params.reviewId, headers);
+        if(error) return error;
+        const db = getDb();
+        db.reviews = db.reviews.filter(val => val.id !== review.id);
+        db.photos = db.photos.filter(val => val.reviewId !== review.id);
+        db.reviewVotes = db.reviewVotes.filter(val => val.reviewId !== review.id);
+        db.reviewComments = db.reviewComments.filter(val => val.reviewId !== review.id);
+        db.reviewReplies = db.reviewReplies.filter(val => val.reviewId !== review.id);
+        saveDb();
+        publish(reviewTopic(review.restaurantId), {type: 'deleted', reviewId: review.id});
+        return noContent();
+    }],
+    ['POST', '/reviews/:reviewId/reply', ({params, body, headers}) => {
+        const {user, review, error: notAllowed} = findRepliableReview(params.reviewId, headers);
+        if(notAllowed) return notAllowed;
+        const db = getDb();
+        if(db.reviewReplies.some(val => val.reviewId === review.id)) return conflict('This review already has a reply');
+        const error = validateReply(body);
+        if(error) return badRequest(error);
+
+        const now = new Date().toISOString();
+        db.reviewReplies.push({reviewId: review.id, restaurantId: review.restaurantId, userId: user.id, body: body.body.trim(), createdAt: now, updatedAt: now});
+        const saved = toReview(review, user);
+        notify(review.userId, {
+            type: 'reviewReply',
+            text: `${saved.restaurant.name} replied to your review`,
+            link: `${saved.restaurant.link}/reviews/${review.id}`
+        });
+        saveDb();
+        publish(reviewTopic(review.restaurantId), {type: 'saved', review: toReview(review)});
+        return created(saved);
+    }],
+    ['PUT', '/reviews/:reviewId/reply', ({params, body, headers}) => {
+        const {user, review, error: notAllowed} = findRepliableReview(params.reviewId, headers);
+        if(notAllowed) return notAllowed;
+        const reply = getDb().reviewReplies.find(val => val.reviewId === review.id);
+        if(!reply) return notFound('Reply not found');
+        const error = validateReply(body);
+        if(error) return badRequest(error);
+        Object.assign(reply, {userId: user.id, body: body.body.trim(), updatedAt: new Date().toISOString()});
+        saveDb();
+        publish(reviewTopic(review.restaurantId), {type: 'saved', review: toReview(review)});
+        return ok(toReview(review, user));
+    }],
+    ['DELETE', '/reviews/:reviewId/reply', ({params, headers}) => {
+        const {user, review, error} = findRepliableReview(params.reviewId, headers);
+        if(error) return error;
+        const db = getDb();
+        db.reviewReplies = db.reviewReplies.filter(val => val.reviewId !== review.id);
+        saveDb();
+        publish(reviewTopic(review.restaurantId), {type: 'saved', review: toReview(review)});
+        return ok(toReview(review, user));
+    }],
+    ['PUT', '/reviews/:reviewId/helpful', setVote(true)],
+    ['DELETE', '/reviews/:reviewId/helpful', setVote(false)],
+    ['GET', '/reviews/:reviewId/comments', ({params}) => {
+        const db = getDb();
+        const review = db.reviews.find(val => val.id === +params.reviewId);
+        if(!review) return notFound('Review not found');
+        const list = db.reviewComments.filter(val => val.reviewId === review.id)
+            .sort((a, b) => a.createdAt.localeCompare(b.createdAt))
+            .map(toComment);
+        return ok(list);
+    }],
+    // Replying to a reply lands in the same thread, so threads stay one level deep
+    ['POST', '/reviews/:reviewId/comments', ({params, body, headers}) => {
+        const user = getSessionUser(headers);
+        if(!user) return unauthorized();
+        const db = getDb();
+        const review = db.reviews.find(val => val.id === +params.reviewId);
+        if(!review) return notFound('Review not found');
+        const error = validateComment(body);
+        if(error) return badRequest(error);
+        let parentId = null;
+        if(body.parentId != null){
+            const parent = db.reviewComments.find(val => val.id === +body.parentId && val.reviewId === review.id);
+            if(!parent) return badRequest('The comment you replied to no longer exists');
+            parentId = parent.parentId ?? parent.id;
+        }
+
+        const now = new Date().toISOString();
+        const comment = {
+            id: nextId('reviewComments'),
+            reviewId: review.id,
+            userId: user.id,
+            parentId,
+            body: body.body.trim(),
+            createdAt: now,
+            updatedAt: now
+        };
+        db.reviewComments.push(comment);
+        saveDb();
+        publishComments(review);
+        return created(toComment(comment));
+    }],
+    ['PUT', '/comments/:commentId', ({params, body, headers}) => {
+        const {comment, error: notAllowed} = findOwnComment(params.commentId, headers);
+        if(notAllowed) return notAllowed;
+        const error = validateComment(body);
+        if(error) return badRequest(error);
+        Object.assign(comment, {body: body.body.trim(), updatedAt: new Date().toISOString()});
+        saveDb();
+        publishComments(getDb().reviews.find(val => val.id === comment.reviewId));
+        return ok(toComment(comment));
+    }],
+    // Deleting a comment takes its replies with it
+    ['DELETE', '/comments/:commentId', ({params, headers}) => {
+        const {comment, error} = findOwnComment(params.commentId, headers);
+        if(error) return error;
+        const db = getDb();
+        db.reviewComments = db.reviewComments.filter(val => val.id !== comment.id && val.parentId !== comment.id);
+        saveDb();
+        publishComments(db.reviews.find(val => val.id === comment.reviewId));
+        return noContent();
+    }],
+    ['GET', '/users/:userId/reviews', ({params, query, headers}) => {
+        const viewer = getSessionUser(headers);
+        const list = getDb().reviews.filter(val => val.userId === params.userId).sort(newestFirst).map(val => toReview(val, viewer));
+        return ok(paginate(list, query));
+    }]
+]
+
+export default reviewHandlers
@@ -0,0 +1,53 @@
+// @vitest-environment jsdom
+import { afterEach, beforeEach, describe, expect, it, vi } from 'vitest'
+
+import { getDb, resetDb } from '../db'
+import reviewHandlers from './reviews'
+
+const createReview = reviewHandlers.find(val => val[0] === 'POST' && val[1] === '/restaurants/:city/:slug/reviews')[2];
+
+const headers = {Authorization: 'Bearer test-token'};
+const paradise = {city: "hyderabad", slug: "paradise-hotel"};
+
+const review = (fields) => ({type: "delivery", rating: 4, body: "<p>Arrived hot</p>", dishes: [], ...fields});
+
+describe('POST /restaurants/:city/:slug/reviews', () => {
+    beforeEach(() => {
+        const storage = new Map();
+        vi.stubGlobal('localStorage', {
+            getItem: (key) => storage.get(key) ?? null,
+            setItem: (key, value) => storage.set(key, String(value)),
+            removeItem: (key) => storage.delete(key)
+        });
+        resetDb();
+        const db = getDb();
+        db.sessions.push({token: 'test-token', userId: 'll', expiresAt: Date.now() + 60 * 1000});
+        db.orders.unshift(
+            {id: 50, userId: "ll", restaurant: {city: "hyderabad", hotel: "paradise-hotel"}, status: "delivered"},
+            {id: 51, userId: "ll", restaurant: {city: "hyderabad", hotel: "paradise-hotel"}, status: "preparing"},
+            {id: 52, userId: "123", restaurant: {city: "hyderabad", hotel: "paradise-hotel"}, status: "delivered"}
+        );
+    })
+
+    afterEach(() => {
+        vi.unstubAllGlobals();
+    })
+
+    it('links a review to the delivered order it was written for, once', () => {
+        const {status, data} = createReview({params: paradise, body: review({orderId: 50}), headers});
+        expect(status).toBe(201);
+        expect(data.orderId).toBe(50);
+        expect(createReview({params: paradise, body: review({orderId: 50}), headers}).status).toBe(409);
+    })
+
+    it('turns down orders that are not the author\'s, not delivered or from elsewhere', () => {
+        expect(createReview({params: paradise, body: review({orderId: 52}), headers}).status).toBe(404);
+        expect(createReview({params: paradise, body: review({orderId: 51}), headers}).status).toBe(400);
+        expect(createReview({params: {city: "hyderabad", slug: "krupa-mess-and-tiffins"}, body: review({orderId: 50}), headers}).status).toBe(400);
+        expect(createReview({params: paradise, body: review({orderId: 50, type: "dining"}), headers}).status).toBe(400);
+    })
+
+    it('leaves reviews without an order unlinked', () => {
+        expect(createReview({params: paradise, body: review(), headers}).data.orderId).toBeNull();
+    })
+})
@@ -0,0 +1,64 @@
+import { getDb } from '../db'
+import { ok } from '../responses'
+
+// Lower rank is a better match: exact, prefix, word prefix, anywhere
+const matchRank = (text, q) => {
+    const value = text.toLowerCase();
+    if(value === q) return 0;
+    if(value.startsWith(q)) return 1;
+    if(value.split(/\s+/).some(word => word.startsWith(q))) return 2;
+    return value.includes(q) ? 3 : -1;
+}
+
+const byRank = (list) => list.filter(val => val.rank >= 0).sort((a, b) => a.rank - b.rank).map(({rank, ...val}) => val);
+
+const searchHandlers = [
+    ['GET', '/search', ({query}) => {
+        const q = query.get('q')?.trim().toLowerCase() ?? '';
+        const city = query.get('city')?.toLowerCase();
+        const limit = +(query.get('limit') ?? 5);
+        if(!q) return ok({restaurants: [], cuisines: [], dishes: []});
+
+        const restaurants = getDb().restaurants.filter(val => !city || val.city === city);
+
+        const restaurantMatches = byRank(restaurants.map(val => ({
+            id: val.id,
+            name: val.name,
+            slug: val.slug,
+            city: val.city,
+            locality: val.locality,
+            thumb: val.thumb,
+            cuisines: val.cuisines,
+            rating: val.ratings.dining.rating,
+            rank: matchRank(val.name, q)
+        })));
+
+        const cuisineCounts = {};
+        restaurants.forEach(val => val.cuisines.forEach(cuisine => {
+            cuisineCounts[cuisine] = (cuisineCounts[cuisine] ?? 0) + 1;
+        }));
+        const cuisineMatches = byRank(Object.entries(cuisineCounts).map(([name, count]) => ({
+            name,
+            count,
+            rank: matchRank(name, q)
+        })));
+
+        const dishMatches = byRank(restaurants.flatMap(restaurant => Object.values(restaurant.menu).flat().map(dish => ({
+            id: dish.id,
+            name: dish.ttl,
+            price: dish.price,
+            foodType: dish.foodType,
+            imgSrc: dish.imgSrc,
+            restaurant: {name: restaurant.name, slug: restaurant.slug, city: restaurant.city},
+            rank: matchRank(dish.ttl, q)
+        }))));
+
+        return ok({
+            restaurants: restaurantMatches.slice(0, limit),
+            cuisines: cuisineMatches.slice(0, limit),
+            dishes: dishMatches.slice(0, limit)
+        });
+    }]
+]
+
+export default searchHandlers
@@ -0,0 +1,171 @@
+import { getDb, saveDb, nextId } from '../db'
+import { getSessionUser } from '../session'
+import { publish } from '../channel'
+import { ok, badRequest, unauthorized, conflict, notFound } from '../responses'
+import { paginate } from '../paginate'
+import { withoutMenu } from './restaurants'
+import { notify } from './notifications'
+
+const maxRecentlyViewed = 20;
+
+// Follows and unfollows are pushed to the follower, so every button showing that person can catch up
+export const followingTopic = (userId) => `/users/${userId}/following/events`;
+
+export const isFollowing = (followerId, followeeId) => getDb().follows.some(val => val.followerId === followerId && val.followeeId === followeeId);
+
+const countFollowers = (userId) => getDb().follows.filter(val => val.followeeId === userId).length;
+
+// `viewer` is the session user, if any, and only decides `isFollowing`
+const toPerson = ({id, name, profilePic}, viewer = null) => ({
+    id,
+    name,
+    profilePic,
+    reviews: getDb().reviews.filter(val => val.userId === id).length,
+    followers: countFollowers(id),
+    isFollowing: !!viewer && isFollowing(viewer.id, id)
+});
+
+const toStats = (userId) => {
+    const {reviews, photos, follows} = getDb();
+    return {
+        reviews: reviews.filter(val => val.userId === userId).length,
+        photos: photos.filter(val => val.userId === userId).length,
+        followers: countFollowers(userId),
+        following: follows.filter(val => val.followerId === userId).length
+    }
+}
+
+const newestFirst = (key) => (a, b) => b[key].localeCompare(a[key]);
+
+const restaurantList = (entries, key) => {
+    const {restaurants} = getDb();
+    return [...entries].sort(newestFirst(key))
+        .map(entry => restaurants.find(val => val.id === entry.restaurantId))
+        .filter(Boolean)
+        .map(withoutMenu);
+}
+
+const userHandlers = [
+    // People the viewer doesn't follow yet, the most followed first
+    ['GET', '/users/suggested', ({query, headers}) => {
+        const viewer = getSessionUser(headers);
+        const list = getDb().users
+            .filter(val => val.id !== viewer?.id && !(viewer && isFollowing(viewer.id, val.id)))
+            .map(val => toPerson(val, viewer))
+            .sort((a, b) => b.followers - a.followers || b.reviews - a.reviews);
+        return ok(paginate(list, query));
+    }],
+    ['GET', '/users/:userId', ({params, headers}) => {
+        const user = getDb().users.find(val => val.id === params.userId);
+        if(!user) return notFound('User not found');
+        const viewer = getSessionUser(headers);
+        // Anyone can open a profile, so contact details stay out of it
+        return ok({
+            id: user.id,
+            name: user.name,
+            profilePic: user.profilePic,
+            city: user.city,
+            stats: toStats(user.id),
+            isFollowing: !!viewer && isFollowing(viewer.id, user.id)
+        });
+    }],
+    ['PUT', '/users/:userId/follow', ({params, headers}) => {
+        const viewer = getSessionUser(headers);
+        if(!viewer) return unauthorized();
+        const db = getDb();
+        const user = db.users.find(val => val.id === params.userId);
+        if(!user) return notFound('User not found');
+        if(user.id === viewer.id) return badRequest("You can't follow yourself");
+        if(!isFollowing(viewer.id, user.id)){
+            db.follows.push({followerId: viewer.id, followeeId: user.id, createdAt: new Date().toISOString()});
+            notify(user.id, {
+                type: 'follow',
+                text: `${viewer.name} started following you`,
+                link: `/user/${viewer.id}/reviews`
+            });
+            saveDb();
+        }
+        const followers = countFollowers(user.id);
+        publish(followingTopic(viewer.id), {type: 'followed', userId: user.id, followers});
+        return ok({following: true, followers});
+    }],
+    ['DELETE', '/users/:userId/follow', ({params, headers}) => {
+        const viewer = getSessionUser(headers);
+        if(!viewer) return unauthorized();
+        const db = getDb();
+        if(!db.users.some(val => val.id === params.userId)) return notFound('User not found');
+        db.follows = db.follows.filter(val => !(val.followerId === viewer.id && val.followeeId === params.userId));
+        saveDb();
+        const followers = countFollowers(params.userId);
+        publish(followingTopic(viewer.id), {type: 'unfollowed', userId: params.userId, followers});
+        return ok({following: false, followers});
+    }],
+    ['GET', '/users/:userId/followers', ({params, query, headers}) => {
+        const viewer = getSessionUser(headers);
+        const {follows, users} = getDb();
+        const list = follows.filter(val => val.followeeId === params.userId).sort(newestFirst('createdAt'))
+            .map(val => users.find(user => user.id === val.followerId))
+            .filter(Boolean)
+            .map(val => toPerson(val, viewer));
+        return ok(paginate(list, query));
+    }],
+    ['GET', '/users/:userId/following', ({params, query, headers}) => {
+        const viewer = getSessionUser(headers);
+        const {follows, users} = getDb();
+        const list = follows.filter(val => val.followerId === params.userId).sort(newestFirst('createdAt'))
+            .map(val => users.find(user => user.id === val.followeeId))
+            .filter(Boolean)
+            .map(val => toPerson(val, viewer));
+        return ok(paginate(list, query));
+    }],
+    ['GET', '/users/:userId/bookmarks', ({params, query}) => {
+        const list = restaurantList(getDb().bookmarks.filter(val => val.userId === params.userId), 'createdAt');
+        return ok(paginate(list, query));
+    }],
+    ['GET', '/users/:userId/recently-viewed', ({params, query}) => {
+        const list = restaurantList(getDb().recentlyViewed.filter(val => val.userId === params.userId), 'viewedAt');
+        return ok(paginate(list, query));
+    }],
+    // Only the latest visit to a restaurant is kept, and only the most recent few restaurants
+    ['POST', '/users/me/recently-viewed', ({body, headers}) => {
+        const user = getSessionUser(headers);
+        if(!user) return unauthorized();
+        if(!body?.restaurantId) return badRequest('A restaurant is required');
+        const db = getDb();
+        const mine = db.recentlyViewed.filter(val => val.userId === user.id && val.restaurantId !== body.restaurantId);
+        const kept = [{userId: user.id, restaurantId: body.restaurantId, viewedAt: new Date().toISOString()}, ...mine.sort(newestFirst('viewedAt'))].slice(0, maxRecentlyViewed);
+        db.recentlyViewed = [...db.recentlyViewed.filter(val => val.userId !== user.id), ...kept];
+        saveDb();
+        return ok({success: true});
+    }],
+    ['POST', '/signup', ({body}) => {
+        if(!body?.username || !body?.email || !body?.phone){
+            return badRequest('Please fill in all fields');
+        }
+        // Logging in is by OTP, so the phone is what ties this account to a session later
+        const phone = String(body.phone).trim();
+        if(!/^\d{10}$/.test(phone)){
+            return badRequest('Enter a valid 10 digit phone number');
+        }
+        const db = getDb();
+        if(db.users.some(val => val.email === body.email)){
+            return conflict('An account with this email already exists');
+        }
+        if(db.users.some(val => val.phone === phone)){
+            return conflict('An account with this phone number already exists');
+        }
+        const user = {
+            id: String(nextId('users')),
+            name: body.username,
+            email: body.email,
+            phone,
+            profilePic: "/images/profilepic.jpg",
+            city: ""
+        };
+        db.users.push(user);
+        saveDb();
+        return ok({success: true, user});
+    }]
+]
+
+export default userHandlers
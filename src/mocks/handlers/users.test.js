@@ -0,0 +1,55 @@
+import { afterEach, beforeEach, describe, expect, it, vi } from 'vitest'
+
+import { getDb, resetDb } from '../db'
+import userHandlers from './users'
+import authHandlers from './auth'
+
+const route = (handlers, method, pattern) => handlers.find(val => val[0] === method && val[1] === pattern)[2];
+
+const getUser = route(userHandlers, 'GET', '/users/:userId');
+const signup = route(userHandlers, 'POST', '/signup');
+const requestOtp = route(authHandlers, 'POST', '/auth/otp/request');
+const verifyOtp = route(authHandlers, 'POST', '/auth/otp/verify');
+
+describe('user handlers', () => {
+    beforeEach(() => {
+        const storage = new Map();
+        vi.stubGlobal('localStorage', {
+            getItem: (key) => storage.get(key) ?? null,
+            setItem: (key, value) => storage.set(key, String(value)),
+            removeItem: (key) => storage.delete(key)
+        });
+        resetDb();
+    })
+
+    afterEach(() => {
+        vi.unstubAllGlobals();
+    })
+
+    it('keeps contact details out of a profile fetched anonymously', () => {
+        const {status, data} = getUser({params: {userId: 'll'}, headers: {}});
+        expect(status).toBe(200);
+        expect(data).not.toHaveProperty('phone');
+        expect(data).not.toHaveProperty('email');
+        expect(Object.keys(data).sort()).toEqual(['city', 'id', 'isFollowing', 'name', 'profilePic', 'stats']);
+    })
+
+    it('rejects a signup without a valid phone number', () => {
+        expect(signup({body: {username: 'Asha', email: 'asha@example.com'}}).status).toBe(400);
+        expect(signup({body: {username: 'Asha', email: 'asha@example.com', phone: '12345'}}).status).toBe(400);
+    })
+
+    it('rejects a signup with a phone number that already has an account', () => {
+        const {status} = signup({body: {username: 'Asha', email: 'asha@example.com', phone: '8074786491'}});
+        expect(status).toBe(409);
+    })
+
+    it('logs a signed up account in with an OTP to its phone', () => {
+        const {data: {user}} = signup({body: {username: 'Asha', email: 'asha@example.com', phone: '9000000001'}});
+        const {data: {requestId}} = requestOtp({body: {phone: '9000000001'}});
+        const {code} = getDb().otpRequests.find(val => val.requestId === requestId);
+        const {status, data} = verifyOtp({body: {requestId, code}});
+        expect(status).toBe(200);
+        expect(data.user.id).toBe(user.id);
+    })
+})
@@ -0,0 +1,92 @@
+import restaurantHandlers from './handlers/restaurants'
+import orderHandlers from './handlers/orders'
+import userHandlers from './handlers/users'
+import authHandlers from './handlers/auth'
+import searchHandlers from './handlers/search'
+import promotionHandlers from './handlers/promotions'
+import addressHandlers from './handlers/addresses'
+import geocodeHandlers from './handlers/geocode'
+import photoHandlers from './handlers/photos'
+import reviewHandlers from './handlers/reviews'
+import notificationHandlers from './handlers/notifications'
+import { notFound } from './responses'
+
+const latency = +(import.meta.env.VITE_MOCK_LATENCY ?? 200);
+const uploadSteps = 10;
+
+const routes = [
+    ...restaurantHandlers,
+    ...orderHandlers,
+    ...userHandlers,
+    ...authHandlers,
+    ...searchHandlers,
+    ...promotionHandlers,
+    ...addressHandlers,
+    ...geocodeHandlers,
+    ...photoHandlers,
+    ...reviewHandlers,
+    ...notificationHandlers
+].map(([method, pattern, handler]) => {
+    const keys = [];
+    const regex = new RegExp('^' + pattern.replace(/:(\w+)/g, (_, key) => {
+        keys.push(key);
+        return '([^/]+)';
+    }) + '$');
+    return {method, regex, keys, handler};
+})
+
+const abortError = () => new DOMException('The request was aborted', 'AbortError');
+
+const wait = (ms, signal) => new Promise((resolve, reject) => {
+    if(signal?.aborted) return reject(abortError());
+    const timer = setTimeout(resolve, ms);
+    signal?.addEventListener('abort', () => {
+        clearTimeout(timer);
+        reject(abortError());
+    }, {once: true});
+})
+
+const readFile = (file) => new Promise((resolve, reject) => {
+    const reader = new FileReader();
+    reader.onload = () => resolve(reader.result);
+    reader.onerror = () => reject(reader.error);
+    reader.readAsDataURL(file);
+})
+
+// Files become data URLs so uploads survive the localStorage round trip like everything else
+const readFormData = async (formData) => {
+    const body = {};
+    for(const [key, val] of formData.entries()){
+        body[key] = val instanceof Blob ? {name: val.name, type: val.type, size: val.size, dataUrl: await readFile(val)} : val;
+    }
+    return body;
+}
+
+const mockAdapter = async ({method, path, body, headers, signal, onProgress}) => {
+    if(body instanceof FormData){
+        // Spread the latency over a few steps so progress bars have something to show
+        for(let step = 1; step <= uploadSteps; step++){
+            await wait(latency, signal);
+            onProgress?.(step / uploadSteps);
+        }
+        body = await readFormData(body);
+    }else{
+        await wait(latency, signal);
+    }
+
+    const [pathname, search = ''] = path.split('?');
+    const query = new URLSearchParams(search);
+
+    for(const route of routes){
+        const match = route.method === method && pathname.match(route.regex);
+        if(match){
+            const params = Object.fromEntries(route.keys.map((key, i) => [key, decodeURIComponent(match[i + 1])]));
+            const response = await route.handler({params, query, body: structuredClone(body), headers});
+            return structuredClone(response);
+        }
+    }
+
+    return notFound(`No mock handler for ${method} ${pathname}`);
+}
+
+export default mockAdapter
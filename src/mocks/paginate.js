@@ -0,0 +1,12 @@
+// Mirrors the paging envelope the real API returns for list endpoints
+export const paginate = (items, query, defaultSize = 10) => {
+    const size = Math.max(1, +query.get('size') || defaultSize);
+    const pageCount = Math.max(1, Math.ceil(items.length / size));
+    const page = Math.min(Math.max(1, +query.get('page') || 1), pageCount);
+    return {
+        items: items.slice((page - 1) * size, page * size),
+        page,
+        size,
+        total: items.length
+    }
+}
@@ -0,0 +1,17 @@
+export const ok = (data) => ({status: 200, data});
+
+export const created = (data) => ({status: 201, data});
+
+export const noContent = () => ({status: 204, data: null});
+
+const error = (status, code, message, details) => ({status, data: {error: {code, message, details}}});
+
+export const badRequest = (message, details) => error(400, 'BAD_REQUEST', message, details);
+
+export const unauthorized = (message = 'Please log in to continue') => error(401, 'UNAUTHORIZED', message);
+
+export const forbidden = (message = 'You are not allowed to do that') => error(403, 'FORBIDDEN', message);
+
+export const notFound = (message = 'Not found') => error(404, 'NOT_FOUND', message);
+
+export const conflict = (message) => error(409, 'CONFLICT', message);
@@ -0,0 +1,14 @@
+import { getDb } from './db'
+
+export const createToken = () => Array.from({length: 4}, () => Math.random().toString(36).slice(2)).join('');
+
+export const getSession = (headers) => {
+    const token = headers?.Authorization?.replace(/^Bearer /, '');
+    if(!token) return null;
+    return getDb().sessions.find(val => val.token === token && val.expiresAt > Date.now()) ?? null;
+}
+
+export const getSessionUser = (headers) => {
+    const session = getSession(headers);
+    return session ? getDb().users.find(val => val.id === session.userId) ?? null : null;
+}
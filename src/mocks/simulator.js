@@ -0,0 +1,49 @@
+import { getDb, saveDb } from './db'
+import { publish } from './channel'
+
+import { applyStatus, getNextStatus, getOrderStatus, isActiveOrder, toTracking } from '../helpers/orderTracking'
+
+const stepMs = +(import.meta.env.VITE_ORDER_SIMULATION_STEP_MS ?? 15000);
+
+const timers = new Map();
+
+export const orderTopic = (orderId) => `/orders/${orderId}/events`;
+
+const findOrder = (orderId) => getDb().orders.find(val => String(val.id) === String(orderId));
+
+// Moves an order to `status`, or one step forward, and pushes the change to anyone tracking it
+export const advanceOrder = (orderId, status) => {
+    const order = findOrder(orderId);
+    const next = status ?? getNextStatus(getOrderStatus(order));
+    if(!order || !next) return null;
+
+    Object.assign(order, applyStatus(order, next));
+    saveDb();
+    publish(orderTopic(order.id), {type: 'status', order: toTracking(order)});
+    return order;
+}
+
+export const stopOrderSimulation = (orderId) => {
+    clearTimeout(timers.get(String(orderId)));
+    timers.delete(String(orderId));
+}
+
+export const runOrderSimulation = (orderId, interval = stepMs) => {
+    stopOrderSimulation(orderId);
+    const tick = () => {
+        const order = advanceOrder(orderId);
+        if(isActiveOrder(order)){
+            timers.set(String(orderId), setTimeout(tick, interval));
+        }else{
+            timers.delete(String(orderId));
+        }
+    }
+    timers.set(String(orderId), setTimeout(tick, interval));
+}
+
+// Timers don't survive a reload, so pick an unfinished order back up when someone starts tracking it
+export const resumeOrderSimulation = (orderId) => {
+    if(!timers.has(String(orderId)) && isActiveOrder(findOrder(orderId))){
+        runOrderSimulation(orderId);
+    }
+}
@@ -0,0 +1,100 @@
+import { afterEach, beforeEach, describe, expect, it, vi } from 'vitest'
+
+import { getDb, resetDb } from './db'
+import { subscribe } from './channel'
+import { advanceOrder, orderTopic, resumeOrderSimulation, runOrderSimulation, stopOrderSimulation } from './simulator'
+import { applyStatus } from '../helpers/orderTracking'
+
+const placeOrder = (id, status = 'placed') => {
+    const order = applyStatus({id, deliveryTime: "30"}, status, new Date());
+    getDb().orders.unshift(order);
+    return order;
+}
+
+const findOrder = (id) => getDb().orders.find(val => val.id === id);
+
+describe('order simulator', () => {
+    let events;
+    let unsubscribe;
+
+    beforeEach(() => {
+        const storage = new Map();
+        vi.stubGlobal('localStorage', {
+            getItem: (key) => storage.get(key) ?? null,
+            setItem: (key, value) => storage.set(key, String(value)),
+            removeItem: (key) => storage.delete(key)
+        });
+        vi.useFakeTimers();
+        vi.setSystemTime(new Date('2026-10-01T12:00:00.000Z'));
+        resetDb();
+        placeOrder(900);
+        events = [];
+        unsubscribe = subscribe(orderTopic(900), (event) => events.push(event));
+    })
+
+    afterEach(() => {
+        unsubscribe();
+        stopOrderSimulation(900);
+        vi.useRealTimers();
+        vi.unstubAllGlobals();
+    })
+
+    it('steps through every status once per interval and then stops', () => {
+        runOrderSimulation(900, 1000);
+        vi.advanceTimersByTime(999);
+        expect(events).toEqual([]);
+
+        vi.advanceTimersByTime(1);
+        expect(events.map(val => val.order.status)).toEqual(['accepted']);
+
+        vi.advanceTimersByTime(3000);
+        expect(events.map(val => val.order.status)).toEqual(['accepted', 'preparing', 'pickedUp', 'delivered']);
+        expect(vi.getTimerCount()).toBe(0);
+
+        const order = findOrder(900);
+        expect(order.orderStatus).toBe('Delivered');
+        expect(Object.keys(order.timeline)).toEqual(['placed', 'accepted', 'preparing', 'pickedUp', 'delivered']);
+        expect(order.timeline.delivered).toBe('2026-10-01T12:00:04.000Z');
+    })
+
+    it('pushes the tracking view of the order with a fresh eta', () => {
+        runOrderSimulation(900, 1000);
+        vi.advanceTimersByTime(1000);
+        expect(events[0]).toEqual({
+            type: 'status',
+            order: {
+                id: 900,
+                status: 'accepted',
+                orderStatus: 'Accepted',
+                timeline: findOrder(900).timeline,
+                eta: '2026-10-01T12:27:01.000Z'
+            }
+        });
+    })
+
+    it('jumps straight to a given status when advanced by hand', () => {
+        expect(advanceOrder(900, 'pickedUp').status).toBe('pickedUp');
+        expect(events.map(val => val.order.status)).toEqual(['pickedUp']);
+        expect(advanceOrder(900).status).toBe('delivered');
+        expect(advanceOrder(900)).toBeNull();
+        expect(advanceOrder(901)).toBeNull();
+    })
+
+    it('stops when asked', () => {
+        runOrderSimulation(900, 1000);
+        vi.advanceTimersByTime(1000);
+        stopOrderSimulation(900);
+        vi.advanceTimersByTime(10000);
+        expect(events).toHaveLength(1);
+    })
+
+    it('only resumes unfinished orders that are not already running', () => {
+        runOrderSimulation(900, 1000);
+        resumeOrderSimulation(900);
+        expect(vi.getTimerCount()).toBe(1);
+
+        placeOrder(901, 'delivered');
+        resumeOrderSimulation(901);
+        expect(vi.getTimerCount()).toBe(1);
+    })
+})
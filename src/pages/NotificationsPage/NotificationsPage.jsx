@@ -0,0 +1,74 @@
+import { useEffect, useState } from 'react'
+import { Link, Navigate, useParams } from 'react-router-dom'
+import React from 'react'
+
+import css from './NotificationsPage.module.css'
+
+import Navbar from '../../components/Navbars/NavigationBar2/NavigationBar2'
+import Footer from '../../components/Footer/Footer'
+import Pagination from '../../utils/Pagination/Pagination'
+
+import { useAuth } from '../../context/AuthContext/AuthContext'
+import { notificationsPageSize } from '../../helpers/constants'
+import { getDaysAgo } from '../../helpers/reviews'
+import { getNotifications, markNotificationsRead, subscribeToNotifications } from '../../services/notificationService'
+import { isCancel } from '../../services/apiClient'
+
+const NotificationsPage = () => {
+    const {userId} = useParams();
+    const {user} = useAuth();
+
+    let [data, setData] = useState(null);
+    let [page, setPage] = useState(1);
+    let [version, setVersion] = useState(0);
+
+    useEffect(() => {
+        if(!user) return;
+        return subscribeToNotifications(user.id, (event) => {
+            if(event?.type === 'added') setVersion(val => val + 1);
+        });
+    }, [user?.id])
+
+    // Whatever was unread keeps its highlight on this visit and is marked read on the server
+    useEffect(() => {
+        if(!user) return;
+        const controller = new AbortController();
+        getNotifications({page, size: notificationsPageSize}, {signal: controller.signal})
+            .then(res => {
+                setData(res);
+                if(res.unread) markNotificationsRead().catch(() => {});
+            })
+            .catch(err => {
+                if(!isCancel(err)) setData({items: [], total: 0});
+            });
+        return () => controller.abort()
+    }, [user?.id, page, version])
+
+  if(user && user.id !== userId){
+    return <Navigate to={`/user/${user.id}/notifications`} replace />
+  }
+
+  return <div className={css.outerDiv}>
+    <Navbar />
+    <div className={css.innerDiv}>
+        <div className={css.bdy}>
+            <div className={css.header}>
+                <div className={css.ttl}>Notifications</div>
+                <div className={css.tag}>Replies to your reviews and other updates</div>
+            </div>
+            {!data ? <div className={css.emptyTxt}>Loading notifications...</div> : ""}
+            {data && !data.items.length ? <div className={css.emptyTxt}>You're all caught up, nothing here yet</div> : ""}
+            {data?.items.map(item => {
+                return <Link key={item.id} to={item.link} className={item.read ? css.item : [css.item, css.unread].join(" ")}>
+                    <div className={css.itemTxt}>{item.text}</div>
+                    <div className={css.time}>{getDaysAgo(item.createdAt)}</div>
+                </Link>
+            })}
+            {data?.total ? <Pagination page={page} size={notificationsPageSize} total={data.total} label="notifications" onChange={setPage} /> : ""}
+        </div>
+    </div>
+    <Footer />
+  </div>
+}
+
+export default NotificationsPage
@@ -0,0 +1,91 @@
+import { useEffect, useState } from 'react'
+import { useParams } from 'react-router-dom'
+import React from 'react'
+
+import css from './OrderInvoice.module.css'
+
+import { buildInvoice, downloadInvoice, invoiceColumns } from '../../helpers/invoice'
+import { getOrder } from '../../services/orderService'
+import { isCancel } from '../../services/apiClient'
+
+// Print view of the same invoice model the PDF download is drawn from
+const OrderInvoice = () => {
+    const { orderId } = useParams();
+
+    let [order, setOrder] = useState(null);
+    let [error, setError] = useState('');
+
+    useEffect(() => {
+        const controller = new AbortController();
+        getOrder(orderId, {signal: controller.signal})
+            .then(data => setOrder(data))
+            .catch(err => {
+                if(!isCancel(err)) setError(err.message);
+            });
+        return () => controller.abort()
+    }, [orderId])
+
+    if(!order){
+        return <div className={css.outerDiv}>
+            <div className={css.message}>{error || "Loading invoice..."}</div>
+        </div>
+    }
+
+    const invoice = buildInvoice(order);
+
+    return <div className={css.outerDiv}>
+        <div className={css.actions}>
+            <button className={css.btnLight} onClick={() => downloadInvoice(order)}>Download PDF</button>
+            <button className={css.btn} onClick={() => window.print()}>Print</button>
+        </div>
+        <div className={css.sheet}>
+            <div className={css.title}>TAX INVOICE</div>
+            <div className={css.head}>
+                <div>
+                    <div className={css.name}>{invoice.restaurant.name}</div>
+                    <div>{invoice.restaurant.address}</div>
+                    <div>FSSAI Lic. No. {invoice.restaurant.fssaiNo}</div>
+                </div>
+                <div className={css.meta}>
+                    <div>Invoice No: {invoice.number}</div>
+                    <div>Order ID: {invoice.orderNum}</div>
+                    <div>Date: {invoice.date}</div>
+                    <div>{invoice.paymentType}</div>
+                </div>
+            </div>
+            {invoice.customer.deliveredTo ? <div className={css.customer}>
+                <div>Deliver to: {invoice.customer.deliveredTo}</div>
+                {invoice.customer.phone ? <div>Phone: {invoice.customer.phone}</div> : ""}
+            </div> : ""}
+            <table className={css.table}>
+                <thead>
+                    <tr>
+                        {invoiceColumns.map(col => <th key={col.key} className={col.align === 'right' ? css.right : ""}>{col.label}</th>)}
+                    </tr>
+                </thead>
+                <tbody>
+                    {invoice.items.map((item, i) => {
+                        return <tr key={i}>
+                            {invoiceColumns.map(col => <td key={col.key} className={col.align === 'right' ? css.right : ""}>{item[col.key]}</td>)}
+                        </tr>
+                    })}
+                </tbody>
+            </table>
+            <div className={css.summary}>
+                {invoice.summary.map(line => {
+                    return <div className={css.summaryLine} key={line.label}>
+                        <span>{line.label}</span>
+                        <span>₹{line.amount}</span>
+                    </div>
+                })}
+                <div className={[css.summaryLine, css.grandTotal].join(" ")}>
+                    <span>Grand Total</span>
+                    <span>₹{invoice.grandTotal}</span>
+                </div>
+            </div>
+            <div className={css.note}>This is a computer generated invoice and does not need a signature.</div>
+        </div>
+    </div>
+}
+
+export default OrderInvoice
@@ -0,0 +1,137 @@
+import { useEffect, useState } from 'react'
+import { Link, useParams } from 'react-router-dom'
+import React from 'react'
+
+import css from './OrderTracking.module.css'
+
+import NavigationBar2 from '../../components/Navbars/NavigationBar2/NavigationBar2'
+import Footer from '../../components/Footer/Footer'
+
+import vegIcon from '/icons/veg.png'
+import nonvegIcon from '/icons/nonveg.png'
+
+import { trackingRefreshMs } from '../../helpers/constants'
+import { getMinutesLeft, getStatusIndex, isActiveOrder, orderStatuses } from '../../helpers/orderTracking'
+import { advanceOrder, getOrder, getOrderTracking, subscribeToOrder } from '../../services/orderService'
+import { isCancel } from '../../services/apiClient'
+
+const formatTime = (iso) => new Intl.DateTimeFormat("en", {timeStyle: "short"}).format(new Date(iso));
+
+const OrderTracking = () => {
+    const { orderId } = useParams();
+
+    let [order, setOrder] = useState(null);
+    let [error, setError] = useState('');
+    let [now, setNow] = useState(Date.now());
+    let [advancing, setAdvancing] = useState(false);
+
+    useEffect(() => {
+        const controller = new AbortController();
+        setOrder(null);
+        setError('');
+        Promise.all([
+            getOrder(orderId, {signal: controller.signal}),
+            getOrderTracking(orderId, {signal: controller.signal})
+        ])
+            .then(([details, tracking]) => setOrder({...details, ...tracking}))
+            .catch(err => {
+                if(!isCancel(err)) setError(err.message);
+            });
+
+        const unsubscribe = subscribeToOrder(orderId, (event) => {
+            if(event?.type === 'status') setOrder(val => val ? {...val, ...event.order} : val);
+        });
+
+        return () => {
+            controller.abort();
+            unsubscribe();
+        }
+    }, [orderId])
+
+    // Keep the countdown moving between pushes
+    useEffect(() => {
+        if(!isActiveOrder(order)) return;
+        const timer = setInterval(() => setNow(Date.now()), trackingRefreshMs);
+        return () => clearInterval(timer)
+    }, [order?.status])
+
+    const nextStep = async () => {
+        setAdvancing(true);
+        try{
+            const tracking = await advanceOrder(orderId);
+            setOrder(val => ({...val, ...tracking}));
+        }catch(err){
+            setError(err.message);
+        }finally{
+            setAdvancing(false);
+        }
+    }
+
+    const current = order ? getStatusIndex(order.status) : -1;
+    const minutesLeft = getMinutesLeft(order?.eta, now);
+
+    return <div className={css.outerDiv}>
+        <NavigationBar2 />
+        <div className={css.innerDiv}>
+            {error && !order ? <div className={css.tag}>{error}</div>
+            : !order ? <div className={css.tag}>Loading your order...</div>
+            : <>
+                <div className={css.title}>Order #{order.orderNum}</div>
+                <div className={css.tag}>
+                    {order.restaurant ? <Link className={css.restaurantLink} to={`/${order.restaurant.city}/${order.restaurant.hotel}`}>{order.name}</Link> : order.name}
+                    <span className={css.dot}>•</span>{order.orderedOn}
+                </div>
+
+                <div className={css.etaBox}>
+                    {isActiveOrder(order) ? <>
+                        <div className={css.etaTtl}>{minutesLeft ? `Arriving in ${minutesLeft} min` : "Arriving any minute now"}</div>
+                        {order.eta ? <div className={css.etaTxt}>Estimated delivery by {formatTime(order.eta)}</div> : ""}
+                    </> : <>
+                        <div className={css.etaTtl}>Delivered</div>
+                        {order.timeline?.delivered ? <div className={css.etaTxt}>Your order reached you at {formatTime(order.timeline.delivered)}</div> : ""}
+                    </>}
+                </div>
+
+                <div className={css.timeline}>
+                    {orderStatuses.map((step, i) => {
+                        const state = i < current ? css.done : i === current ? css.current : "";
+                        return <div key={step.key} className={[css.step, state].join(" ")}>
+                            <div className={css.marker}>
+                                <div className={css.circle}>{i < current || !isActiveOrder(order) ? "✓" : ""}</div>
+                                {i < orderStatuses.length - 1 ? <div className={css.line} /> : ""}
+                            </div>
+                            <div className={css.stepTxt}>
+                                <div className={css.stepTtl}>
+                                    {step.title}
+                                    {order.timeline?.[step.key] ? <span className={css.stepTime}>{formatTime(order.timeline[step.key])}</span> : ""}
+                                </div>
+                                {i === current ? <div className={css.stepDesc}>{step.desc}</div> : ""}
+                            </div>
+                        </div>
+                    })}
+                </div>
+
+                <div className={css.section}>
+                    <div className={css.sectionTtl}>Your order</div>
+                    {order.items?.map((item, i) => {
+                        return <div className={css.item} key={i}>
+                            <img className={css.foodType} src={item.foodType === "nonveg" ? nonvegIcon : vegIcon} alt={item.foodType} />
+                            <span className={css.qty}>{item.qty} x</span>
+                            <span>{item.itemName}</span>
+                        </div>
+                    })}
+                    <div className={css.total}>Grand Total ₹{order.grandTotal}</div>
+                </div>
+
+                {import.meta.env.DEV && isActiveOrder(order) ? <div className={css.devBox}>
+                    <span>Order simulator</span>
+                    <button className={css.devBtn} disabled={advancing} onClick={nextStep}>{advancing ? "Updating..." : "Advance status"}</button>
+                </div> : ""}
+                {error ? <div className={css.error}>{error}</div> : ""}
+            </>}
+        </div>
+        <Footer />
+    </div>
+}
+
+export default OrderTracking
@@ -1,39 +1,99 @@
-import {useState} from 'react'
+import {useState, useEffect} from 'react'
+import {Link, useParams} from 'react-router-dom'
 import React from 'react'
 
 import css from './RestaurantPage.module.css'
 
 import NavigationBar from '../../components/Navbars/NavigationBar2/NavigationBar2'
-import DownloadAppUtil from '../../utils/RestaurantUtils/DownloadAppUtil/DownloadAppUtil'
 import HeroComponent from '../../components/RestaurantComponents/HeroComponent/HeroComponent'
 import OrderTitleComponent from '../../components/RestaurantComponents/OrderTitleComponent/OrderTitleComponent'
 import OrderBodyComponent from '../../components/RestaurantComponents/OrderBodyComponent/OrderBodyComponent'
 import Footer from '../../components/Footer/Footer'
+import ErrorPage from '../ErrorPage/ErrorPage'
+
+import RestaurantContext from '../../context/RestaurantContext/RestaurantContext'
+import { useAuth } from '../../context/AuthContext/AuthContext'
+import { getRestaurant } from '../../services/restaurantService'
+import { addRecentlyViewed } from '../../services/userService'
+import { isCancel } from '../../services/apiClient'
 
 const RestaurantPage = () => {
 
-  return <div className={css.outerDiv}>
-    <NavigationBar />
-    <div className={css.innerDiv}>
-        <div className={css.breadcrumb}>
-            Home
-            /
-            India
-            /
-            Hyderabad
-            /
-            Hyderabad City
-            /
-            Indira Nagar
+  const {city, hotel} = useParams();
+  // undefined while loading, null when no restaurant matches the route
+  const [restaurant, setRestaurant] = useState();
+  // Anything but a 404 may be temporary, so it gets a retry instead of the not-found page
+  const [error, setError] = useState(null);
+  const [version, setVersion] = useState(0);
+  const {isLoggedIn} = useAuth();
+
+  useEffect(() => {
+    const controller = new AbortController();
+    setRestaurant(undefined);
+    setError(null);
+    getRestaurant(city, hotel, {signal: controller.signal})
+      .then(setRestaurant)
+      .catch(err => {
+        if(isCancel(err)) return;
+        if(err.status === 404) return setRestaurant(null);
+        setError(err);
+      });
+    return () => controller.abort()
+  }, [city, hotel, version])
+
+  useEffect(() => {
+    if(isLoggedIn && restaurant?.id){
+      addRecentlyViewed(restaurant.id).catch(() => {});
+    }
+  }, [isLoggedIn, restaurant?.id])
+
+  if(restaurant === null){
+    return <ErrorPage />
+  }
+
+  if(error){
+    return <div className={css.outerDiv}>
+      <NavigationBar />
+      <div className={css.innerDiv}>
+        <div className={css.errorTxt}>
+          {error.message} <span className={css.link} onClick={() => setVersion(val => val + 1)}>Try again</span>
         </div>
+      </div>
+    </div>
+  }
+
+  if(!restaurant){
+    return <div className={css.outerDiv}>
+      <NavigationBar />
     </div>
-    <HeroComponent />
-    <div className={css.innerDiv2}>
-      <OrderTitleComponent />
-      <OrderBodyComponent />
+  }
+
+  return <RestaurantContext.Provider value={restaurant}>
+    <div className={css.outerDiv}>
+      <NavigationBar />
+      <div className={css.innerDiv}>
+          <div className={css.breadcrumb}>
+              <Link to="/" className={css.crumbLink}>Home</Link>
+              {" / "}
+              India
+              {" / "}
+              {restaurant.cityName}
+              {" / "}
+              {restaurant.cityName} City
+              {" / "}
+              {restaurant.locality}
+              {" / "}
+              <span className={css.crumbActive}>{restaurant.name}</span>
+          </div>
+      </div>
+      <HeroComponent />
+      <div className={css.innerDiv2}>
+        <OrderTitleComponent />
+        <OrderBodyComponent />
+      </div>
+      <Footer />
     </div>
-    <Footer />
-  </div>
+  </RestaurantContext.Provider>
 }
 
-export default RestaurantPage
\ No newline at end of file
+export default RestaurantPage
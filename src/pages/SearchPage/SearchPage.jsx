@@ -0,0 +1,96 @@
+import { useEffect, useState } from 'react'
+import { Link, useSearchParams } from 'react-router-dom'
+import React from 'react'
+
+import css from './SearchPage.module.css'
+
+import NavigationBar2 from '../../components/Navbars/NavigationBar2/NavigationBar2'
+import Footer from '../../components/Footer/Footer'
+
+import star from '/icons/star.png'
+import vegIcon from '/icons/veg.png'
+import nonvegIcon from '/icons/nonveg.png'
+
+import { searchGroups, toOption } from '../../helpers/search'
+import { search } from '../../services/searchService'
+import { isCancel } from '../../services/apiClient'
+import { useLocationContext } from '../../context/LocationContext/LocationContext'
+
+const resultsLimit = 50;
+
+const SearchPage = () => {
+    const [searchParams] = useSearchParams();
+    const q = searchParams.get('q')?.trim() ?? '';
+    const { location } = useLocationContext();
+
+    let [results, setResults] = useState(null);
+
+    useEffect(() => {
+        const controller = new AbortController();
+        setResults(null);
+        search(q, {city: location.city, limit: resultsLimit}, {signal: controller.signal})
+            .then(data => setResults(data))
+            .catch(err => {
+                if(!isCancel(err)) setResults({restaurants: [], cuisines: [], dishes: []});
+            });
+        return () => controller.abort()
+    }, [q, location.city])
+
+    const total = results ? searchGroups.reduce((sum, group) => sum + results[group.key].length, 0) : 0;
+
+    return <div className={css.outerDiv}>
+        <NavigationBar2 />
+        <div className={css.innerDiv}>
+            <div className={css.title}>{q ? <>Results for "<span className={css.query}>{q}</span>"</> : "Search"}</div>
+            {!results ? <div className={css.tag}>Searching...</div>
+            : !total ? <div className={css.tag}>No restaurants, cuisines or dishes match "{q}" in {location.cityName}</div>
+            : <div className={css.tag}>{total} {total === 1 ? "result" : "results"} in {location.cityName}</div>}
+
+            {results?.restaurants.length ? <div className={css.section}>
+                <div className={css.sectionTtl}>Restaurants</div>
+                <div className={css.restaurants}>
+                    {results.restaurants.map(item => {
+                        return <Link key={item.id} to={toOption('restaurants', item).link} className={css.restaurant}>
+                            <img className={css.restaurantImg} src={item.thumb} alt={item.name} />
+                            <div className={css.restaurantTxt}>
+                                <div className={css.restaurantTtl}>
+                                    {item.name}
+                                    <span className={css.rating}>{item.rating} <img className={css.star} src={star} alt="star" /></span>
+                                </div>
+                                <div className={css.restaurantTag}>{item.cuisines.join(", ")}</div>
+                                <div className={css.restaurantTag}>{item.locality}</div>
+                            </div>
+                        </Link>
+                    })}
+                </div>
+            </div> : null}
+
+            {results?.cuisines.length ? <div className={css.section}>
+                <div className={css.sectionTtl}>Cuisines</div>
+                <div className={css.cuisines}>
+                    {results.cuisines.map(item => {
+                        const option = toOption('cuisines', item);
+                        return <Link key={option.key} to={option.link} className={css.cuisine}>{item.name} <span className={css.count}>{option.tag}</span></Link>
+                    })}
+                </div>
+            </div> : null}
+
+            {results?.dishes.length ? <div className={css.section}>
+                <div className={css.sectionTtl}>Dishes</div>
+                {results.dishes.map(item => {
+                    return <Link key={`${item.restaurant.slug}-${item.id}`} to={toOption('dishes', item).link} className={css.dish}>
+                        <img className={css.foodTypeImg} src={item.foodType === "nonveg" ? nonvegIcon : vegIcon} alt="food type icon" />
+                        <div className={css.dishTxt}>
+                            <div className={css.dishTtl}>{item.name}</div>
+                            <div className={css.restaurantTag}>{item.restaurant.name}</div>
+                        </div>
+                        <div className={css.price}>₹{item.price}</div>
+                    </Link>
+                })}
+            </div> : null}
+        </div>
+        <Footer />
+    </div>
+}
+
+export default SearchPage
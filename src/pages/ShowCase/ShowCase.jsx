@@ -1,5 +1,5 @@
-import { useState } from 'react';
-import { useLocation } from 'react-router-dom';
+import { useEffect, useMemo, useState } from 'react';
+import { useSearchParams } from 'react-router-dom';
 
 import Collections from '../../components/HomeComponents/Collections/Collections';
 import React from 'react'
@@ -13,6 +13,7 @@ import ShowcaseCard from '../../utils/Cards/ShowcaseCard/ShowcaseCard'
 import ExploreOptionsNearMe from '../../components/HomeComponents/ExploreOptionsNearMe/ExploreOptionsNearMe'
 import Footer from '../../components/Footer/Footer'
 import CarouselUtil from '../../utils/CarouselUtil/CarouselUtil'
+import FilterModal from '../../Modals/FilterModal/FilterModal'
 
 import dinning1 from '/icons/dinning1.png';
 import dinning2 from '/icons/dinning2.png';
@@ -39,66 +40,87 @@ import kfcImg from '/icons/Brands/kfc.png';
 import pizzahutImg from '/icons/Brands/pizzahut.png';
 import scoopsImg from '/icons/Brands/scoops.png';
 
-import biryaniSCImg from '/images/Food/biryani.png';
-import biryaniSCImg2 from '/images/Food/biryani2.png';
-import chapathiImg from '/images/Food/chapathi.png';
-import chickenSCImg from '/images/Food/chicken.png';
-import fishImg from '/images/Food/fish.png';
-import icecreamImg from '/images/Food/icecream.png';
-import kfcSCImg from '/images/Food/kfc.png';
-import pizzaSCImg from '/images/Food/pizza.png';
-
-import { orderOnlinePage, diningOutPage, nightLifePage } from '../../helpers/constants'
+import { orderOnlinePage, diningOutPage, nightLifePage, nearbyDistanceKm } from '../../helpers/constants'
+import { readFilters, writeFilters, applyFilters, countActiveFilters, getCuisines, defaultFilters } from '../../helpers/filters'
+import { getRestaurantsByCity } from '../../services/restaurantService'
+import { isCancel } from '../../services/apiClient'
+import { useLocationContext } from '../../context/LocationContext/LocationContext'
 
 import css from './ShowCase.module.css';
 
 let ShowCase = () => {
-    let location = useLocation();
-    const urlParams = new URLSearchParams(location.search);
-    const page = urlParams.get('page');
+    let [searchParams, setSearchParams] = useSearchParams();
+    const page = searchParams.get('page');
+    const filters = useMemo(() => readFilters(searchParams), [searchParams]);
+    const { location } = useLocationContext();
+
+    let [restaurants, setRestaurants] = useState(null);
+    let [filterModal, setFilterModal] = useState(null);
+
+    useEffect(() => {
+        const controller = new AbortController();
+        setRestaurants(null);
+        getRestaurantsByCity(location.city, {signal: controller.signal})
+            .then(data => setRestaurants(data))
+            .catch(err => {
+                if(!isCancel(err)) setRestaurants([]);
+            });
+        return () => controller.abort()
+    }, [location.city])
+
+    const setFilters = (next) => {
+        setSearchParams(writeFilters(searchParams, next));
+    }
 
     let [isActive, setIsActive] = useState({
         delivery: page === orderOnlinePage,
         dinning: page === diningOutPage,
         nightlife: page === nightLifePage
     });
-    let filterBoxes;
 
-    let filters = {
+    let filterOptions = {
         delivery: [
-            { text: "Filter", leftIcon: filtersIcon },
-            { text: "Delivery Time", leftIcon: deliveryTimeIcon },
-            { text: "Pure Veg" },
-            { text: "Rating: 4.0+" },
-            { text: "Freate Offers" },
-            { text: "Cuisines", leftIcon: downArrowIcon },
+            { text: "Filter", leftIcon: filtersIcon, modal: 'sort' },
+            { text: "Delivery Time", leftIcon: deliveryTimeIcon, filter: 'sort', value: 'deliveryTime' },
+            { text: "Pure Veg", filter: 'veg', value: true },
+            { text: "Rating: 4.0+", filter: 'rating', value: 4 },
+            { text: "Freate Offers", filter: 'offers', value: true },
+            { text: "Cuisines", leftIcon: downArrowIcon, modal: 'cuisines' },
         ],
         dinning: [
-            { text: "Filter", leftIcon: filtersIcon },
-            { text: "Rating: 4.0+" },
-            { text: "Outdoor Seating" },
-            { text: "Serves Alcohal" },
-            { text: "Open Now" },
+            { text: "Filter", leftIcon: filtersIcon, modal: 'sort' },
+            { text: "Rating: 4.0+", filter: 'rating', value: 4 },
+            { text: "Outdoor Seating", filter: 'outdoor', value: true },
+            { text: "Serves Alcohal", filter: 'alcohol', value: true },
+            { text: "Open Now", filter: 'open', value: true },
         ],
         nightLife: [
-            { text: "Filter", leftIcon: filtersIcon },
-            { text: "Distance", leftIcon: deliveryTimeIcon },
-            { text: "Rating: 4.0+" },
-            { text: "Pubs & Bars" },
+            { text: "Filter", leftIcon: filtersIcon, modal: 'sort' },
+            { text: "Distance", leftIcon: deliveryTimeIcon, filter: 'distance', value: nearbyDistanceKm },
+            { text: "Rating: 4.0+", filter: 'rating', value: 4 },
+            { text: "Pubs & Bars", filter: 'alcohol', value: true },
         ]
     }
+
+    const activeCount = countActiveFilters(filters);
+
+    let filterBox = (val, id) => {
+        if (val.modal) {
+            const count = val.modal === 'cuisines' ? filters.cuisines.length : activeCount;
+            return <div key={id}><FilterBox leftIcon={val?.leftIcon ?? null} rightIcon={val?.rightIcon ?? null} text={val.text} count={count} active={count > 0} onClick={() => setFilterModal(val.modal)} /></div>
+        }
+        const active = filters[val.filter] === val.value;
+        const toggle = () => setFilters({ ...filters, [val.filter]: active ? defaultFilters[val.filter] : val.value });
+        return <div key={id}><FilterBox leftIcon={val?.leftIcon ?? null} rightIcon={val?.rightIcon ?? null} text={val.text} active={active} closable onClick={toggle} /></div>
+    }
+
+    let filterBoxes;
     if (page === orderOnlinePage) {
-        filterBoxes = filters?.delivery?.map((val, id) => {
-            return <div key={id}><FilterBox leftIcon={val?.leftIcon ?? null} rightIcon={val?.rightIcon ?? null} text={val.text} /></div>
-        })
+        filterBoxes = filterOptions?.delivery?.map(filterBox)
     } else if (page === diningOutPage) {
-        filterBoxes = filters?.dinning?.map((val, id) => {
-            return <div key={id}><FilterBox leftIcon={val?.leftIcon ?? null} rightIcon={val?.rightIcon ?? null} text={val.text} /></div>
-        })
+        filterBoxes = filterOptions?.dinning?.map(filterBox)
     } else if (page === nightLifePage) {
-        filterBoxes = filters?.nightLife?.map((val, id) => {
-            return <div key={id}><FilterBox leftIcon={val?.leftIcon ?? null} rightIcon={val?.rightIcon ?? null} text={val.text} /></div>
-        })
+        filterBoxes = filterOptions?.nightLife?.map(filterBox)
     }
 
     const foodCardScroll = [
@@ -177,107 +199,10 @@ let ShowCase = () => {
         },
     ]
 
-    const items = [
-        {
-            promoted: true,
-            time: "25",
-            offB: true,
-            proExtraB: false,
-            off: "30",
-            proExtra: "40",
-            name: "Paradise Hotel",
-            rating: '3.6',
-            imgSrc: biryaniSCImg
-        },
-        {
-            promoted: false,
-            time: "25",
-            offB: true,
-            proExtraB: false,
-            off: "30",
-            proExtra: "40",
-            name: "Mangal Hotel",
-            rating: '2.6',
-            imgSrc: biryaniSCImg2
-        },
-        {
-            promoted: true,
-            time: "30",
-            offB: false,
-            proExtraB: true,
-            off: "30",
-            proExtra: "40",
-            name: "Chapathi Hotel",
-            rating: '4.6',
-            imgSrc: chapathiImg
-        },
-        {
-            promoted: false,
-            time: "25",
-            offB: true,
-            proExtraB: false,
-            off: "30",
-            proExtra: "40",
-            name: "Fish Mandi Hotel",
-            rating: '4.9',
-            imgSrc: fishImg
-        },
-        {
-            promoted: true,
-            time: "25",
-            offB: false,
-            proExtraB: true,
-            off: "30",
-            proExtra: "40",
-            name: "MangalCaptain Hotel",
-            rating: '4.6',
-            imgSrc: icecreamImg
-        },
-        {
-            promoted: false,
-            time: "25",
-            offB: true,
-            proExtraB: false,
-            off: "30",
-            proExtra: "40",
-            name: "KFCS Hotel",
-            rating: '2.8',
-            imgSrc: kfcSCImg
-        },
-        {
-            promoted: true,
-            time: "25",
-            offB: true,
-            proExtraB: false,
-            off: "30",
-            proExtra: "40",
-            name: "Pizza Hotel",
-            rating: '3.2',
-            imgSrc: pizzaSCImg
-        },
-        {
-            promoted: false,
-            time: "25",
-            offB: true,
-            proExtraB: false,
-            off: "30",
-            proExtra: "40",
-            name: "Fish Mandi Hotel",
-            rating: '4.6',
-            imgSrc: fishImg
-        },
-        {
-            promoted: true,
-            time: "25",
-            offB: false,
-            proExtraB: true,
-            off: "30",
-            proExtra: "40",
-            name: "MangalCaptain Hotel",
-            rating: '2.6',
-            imgSrc: icecreamImg
-        },
-    ]
+    const items = applyFilters(restaurants ?? [], filters, {
+        ratingType: page === orderOnlinePage ? 'delivery' : 'dining',
+        origin: location
+    });
 
     return <div className={css.outerDiv}>
         <NavigationBar2 />
@@ -287,11 +212,11 @@ let ShowCase = () => {
                 /
                 India
                 /
-                Hyderabad
+                {location.cityName}
                 /
-                Hyderabad City
+                {location.cityName} City
                 /
-                Indira Nagar
+                {location.locality}
             </div>
         </div>
         <div className={css.showCaseDiv}>
@@ -347,17 +272,25 @@ let ShowCase = () => {
         <div className={css.innerDiv6}>
             <div className={css.w7}>
                 <div className={css.innerDiv6Title}>
-                    {page === orderOnlinePage ? "Delivery Restaurants in Gachibowli" : page === diningOutPage ? "Dine-Out Restaurants in Gachibowli" : "Nightlife Restaurants in Gachibowli"}
+                    {page === orderOnlinePage ? "Delivery Restaurants" : page === diningOutPage ? "Dine-Out Restaurants" : "Nightlife Restaurants"} in {location.locality}
                 </div>
                 <div className={css.innerDiv6Body}>
-                    {items?.map((item, id) => {
-                        return <ShowcaseCard key={id} promoted={item.promoted} time={item.time} offB={item.offB} proExtraB={item.proExtraB} off={item.off} proExtra={item.proExtra} name={item.name} rating={item.rating} imgSrc={item.imgSrc} />
+                    {items?.map((item) => {
+                        return <ShowcaseCard key={item.id} promoted={item.promoted} time={item.deliveryTime} offB={!!item.offer?.off} proExtraB={!item.offer?.off} off={item.offer?.off} proExtra={item.offer?.proExtra} name={item.name} rating={item.ratings[page === orderOnlinePage ? 'delivery' : 'dining'].rating} imgSrc={item.thumb} cuisines={item.cuisines} cost={item.costForTwo} link2={`/${item.city}/${item.slug}/order`} />
                     })}
+                    {restaurants?.length > 0 && !items.length ? <div className={css.noResults}>
+                        <div className={css.noResultsTxt}>No restaurants match the selected filters</div>
+                        <div className={css.clearBtn} onClick={() => setFilters(defaultFilters)}>Clear filters</div>
+                    </div> : null}
+                    {restaurants && !restaurants.length ? <div className={css.noResults}>
+                        <div className={css.noResultsTxt}>We are not delivering in {location.cityName} yet</div>
+                    </div> : null}
                 </div>
             </div>
         </div>
         <ExploreOptionsNearMe />
         <Footer />
+        {filterModal ? <FilterModal setModal={setFilterModal} filters={filters} cuisines={getCuisines(restaurants ?? [])} onApply={setFilters} initialTab={filterModal} /> : null}
     </div>
 }
 
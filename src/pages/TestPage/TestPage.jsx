@@ -52,18 +52,17 @@ const TestPage = () => {
     }
 
     let data2 = {
-      imgSrc: profilepic,
-      title: "Paradise Biryani",
-      address: "Kukatpally, Hyd",
-      reviews: 0,
-      followers: 0,
-      stars: 3,
-      days: 10,
-      votes: 10,
-      comments: 2,
       id: 123,
-      userImg: profilepic,
-      userId: 11,
+      type: "delivery",
+      rating: 3,
+      body: "<p>Biryani was good, the raita could have been thicker.</p>",
+      orderId: null,
+      dishes: [],
+      photos: [],
+      user: {id: "11", name: "Test User", profilePic: profilepic, reviews: 0, followers: 0},
+      restaurant: {id: 2, name: "Paradise Biryani", city: "hyderabad", slug: "paradise-hotel", thumb: profilepic, address: "Kukatpally, Hyd", link: "/hyderabad/paradise-hotel"},
+      createdAt: "2026-09-20T21:00:00.000Z",
+      updatedAt: "2026-09-20T21:00:00.000Z"
   };
 
   const options1 = [
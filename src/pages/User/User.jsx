@@ -1,3 +1,5 @@
+import { useEffect, useState } from 'react'
+import { useParams } from 'react-router-dom'
 import css from './User.module.css'
 import React from 'react'
 import Navbar from '../../components/Navbars/NavigationBar2/NavigationBar2'
@@ -10,7 +12,38 @@ import ProfileWidget from '../../utils/UserProfileUtils/ProfileWidget/ProfileWid
 
 import userImg from '/images/koushil.jpg';
 
+import { useAuth } from '../../context/AuthContext/AuthContext'
+import { getUser, subscribeToFollowing } from '../../services/userService'
+import { isCancel } from '../../services/apiClient'
+
 const User = () => {
+    const {userId} = useParams();
+    const {user} = useAuth();
+    const isOwnProfile = user?.id === userId;
+
+    // Fetched for your own profile too, since the counts only come from here
+    let [account, setAccount] = useState(null);
+
+    useEffect(() => {
+        const controller = new AbortController();
+        setAccount(null);
+        getUser(userId, {signal: controller.signal})
+            .then(data => setAccount(data))
+            .catch(err => {
+                if(!isCancel(err)) setAccount(null);
+            });
+        return () => controller.abort()
+    }, [userId, user?.id])
+
+    useEffect(() => {
+        if(!user) return;
+        return subscribeToFollowing(user.id, (event) => {
+            if(event.userId !== userId) return;
+            setAccount(val => val ? {...val, isFollowing: event.type === 'followed', stats: {...val.stats, followers: event.followers}} : val);
+        });
+    }, [user?.id, userId])
+
+    const profile = isOwnProfile ? {...account, ...user} : account;
 
     let data1 = [ 
         {title: "Reviews", hash: "reviews"},
@@ -29,19 +62,12 @@ const User = () => {
         {title: "Yours Booking", hash: "bookings"},
     ];
 
-    let data3 = [
-        {userId: 123, imgSrc:userImg, userName: "Koushil Mankali", reviews: 200, followers: "123"},
-        {userId: 123, imgSrc:userImg, userName: "Koushil Mankali", reviews: 200, followers: "123"},
-        {userId: 123, imgSrc:userImg, userName: "Koushil Mankali", reviews: 200, followers: "123"},
-        {userId: 123, imgSrc:userImg, userName: "Koushil Mankali", reviews: 200, followers: "123"}
-    ]
-
     let data4 = {
-      profilePic: userImg,
-      userName: "Koushil",
-      reviews: 1,
-      photos: 1,
-      followers: 200
+      profilePic: profile?.profilePic || userImg,
+      userName: profile?.name?.split(" ")[0],
+      reviews: profile?.stats?.reviews ?? 0,
+      photos: profile?.stats?.photos ?? 0,
+      followers: profile?.stats?.followers ?? 0
     }
 
   return (<div className={css.outerDiv}>
@@ -49,13 +75,13 @@ const User = () => {
       <Navbar />
     </div>
     <div className={css.box}>
-      <UserHero />
+      <UserHero profile={profile} isOwnProfile={isOwnProfile} />
       <div className={css.mainbody}>
         <div className={css.leftBox}>
           <LeftSideCardPanel name='ACTIVITY' data={data1} />
           <LeftSideCardPanel name='ONLINE ORDERING' data={data2} />
           <LeftSideCardPanel name='TABLE BOOKING' data={data5} />
-          <SuggestedFollowCard name='SUGGESTED FOODIES TO FOLLOW' data={data3} />
+          <SuggestedFollowCard name='SUGGESTED FOODIES TO FOLLOW' />
           <ProfileWidget name='ZOMATO PROFILE WIDGET' tag="Showcase your Zomato profile on your blog." data={data4} />
         </div>
         <div className={css.rightBox}>
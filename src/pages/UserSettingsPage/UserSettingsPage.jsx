@@ -1,4 +1,5 @@
 import React from 'react'
+import { Navigate, useParams } from 'react-router-dom'
 
 import css from './UserSettingsPage.module.css'
 
@@ -9,7 +10,11 @@ import Footer from '../../components/Footer/Footer'
 
 import NotificationSettingsUtil from '../../utils/UserProfileUtils/NotificationSettingsUtil/NotificationSettingsUtil'
 
+import { useAuth } from '../../context/AuthContext/AuthContext'
+
 const UserSettingsPage = () => {
+    const {userId} = useParams();
+    const {user} = useAuth();
 
     const data = [
         {
@@ -49,6 +54,10 @@ const UserSettingsPage = () => {
         }
     ]
 
+  if(user && user.id !== userId){
+    return <Navigate to={`/user/${user.id}/settings`} replace />
+  }
+
   return <div className={css.outerDiv}>
     <Navbar />
     <div className={css.innerDiv}>
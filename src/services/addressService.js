@@ -0,0 +1,12 @@
+import api from './apiClient'
+
+export const getAddresses = (options) => api.get('/users/me/addresses', options);
+
+export const createAddress = (address, options) => api.post('/users/me/addresses', address, options);
+
+export const updateAddress = (addressId, address, options) => api.put(`/users/me/addresses/${addressId}`, address, options);
+
+export const deleteAddress = (addressId, options) => api.delete(`/users/me/addresses/${addressId}`, options);
+
+export const setDefaultAddress = (addressId, options) => api.post(`/users/me/addresses/${addressId}/default`, undefined, options);
+
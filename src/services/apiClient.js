@@ -0,0 +1,141 @@
+import { authTokenStorageKey } from '../helpers/constants'
+import mockAdapter from '../mocks/mockAdapter'
+import { subscribe as subscribeMock } from '../mocks/channel'
+
+const baseURL = import.meta.env.VITE_API_BASE_URL || '';
+const useMock = import.meta.env.VITE_API_MOCK === 'true' || !baseURL;
+
+export class ApiError extends Error {
+    constructor({message, status = 0, code = 'UNKNOWN', details = null}){
+        super(message);
+        this.name = 'ApiError';
+        this.status = status;
+        this.code = code;
+        this.details = details;
+    }
+}
+
+export const isCancel = (err) => err?.code === 'CANCELLED';
+
+let getAuthToken = () => localStorage.getItem(authTokenStorageKey);
+
+// Lets the auth layer decide where the session token comes from
+export const setAuthTokenGetter = (getter) => {
+    getAuthToken = getter;
+}
+
+const buildPath = (path, params) => {
+    const query = new URLSearchParams(
+        Object.entries(params ?? {}).filter(([, val]) => val !== undefined && val !== null && val !== '')
+    ).toString();
+    return query ? `${path}?${query}` : path;
+}
+
+const parseText = (text) => {
+    if(!text) return null;
+    try{
+        return JSON.parse(text);
+    }catch(e){
+        return {message: text};
+    }
+}
+
+const parseBody = async (response) => parseText(await response.text());
+
+const normaliseError = (status, data) => new ApiError({
+    message: data?.error?.message || data?.error || data?.message || `Request failed with status ${status}`,
+    status,
+    code: data?.error?.code || data?.code || `HTTP_${status}`,
+    details: data?.error?.details || data?.details || null
+})
+
+// Multipart bodies go through XHR because fetch can't report upload progress
+const sendForm = ({method, path, body, headers, signal, onProgress}) => new Promise((resolve, reject) => {
+    const xhr = new XMLHttpRequest();
+    xhr.open(method, baseURL + path);
+    Object.entries(headers).forEach(([key, val]) => xhr.setRequestHeader(key, val));
+    xhr.upload.onprogress = (e) => {
+        if(e.lengthComputable) onProgress?.(e.loaded / e.total);
+    };
+    xhr.onload = () => resolve({status: xhr.status, data: parseText(xhr.responseText)});
+    xhr.onerror = () => reject(new TypeError('Network request failed'));
+    xhr.onabort = () => reject(new DOMException('The request was aborted', 'AbortError'));
+    if(signal?.aborted) return xhr.abort();
+    signal?.addEventListener('abort', () => xhr.abort(), {once: true});
+    xhr.send(body);
+})
+
+const send = async ({method, path, body, headers, signal, onProgress}) => {
+    if(useMock){
+        return mockAdapter({method, path, body, headers, signal, onProgress});
+    }
+
+    if(body instanceof FormData){
+        return sendForm({method, path, body, headers, signal, onProgress});
+    }
+
+    const response = await fetch(baseURL + path, {
+        method,
+        headers,
+        body: body === undefined ? undefined : JSON.stringify(body),
+        signal
+    });
+    return {status: response.status, data: await parseBody(response)};
+}
+
+// `onProgress` receives the uploaded fraction of a FormData body
+export const request = async (path, {method = 'GET', params, body, headers = {}, signal, onProgress} = {}) => {
+    const token = getAuthToken?.();
+    const finalHeaders = {
+        Accept: 'application/json',
+        // The browser sets the multipart boundary itself
+        ...(body !== undefined && !(body instanceof FormData) ? {'Content-Type': 'application/json'} : {}),
+        ...(token ? {Authorization: `Bearer ${token}`} : {}),
+        ...headers
+    };
+
+    let result;
+    try{
+        result = await send({method, path: buildPath(path, params), body, headers: finalHeaders, signal, onProgress});
+    }catch(err){
+        if(err instanceof ApiError) throw err;
+        if(err?.name === 'AbortError'){
+            throw new ApiError({message: 'Request cancelled', code: 'CANCELLED'});
+        }
+        throw new ApiError({message: 'Unable to reach the server', code: 'NETWORK_ERROR'});
+    }
+
+    if(result.status < 200 || result.status >= 300){
+        throw normaliseError(result.status, result.data);
+    }
+    return result.data;
+}
+
+// Pushes arrive as server-sent events; each message is a full snapshot, so a missed one heals on the next
+export const subscribe = (path, onMessage) => {
+    if(useMock){
+        return subscribeMock(path, onMessage);
+    }
+
+    const token = getAuthToken?.();
+    const source = new EventSource(baseURL + buildPath(path, {token}));
+    source.onmessage = (event) => {
+        try{
+            onMessage(JSON.parse(event.data));
+        }catch(e){
+            // Ignore keep-alive and malformed messages
+        }
+    };
+    return () => source.close();
+}
+
+const api = {
+    get: (path, options) => request(path, {...options, method: 'GET'}),
+    post: (path, body, options) => request(path, {...options, method: 'POST', body}),
+    put: (path, body, options) => request(path, {...options, method: 'PUT', body}),
+    patch: (path, body, options) => request(path, {...options, method: 'PATCH', body}),
+    delete: (path, options) => request(path, {...options, method: 'DELETE'}),
+    upload: (path, formData, options) => request(path, {...options, method: 'POST', body: formData})
+}
+
+export default api
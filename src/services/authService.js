@@ -0,0 +1,11 @@
+import api from './apiClient'
+
+export const requestOtp = (phone, options) => api.post('/auth/otp/request', {phone}, options);
+
+export const verifyOtp = ({requestId, code}, options) => api.post('/auth/otp/verify', {requestId, code}, options);
+
+export const getCurrentUser = (options) => api.get('/auth/me', options);
+
+export const refreshSession = (options) => api.post('/auth/refresh', undefined, options);
+
+export const logout = (options) => api.post('/auth/logout', undefined, options);
@@ -0,0 +1,8 @@
+import api from './apiClient'
+
+// `near` biases equally good matches towards the user, e.g. the current map pin
+export const searchPlaces = (q, {near, limit} = {}, options) => {
+    return api.get('/geocode/search', {...options, params: {q, lat: near?.lat, lng: near?.lng, limit}});
+}
+
+export const reverseGeocode = ({lat, lng}, options) => api.get('/geocode/reverse', {...options, params: {lat, lng}});
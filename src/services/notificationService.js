@@ -0,0 +1,9 @@
+import api, { subscribe } from './apiClient'
+
+export const getNotifications = ({page, size} = {}, options) => {
+    return api.get('/users/me/notifications', {...options, params: {page, size}});
+}
+
+export const markNotificationsRead = (options) => api.post('/users/me/notifications/read', undefined, options);
+
+export const subscribeToNotifications = (userId, onMessage) => subscribe(`/users/${userId}/notifications/events`, onMessage);
@@ -0,0 +1,22 @@
+import api, { subscribe } from './apiClient'
+
+export const createOrder = (order, options) => api.post('/orders', order, options);
+
+export const getOrder = (orderId, options) => api.get(`/orders/${orderId}`, options);
+
+export const getUserOrders = (userId, {page, size} = {}, options) => {
+    return api.get(`/users/${userId}/orders`, {...options, params: {page, size}});
+}
+
+export const getFavouriteOrders = (userId, {page, size} = {}, options) => {
+    return api.get(`/users/${userId}/orders`, {...options, params: {fav: true, page, size}});
+}
+
+export const setOrderFavourite = (orderId, fav, options) => api.put(`/orders/${orderId}/favourite`, {fav}, options);
+
+export const getOrderTracking = (orderId, options) => api.get(`/orders/${orderId}/tracking`, options);
+
+// Development helper that pushes an order to its next status, or to `status` when given
+export const advanceOrder = (orderId, status, options) => api.post(`/orders/${orderId}/advance`, {status}, options);
+
+export const subscribeToOrder = (orderId, onUpdate) => subscribe(`/orders/${orderId}/events`, onUpdate);
@@ -0,0 +1,23 @@
+import api, { subscribe } from './apiClient'
+
+const photosPath = (city, slug) => `/restaurants/${encodeURIComponent(city)}/${encodeURIComponent(slug)}/photos`;
+
+export const getRestaurantPhotos = (city, slug, {category, page, size} = {}, options) => {
+    return api.get(photosPath(city, slug), {...options, params: {category, page, size}});
+}
+
+export const getUserPhotos = (userId, {page, size} = {}, options) => {
+    return api.get(`/users/${userId}/photos`, {...options, params: {page, size}});
+}
+
+// One request per photo so each can report progress, fail and be retried on its own
+export const uploadPhoto = (city, slug, {file, caption, dishes, reviewId}, options) => {
+    const formData = new FormData();
+    formData.append('photo', file, file.name);
+    formData.append('caption', caption ?? '');
+    formData.append('dishes', JSON.stringify(dishes ?? []));
+    if(reviewId) formData.append('reviewId', reviewId);
+    return api.upload(photosPath(city, slug), formData, options);
+}
+
+export const subscribeToPhotos = (restaurantId, onMessage) => subscribe(`/restaurants/${restaurantId}/photos/events`, onMessage);
@@ -0,0 +1,7 @@
+import api from './apiClient'
+
+export const getPromotions = (restaurant, options) => api.get('/promotions', {...options, params: {restaurant}});
+
+export const validateCoupon = ({code, itemTotal, restaurant, paymentMethod}, options) => {
+    return api.post('/promotions/validate', {code, itemTotal, restaurant, paymentMethod}, options);
+}
@@ -0,0 +1,35 @@
+import api from './apiClient'
+
+export const toCard = (restaurant) => ({
+    id: restaurant.id,
+    imgSrc: restaurant.thumb,
+    name: restaurant.name,
+    ratingsDining: restaurant.ratings.dining.rating,
+    ratingsDelivery: restaurant.ratings.delivery.rating,
+    address: `${restaurant.locality}, ${restaurant.cityName}`,
+    link: `/${restaurant.city}/${restaurant.slug}`
+})
+
+const restaurantPath = (city, slug) => `/restaurants/${encodeURIComponent(city)}/${encodeURIComponent(slug)}`;
+
+export const getMenu = (city, slug, options) => api.get(`${restaurantPath(city, slug)}/menu`, options);
+
+export const getRestaurant = async (city, slug, options) => {
+    const [restaurant, menu] = await Promise.all([
+        api.get(restaurantPath(city, slug), options),
+        getMenu(city, slug, options)
+    ]);
+    return {...restaurant, menu};
+}
+
+export const getRestaurantsByCity = (city, options) => {
+    return api.get('/restaurants', {...options, params: {city}});
+}
+
+export const getSimilarRestaurants = async (restaurant, limit = 4, options) => {
+    const sameCity = await getRestaurantsByCity(restaurant?.city, options);
+    return sameCity
+        .filter(val => val.id !== restaurant.id && val.cuisines.some(c => restaurant.cuisines.includes(c)))
+        .slice(0, limit)
+        .map(toCard);
+}
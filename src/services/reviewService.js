@@ -0,0 +1,49 @@
+import api, { subscribe } from './apiClient'
+
+const reviewsPath = (city, slug) => `/restaurants/${encodeURIComponent(city)}/${encodeURIComponent(slug)}/reviews`;
+
+export const getRestaurantReviews = (city, slug, {filter, sort, page, size} = {}, options) => {
+    return api.get(reviewsPath(city, slug), {...options, params: {filter, sort, page, size}});
+}
+
+export const getUserReviews = (userId, {page, size} = {}, options) => {
+    return api.get(`/users/${userId}/reviews`, {...options, params: {page, size}});
+}
+
+export const getReview = (reviewId, options) => api.get(`/reviews/${reviewId}`, options);
+
+// `orderId` links a delivery review to the order it was written for
+export const createReview = (city, slug, {type, rating, body, dishes, orderId}, options) => {
+    return api.post(reviewsPath(city, slug), {type, rating, body, dishes, orderId}, options);
+}
+
+// `photos` holds the ids of the attached photos to keep
+export const updateReview = (reviewId, {type, rating, body, dishes, photos}, options) => {
+    return api.put(`/reviews/${reviewId}`, {type, rating, body, dishes, photos}, options);
+}
+
+export const deleteReview = (reviewId, options) => api.delete(`/reviews/${reviewId}`, options);
+
+export const voteHelpful = (reviewId, options) => api.put(`/reviews/${reviewId}/helpful`, undefined, options);
+
+export const removeHelpfulVote = (reviewId, options) => api.delete(`/reviews/${reviewId}/helpful`, options);
+
+export const getComments = (reviewId, options) => api.get(`/reviews/${reviewId}/comments`, options);
+
+// `parentId` makes it a reply to that comment
+export const addComment = (reviewId, {body, parentId}, options) => {
+    return api.post(`/reviews/${reviewId}/comments`, {body, parentId}, options);
+}
+
+export const updateComment = (commentId, {body}, options) => api.put(`/comments/${commentId}`, {body}, options);
+
+export const deleteComment = (commentId, options) => api.delete(`/comments/${commentId}`, options);
+
+// The restaurant's official reply, only its verified owner can post one
+export const replyToReview = (reviewId, {body}, options) => api.post(`/reviews/${reviewId}/reply`, {body}, options);
+
+export const updateReply = (reviewId, {body}, options) => api.put(`/reviews/${reviewId}/reply`, {body}, options);
+
+export const deleteReply = (reviewId, options) => api.delete(`/reviews/${reviewId}/reply`, options);
+
+export const subscribeToReviews = (restaurantId, onMessage) => subscribe(`/restaurants/${restaurantId}/reviews/events`, onMessage);
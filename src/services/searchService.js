@@ -0,0 +1,5 @@
+import api from './apiClient'
+
+export const search = (q, {city, limit} = {}, options) => {
+    return api.get('/search', {...options, params: {q, city, limit}});
+}
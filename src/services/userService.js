@@ -0,0 +1,37 @@
+import api, { subscribe } from './apiClient'
+import { toCard } from './restaurantService'
+
+export const getUser = (userId, options) => api.get(`/users/${userId}`, options);
+
+export const signup = ({username, email, phone, checkbox}, options) => api.post('/signup', {username, email, phone, checkbox}, options);
+
+export const getFollowers = (userId, {page, size} = {}, options) => {
+    return api.get(`/users/${userId}/followers`, {...options, params: {page, size}});
+}
+
+export const getFollowing = (userId, {page, size} = {}, options) => {
+    return api.get(`/users/${userId}/following`, {...options, params: {page, size}});
+}
+
+export const getSuggestedUsers = ({page, size} = {}, options) => {
+    return api.get('/users/suggested', {...options, params: {page, size}});
+}
+
+export const followUser = (userId, options) => api.put(`/users/${userId}/follow`, undefined, options);
+
+export const unfollowUser = (userId, options) => api.delete(`/users/${userId}/follow`, options);
+
+// Pushes {type: 'followed' | 'unfollowed', userId, followers} whenever `followerId` follows or unfollows someone
+export const subscribeToFollowing = (followerId, onMessage) => subscribe(`/users/${followerId}/following/events`, onMessage);
+
+export const getBookmarks = async (userId, {page, size} = {}, options) => {
+    const data = await api.get(`/users/${userId}/bookmarks`, {...options, params: {page, size}});
+    return {...data, items: data.items.map(toCard)};
+}
+
+export const getRecentlyViewed = async (userId, {page, size} = {}, options) => {
+    const data = await api.get(`/users/${userId}/recently-viewed`, {...options, params: {page, size}});
+    return {...data, items: data.items.map(toCard)};
+}
+
+export const addRecentlyViewed = (restaurantId, options) => api.post('/users/me/recently-viewed', {restaurantId}, options);
@@ -1,4 +1,5 @@
 import { useState } from 'react'
+import React from 'react'
 
 import css from './AddressCard.module.css'
 
@@ -6,25 +7,29 @@ import rightArrow from '/icons/right-arrow.png'
 
 import DeleteModal from '../../../Modals/DeleteModal/DeleteModal'
 
-const AddressCard = ({title, address}) => {
+const AddressCard = ({title, address, isDefault, onEdit, onDelete, onSetDefault}) => {
 
     let [modal, setModal] = useState(false);
 
   return <>
-        <div className={css.outerDiv}>
+        <div className={isDefault ? [css.outerDiv, css.default].join(" ") : css.outerDiv}>
             <div className={css.innerDiv}>
                 <div>
-                    <div className={css.ttl}>{title}</div>
+                    <div className={css.ttl}>
+                        {title}
+                        {isDefault ? <span className={css.tag}>DEFAULT</span> : ""}
+                    </div>
                     <div className={css.address}>{address}</div>
                 </div>
                 <div className={css.btns}>
-                    <button className={css.btn1}>Edit <span><img className={css.rightArrow} src={rightArrow} alt="Right Arrow" /></span></button>
+                    <button className={css.btn1} onClick={onEdit}>Edit <span><img className={css.rightArrow} src={rightArrow} alt="Right Arrow" /></span></button>
                     <button className={css.btn2} onClick={()=> setModal(true)}>Delete</button>
+                    {!isDefault && onSetDefault ? <button className={css.btn2} onClick={onSetDefault}>Set default</button> : ""}
                 </div>
             </div>
         </div>
-        {modal ? <DeleteModal setModal={setModal} txt="Are you sure you want to delete this address?" /> : "" }
+        {modal ? <DeleteModal setModal={setModal} onConfirm={onDelete} txt="Are you sure you want to delete this address?" /> : "" }
   </>
 }
 
-export default AddressCard
\ No newline at end of file
+export default AddressCard
@@ -1,5 +1,7 @@
+import {useState} from 'react'
 import {Formik, Form, ErrorMessage} from 'formik'
 import * as Yup from 'yup';
+import React from 'react'
 
 import css from './AddAddressForm.module.css'
 
@@ -10,14 +12,20 @@ import RadioUtil from '../../../FormUtils/RadioUtil/RadioUtil'
 import TextUtil from '../../../FormUtils/TextUtil/TextUtil'
 import TextUtilWithCancel from '../../../FormUtils/TextUtilWithCancel/TextUtilWithCancel'
 
-const AddAddressForm = ({setPage, setAddressModal, setSearchComp}) => {
-   
+import { addressTypeLabels } from '../../../../helpers/address'
+import { createAddress, updateAddress } from '../../../../services/addressService'
+
+// `place` is the reverse geocoded pin, saving waits for it so the address always has an area and city
+const AddAddressForm = ({setPage, setAddressModal, setSearchComp, place, placeError, position, address, onSaved}) => {
+
+    let [saveError, setSaveError] = useState('');
+
     let initialValues = {
-        completeAddress: "",
-        floor: "",
-        nearBy: "",
-        addressType: "",
-        addressTypeOther:""
+        completeAddress: address?.completeAddress ?? "",
+        floor: address?.floor ?? "",
+        nearBy: address?.nearBy ?? "",
+        addressType: address?.type ?? "",
+        addressTypeOther: address?.type === "other" ? address.title : ""
     }
 
     let validationSchema = Yup.object({
@@ -28,9 +36,30 @@ const AddAddressForm = ({setPage, setAddressModal, setSearchComp}) => {
         addressTypeOther: Yup.string().min(3, "Minimum 3 charecters required!")
     })
 
-    let submitForm = (values) => {
-        console.log(values, 'form values');
-        setAddressModal(false);
+    let submitForm = async (values, {setSubmitting}) => {
+        if(!place){
+            setSubmitting(false);
+            return;
+        }
+        const payload = {
+            type: values.addressType,
+            title: values.addressType === "other" ? values.addressTypeOther || addressTypeLabels.other : addressTypeLabels[values.addressType],
+            completeAddress: values.completeAddress,
+            floor: values.floor,
+            nearBy: values.nearBy,
+            area: place.area,
+            city: place.city,
+            locality: place.locality,
+            lat: position.lat,
+            lng: position.lng
+        };
+        setSaveError('');
+        try{
+            onSaved(address ? await updateAddress(address.id, payload) : await createAddress(payload));
+        }catch(err){
+            setSaveError(err.message);
+            setSubmitting(false);
+        }
     }
 
     const changeFieldValues = (formik) => {
@@ -41,7 +70,7 @@ const AddAddressForm = ({setPage, setAddressModal, setSearchComp}) => {
   return <div className={css.outerDiv}>
         <div className={css.innerDiv}>
         <div className={css.header}>
-            <div className={css.ttl}>Add Address</div>
+            <div className={css.ttl}>{address ? "Edit Address" : "Add Address"}</div>
             <div className={css.imgBox} onClick={() => setPage(1)}><img className={css.closeIcon} src={closeIcon} /></div>
         </div>
         <div className={css.bdy}>
@@ -49,7 +78,7 @@ const AddAddressForm = ({setPage, setAddressModal, setSearchComp}) => {
             <div className={css.addBox}>
                 <div className={css.addressBx}>
                     <div className={css.addIcon}><img className={css.rightArrIcon} src={checkMarkIcon} /></div>
-                    <div className={css.address}>Malkajgiri, Mir Alam Mandi, Pathar Gatti</div>
+                    <div className={css.address}>{place?.area ?? (placeError || "Locating pin...")}</div>
                 </div>
                 <div className={css.chgTxt} onClick={()=> setSearchComp(true)}>CHANGE</div>
             </div>
@@ -82,9 +111,10 @@ const AddAddressForm = ({setPage, setAddressModal, setSearchComp}) => {
                     <ErrorMessage name="addressType">
                         {msg => <div className={css.errorMessage}>{msg}</div>}
                     </ErrorMessage>
+                    {saveError ? <div className={css.errorMessage}>{saveError}</div> : ""}
                     <div className={css.ftr}>
-                        <button type='submit' className={css.btn}>
-                            Save And Proceed
+                        <button type='submit' className={css.btn} disabled={formik.isSubmitting || !place}>
+                            {formik.isSubmitting ? "Saving..." : !place && !placeError ? "Locating pin..." : "Save And Proceed"}
                         </button>
                     </div>
                 </Form>
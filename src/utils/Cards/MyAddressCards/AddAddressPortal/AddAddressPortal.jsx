@@ -1,5 +1,6 @@
 import { useEffect, useState } from 'react';
 import { createPortal } from 'react-dom'
+import React from 'react'
 
 import css from './AddAddressPortal.module.css'
 
@@ -8,27 +9,56 @@ import AddAddressForm from '../AddAddressForm/AddAddressForm'
 import SearchLocation from '../SearchLocation/SearchLocation'
 import MapComponent from '../MapComponent/MapComponent'
 
-let AddAddressPortal = ({setAddressModal}) => {
+import { useLocationContext } from '../../../../context/LocationContext/LocationContext'
+import { reverseGeocode } from '../../../../services/geocodeService'
+import { isCancel } from '../../../../services/apiClient'
 
+// `address` switches the flow to editing; `onSaved` gets the stored address back
+let AddAddressPortal = ({setAddressModal, address, onSaved}) => {
+    const { location } = useLocationContext();
 
     let [page, setPage] = useState(1);
     let [searchComp, setSearchComp] = useState(false);
+    let [position, setPosition] = useState(() => address ? {lat: address.lat, lng: address.lng} : {lat: location.lat, lng: location.lng});
+    let [place, setPlace] = useState(null);
+    let [placeError, setPlaceError] = useState('');
+
+    // The delivery area always describes where the pin currently is
+    useEffect(() => {
+        const controller = new AbortController();
+        setPlace(null);
+        setPlaceError('');
+        reverseGeocode(position, {signal: controller.signal})
+            .then(data => setPlace(data))
+            .catch(err => {
+                if(!isCancel(err)) setPlaceError(err.message);
+            });
+        return () => controller.abort()
+    }, [position.lat, position.lng])
+
+    const searched = (coords) => {
+        setPosition(coords);
+        setSearchComp(false);
+    }
+
+    const saved = (val) => {
+        onSaved?.(val);
+        setAddressModal(false);
+    }
 
     const domObj = <div className={css.outerDiv}>
         <div className={css.innerDiv}>
             {searchComp ? (
-                <SearchLocation setSearchComp={setSearchComp} />
+                <SearchLocation setSearchComp={setSearchComp} near={position} onSelect={searched} />
             ): (
             <>
                 <div className={css.mapBox}>
-                    <div style={{width: "400px"}}>
-                        <MapComponent />
-                    </div>
+                    <MapComponent center={position} onMove={setPosition} />
                 </div>
                 <div className={css.formBox}>
                     {page === 1 ? (
-                        <SetDeliveryLocation setPage={setPage} setAddressModal={setAddressModal} setSearchComp={setSearchComp} />
-                        ) : <AddAddressForm setPage={setPage} setAddressModal={setAddressModal} setSearchComp={setSearchComp} /> }
+                        <SetDeliveryLocation setPage={setPage} setAddressModal={setAddressModal} setSearchComp={setSearchComp} place={place} placeError={placeError} />
+                        ) : <AddAddressForm setPage={setPage} setAddressModal={setAddressModal} setSearchComp={setSearchComp} place={place} placeError={placeError} position={position} address={address} onSaved={saved} /> }
                 </div>
             </>
             )}
@@ -38,4 +68,4 @@ let AddAddressPortal = ({setAddressModal}) => {
     return createPortal(domObj, document.getElementById('modal'));
 }
 
-export default AddAddressPortal;
\ No newline at end of file
+export default AddAddressPortal;
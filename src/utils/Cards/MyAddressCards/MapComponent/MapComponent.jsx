@@ -1,9 +1,100 @@
+import { useEffect, useRef, useState } from 'react'
 import React from 'react'
 
-const MapComponent = () => {
+import css from './MapComponent.module.css'
+
+import locations from '../../../../data/locations'
+import { mapDefaultZoom, mapMaxZoom, mapMinZoom, mapTileAttribution, mapTileUrl } from '../../../../helpers/constants'
+import { getTiles, getTileUrl, roundCoord, toLatLng, toPixel } from '../../../../helpers/map'
+
+const localities = locations.flatMap(city => city.localities);
+
+const sameCoords = (a, b) => roundCoord(a.lat) === roundCoord(b.lat) && roundCoord(a.lng) === roundCoord(b.lng);
+
+// The pin stays in the middle and the map moves under it; `onMove` gets the pin position once a drag or zoom ends
+const MapComponent = ({center, zoom = mapDefaultZoom, onMove}) => {
+  const boxRef = useRef(null);
+  const dragRef = useRef(null);
+  const [size, setSize] = useState({width: 0, height: 0});
+  const [view, setView] = useState({center, zoom});
+  const [dragging, setDragging] = useState(false);
+
+  useEffect(() => {
+    const measure = () => setSize({width: boxRef.current.offsetWidth, height: boxRef.current.offsetHeight});
+    measure();
+    const observer = new ResizeObserver(measure);
+    observer.observe(boxRef.current);
+    return () => observer.disconnect()
+  }, [])
+
+  // Follow the parent when it moves the pin, e.g. after picking a searched location
+  useEffect(() => {
+    if(center && !sameCoords(center, view.center)){
+      setView(val => ({...val, center}));
+    }
+  }, [center?.lat, center?.lng])
+
+  const moveEnd = (next) => {
+    onMove?.({lat: roundCoord(next.lat), lng: roundCoord(next.lng)});
+  }
+
+  const startDrag = (e) => {
+    e.currentTarget.setPointerCapture(e.pointerId);
+    dragRef.current = {x: e.clientX, y: e.clientY, origin: toPixel(view.center, view.zoom), moved: false};
+    setDragging(true);
+  }
+
+  const drag = (e) => {
+    const start = dragRef.current;
+    if(!start) return;
+    start.moved = true;
+    const next = toLatLng({x: start.origin.x - (e.clientX - start.x), y: start.origin.y - (e.clientY - start.y)}, view.zoom);
+    setView(val => ({...val, center: next}));
+  }
+
+  const endDrag = () => {
+    if(dragRef.current?.moved) moveEnd(view.center);
+    dragRef.current = null;
+    setDragging(false);
+  }
+
+  const zoomBy = (step) => {
+    const next = Math.min(mapMaxZoom, Math.max(mapMinZoom, view.zoom + step));
+    if(next === view.zoom) return;
+    setView(val => ({...val, zoom: next}));
+    moveEnd(view.center);
+  }
+
+  const tiles = size.width ? getTiles(view.center, view.zoom, size.width, size.height) : [];
+  const middle = toPixel(view.center, view.zoom);
+  const labels = localities.map(locality => {
+    const point = toPixel(locality, view.zoom);
+    return {...locality, left: point.x - middle.x + size.width / 2, top: point.y - middle.y + size.height / 2};
+  }).filter(val => val.left > 0 && val.left < size.width && val.top > 0 && val.top < size.height);
+
   return (
-    <div>MapComponent</div>
+    <div className={css.mapSize}>
+      <div ref={boxRef} className={dragging ? [css.map, css.dragging].join(" ") : css.map}
+        onPointerDown={startDrag} onPointerMove={drag} onPointerUp={endDrag} onPointerCancel={endDrag}
+        onWheel={e => zoomBy(e.deltaY < 0 ? 1 : -1)}>
+        {tiles.map(tile => {
+          return <img key={tile.key} className={css.tile} src={getTileUrl(mapTileUrl, tile)} alt="" draggable="false"
+            style={{left: tile.left, top: tile.top}}
+            onError={e => { e.currentTarget.style.visibility = "hidden" }} />
+        })}
+        {labels.map(val => {
+          return <div key={val.name} className={css.label} style={{left: val.left, top: val.top}}>{val.name}</div>
+        })}
+        <div className={css.pin} />
+      </div>
+      <div className={css.zoom}>
+        <div className={css.zoomBtn} onClick={() => zoomBy(1)}>+</div>
+        <div className={css.zoomBtn} onClick={() => zoomBy(-1)}>−</div>
+      </div>
+      {mapTileAttribution ? <div className={css.attribution}>{mapTileAttribution}</div> : ""}
+      <div className={css.hint}>Move the map to place the pin on your delivery location</div>
+    </div>
   )
 }
 
-export default MapComponent
\ No newline at end of file
+export default MapComponent
@@ -1,63 +1,76 @@
-import {useState} from 'react'
+import { useEffect, useState } from 'react'
+import React from 'react'
 
 import css from './SearchLocation.module.css'
 
 import closeIcon from '/icons/close.png'
 import locationIcon from '/icons/locationB.png'
-import checkMarkIcon from '/icons/check-mark.png'
+import compassIcon from '/icons/compass.png'
 
-const SearchLocation = ({setSearchComp}) => {
+import { searchDebounceMs } from '../../../../helpers/constants'
+import { getCurrentPosition } from '../../../../helpers/location'
+import { splitMatch } from '../../../../helpers/search'
+import { searchPlaces } from '../../../../services/geocodeService'
+import { isCancel } from '../../../../services/apiClient'
 
-    let [data, setData] = useState([
-        {
-            id: 1,
-            name: "Name of the city",
-            address: "Lorem ipsum dolor sit amet consectetur adipisicing elit. Maxime mollitia, molestiae quas vel sint commodi"
-        },
-        {
-            id: 2,
-            name: "Name of the city",
-            address: "Lorem ipsum dolor sit amet consectetur adipisicing elit. Maxime mollitia, molestiae quas vel sint commodi"
-        },
-        {
-            id: 3,
-            name: "Name of the city",
-            address: "Lorem ipsum dolor sit amet consectetur adipisicing elit. Maxime mollitia, molestiae quas vel sint commodi"
-        },
-        {
-            id: 4,
-            name: "Name of the city",
-            address: "Lorem ipsum dolor sit amet consectetur adipisicing elit. Maxime mollitia, molestiae quas vel sint commodi"
-        },
-        {
-            id: 5,
-            name: "Name of the city",
-            address: "Lorem ipsum dolor sit amet consectetur adipisicing elit. Maxime mollitia, molestiae quas vel sint commodi"
-        },
-        {
-            id: 6,
-            name: "Name of the city",
-            address: "Lorem ipsum dolor sit amet consectetur adipisicing elit. Maxime mollitia, molestiae quas vel sint commodi"
-        },
-        {
-            id: 7,
-            name: "Name of the city",
-            address: "Lorem ipsum dolor sit amet consectetur adipisicing elit. Maxime mollitia, molestiae quas vel sint commodi"
-        },
-        {
-            id: 8,
-            name: "Name of the city",
-            address: "Lorem ipsum dolor sit amet consectetur adipisicing elit. Maxime mollitia, molestiae quas vel sint commodi"
-        },
-        {
-            id: 9,
-            name: "Name of the city",
-            address: "Lorem ipsum dolor sit amet consectetur adipisicing elit. Maxime mollitia, molestiae quas vel sint commodi"
+const highlight = (text, q) => {
+    const parts = splitMatch(text, q);
+    if (!parts) return text;
+    return <>{parts[0]}<span className={css.match}>{parts[1]}</span>{parts[2]}</>
+}
+
+// `near` ranks closer localities first, `onSelect` gets the {lat, lng} to move the pin to
+const SearchLocation = ({setSearchComp, near, onSelect}) => {
+    let [query, setQuery] = useState('');
+    let [data, setData] = useState(null);
+    let [loading, setLoading] = useState(false);
+    let [locating, setLocating] = useState(false);
+    let [error, setError] = useState('');
+
+    const q = query.trim();
+
+    useEffect(() => {
+        setError('');
+        if (!q) {
+            setData(null);
+            setLoading(false);
+            return;
+        }
+        setLoading(true);
+        const controller = new AbortController();
+        const timer = setTimeout(() => {
+            searchPlaces(q, { near }, { signal: controller.signal })
+                .then(res => {
+                    setData(res);
+                    setLoading(false);
+                })
+                .catch(err => {
+                    if (!isCancel(err)) {
+                        setData(null);
+                        setError(err.message);
+                        setLoading(false);
+                    }
+                });
+        }, searchDebounceMs);
+        return () => {
+            clearTimeout(timer);
+            controller.abort();
         }
-    ])
+    }, [q])
 
-    const getSearchData = (e) => {
-        console.log(e.target.value, 'search value');
+    const detectPosition = () => {
+        if (locating) return;
+        setLocating(true);
+        setError('');
+        getCurrentPosition()
+            .then(coords => {
+                setLocating(false);
+                onSelect(coords);
+            })
+            .catch(err => {
+                setLocating(false);
+                setError(err.message);
+            });
     }
 
   return <div className={css.outerDiv}>
@@ -71,19 +84,29 @@ const SearchLocation = ({setSearchComp}) => {
                     <div className={css.iconImgBox}>
                         <img src={locationIcon} className={css.lcticon} />
                     </div>
-                    <input type='text' className={css.inptBox} placeholder="Start typing to search" onChange={getSearchData} />                    
+                    <input type='text' className={css.inptBox} placeholder="Start typing to search" autoFocus value={query} onChange={e => setQuery(e.target.value)} />
                 </div>
                 <div className={css.results}>
-                {data ? data?.map(val => {
-                    return <div className={css.result} key={val.id}>
-                        <div className={css.name}>{val.name}</div>
-                        <div className={css.address}>{val.address}</div>
+                    <div className={[css.result, css.current].join(" ")} onClick={detectPosition}>
+                        <img className={css.currentIcon} src={compassIcon} alt="current location" />
+                        <div>
+                            <div className={css.currentTtl}>{locating ? "Detecting location..." : "Use current location"}</div>
+                            <div className={css.address}>Using GPS</div>
+                        </div>
                     </div>
-                }): ""}
+                    {data?.map(val => {
+                        return <div className={css.result} key={`${val.city}-${val.locality}`} onClick={() => onSelect({lat: val.lat, lng: val.lng})}>
+                            <div className={css.name}>{highlight(val.locality, q)}</div>
+                            <div className={css.address}>{highlight(`${val.cityName}, ${val.state}`, q)}</div>
+                        </div>
+                    })}
+                    {loading && !data ? <div className={css.emptyTxt}>Searching...</div> : ""}
+                    {!loading && data && !data.length ? <div className={css.emptyTxt}>No results for "{q}"</div> : ""}
+                    {error ? <div className={[css.emptyTxt, css.error].join(" ")}>{error}</div> : ""}
                 </div>
             </div>
         </div>
   </div>
 }
 
-export default SearchLocation 
\ No newline at end of file
+export default SearchLocation
@@ -1,11 +1,11 @@
-import {useState} from 'react'
+import React from 'react'
 
 import css from './SetDeliveryLocation.module.css'
 
 import closeIcon from '/icons/close.png'
 import checkMarkIcon from '/icons/check-mark.png'
 
-const SetDeliveryLocation = ({setPage, setAddressModal, setSearchComp}) => {
+const SetDeliveryLocation = ({setPage, setAddressModal, setSearchComp, place, placeError}) => {
   return <div className={css.outerDiv}>
         <div className={css.innerDiv}>
             <div className={css.header}>
@@ -17,13 +17,13 @@ const SetDeliveryLocation = ({setPage, setAddressModal, setSearchComp}) => {
                 <div className={css.addBox}>
                     <div className={css.addressBx}>
                         <div className={css.addIcon}><img className={css.rightArrIcon} src={checkMarkIcon} /></div>
-                        <div className={css.address}>Malkajgiri, Mir Alam Mandi, Pathar Gatti</div>
+                        <div className={css.address}>{placeError || place?.area || "Locating pin..."}</div>
                     </div>
                     <div className={css.chgTxt} onClick={()=>setSearchComp(true)}>CHANGE</div>
                 </div>
             </div>
             <div className={css.ftr}>
-                <div className={css.btn} onClick={() => setPage(2)}>
+                <div className={place ? css.btn : [css.btn, css.disabled].join(" ")} onClick={() => place && setPage(2)}>
                         Confirm And Proceed
                 </div>
             </div>
@@ -1,9 +1,12 @@
 import { useState } from "react";
+import { Link } from "react-router-dom";
 
 import css from "./OrderHistoryCard.module.css";
 
 import OrderDetails from '../../../Modals/OrderDetailsModal/OrderDetails'
 
+import { isActiveOrder } from "../../../helpers/orderTracking";
+
 const OrderHistoryCard = ({ udata, setViewDet, setOrderId }) => {
   const {
     id,
@@ -68,6 +71,9 @@ const OrderHistoryCard = ({ udata, setViewDet, setOrderId }) => {
             </div>
           </div>
           <div className={css.footerBar}>
+            {isActiveOrder(udata) ? <Link className={css.viewBtn} to={`/orders/${id}/track`}>
+              Track Order
+            </Link> : ""}
             <button
               className={css.viewBtn}
               onClick={() => {setViewDet((val) => !val); setOrderId(id)}}
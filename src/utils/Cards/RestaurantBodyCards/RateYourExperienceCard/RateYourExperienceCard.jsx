@@ -5,45 +5,54 @@ import css from "./RateYourExperienceCard.module.css";
 
 import RadioBtn from "../../../FormUtils/RadioUtil/RadioUtil";
 import RatingNumberBox from '../../../RestaurantUtils/RatingNumberBox/RatingNumberBox'
+import ReviewModal from "../../../../Modals/ReviewModal/ReviewModal";
+
+import { useAuth } from "../../../../context/AuthContext/AuthContext";
+import { useRestaurant } from "../../../../context/RestaurantContext/RestaurantContext";
+import { ratingLabels } from "../../../../helpers/reviews";
 
 const RateYourExperienceCard = () => {
+  const restaurant = useRestaurant();
+  const { isLoggedIn, openLogin } = useAuth();
   const [stars, setStars] = useState(0);
-
-  const [quots] = useState([
-    "",
-    "Horrible",
-    "Bad",
-    "Average",
-    "Good",
-    "Excellent",
-  ]);
+  // Holds the picked review type while the composer is open
+  const [modal, setModal] = useState(false);
 
   const initialValues = {
     type: "dining"
   }
 
+  const openComposer = (type) => {
+    if (!restaurant) return;
+    if (!isLoggedIn) return openLogin();
+    setModal(type);
+  }
+
   return (
     <div className={css.outerDiv}>
-      <div className={css.innerDiv}>
-        <div className={css.ttl}>Rate your experience for</div>
-        <div className={css.radioOptns}>
-          <Formik initialValues={initialValues}>
-            <Form className={css.form}>
-                <RadioBtn label="Dining" name="type" value="dining" />
-                <RadioBtn label="Delivery" name="type" value="delivery" />
-            </Form>
-          </Formik>
-        </div>
-        <div className={css.ratingBox}>
-            <RatingNumberBox stars={stars} txt="1" iconR={stars > 1} isActive={stars >= 1} onClick={() => setStars(1)} />
-            <RatingNumberBox stars={stars} txt="2" iconR={stars > 2} isActive={stars >= 2} onClick={() => setStars(2)} />
-            <RatingNumberBox stars={stars} txt="3" iconR={stars > 3} isActive={stars >= 3} onClick={() => setStars(3)} />
-            <RatingNumberBox stars={stars} txt="4" iconR={stars > 4} isActive={stars >= 4} onClick={() => setStars(4)} />
-            <RatingNumberBox stars={stars} txt="5" iconR={stars > 5} isActive={stars >= 5} onClick={() => setStars(5)} />
-            <div className={css.ratingTxt}>{quots[stars]}</div>
-        </div>
-        <div className={css.modalTxt}>Write a Review</div>
-      </div>
+      <Formik initialValues={initialValues}>
+        {({ values }) => (
+          <div className={css.innerDiv}>
+            <div className={css.ttl}>Rate your experience for</div>
+            <div className={css.radioOptns}>
+                <Form className={css.form}>
+                    <RadioBtn label="Dining" name="type" value="dining" />
+                    <RadioBtn label="Delivery" name="type" value="delivery" />
+                </Form>
+            </div>
+            <div className={css.ratingBox}>
+                <RatingNumberBox stars={stars} txt="1" iconR={stars > 1} isActive={stars >= 1} onClick={() => setStars(1)} />
+                <RatingNumberBox stars={stars} txt="2" iconR={stars > 2} isActive={stars >= 2} onClick={() => setStars(2)} />
+                <RatingNumberBox stars={stars} txt="3" iconR={stars > 3} isActive={stars >= 3} onClick={() => setStars(3)} />
+                <RatingNumberBox stars={stars} txt="4" iconR={stars > 4} isActive={stars >= 4} onClick={() => setStars(4)} />
+                <RatingNumberBox stars={stars} txt="5" iconR={stars > 5} isActive={stars >= 5} onClick={() => setStars(5)} />
+                <div className={css.ratingTxt}>{ratingLabels[stars]}</div>
+            </div>
+            <div className={css.modalTxt} onClick={() => openComposer(values.type)}>Write a Review</div>
+          </div>
+        )}
+      </Formik>
+      {modal ? <ReviewModal setModal={setModal} restaurant={restaurant} menu={restaurant.menu} rating={stars} type={modal} onSaved={() => setStars(0)} /> : ""}
     </div>
   );
 };
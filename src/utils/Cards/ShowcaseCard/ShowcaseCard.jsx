@@ -9,9 +9,8 @@ import safeDelivery from '/icons/safe-delivery.png';
 import star from '/icons/star.png';
 
 let ShowcaseCard = (props) => {
-    const { link2, promoted, time, offB, proExtraB, off, proExtra, name, rating, imgSrc } = props;
-    let link = "/" + "hyderabad/paraside/order";
-    return <Link className={css.outerDiv} to={link}>
+    const { link2, promoted, time, offB, proExtraB, off, proExtra, name, rating, imgSrc, cuisines, cost } = props;
+    return <Link className={css.outerDiv} to={link2}>
         <div className={css.innerDiv}>
             <div className={css.imgBox}>
                 {promoted && <div className={css.promoted}>Promoted</div>}
@@ -26,8 +25,8 @@ let ShowcaseCard = (props) => {
                     <div className={css.ratingBox}> {rating} <img className={css.star} src={star} alt="gorwing arrow" /></div>
                 </div>
                 <div className={css.tagBox}>
-                    <div className={css.tagTitle}>South Indian</div>
-                    <div className={css.tagTxt}>₹<span className={css.type}>350</span> for <span className={css.num}>One</span></div>
+                    <div className={css.tagTitle}>{cuisines?.slice(0, 2).join(", ") ?? "South Indian"}</div>
+                    <div className={css.tagTxt}>₹<span className={css.type}>{cost ?? 350}</span> for <span className={css.num}>{cost ? "Two" : "One"}</span></div>
                 </div>
             </div>
             <div className={css.footer}>
@@ -5,8 +5,8 @@ import css from './PlacesCard.module.css';
 
 import rightArrow from '/icons/right-arrow.png';
 
-let PlacesCard = ({ place, count, link }) => {
-    return <Link to={link} className={css.card}>
+let PlacesCard = ({ place, count, link, onClick }) => {
+    return <Link to={link} className={css.card} onClick={onClick}>
         <div className={css.innerBox}>
             <div className={css.place}>{place}</div>
             <div className={css.count}>{count} Places</div>
@@ -3,10 +3,10 @@ import React from "react";
 
 import downArrow from '/icons/down-arrow.png';
 
-let ShowMore = ({ setShowMore }) => {
+let ShowMore = ({ setShowMore, expanded }) => {
     return <div onClick={() => setShowMore(val => !val)} className={css.card}>
         <div className={css.innerBox}>
-            <div className={css.place}>see more</div>
+            <div className={css.place}>{expanded ? "see less" : "see more"}</div>
             <img className={css.arrow} src={downArrow} alt="down arrow" />
         </div>
     </div>
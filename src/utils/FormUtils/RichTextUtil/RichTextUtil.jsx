@@ -0,0 +1,47 @@
+import { useEffect, useRef } from 'react'
+import React from 'react'
+
+import css from './RichTextUtil.module.css'
+
+import { richTextCommands } from '../../../helpers/richText'
+
+// The editable div keeps its own DOM while typing; `value` only replaces it when it changes
+// from outside, e.g. when a draft is restored, so the caret isn't reset on every keystroke
+const RichTextUtil = ({value, placeholder, onChange, disabled = false}) => {
+    const editorRef = useRef(null);
+
+    useEffect(() => {
+        if(editorRef.current && editorRef.current.innerHTML !== value){
+            editorRef.current.innerHTML = value ?? "";
+        }
+    }, [value])
+
+    const emitChange = () => {
+        onChange(editorRef.current.innerHTML);
+    }
+
+    const runCommand = (command) => {
+        editorRef.current.focus();
+        document.execCommand(command);
+        emitChange();
+    }
+
+    // Pasted text loses its formatting instead of bringing in styles from other pages
+    const pasteHandler = (e) => {
+        e.preventDefault();
+        document.execCommand('insertText', false, e.clipboardData.getData('text/plain'));
+    }
+
+  return <div className={disabled ? [css.outerDiv, css.disabled].join(" ") : css.outerDiv}>
+    <div className={css.toolbar}>
+        {richTextCommands.map(val => {
+            return <span key={val.command} className={[css.tool, css[val.command]].join(" ")} title={val.title}
+                onMouseDown={e => e.preventDefault()} onClick={() => !disabled && runCommand(val.command)}>{val.label}</span>
+        })}
+    </div>
+    <div ref={editorRef} className={css.editor} contentEditable={!disabled} suppressContentEditableWarning
+        data-placeholder={placeholder} role="textbox" aria-multiline="true" onInput={emitChange} onPaste={pasteHandler}></div>
+  </div>
+}
+
+export default RichTextUtil
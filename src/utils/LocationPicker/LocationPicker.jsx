@@ -0,0 +1,100 @@
+import { useEffect, useRef, useState } from 'react'
+import css from './LocationPicker.module.css'
+import React from "react";
+
+import downArrow from '/icons/down-arrow1.png'
+import locationIcon from '/icons/location.png'
+import compassIcon from '/icons/compass.png'
+
+import { useLocationContext } from '../../context/LocationContext/LocationContext'
+import { searchLocations } from '../../helpers/location'
+
+const maxOptions = 8;
+
+let LocationPicker = ({ onFocus }) => {
+    const { location, setLocation, detectLocation, detecting, error } = useLocationContext();
+    const boxRef = useRef(null);
+    const inputRef = useRef(null);
+
+    let [open, setOpen] = useState(false);
+    let [query, setQuery] = useState('');
+    let [activeIndex, setActiveIndex] = useState(-1);
+
+    useEffect(() => {
+        if (!open) return;
+        const closeOnOutsideClick = (e) => {
+            if (!boxRef.current?.contains(e.target)) setOpen(false);
+        }
+        document.addEventListener('mousedown', closeOnOutsideClick);
+        return () => document.removeEventListener('mousedown', closeOnOutsideClick);
+    }, [open])
+
+    // Index 0 is always "Detect current location"
+    const options = searchLocations(query).slice(0, maxOptions);
+
+    const close = () => {
+        setOpen(false);
+        setQuery('');
+        setActiveIndex(-1);
+        inputRef.current?.blur();
+    }
+
+    const select = (index) => {
+        if (index === 0) {
+            detectLocation().then(next => next && close());
+        } else if (options[index - 1]) {
+            setLocation(options[index - 1]);
+            close();
+        }
+    }
+
+    const keyDownHandler = (e) => {
+        if (e.key === 'ArrowDown' || e.key === 'ArrowUp') {
+            e.preventDefault();
+            const count = options.length + 1;
+            setActiveIndex(val => (val + (e.key === 'ArrowDown' ? 1 : -1) + count) % count);
+        } else if (e.key === 'Enter') {
+            e.preventDefault();
+            select(activeIndex < 0 && query ? 1 : activeIndex);
+        } else if (e.key === 'Escape') {
+            close();
+        }
+    }
+
+    const focusHandler = () => {
+        setOpen(true);
+        onFocus?.();
+    }
+
+    const optionClass = (index) => index === activeIndex ? [css.option, css.optionActive].join(" ") : css.option;
+
+    return <div className={css.outerDiv} ref={boxRef}>
+        <div className={css.iconBox}><img className={css.icon} src={locationIcon} alt="location pointer" /></div>
+        <input type="text" ref={inputRef} placeholder="Place.." className={css.inpt} title={`${location.locality}, ${location.cityName}`}
+            value={open ? query : `${location.locality}, ${location.cityName}`}
+            onChange={e => { setQuery(e.target.value); setActiveIndex(-1); }} onFocus={focusHandler} onKeyDown={keyDownHandler} />
+        <div className={css.iconBox} onClick={() => open ? close() : inputRef.current?.focus()}><img className={css.downArrow} src={downArrow} alt="down arrow" /></div>
+        {open ? <div className={css.dropdownBox} role="listbox">
+            <div className={optionClass(0)} role="option" aria-selected={activeIndex === 0} onMouseEnter={() => setActiveIndex(0)} onMouseDown={e => e.preventDefault()} onClick={() => select(0)}>
+                <img className={css.optionIcon} src={compassIcon} alt="detect location" />
+                <div>
+                    <div className={css.detectTtl}>{detecting ? "Detecting location..." : "Detect current location"}</div>
+                    <div className={css.optionTag}>{error || "Using GPS"}</div>
+                </div>
+            </div>
+            {options.map((val, id) => {
+                return <div key={`${val.city}-${val.locality}`} className={optionClass(id + 1)} role="option" aria-selected={activeIndex === id + 1}
+                    onMouseEnter={() => setActiveIndex(id + 1)} onMouseDown={e => e.preventDefault()} onClick={() => select(id + 1)}>
+                    <img className={css.optionIcon} src={locationIcon} alt="locality" />
+                    <div>
+                        <div className={css.optionTtl}>{val.locality}</div>
+                        <div className={css.optionTag}>{val.cityName}</div>
+                    </div>
+                </div>
+            })}
+            {!options.length ? <div className={css.emptyTxt}>No matching locations</div> : null}
+        </div> : null}
+    </div>
+}
+
+export default LocationPicker;
@@ -1,11 +1,14 @@
 import css from './FilterBox.module.css';
 
-let FilterBox = ({ leftIcon, rightIcon, text }) => {
-    return <div className={css.outerDiv}>
-        {leftIcon ? <div className={css.leftIconBox}><img className={css.leftIcon} src={leftIcon} alt="icon" /></div> : null}
+import closeIcon from '/icons/close.png';
+
+let FilterBox = ({ leftIcon, rightIcon, text, count, active, closable, onClick }) => {
+    return <div className={active ? [css.outerDiv, css.outerDivActive].join(" ") : css.outerDiv} onClick={onClick}>
+        {count ? <div className={css.count}>{count}</div> : leftIcon ? <div className={css.leftIconBox}><img className={css.leftIcon} src={leftIcon} alt="icon" /></div> : null}
         <div className={css.text}>{text}</div>
-        {rightIcon ? <div className={css.rightIconBox}><img className={css.rightIcon} src={rightIcon} alt="icon" /></div> : null}
+        {active && closable ? <div className={css.rightIconBox}><img className={css.rightIcon} src={closeIcon} alt="remove filter" /></div>
+        : rightIcon ? <div className={css.rightIconBox}><img className={css.rightIcon} src={rightIcon} alt="icon" /></div> : null}
     </div>
 }
 
-export default FilterBox;
\ No newline at end of file
+export default FilterBox;
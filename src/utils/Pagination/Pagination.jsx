@@ -4,27 +4,35 @@ import css from './Pagination.module.css'
 
 import rightArrowIcon from '/icons/right-arrow1.png'
 
-const Pagination = ({page, size, total}) => {
+import { ellipsis, getPageCount, getPageRange, getRangeText } from '../../helpers/pagination'
+
+const Pagination = ({page = 1, size = 10, total = 0, label = "orders", onChange}) => {
+  const pageCount = getPageCount(total, size);
+  const current = Math.min(Math.max(1, +page), pageCount);
+
+  const goTo = (val) => {
+    if(val >= 1 && val <= pageCount && val !== current) onChange?.(val);
+  }
+
+  const arrowClass = (disabled) => disabled ? [css.count, css.disabled]?.join(" ") : css.count;
+
   return <div className={css.pagination}>
-        <div className={css.txt}>Showing {page}-{page*size} of {total} orders</div>
-        <div className={css.nums}>
-            {+total > 30 ? 
-                <>
-                    <div className={[css.count, css.active]?.join(" ")}>1</div>
-                    <div className={css.count}>2</div>
-                    <div className={css.count}>3</div>
-                </>
-                : +total > 10 ? 
-                <>
-                    <div className={[css.count, css.active]?.join(" ")}>1</div>
-                    <div className={css.count}>2</div>
-                </>
-                 :
-                    <div className={css.count}>1</div>
-            }
-            <div className={css.imgBox}><img className={css.img} src={rightArrowIcon} alt='right arrow' /></div>
-        </div>
+        <div className={css.txt}>Showing {getRangeText(current, size, +total)} {label}</div>
+        {pageCount > 1 ? <div className={css.nums}>
+            <div className={arrowClass(current === 1)} onClick={() => goTo(1)} title="First page">«</div>
+            <div className={arrowClass(current === 1)} onClick={() => goTo(current - 1)} title="Previous page">
+                <img className={[css.img, css.prev]?.join(" ")} src={rightArrowIcon} alt='left arrow' />
+            </div>
+            {getPageRange(current, pageCount).map((val, i) => {
+                return val === ellipsis ? <div className={css.gap} key={`gap-${i}`}>{ellipsis}</div>
+                : <div className={val === current ? [css.count, css.active]?.join(" ") : css.count} key={val} onClick={() => goTo(val)}>{val}</div>
+            })}
+            <div className={arrowClass(current === pageCount)} onClick={() => goTo(current + 1)} title="Next page">
+                <img className={css.img} src={rightArrowIcon} alt='right arrow' />
+            </div>
+            <div className={arrowClass(current === pageCount)} onClick={() => goTo(pageCount)} title="Last page">»</div>
+        </div> : ""}
     </div>
 }
 
-export default Pagination
\ No newline at end of file
+export default Pagination
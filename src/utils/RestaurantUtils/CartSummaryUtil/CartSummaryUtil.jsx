@@ -0,0 +1,47 @@
+import React from 'react'
+
+import css from './CartSummaryUtil.module.css'
+
+import { useCart } from '../../../context/CartContext/CartContext'
+import { formatAmount, getCartBill, getCartCount, getLineTotal } from '../../../helpers/cart'
+
+import QtyStepperUtil from '../QtyStepperUtil/QtyStepperUtil'
+
+const CartSummaryUtil = ({onCheckout}) => {
+  const {cart, addItem, removeItem} = useCart();
+  const {itemTotal} = getCartBill(cart.items);
+
+  if(!cart.items.length){
+    return ""
+  }
+
+  return <div className={css.outerDiv}>
+    <div className={css.innerDiv}>
+      <div className={css.head}>
+        <div className={css.ttl}>Your Cart</div>
+        <div className={css.subTtl}>from {cart.restaurant?.name}</div>
+      </div>
+      <div className={css.items}>
+        {cart.items.map(line => {
+          return <div className={css.item} key={line.lineId}>
+            <div className={css.itemTtl}>
+              {line.ttl}
+              {line.choices?.length ? <div className={css.choices}>{line.choices.join(", ")}</div> : ""}
+            </div>
+            <QtyStepperUtil qty={line.qty} onAdd={() => addItem(line, cart.restaurant)} onRemove={() => removeItem(line.lineId)} />
+            <div className={css.itemPrice}>₹{formatAmount(getLineTotal(line))}</div>
+          </div>
+        })}
+      </div>
+      <div className={css.footer}>
+        <div className={css.total}>
+          <span>{getCartCount(cart.items)} item(s)</span>
+          <span>₹{formatAmount(itemTotal)}</span>
+        </div>
+        <div className={css.checkoutBtn} onClick={onCheckout}>Checkout</div>
+      </div>
+    </div>
+  </div>
+}
+
+export default CartSummaryUtil
@@ -0,0 +1,24 @@
+import React from 'react'
+
+import css from './DishTagsUtil.module.css'
+
+// `dishes` is the restaurant's menu as a flat list, `value` the ids tagged so far
+const DishTagsUtil = ({dishes = [], value = [], onChange, disabled = false}) => {
+    const tagged = value.map(id => dishes.find(dish => dish.id === id)).filter(Boolean);
+    const untagged = dishes.filter(dish => !value.includes(dish.id));
+
+  return <div className={css.dishes}>
+    {tagged.map(dish => {
+        return <span key={dish.id} className={css.dish}>
+            {dish.ttl}
+            {!disabled ? <span className={css.dishRemove} onClick={() => onChange(value.filter(id => id !== dish.id))}>×</span> : ""}
+        </span>
+    })}
+    {!disabled && untagged.length ? <select className={css.dishSelect} value="" onChange={e => onChange([...value, e.target.value])}>
+        <option value="">+ Tag a dish</option>
+        {untagged.map(dish => <option key={dish.id} value={dish.id}>{dish.ttl}</option>)}
+    </select> : ""}
+  </div>
+}
+
+export default DishTagsUtil
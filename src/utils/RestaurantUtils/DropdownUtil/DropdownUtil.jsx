@@ -3,8 +3,10 @@ import {useState} from 'react'
 import css from './DropdownUtil.module.css'
 
 const DropdownUtil = (props) => {
-    const {options = [], icon1, icon2, filFunc= () => {}} = props;
-    const [selected, setSelected] = useState(options?.[0]);
+    const {options = [], icon1, icon2, value, filFunc= () => {}} = props;
+    // `value` makes the selection controlled, e.g. when it comes from the url
+    const [picked, setSelected] = useState(options?.[0]);
+    const selected = value ?? picked;
     const [dropDown, setDropdown] = useState(false);
 
     const clickHandler = (value) => {
@@ -22,7 +24,6 @@ const DropdownUtil = (props) => {
             </div>
             {dropDown ? <div className={css.dropdownList}>
                 {options?.map((val, id) => {
-                    console.log(selected === val, selected, val)
                     return <div key={id} onClick={() => clickHandler(val)} className={selected === val ? [css.option, css.selected].join(" ") : css.option}>
                         {val}
                     </div>
@@ -1,14 +1,28 @@
 import {useState} from 'react'
+import React from 'react'
 
 import css from './FoodItemProduct.module.css'
 
 import starGIcon from '/icons/starGIcon.png'
 import starGrIcon from '/icons/starGrIcon.png'
 
+import QtyStepperUtil from '../QtyStepperUtil/QtyStepperUtil'
+
+import { splitMatch } from '../../../helpers/search'
+import { dietTags } from '../../../helpers/menu'
+
+const highlight = (text, q) => {
+    const parts = splitMatch(text, q);
+    if(!parts) return text;
+    return <>{parts[0]}<mark className={css.match}>{parts[1]}</mark>{parts[2]}</>
+}
+
 const FoodItemProduct = (props) => {
-    let {imgSrc, ttl, votes, price, desc, vegNonveg, mustTry} = props.data;
+    let {imgSrc, ttl, votes, price, desc, vegNonveg, mustTry, tags, customisations} = props.data;
     let dataset = props?.dataset;
+    let {qty, onAdd, onRemove, query} = props;
     const [readMore, setReadMore] = useState(false)
+    const tagLabels = dietTags.filter(tag => tags?.includes(tag.key)).map(tag => tag.label);
   return <div className={css.outerDiv} data-id={dataset} id={props.id}>
     <div className={css.innerDiv}>
         {imgSrc ? <div className={css.imgBox}>
@@ -16,8 +30,9 @@ const FoodItemProduct = (props) => {
             <img src={vegNonveg} className={css.typeImg} alt='veg or nonveg' />
         </div> : <img src={vegNonveg} className={css.typeImg2} alt="veg or nonveg" />}
         <div className={css.box}>
-            <div className={css.ttl}>{ttl}</div>
+            <div className={css.ttl}>{highlight(ttl, query)}</div>
             {mustTry ? <div className={css.tag}>MUST TRY</div> : "" }
+            {tagLabels.length ? <div className={css.dietTags}>{tagLabels.join(" · ")}</div> : ""}
             <div className={css.ratings}>
                 <div className={css.stars}>
                     <img src={starGIcon} className={css.starIcon} />
@@ -29,8 +44,10 @@ const FoodItemProduct = (props) => {
                 <div className={css.votesTxt}>{votes} votes</div>
             </div>
             <div className={css.price}>₹{price}</div>
+            {onAdd ? <QtyStepperUtil qty={qty} onAdd={onAdd} onRemove={onRemove} /> : ""}
+            {onAdd && customisations?.length ? <div className={css.customisable}>customisable</div> : ""}
             <div className={css.desc}>
-                {readMore ? desc : desc.substring(0, 100)}
+                {highlight(readMore ? desc : desc.substring(0, 100), query)}
                 ...
                 {!readMore ? <span className={css.readMore} onClick={() => setReadMore(true)}>read more</span> : ""}
             </div>
@@ -3,11 +3,13 @@ import React from 'react'
 import css from './OfferTrackUtil.module.css'
 
 const OfferTrackUtil = (props) => {
-  const {txt1, txt2, ...restProps} = props;
-  return <div className={css.outerDiv} {...restProps}>
+  const {txt1, txt2, txt3, tag, active, ...restProps} = props;
+  return <div className={active ? [css.outerDiv, css.active].join(" ") : css.outerDiv} {...restProps}>
+    {tag ? <div className={css.tag}>{tag}</div> : ""}
     <div className={css.txtB}>{txt1}</div>
     <div className={css.txt}>{txt2}</div>
+    {txt3 ? <div className={css.txt3}>{txt3}</div> : ""}
   </div>
 }
 
-export default OfferTrackUtil
\ No newline at end of file
+export default OfferTrackUtil
@@ -0,0 +1,17 @@
+import React from 'react'
+
+import css from './QtyStepperUtil.module.css'
+
+const QtyStepperUtil = ({qty = 0, onAdd, onRemove}) => {
+  if(!qty){
+    return <div className={css.addBtn} onClick={onAdd}>Add <span className={css.plus}>+</span></div>
+  }
+
+  return <div className={css.stepper}>
+    <span className={css.stepBtn} onClick={onRemove}>-</span>
+    <span className={css.qty}>{qty}</span>
+    <span className={css.stepBtn} onClick={onAdd}>+</span>
+  </div>
+}
+
+export default QtyStepperUtil
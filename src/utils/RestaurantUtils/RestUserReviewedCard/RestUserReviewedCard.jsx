@@ -1,93 +1,120 @@
-import {useState} from 'react'
+import {useEffect, useState} from 'react'
 
 import css from './RestUserReviewedCard.module.css'
 
 import downArrowImg from '/icons/down-arrow.png'
-import starImg from '/icons/star.png'
-import shareImg from '/icons/share.png'
-import likeImg from '/icons/like.png'
-import likedImg from '/icons/liked.png'
-import comment from '/icons/message.png'
 import close from '/icons/close.png'
+import profilepic from '/images/profilepic.jpg'
 
 import RatingNumberBox from '../RatingNumberBox/RatingNumberBox'
+import ReviewContentUtil from '../ReviewContentUtil/ReviewContentUtil'
+import ReviewReplyUtil from '../ReviewReplyUtil/ReviewReplyUtil'
+import ReviewActionsUtil from '../ReviewActionsUtil/ReviewActionsUtil'
 import WhiteBtnHov from '../../Buttons/WhiteBtnHov/WhiteBtnHov'
 import RedBtnHov from '../../Buttons/RedBtnHov/RedBtnHov'
+import ReviewModal from '../../../Modals/ReviewModal/ReviewModal'
+import DeleteModal from '../../../Modals/DeleteModal/DeleteModal'
 
-const RestUserReviewedCard = (props) => {
-    let {imgSrc, title, address, reviews, followers, stars, days, votes, comments, id, userImg} = props?.data;
-    let [alertBoxCss, setAlertBoxCss] = useState([css.alertBox, css.dnone].join(' '));
-    let [liked, setLiked] = useState(false);
+import { useAuth } from '../../../context/AuthContext/AuthContext'
+import { getDaysAgo, getReviewTypeLabel } from '../../../helpers/reviews'
+import { deleteReview } from '../../../services/reviewService'
+import { followUser, unfollowUser } from '../../../services/userService'
+
+// `highlight` marks the review a permalink pointed at
+const RestUserReviewedCard = ({data, highlight = false, onChange, onDeleted}) => {
+    const {user, isLoggedIn, openLogin} = useAuth();
+    let [alertTxt, setAlertTxt] = useState("");
     let [toggleDropDown, setToggleDropDown] = useState(false);
-    let [toggleCommentBox, setToggleCommentBox] = useState(false);
-    let [following, setFollowing] = useState(false);
+    let [following, setFollowing] = useState(!!data.user?.isFollowing);
+    let [followPending, setFollowPending] = useState(false);
+    let [modal, setModal] = useState("");
+
+    const isOwner = !!user && user.id === data.user?.id;
+
+    useEffect(() => {
+        setFollowing(!!data.user?.isFollowing);
+    }, [data.user?.isFollowing])
+
+    useEffect(() => {
+        if(!alertTxt) return;
+        const timer = setTimeout(() => setAlertTxt(""), 5000);
+        return () => clearTimeout(timer)
+    }, [alertTxt])
+
+    // Flips right away and goes back if the server says no, further clicks wait for the answer
+    let toggleFollow = () => {
+        if(!isLoggedIn) return openLogin();
+        if(followPending) return;
+        const next = !following;
+        setFollowing(next);
+        setFollowPending(true);
+        (next ? followUser : unfollowUser)(data.user.id)
+            .catch(err => {
+                setFollowing(!next);
+                showAlert(err.message);
+            })
+            .finally(() => setFollowPending(false));
+    }
 
     let toggleDropdown = () => {
         setToggleDropDown(val=>!val);
     }
 
-    let shareURL = () => {
-        navigator.clipboard.writeText(document.URL);
-        setAlertBoxCss(css.alertBox);
-        setTimeout(() => {
-            setAlertBoxCss([css.alertBox, css.dnone].join(' '));
-        }, 5000)
+    let showAlert = (txt) => {
+        setAlertTxt(txt);
     }
 
-    let closeAlert = () => {
-        setAlertBoxCss([css.alertBox, css.dnone].join(' '));
+    let openModal = (name) => {
+        setToggleDropDown(false);
+        setModal(name);
+    }
+
+    let removeReview = () => {
+        deleteReview(data.id)
+            .then(() => onDeleted?.(data.id))
+            .catch(err => showAlert(err.message));
     }
 
   return (
     <>
-    <div className={alertBoxCss}><span>Review link copied to clipboard</span> <span onClick={closeAlert}><img src={close} alt='close button' className={css.closeImg}  /></span></div>
-    <div className={css.outerDiv}>
+    <div className={alertTxt ? css.alertBox : [css.alertBox, css.dnone].join(' ')}><span>{alertTxt}</span> <span onClick={() => setAlertTxt("")}><img src={close} alt='close button' className={css.closeImg}  /></span></div>
+    <div id={`review-${data.id}`} className={highlight ? [css.outerDiv, css.highlight].join(" ") : css.outerDiv}>
         <div className={css.innerDiv}>
             <div className={css.sec1}>
                 <div className={css.leftBox}>
-                    <div className={css.imgBox}><img className={css.hotelImg} src={imgSrc} alt='hotel image' /></div>
+                    <div className={css.imgBox}><img className={css.hotelImg} src={data.user?.profilePic || profilepic} alt='user profile pic' /></div>
                     <div className={css.txtBox1}>
-                        <div className={css.title}>{title}</div>
+                        <div className={css.title}>{data.user?.name ?? "Deleted user"}</div>
                         <div className={css.det}>
-                            <div className={css.userDet}>{reviews} Reviews</div>
+                            <div className={css.userDet}>{data.user?.reviews ?? 0} Reviews</div>
                             <div></div>
-                            <div className={css.userDet}>{followers} Followers</div>
+                            <div className={css.userDet}>{data.user?.followers ?? 0} Followers</div>
                         </div>
                     </div>
                 </div>
                 <div className={css.rightBox}>
-                    {!following ? <WhiteBtnHov txt="Follow" onClick={() => setFollowing(true)} /> : <RedBtnHov txt="Following" onClick={() => setFollowing(false)} /> }
+                    {isOwner ? <>
+                        <div className={css.downArrow} onClick={toggleDropdown}><img className={css.downArrowImg} src={downArrowImg} alt='down arrow' /></div>
+                        {toggleDropDown ? <div className={css.dropDown}>
+                            <div className={css.opt} onClick={() => openModal("edit")}>Edit</div>
+                            <div className={css.opt} onClick={() => openModal("delete")}>Delete</div>
+                        </div>:null}
+                    </> : !data.user ? "" : !following ? <WhiteBtnHov txt="Follow" onClick={toggleFollow} /> : <RedBtnHov txt="Following" onClick={toggleFollow} /> }
                 </div>
             </div>
             <div  className={css.sec}>
-                <span className={css.delivery}> <RatingNumberBox stars={stars} txt={stars} iconR={false} isActive={true} /> <span className={css.delTxt}>Delivery</span></span>
-                <span className={css.days}>{days} days</span>
-            </div>
-            <div className={css.sec}>
-                <div className={css.txt}>{votes} Votes for helpful, {comments} Comments</div>
-            </div>
-            <div className={css.sec}>
-                <div className={css.txtBox2} onClick={() => setLiked(val => !val)}>
-                    <img src={liked ? likedImg : likeImg} alt='thumbs up' className={css.icon} />
-                    <span className={css.txt2}>Helpful</span>
-                </div>
-                <div className={css.txtBox2} onClick={() => setToggleCommentBox(val => !val)}>
-                    <img src={comment} alt='comment' className={css.icon} />
-                    <span className={css.txt2}>Comment</span>
-                </div>
-                <div className={css.txtBox2} onClick={shareURL}>
-                    <img src={shareImg} alt='share' className={css.icon} />
-                    <span className={css.txt2}>Share</span>
-                </div>
+                <span className={css.delivery}> <RatingNumberBox stars={data.rating} txt={data.rating} iconR={false} isActive={true} /> <span className={css.delTxt}>{getReviewTypeLabel(data.type)}</span></span>
+                <span className={css.days}>{getDaysAgo(data.createdAt)}</span>
             </div>
+            <ReviewContentUtil review={data} />
+            <ReviewReplyUtil review={data} onChange={onChange} showAlert={showAlert} />
+            <ReviewActionsUtil review={data} showAlert={showAlert} />
         </div>
     </div>
-    {toggleCommentBox ? <div className={css.commentBox}>
-        <div className={css.userImgBox}><img src={userImg} className={css.userImg} alt="user profile pic" /></div>
-        <div className={css.inputBox}><input type='text' className={css.inptTxtBox} placeholder="Write your comment" /></div>
-    </div>: null}
+    {modal === "edit" ? <ReviewModal setModal={setModal} restaurant={data.restaurant} review={data} onSaved={onChange} /> : ""}
+    {modal === "delete" ? <DeleteModal txt="Are you sure you want to delete this review?" setModal={setModal} onConfirm={removeReview} /> : ""}
     </>
   )
 }
 
-export default RestUserReviewedCard
\ No newline at end of file
+export default RestUserReviewedCard
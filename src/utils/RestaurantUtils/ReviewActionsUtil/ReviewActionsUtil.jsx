@@ -0,0 +1,96 @@
+import {useEffect, useRef, useState} from 'react'
+
+import css from './ReviewActionsUtil.module.css'
+
+import shareImg from '/icons/share.png'
+import likeImg from '/icons/like.png'
+import likedImg from '/icons/liked.png'
+import comment from '/icons/message.png'
+
+import ReviewCommentsUtil from '../ReviewCommentsUtil/ReviewCommentsUtil'
+
+import { useAuth } from '../../../context/AuthContext/AuthContext'
+import { getReviewLink } from '../../../helpers/reviews'
+import { removeHelpfulVote, voteHelpful } from '../../../services/reviewService'
+
+// Helpful, comment and share actions of a review card, `showAlert` is the card's alert box
+const ReviewActionsUtil = ({review, showAlert}) => {
+    const {isLoggedIn, openLogin} = useAuth();
+    let [voted, setVoted] = useState(review.voted);
+    let [votes, setVotes] = useState(review.votes);
+    let [comments, setComments] = useState(review.comments);
+    let [toggleCommentBox, setToggleCommentBox] = useState(false);
+
+    // Only the latest vote request gets to settle the count
+    const lastVote = useRef(0);
+
+    // Pushed counts don't say who voted, so `voted` only follows a fresh copy of the review
+    useEffect(() => setVoted(review.voted), [review.voted])
+    useEffect(() => setVotes(review.votes), [review.votes])
+    useEffect(() => setComments(review.comments), [review.comments])
+
+    const toggleHelpful = () => {
+        if(!isLoggedIn) return openLogin();
+        const next = !voted;
+        const previous = {voted, votes};
+        const id = ++lastVote.current;
+        setVoted(next);
+        setVotes(val => val + (next ? 1 : -1));
+        (next ? voteHelpful : removeHelpfulVote)(review.id)
+            .then(res => {
+                if(id !== lastVote.current) return;
+                setVoted(res.voted);
+                setVotes(res.votes);
+            })
+            .catch(err => {
+                if(id !== lastVote.current) return;
+                setVoted(previous.voted);
+                setVotes(previous.votes);
+                showAlert(err.message);
+            });
+    }
+
+    // Uses the native share sheet where there is one, otherwise copies the permalink.
+    // Without clipboard access (plain http, older browsers) the link itself is shown to copy by hand
+    const shareReview = () => {
+        const url = new URL(getReviewLink(review), window.location.origin).href;
+        const title = review.user ? `${review.user.name}'s review of ${review.restaurant.name}` : `Review of ${review.restaurant.name}`;
+        if(navigator.share){
+            navigator.share({title, url})
+                .catch(err => {
+                    if(err.name !== 'AbortError') showAlert("Couldn't share this review");
+                });
+            return;
+        }
+        const showLink = () => showAlert(`Copy this link to share the review: ${url}`);
+        if(!navigator.clipboard?.writeText) return showLink();
+        navigator.clipboard.writeText(url)
+            .then(() => showAlert("Review link copied to clipboard"))
+            .catch(showLink);
+    }
+
+  return (
+    <>
+    <div className={css.sec}>
+        <div className={css.txt}>{votes} {votes === 1 ? "Vote" : "Votes"} for helpful, {comments} {comments === 1 ? "Comment" : "Comments"}</div>
+    </div>
+    <div className={css.sec}>
+        <div className={css.txtBox2} onClick={toggleHelpful}>
+            <img src={voted ? likedImg : likeImg} alt='thumbs up' className={css.icon} />
+            <span className={voted ? [css.txt2, css.active].join(" ") : css.txt2}>Helpful</span>
+        </div>
+        <div className={css.txtBox2} onClick={() => setToggleCommentBox(val => !val)}>
+            <img src={comment} alt='comment' className={css.icon} />
+            <span className={css.txt2}>Comment</span>
+        </div>
+        {review.restaurant ? <div className={css.txtBox2} onClick={shareReview}>
+            <img src={shareImg} alt='share' className={css.icon} />
+            <span className={css.txt2}>Share</span>
+        </div> : null}
+    </div>
+    {toggleCommentBox ? <ReviewCommentsUtil review={review} showAlert={showAlert} onCount={setComments} /> : null}
+    </>
+  )
+}
+
+export default ReviewActionsUtil
@@ -0,0 +1,163 @@
+import {useEffect, useState} from 'react'
+
+import css from './ReviewCommentsUtil.module.css'
+
+import profilepic from '/images/profilepic.jpg'
+
+import DeleteModal from '../../../Modals/DeleteModal/DeleteModal'
+
+import { useAuth } from '../../../context/AuthContext/AuthContext'
+import { maxCommentLength } from '../../../helpers/constants'
+import { getCommentThreads, getDaysAgo } from '../../../helpers/reviews'
+import { addComment, deleteComment, getComments, subscribeToReviews, updateComment } from '../../../services/reviewService'
+import { isCancel } from '../../../services/apiClient'
+
+// Comment threads under a review. `onCount` hears the total whenever it changes
+const ReviewCommentsUtil = ({review, showAlert, onCount}) => {
+    const {user, isLoggedIn, openLogin} = useAuth();
+    let [comments, setComments] = useState(null);
+    let [version, setVersion] = useState(0);
+    let [draft, setDraft] = useState("");
+    let [reply, setReply] = useState({parentId: null, txt: ""});
+    let [editing, setEditing] = useState({id: null, txt: ""});
+    let [deleting, setDeleting] = useState(null);
+    let [busy, setBusy] = useState(false);
+
+    useEffect(() => {
+        if(!review.restaurant) return;
+        return subscribeToReviews(review.restaurant.id, (event) => {
+            if(event?.type === 'comments' && event.reviewId === review.id) setVersion(val => val + 1);
+        });
+    }, [review.restaurant?.id, review.id])
+
+    useEffect(() => {
+        const controller = new AbortController();
+        getComments(review.id, {signal: controller.signal})
+            .then(data => setComments(data))
+            .catch(err => {
+                if(!isCancel(err)) setComments([]);
+            });
+        return () => controller.abort()
+    }, [review.id, version])
+
+    useEffect(() => {
+        if(comments) onCount?.(comments.length);
+    }, [comments])
+
+    const requireLogin = () => {
+        if(isLoggedIn) return false;
+        openLogin();
+        return true;
+    }
+
+    const run = (action) => {
+        setBusy(true);
+        return action()
+            .catch(err => {
+                showAlert(err.message);
+                return false;
+            })
+            .finally(() => setBusy(false));
+    }
+
+    const post = (body, parentId = null) => {
+        if(requireLogin() || busy || !body.trim()) return Promise.resolve(false);
+        return run(() => addComment(review.id, {body, parentId}).then(comment => {
+            setComments(val => [...(val ?? []).filter(item => item.id !== comment.id), comment]);
+            return true;
+        }));
+    }
+
+    const submitDraft = () => {
+        post(draft).then(done => done && setDraft(""));
+    }
+
+    const submitReply = () => {
+        post(reply.txt, reply.parentId).then(done => done && setReply({parentId: null, txt: ""}));
+    }
+
+    const submitEdit = () => {
+        if(busy || !editing.txt.trim()) return;
+        run(() => updateComment(editing.id, {body: editing.txt}).then(comment => {
+            setComments(val => val.map(item => item.id === comment.id ? comment : item));
+            setEditing({id: null, txt: ""});
+        }));
+    }
+
+    const removeComment = () => {
+        const id = deleting;
+        run(() => deleteComment(id).then(() => {
+            setComments(val => val.filter(item => item.id !== id && item.parentId !== id));
+        }));
+    }
+
+    const openReply = (parentId) => {
+        if(requireLogin()) return;
+        setReply({parentId, txt: ""});
+    }
+
+    // Enter sends, Escape gives up on the edit or reply
+    const keyHandler = (onEnter, onEscape) => (e) => {
+        if(e.key === 'Enter'){
+            e.preventDefault();
+            onEnter();
+        }
+        if(e.key === 'Escape') onEscape?.();
+    }
+
+    const inputBox = (value, onChange, onEnter, onEscape, placeholder, autoFocus = false) => {
+        return <div className={css.inputBox}>
+            <input type='text' className={css.inptTxtBox} placeholder={placeholder} value={value} maxLength={maxCommentLength}
+                autoFocus={autoFocus} disabled={busy} onFocus={requireLogin}
+                onChange={e => onChange(e.target.value)} onKeyDown={keyHandler(onEnter, onEscape)} />
+        </div>
+    }
+
+    const commentItem = (comment, rootId) => {
+        const isOwner = !!user && user.id === comment.user?.id;
+        return <div key={comment.id} className={css.comment}>
+            <div className={css.userImgBox}><img src={comment.user?.profilePic || profilepic} className={css.userImg} alt="user profile pic" /></div>
+            <div className={css.commentBdy}>
+                <div className={css.commentHead}>
+                    <span className={css.name}>{comment.user?.name ?? "Deleted user"}</span>
+                    <span className={css.time}>{getDaysAgo(comment.createdAt)}{comment.updatedAt !== comment.createdAt ? " · edited" : ""}</span>
+                </div>
+                {editing.id === comment.id
+                    ? inputBox(editing.txt, txt => setEditing({id: comment.id, txt}), submitEdit, () => setEditing({id: null, txt: ""}), "Edit your comment", true)
+                    : <div className={css.commentTxt}>{comment.body}</div>}
+                <div className={css.actions}>
+                    <span className={css.action} onClick={() => openReply(rootId)}>Reply</span>
+                    {isOwner && editing.id !== comment.id ? <>
+                        <span className={css.action} onClick={() => setEditing({id: comment.id, txt: comment.body})}>Edit</span>
+                        <span className={css.action} onClick={() => setDeleting(comment.id)}>Delete</span>
+                    </> : ""}
+                    {editing.id === comment.id ? <span className={css.action} onClick={() => setEditing({id: null, txt: ""})}>Cancel</span> : ""}
+                </div>
+            </div>
+        </div>
+    }
+
+  return (
+    <div className={css.outerDiv}>
+        <div className={css.commentBox}>
+            <div className={css.userImgBox}><img src={user?.profilePic || profilepic} className={css.userImg} alt="user profile pic" /></div>
+            {inputBox(draft, setDraft, submitDraft, null, "Write your comment")}
+        </div>
+        {!comments ? <div className={css.emptyTxt}>Loading comments...</div> : ""}
+        {getCommentThreads(comments ?? []).map(thread => {
+            return <div key={thread.id} className={css.thread}>
+                {commentItem(thread, thread.id)}
+                <div className={css.replies}>
+                    {thread.replies.map(item => commentItem(item, thread.id))}
+                    {reply.parentId === thread.id ? <div className={css.commentBox}>
+                        {inputBox(reply.txt, txt => setReply({parentId: thread.id, txt}), submitReply, () => setReply({parentId: null, txt: ""}), `Reply to ${thread.user?.name ?? "this comment"}`, true)}
+                    </div> : ""}
+                </div>
+            </div>
+        })}
+        {deleting ? <DeleteModal txt="Are you sure you want to delete this comment?" setModal={() => setDeleting(null)} onConfirm={removeComment} /> : ""}
+    </div>
+  )
+}
+
+export default ReviewCommentsUtil
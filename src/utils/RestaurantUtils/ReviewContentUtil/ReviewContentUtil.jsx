@@ -0,0 +1,24 @@
+import React from 'react'
+
+import css from './ReviewContentUtil.module.css'
+
+import { sanitizeHtml } from '../../../helpers/richText'
+
+// Body, tagged dishes and attached photos of a review as returned by the reviews API
+const ReviewContentUtil = ({review}) => {
+  return <div className={css.outerDiv}>
+    <div className={css.body} dangerouslySetInnerHTML={{__html: sanitizeHtml(review.body)}}></div>
+    {review.dishes.length ? <div className={css.dishes}>
+        {review.dishes.map(dish => <span key={dish.id} className={css.dish}>{dish.name}</span>)}
+    </div> : ""}
+    {review.photos.length ? <div className={css.photos}>
+        {review.photos.map(photo => {
+            return <a key={photo.id} href={photo.src} target="_blank" rel="noreferrer" className={css.photo}>
+                <img src={photo.src} className={css.photoImg} alt="review photo" />
+            </a>
+        })}
+    </div> : ""}
+  </div>
+}
+
+export default ReviewContentUtil
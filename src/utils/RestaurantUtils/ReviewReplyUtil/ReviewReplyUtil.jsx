@@ -0,0 +1,82 @@
+import {useEffect, useState} from 'react'
+
+import css from './ReviewReplyUtil.module.css'
+
+import RedBtnHov from '../../Buttons/RedBtnHov/RedBtnHov'
+import WhiteBtnHov from '../../Buttons/WhiteBtnHov/WhiteBtnHov'
+import GrayBtn from '../../Buttons/GrayBtn/GrayBtn'
+import DeleteModal from '../../../Modals/DeleteModal/DeleteModal'
+
+import { maxReplyLength } from '../../../helpers/constants'
+import { getDaysAgo } from '../../../helpers/reviews'
+import { deleteReply, replyToReview, updateReply } from '../../../services/reviewService'
+
+// The restaurant's official reply under a review. Its verified owner can write, edit and delete it
+const ReviewReplyUtil = ({review, onChange, showAlert}) => {
+    let [reply, setReply] = useState(review.reply);
+    let [editing, setEditing] = useState(false);
+    let [txt, setTxt] = useState("");
+    let [busy, setBusy] = useState(false);
+    let [deleting, setDeleting] = useState(false);
+
+    useEffect(() => setReply(review.reply), [review.reply])
+
+    const openEditor = () => {
+        setTxt(reply?.body ?? "");
+        setEditing(true);
+    }
+
+    const saved = (updated) => {
+        setReply(updated.reply);
+        setEditing(false);
+        onChange?.(updated);
+    }
+
+    const submit = () => {
+        if(busy || !txt.trim()) return;
+        setBusy(true);
+        (reply ? updateReply(review.id, {body: txt}) : replyToReview(review.id, {body: txt}))
+            .then(saved)
+            .catch(err => showAlert(err.message))
+            .finally(() => setBusy(false));
+    }
+
+    const removeReply = () => {
+        deleteReply(review.id)
+            .then(saved)
+            .catch(err => showAlert(err.message));
+    }
+
+    if(!reply && !review.canReply) return null;
+
+  return (
+    <div className={css.outerDiv}>
+        {reply && !editing ? <div className={css.reply}>
+            <div className={css.head}>
+                <span className={css.badge}>Official reply</span>
+                <span className={css.name}>{review.restaurant?.name}</span>
+                <span className={css.time}>{getDaysAgo(reply.createdAt)}{reply.updatedAt !== reply.createdAt ? " · edited" : ""}</span>
+            </div>
+            <div className={css.body}>{reply.body}</div>
+            {review.canReply ? <div className={css.actions}>
+                <span className={css.action} onClick={openEditor}>Edit</span>
+                <span className={css.action} onClick={() => setDeleting(true)}>Delete</span>
+            </div> : ""}
+        </div> : ""}
+        {!reply && !editing ? <span className={css.action} onClick={openEditor}>Reply as the restaurant owner</span> : ""}
+        {editing ? <div className={css.form}>
+            <textarea className={css.txtArea} value={txt} maxLength={maxReplyLength} disabled={busy} autoFocus
+                placeholder="Thank the reviewer or respond to their feedback. Your reply is shown publicly as the restaurant's"
+                onChange={e => setTxt(e.target.value)} />
+            <div className={css.btns}>
+                <span className={css.count}>{txt.length}/{maxReplyLength}</span>
+                <WhiteBtnHov txt="Cancel" onClick={() => setEditing(false)} />
+                {txt.trim() && !busy ? <RedBtnHov txt={reply ? "Save reply" : "Post reply"} onClick={submit} /> : <GrayBtn txt={reply ? "Save reply" : "Post reply"} />}
+            </div>
+        </div> : ""}
+        {deleting ? <DeleteModal txt="Are you sure you want to delete your reply?" setModal={setDeleting} onConfirm={removeReply} /> : ""}
+    </div>
+  )
+}
+
+export default ReviewReplyUtil
@@ -4,12 +4,12 @@ import css from './SmallSearchBarUtil.module.css'
 
 import searchIcon from '/icons/search.png'
 
-const SmallSearchBarUtil = ({placeholder}) => {
+const SmallSearchBarUtil = ({placeholder, value, onChange}) => {
   return <div className={css.outerDiv}>
     <div className={css.innerDiv}>
       <div className={css.searchBox}>
         <img src={searchIcon} alt="cancel icon" className={css.srchIcon} />
-        <input type="search" placeholder={placeholder} className={css.inpt} />
+        <input type="search" placeholder={placeholder} className={css.inpt} value={value} onChange={onChange && (e => onChange(e.target.value))} />
       </div>
     </div>
   </div>
@@ -1,27 +1,163 @@
+import { useEffect, useRef, useState } from 'react'
+import { useNavigate } from 'react-router-dom'
 import css from './SearchBar.module.css'
 import React from "react";
 
-import downArrow from '/icons/down-arrow1.png'
-import locationIcon from '/icons/location.png'
 import searchIcon from '/icons/search.png'
+import clockIcon from '/icons/clock.png'
+
+import LocationPicker from '../LocationPicker/LocationPicker'
+
+import { searchDebounceMs } from '../../helpers/constants'
+import { searchGroups, toOptions, getSearchLink, getRecentSearches, addRecentSearch, clearRecentSearches, splitMatch } from '../../helpers/search'
+import { search } from '../../services/searchService'
+import { isCancel } from '../../services/apiClient'
+import { useLocationContext } from '../../context/LocationContext/LocationContext'
+
+const highlight = (label, q) => {
+    const parts = splitMatch(label, q);
+    if (!parts) return label;
+    return <>{parts[0]}<span className={css.match}>{parts[1]}</span>{parts[2]}</>
+}
 
 let SearchBar = () => {
-    return <div className={css.outerDiv}>
+    const navigate = useNavigate();
+    const { location } = useLocationContext();
+    const boxRef = useRef(null);
+
+    let [query, setQuery] = useState('');
+    let [results, setResults] = useState(null);
+    let [loading, setLoading] = useState(false);
+    let [open, setOpen] = useState(false);
+    let [activeIndex, setActiveIndex] = useState(-1);
+    let [recent, setRecent] = useState(getRecentSearches);
+
+    const q = query.trim();
+
+    useEffect(() => {
+        setActiveIndex(-1);
+        if (!q) {
+            setResults(null);
+            setLoading(false);
+            return;
+        }
+        setLoading(true);
+        const controller = new AbortController();
+        const timer = setTimeout(() => {
+            search(q, { city: location.city }, { signal: controller.signal })
+                .then(data => {
+                    setResults(data);
+                    setLoading(false);
+                })
+                .catch(err => {
+                    if (!isCancel(err)) {
+                        setResults(null);
+                        setLoading(false);
+                    }
+                });
+        }, searchDebounceMs);
+        return () => {
+            clearTimeout(timer);
+            controller.abort();
+        }
+    }, [q, location.city])
+
+    useEffect(() => {
+        if (!open) return;
+        const closeOnOutsideClick = (e) => {
+            if (!boxRef.current?.contains(e.target)) setOpen(false);
+        }
+        document.addEventListener('mousedown', closeOnOutsideClick);
+        return () => document.removeEventListener('mousedown', closeOnOutsideClick);
+    }, [open])
+
+    const options = q ? toOptions(results) : recent;
+
+    const select = (option) => {
+        setRecent(addRecentSearch(option));
+        setOpen(false);
+        setQuery('');
+        navigate(option.link);
+    }
+
+    const searchAll = () => {
+        if (!q) return;
+        select({ type: 'query', key: `q-${q}`, label: q, tag: 'Search', link: getSearchLink(q) });
+    }
+
+    const keyDownHandler = (e) => {
+        if (e.key === 'ArrowDown' || e.key === 'ArrowUp') {
+            e.preventDefault();
+            if (!options.length) return;
+            setOpen(true);
+            const step = e.key === 'ArrowDown' ? 1 : -1;
+            // -1 leaves the input itself selected, so the list wraps around through it
+            setActiveIndex(val => (val + step + 1 + options.length + 1) % (options.length + 1) - 1);
+        } else if (e.key === 'Enter') {
+            e.preventDefault();
+            options[activeIndex] ? select(options[activeIndex]) : searchAll();
+        } else if (e.key === 'Escape') {
+            setOpen(false);
+            setActiveIndex(-1);
+        }
+    }
+
+    const option = (val, index) => {
+        return <div key={val.key} id={`search-${val.key}`} role="option" aria-selected={index === activeIndex}
+            className={index === activeIndex ? [css.option, css.optionActive].join(" ") : css.option}
+            onMouseEnter={() => setActiveIndex(index)} onMouseDown={e => e.preventDefault()} onClick={() => select(val)}>
+            {val.imgSrc ? <img className={css.optionImg} src={val.imgSrc} alt={val.label} />
+                : <div className={css.optionIconBox}><img className={css.optionIcon} src={val.type === 'cuisines' ? searchIcon : clockIcon} alt="icon" /></div>}
+            <div className={css.optionTxt}>
+                <div className={css.optionTtl}>{q ? highlight(val.label, q) : val.label}</div>
+                <div className={css.optionTag}>{val.tag}</div>
+            </div>
+        </div>
+    }
+
+    let dropdown;
+    if (q) {
+        let index = 0;
+        dropdown = <>
+            {searchGroups.map(group => {
+                const list = options.filter(val => val.type === group.key);
+                if (!list.length) return null;
+                return <div key={group.key}>
+                    <div className={css.groupTtl}>{group.title}</div>
+                    {list.map(val => option(val, index++))}
+                </div>
+            })}
+            {!loading && results && !options.length ? <div className={css.emptyTxt}>No results for "{q}"</div> : null}
+            {loading && !results ? <div className={css.emptyTxt}>Searching...</div> : null}
+            <div className={css.seeAll} onMouseDown={e => e.preventDefault()} onClick={searchAll}>See all results for "{q}"</div>
+        </>
+    } else if (recent.length) {
+        dropdown = <>
+            <div className={css.groupTtl}>
+                Recent Searches
+                <span className={css.clearBtn} onMouseDown={e => e.preventDefault()} onClick={() => setRecent(clearRecentSearches())}>Clear</span>
+            </div>
+            {recent.map(option)}
+        </>
+    }
+
+    return <div className={css.outerDiv} ref={boxRef}>
         <div className={css.srch1}>
-            <div className={css.iconBox}><img className={css.icon} src={locationIcon} alt="location pointer" /></div>
-            <input type="text" placeholder="Place.." className={css.inpt} />
-            <div className={css.iconBox}><img className={css.downArrow} src={downArrow} alt="down arrow" /></div>
+            <LocationPicker onFocus={() => setOpen(false)} />
         </div>
         <hr className={css.hr} />
         <div className={css.srch2}>
             <div className={css.iconBox}><img className={css.icon} src={searchIcon} alt="search icon" /></div>
-            <input type="text" placeholder='Search for restaurant, cuisine or a dish' className={css.inpt} />
+            <input type="text" placeholder='Search for restaurant, cuisine or a dish' className={css.inpt}
+                role="combobox" aria-expanded={open && !!dropdown} aria-activedescendant={options[activeIndex] ? `search-${options[activeIndex].key}` : undefined}
+                value={query} onChange={e => { setQuery(e.target.value); setOpen(true); }} onFocus={() => setOpen(true)} onKeyDown={keyDownHandler} />
         </div>
-        <div className={css.dropdownBox} style={{ display: "none" }}>
-            <div className={css.dropdown}>
+        {open && dropdown ? <div className={css.dropdownBox}>
+            <div className={css.dropdown} role="listbox">
+                {dropdown}
             </div>
-        </div>
+        </div> : null}
     </div>
 }
 
-export default SearchBar;
\ No newline at end of file
+export default SearchBar;
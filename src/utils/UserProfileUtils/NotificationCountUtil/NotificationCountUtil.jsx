@@ -0,0 +1,38 @@
+import { useEffect, useState } from 'react'
+import React from 'react'
+
+import css from './NotificationCountUtil.module.css'
+
+import { useAuth } from '../../../context/AuthContext/AuthContext'
+import { getNotifications, subscribeToNotifications } from '../../../services/notificationService'
+import { isCancel } from '../../../services/apiClient'
+
+// Unread notifications badge, kept live while the user is logged in
+const NotificationCountUtil = () => {
+  const {user, isLoggedIn} = useAuth();
+  let [unread, setUnread] = useState(0);
+
+  useEffect(() => {
+    if(!isLoggedIn){
+      setUnread(0);
+      return;
+    }
+    const controller = new AbortController();
+    getNotifications({size: 1}, {signal: controller.signal})
+      .then(res => setUnread(res.unread))
+      .catch(err => {
+        if(!isCancel(err)) setUnread(0);
+      });
+    const unsubscribe = subscribeToNotifications(user.id, (event) => {
+      if(typeof event?.unread === 'number') setUnread(event.unread);
+    });
+    return () => {
+      controller.abort();
+      unsubscribe();
+    }
+  }, [isLoggedIn, user?.id])
+
+  return unread ? <span className={css.count}>{unread > 99 ? "99+" : unread}</span> : null
+}
+
+export default NotificationCountUtil
@@ -18,15 +18,15 @@ let ProfileWidget = ({name, tag, data}) => {
                     </div>
                     <div className={css.detBox2}>
                         <div className={css.txtBox}>
-                            <div className={css.count}>0</div>
+                            <div className={css.count}>{data?.reviews ?? 0}</div>
                             <div className={css.txt}>Reviews</div>
                         </div>
                         <div className={css.txtBox}>
-                            <div className={css.count}>0</div>
+                            <div className={css.count}>{data?.photos ?? 0}</div>
                             <div className={css.txt}>Photos</div>
                         </div>
                         <div className={css.txtBox}>
-                            <div className={css.count}>0</div>
+                            <div className={css.count}>{data?.followers ?? 0}</div>
                             <div className={css.txt}>Followers</div>
                         </div>
                     </div>
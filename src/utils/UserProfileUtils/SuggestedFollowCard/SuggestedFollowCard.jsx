@@ -1,19 +1,48 @@
+import { useEffect, useState } from 'react'
+
 import UsersTab from './UsersTab'
 
 import css from './SuggestedFollowCard.module.css'
 
-let SuggestedFollowCard = ({name, data}) => {
+import { useAuth } from '../../../context/AuthContext/AuthContext'
+import { suggestedUsersCount } from '../../../helpers/constants'
+import { getSuggestedUsers, subscribeToFollowing } from '../../../services/userService'
+import { isCancel } from '../../../services/apiClient'
+
+let SuggestedFollowCard = ({name}) => {
+    const {user} = useAuth();
+    let [data, setData] = useState([]);
+
+    useEffect(() => {
+        const controller = new AbortController();
+        getSuggestedUsers({page: 1, size: suggestedUsersCount}, {signal: controller.signal})
+            .then(res => setData(res.items))
+            .catch(err => {
+                if(!isCancel(err)) setData([]);
+            });
+        return () => controller.abort()
+    }, [user?.id])
+
+    // Someone followed from here stays in the list until the next visit, just marked as followed
+    useEffect(() => {
+        if(!user) return;
+        return subscribeToFollowing(user.id, (event) => {
+            setData(val => val.map(item => item.id === event.userId ? {...item, isFollowing: event.type === 'followed', followers: event.followers} : item));
+        });
+    }, [user?.id])
+
+    if(!data.length) return null;
 
     return <div className={css.outerDiv}>
         <div className={css.innerDiv}>
             <div className={css.title}>{name}</div>
             <div className={css.body}>
-                {data?.map((val, index) => {
-                    return <UsersTab data={val} key={index} />
+                {data.map((val) => {
+                    return <UsersTab data={val} key={val.id} />
                 })}
             </div>
         </div>
     </div>
 }
 
-export default SuggestedFollowCard;
\ No newline at end of file
+export default SuggestedFollowCard;
@@ -1,21 +1,56 @@
-import {useState} from 'react'
+import {useEffect, useState} from 'react'
+import { Link } from 'react-router-dom'
 
 import css from './SuggestedFollowCard.module.css'
 
+import AlertBox from '../../Alerts/AlertBox/AlertBox'
+
 import addUserImg from '/icons/add-user.png';
 import friendImg from '/icons/friend.png';
 
+import { useAuth } from '../../../context/AuthContext/AuthContext'
+import { followUser, unfollowUser } from '../../../services/userService'
+
 const UsersTab = ({data}) => {
-    let [follow, setFollow] = useState(false);
+    const {isLoggedIn, openLogin} = useAuth();
+    let [follow, setFollow] = useState(!!data?.isFollowing);
+    let [pending, setPending] = useState(false);
+    let [alert, setAlert] = useState({show: false, text: ""});
+
+    useEffect(() => {
+        setFollow(!!data?.isFollowing);
+    }, [data?.isFollowing])
+
+    let showAlert = (text) => {
+        setAlert({show: true, text});
+        setTimeout(() => {
+            setAlert({show: false, text: ""});
+        }, 5000)
+    }
+
+    // Clicks are ignored until the last one is answered, so the icon can't get ahead of the server
+    let toggleFollow = () => {
+        if(!isLoggedIn) return openLogin();
+        if(pending) return;
+        const next = !follow;
+        setFollow(next);
+        setPending(true);
+        (next ? followUser : unfollowUser)(data.id)
+            .catch(err => {
+                setFollow(!next);
+                showAlert(err.message);
+            })
+            .finally(() => setPending(false));
+    }
 
-    return (
+    return (<>
         <div className={css.userTab}>
             <div className={css.leftBox}>
                 <div className={css.imgBox1}>
-                    <img className={css.profileImg} src={data?.imgSrc} alt='profile picture' />
+                    <img className={css.profileImg} src={data?.profilePic} alt='profile picture' />
                 </div>
                 <div className={css.userData}>
-                    <div className={css.userName}>{data?.userName}</div>
+                    <Link to={`/user/${data?.id}/reviews`} className={css.userName}>{data?.name}</Link>
                     <div className={css.userDet}>
                         <span className={css.txtBox}><span className={css.count}>{data?.reviews}</span> <span className={css.txt1}>Reviews</span></span>
                         <span className={css.dot}></span>
@@ -24,10 +59,11 @@ const UsersTab = ({data}) => {
                 </div>
             </div>
             <div className={css.imgBox2}>
-                <img className={css.followImg} src={follow ? friendImg : addUserImg} alt='follow icon' onClick={() => setFollow(val => !val)} />
+                <img className={css.followImg} src={follow ? friendImg : addUserImg} alt='follow icon' onClick={toggleFollow} />
             </div>
         </div>
-    )
+        {alert.show ? <AlertBox text={alert.text} setClose={setAlert} stateVal="show" /> : ""}
+    </>)
 }
 
-export default UsersTab
\ No newline at end of file
+export default UsersTab
@@ -1,7 +1,8 @@
 import React from 'react'
 import css from './UserDetCard.module.css'
 
-const UserDetCard = ({imgSrc, name}) => {
+// `children` sit after the name, like a follow button
+const UserDetCard = ({imgSrc, name, children}) => {
   return (
     <div className={css.outerDiv}>
         <div className={css.innerDiv}>
@@ -9,6 +10,7 @@ const UserDetCard = ({imgSrc, name}) => {
                 <img src={imgSrc} alt={name + "picture"} className={css.img}/>
             </div>
             <div className={css.txt}>{name}</div>
+            {children}
         </div>
     </div>
   )
@@ -1,4 +1,4 @@
-import {useState} from "react"
+import {useEffect, useState} from "react"
 
 import css from './UserHero.module.css'
 
@@ -8,9 +8,43 @@ import edit from '/icons/edit.png'
 import location from '/icons/location.png'
 
 import EditProfileModal from '../../../Modals/EditProfileModal/EditProfileModal'
+import AlertBox from '../../Alerts/AlertBox/AlertBox'
 
-const UserHero = () => {
+import { useAuth } from '../../../context/AuthContext/AuthContext'
+import { followUser, unfollowUser } from '../../../services/userService'
+
+const UserHero = ({profile, isOwnProfile}) => {
+  const {isLoggedIn, openLogin} = useAuth();
   const [modal, setModal] = useState(false)
+  const [following, setFollowing] = useState(!!profile?.isFollowing)
+  const [pending, setPending] = useState(false)
+  const [alert, setAlert] = useState({show: false, text: ""})
+
+  useEffect(() => {
+    setFollowing(!!profile?.isFollowing)
+  }, [profile?.isFollowing])
+
+  const showAlert = (text) => {
+    setAlert({show: true, text})
+    setTimeout(() => {
+      setAlert({show: false, text: ""})
+    }, 5000)
+  }
+
+  // The follower count follows the server's answer, so a second click waits for the first one
+  const toggleFollow = () => {
+    if(!isLoggedIn) return openLogin();
+    if(pending) return;
+    const next = !following;
+    setFollowing(next);
+    setPending(true);
+    (next ? followUser : unfollowUser)(profile.id)
+      .catch(err => {
+        setFollowing(!next);
+        showAlert(err.message);
+      })
+      .finally(() => setPending(false));
+  }
 
   return <>
     <div className={css.outerDiv}>
@@ -21,28 +55,28 @@ const UserHero = () => {
             <div className={css.txtBox}>
               <div className={css.leftBox}>
                 <div className={css.profileImgBox}>
-                  <img className={css.profileImg} src={user} alt='user image' />
+                  <img className={css.profileImg} src={profile?.profilePic || user} alt='user image' />
                 </div>
                 <div className={css.profileDetails}>
-                  <div className={css.name}>Name</div>
-                  <span className={css.location}> <img src={location} className={css.locationIcon} /> Location</span>
+                  <div className={css.name}>{profile?.name || "Name"}</div>
+                  <span className={css.location}> <img src={location} className={css.locationIcon} /> {profile?.city ? profile.city[0].toUpperCase() + profile.city.slice(1) : "Location"}</span>
                 </div>
               </div>
               <div className={css.rightBox}>
-                <div className={css.editBtn} onClick={() => setModal(val => !val)}><span className={css.editProfileIconBox}><img src={edit} alt='edit icon' className={css.editProfileIcon} /></span>Edit Profile</div>
+                {isOwnProfile ? <div className={css.editBtn} onClick={() => setModal(val => !val)}><span className={css.editProfileIconBox}><img src={edit} alt='edit icon' className={css.editProfileIcon} /></span>Edit Profile</div> : profile ? <div className={css.editBtn} onClick={toggleFollow}>{following ? "Following" : "Follow"}</div> : null}
                 <div className={css.rightBoxInner}>
                   <span className={css.boxTxt}>
-                    <span className={css.count}>1</span>
+                    <span className={css.count}>{profile?.stats?.reviews ?? 0}</span>
                     <span className={css.countTxt}>Reviews</span>
                   </span>
                   <hr className={css.bar} />
                   <span className={css.boxTxt}>
-                    <span className={css.count}>1</span>
+                    <span className={css.count}>{profile?.stats?.photos ?? 0}</span>
                     <span className={css.countTxt}>Photos</span>
                   </span>
                   <hr className={css.bar} />
                   <span className={css.boxTxt}>
-                    <span className={css.count}>1</span>
+                    <span className={css.count}>{profile?.stats?.followers ?? 0}</span>
                     <span className={css.countTxt}>Followers</span>
                   </span>
                 </div>
@@ -51,6 +85,7 @@ const UserHero = () => {
         </div>
     </div>
     {modal ? <EditProfileModal setModal={setModal} /> : "" }
+    {alert.show ? <AlertBox text={alert.text} setClose={setAlert} stateVal="show" /> : ""}
   </>
 }
 
@@ -1,152 +1,54 @@
-import { useState } from "react";
+import { useEffect, useState } from "react";
+import { useParams } from "react-router-dom";
+import React from "react";
 
 import css from "./RecentlyViewed.module.css";
 
-import happyHoursImg from "/images/happyhours.jpg";
-
 import RecentlyViewedCard from "../../../../Cards/RecentlyViewedCard/RecentlyViewedCard";
 
 import UserProfileNoData from "../../UserProfileNoData/UserProfileNoData";
+import Pagination from "../../../../Pagination/Pagination";
+
+import { restaurantsPageSize } from "../../../../../helpers/constants";
+import { getRecentlyViewed } from "../../../../../services/userService";
+import { isCancel } from "../../../../../services/apiClient";
 
 const RecentlyViewed = ({ hashId }) => {
-  let [data, setData] = useState([
-    {
-      id: 1,
-      imgSrc: happyHoursImg,
-      name: "Paradise Biryani",
-      ratingsDining: 4.2,
-      ratingsDelivery: 4.6,
-      address: "Kukatpally, Hyd",
-      link: "#"
-    },
-    {
-      id: 2,
-      imgSrc: happyHoursImg,
-      name: "Paradise Biryani",
-      ratingsDining: 4.2,
-      ratingsDelivery: 4.6,
-      address: "Kukatpally, Hyd",
-      link: "#"
-    },
-    {
-      id: 3,
-      imgSrc: happyHoursImg,
-      name: "Paradise Biryani",
-      ratingsDining: 4.2,
-      ratingsDelivery: 4.6,
-      address: "Kukatpally, Hyd",
-      link: "#"
-    },
-    {
-      id: 4,
-      imgSrc: happyHoursImg,
-      name: "Paradise Biryani",
-      ratingsDining: 4.2,
-      ratingsDelivery: 4.6,
-      address: "Kukatpally, Hyd",
-      link: "#"
-    },
-    {
-      id: 5,
-      imgSrc: happyHoursImg,
-      name: "Paradise Biryani",
-      ratingsDining: 4.2,
-      ratingsDelivery: 4.6,
-      address: "Kukatpally, Hyd",
-      link: "#"
-    },
-    {
-      id: 6,
-      imgSrc: happyHoursImg,
-      name: "Paradise Biryani",
-      ratingsDining: 4.2,
-      ratingsDelivery: 4.6,
-      address: "Kukatpally, Hyd",
-      link: "#"
-    },
-    {
-      id: 7,
-      imgSrc: happyHoursImg,
-      name: "Paradise Biryani",
-      ratingsDining: 4.2,
-      ratingsDelivery: 4.6,
-      address: "Kukatpally, Hyd",
-      link: "#"
-    },
-    {
-      id: 8,
-      imgSrc: happyHoursImg,
-      name: "Paradise Biryani",
-      ratingsDining: 4.2,
-      ratingsDelivery: 4.6,
-      address: "Kukatpally, Hyd",
-      link: "#"
-    },
-    {
-      id: 9,
-      imgSrc: happyHoursImg,
-      name: "Paradise Biryani",
-      ratingsDining: 4.2,
-      ratingsDelivery: 4.6,
-      address: "Kukatpally, Hyd",
-      link: "#"
-    },
-    {
-      id: 10,
-      imgSrc: happyHoursImg,
-      name: "Paradise Biryani",
-      ratingsDining: 4.2,
-      ratingsDelivery: 4.6,
-      address: "Kukatpally, Hyd",
-      link: "#"
-    },
-    {
-      id: 11,
-      imgSrc: happyHoursImg,
-      name: "Paradise Biryani",
-      ratingsDining: 4.2,
-      ratingsDelivery: 4.6,
-      address: "Kukatpally, Hyd",
-      link: "#"
-    },
-    {
-      id: 12,
-      imgSrc: happyHoursImg,
-      name: "Paradise Biryani",
-      ratingsDining: 4.2,
-      ratingsDelivery: 4.6,
-      address: "Kukatpally, Hyd",
-      link: "#"
-    },
-    {
-      id: 13,
-      imgSrc: happyHoursImg,
-      name: "Paradise Biryani",
-      ratingsDining: 4.2,
-      ratingsDelivery: 4.6,
-      address: "Kukatpally, Hyd",
-      link: "#"
-    },
-    {
-      id: 14,
-      imgSrc: happyHoursImg,
-      name: "Paradise Biryani",
-      ratingsDining: 4.2,
-      ratingsDelivery: 4.6,
-      address: "Kukatpally, Hyd",
-      link: "#"
-    },
-  ]);
+  let { userId } = useParams();
+  let [data, setData] = useState([]);
   let [isData, setIsData] = useState(true);
+  let [page, setPage] = useState(1);
+  let [total, setTotal] = useState(0);
+
+  useEffect(() => {
+    setPage(1);
+  }, [userId]);
+
+  useEffect(() => {
+    const controller = new AbortController();
+    getRecentlyViewed(userId, { page, size: restaurantsPageSize }, { signal: controller.signal })
+      .then((res) => {
+        setData(res.items);
+        setTotal(res.total);
+        setIsData(res.total > 0);
+      })
+      .catch((err) => {
+        if (!isCancel(err)) setIsData(false);
+      });
+    return () => controller.abort();
+  }, [userId, page]);
 
   return (
     <div className={css.outerDiv}>
       {isData ? (
-        <div className={css.innerDiv}>
-          {data.map((item) => {
-            return <RecentlyViewedCard udata={item} key={item?.id} />;
-          })}
-        </div>
+        <>
+          <div className={css.innerDiv}>
+            {data.map((item) => {
+              return <RecentlyViewedCard udata={item} key={item?.id} />;
+            })}
+          </div>
+          <Pagination page={page} total={total} size={restaurantsPageSize} label="restaurants" onChange={setPage} />
+        </>
       ) : (
         <UserProfileNoData hashId={hashId} />
       )}
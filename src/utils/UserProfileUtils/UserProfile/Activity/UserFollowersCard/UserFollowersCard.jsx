@@ -1,107 +1,128 @@
-import { useState } from "react";
+import { useEffect, useState } from "react";
+import { useParams } from "react-router-dom";
+import React from "react";
 
 import css from "./UserFollowersCard.module.css";
 
-import happyHoursImg from "/images/happyhours.jpg";
-
 import UserDetCard from "../../../UserDetCard/UserDetCard";
 
 import UserProfileNoData from "../../UserProfileNoData/UserProfileNoData";
+import Pagination from "../../../../Pagination/Pagination";
 
 import WhiteButton from '../../../../Buttons/WhiteButton/WhiteButton'
 import RedButton from '../../../../Buttons/RedButton/RedButton'
+import WhiteBtnHov from '../../../../Buttons/WhiteBtnHov/WhiteBtnHov'
+import RedBtnHov from '../../../../Buttons/RedBtnHov/RedBtnHov'
+import AlertBox from '../../../../Alerts/AlertBox/AlertBox'
+
+import { useAuth } from "../../../../../context/AuthContext/AuthContext";
+import { peoplePageSize } from "../../../../../helpers/constants";
+import { followUser, getFollowers, getFollowing, subscribeToFollowing, unfollowUser } from "../../../../../services/userService";
+import { isCancel } from "../../../../../services/apiClient";
 
-const UserFollowersCard = ({ hashId, userData }) => {
-  let {followers, following} = userData;
-  let [data, setData] = useState([
-    {
-      id: 1,
-      imgSrc: happyHoursImg,
-      name: "prabhu"
-    },
-    {
-      id: 2,
-      imgSrc: happyHoursImg,
-      name: "prabhu"
-    },
-    {
-      id: 3,
-      imgSrc: happyHoursImg,
-      name: "prabhu"
-    },
-    {
-      id: 4,
-      imgSrc: happyHoursImg,
-      name: "prabhu"
-    },
-    {
-      id: 5,
-      imgSrc: happyHoursImg,
-      name: "prabhu"
-    },
-    {
-      id: 6,
-      imgSrc: happyHoursImg,
-      name: "prabhu"
-    },
-    {
-      id: 7,
-      imgSrc: happyHoursImg,
-      name: "prabhu"
-    },
-    {
-      id: 8,
-      imgSrc: happyHoursImg,
-      name: "prabhu"
-    },
-    {
-      id: 9,
-      imgSrc: happyHoursImg,
-      name: "prabhu"
-    },
-    {
-      id: 10,
-      imgSrc: happyHoursImg,
-      name: "prabhu"
-    },
-    {
-      id: 11,
-      imgSrc: happyHoursImg,
-      name: "prabhu"
-    },
-    {
-      id: 12,
-      imgSrc: happyHoursImg,
-      name: "prabhu"
-    },
-    {
-      id: 13,
-      imgSrc: happyHoursImg,
-      name: "prabhu"
-    },
-    {
-      id: 14,
-      imgSrc: happyHoursImg,
-      name: "prabhu"
-    },
-  ]);
+const tabs = {
+  following: {txt: "Following", fetch: getFollowing},
+  followers: {txt: "Followers", fetch: getFollowers}
+};
+
+const UserFollowersCard = ({ hashId }) => {
+  let { userId } = useParams();
+  const { user, isLoggedIn, openLogin } = useAuth();
+  let [tab, setTab] = useState("followers");
+  let [page, setPage] = useState(1);
+  let [data, setData] = useState([]);
+  let [counts, setCounts] = useState({followers: 0, following: 0});
   let [isData, setIsData] = useState(true);
+  let [version, setVersion] = useState(0);
+  // Ids of people whose follow request hasn't been answered yet
+  let [pending, setPending] = useState([]);
+  let [alert, setAlert] = useState({ show: false, text: "" });
+
+  useEffect(() => {
+    setPage(1);
+  }, [userId, tab]);
+
+  // Both counts show on the tab buttons, so the other list is asked for a single row just to get its total
+  useEffect(() => {
+    const controller = new AbortController();
+    const other = tab === "followers" ? "following" : "followers";
+    tabs[other].fetch(userId, { page: 1, size: 1 }, { signal: controller.signal })
+      .then((res) => setCounts((val) => ({ ...val, [other]: res.total })))
+      .catch(() => {});
+    return () => controller.abort();
+  }, [userId, tab, user?.id, version]);
+
+  useEffect(() => {
+    const controller = new AbortController();
+    tabs[tab].fetch(userId, { page, size: peoplePageSize }, { signal: controller.signal })
+      .then((res) => {
+        setData(res.items);
+        setCounts((val) => ({ ...val, [tab]: res.total }));
+        setIsData(res.total > 0);
+      })
+      .catch((err) => {
+        if (!isCancel(err)) setIsData(false);
+      });
+    return () => controller.abort();
+  }, [userId, tab, page, user?.id, version]);
+
+  // Follows made anywhere update the buttons here, and on your own profile they change who you follow
+  useEffect(() => {
+    if (!user) return;
+    return subscribeToFollowing(user.id, (event) => {
+      setData((val) => val.map((item) => item.id === event.userId ? { ...item, isFollowing: event.type === "followed", followers: event.followers } : item));
+      if (user.id === userId) setVersion((val) => val + 1);
+    });
+  }, [user?.id, userId]);
+
+  const showAlert = (text) => {
+    setAlert({ show: true, text });
+    setTimeout(() => {
+      setAlert({ show: false, text: "" });
+    }, 5000);
+  };
+
+  // The button changes before the server answers and is put back if the request fails.
+  // Clicks on the same person wait for the answer so they can't overtake each other
+  const toggleFollow = (person) => {
+    if (!isLoggedIn) return openLogin();
+    if (pending.includes(person.id)) return;
+    const next = !person.isFollowing;
+    const setFollowing = (isFollowing) => setData((val) => val.map((item) => item.id === person.id ? { ...item, isFollowing } : item));
+    setFollowing(next);
+    setPending((val) => [...val, person.id]);
+    (next ? followUser : unfollowUser)(person.id)
+      .catch((err) => {
+        setFollowing(!next);
+        showAlert(err.message);
+      })
+      .finally(() => setPending((val) => val.filter((id) => id !== person.id)));
+  };
 
   return (
     <div className={css.outerDiv}>
       <div className={css.btns}>
-        <WhiteButton txt="Following" count={following} />
-        <RedButton txt="Followers" count={followers}/>
+        {Object.entries(tabs).map(([key, val]) => {
+          const Button = key === tab ? RedButton : WhiteButton;
+          return <Button txt={val.txt} count={counts[key]} key={key} onClick={() => setTab(key)} />;
+        })}
       </div>
       {isData ? (
-        <div className={css.innerDiv}>
-          {data.map((item) => {
-            return <UserDetCard imgSrc={item.imgSrc} name={item.name} key={item.id} />;
-          })}
-        </div>
+        <>
+          <div className={css.innerDiv}>
+            {data.map((item) => {
+              const Button = item.isFollowing ? RedBtnHov : WhiteBtnHov;
+              return <UserDetCard imgSrc={item.profilePic} name={item.name} key={item.id}>
+                {item.id !== user?.id ? <Button txt={item.isFollowing ? "Following" : "Follow"} onClick={() => toggleFollow(item)} /> : ""}
+              </UserDetCard>;
+            })}
+          </div>
+          <Pagination page={page} total={counts[tab]} size={peoplePageSize} label={tab === "followers" ? "followers" : "people"} onChange={setPage} />
+        </>
       ) : (
         <UserProfileNoData hashId={hashId} />
       )}
+      {alert.show ? <AlertBox text={alert.text} setClose={setAlert} stateVal="show" /> : ""}
     </div>
   );
 };
@@ -1,42 +1,54 @@
-import { useState } from "react";
+import { useEffect, useState } from "react";
+import { useParams } from "react-router-dom";
+import React from "react";
 
 import css from "./UserPhotosCard.module.css";
 
-import happyHoursImg from "/images/happyhours.jpg";
-
 import SmallCardImg from "../../../../Cards/card6/SmallCardImg";
 
 import UserProfileNoData from "../../UserProfileNoData/UserProfileNoData";
+import Pagination from "../../../../Pagination/Pagination";
+
+import { photosPageSize } from "../../../../../helpers/constants";
+import { getUserPhotos } from "../../../../../services/photoService";
+import { isCancel } from "../../../../../services/apiClient";
 
 const UserPhotosCard = ({ hashId }) => {
-  let [data, setData] = useState([
-    {
-      id: 1,
-      imgSrc: happyHoursImg,
-    },
-    {
-      id: 2,
-      imgSrc: happyHoursImg,
-    },
-    {
-      id: 3,
-      imgSrc: happyHoursImg,
-    },
-    {
-      id: 4,
-      imgSrc: happyHoursImg,
-    },
-  ]);
+  let { userId } = useParams();
+  let [data, setData] = useState([]);
   let [isData, setIsData] = useState(true);
+  let [page, setPage] = useState(1);
+  let [total, setTotal] = useState(0);
+
+  useEffect(() => {
+    setPage(1);
+  }, [userId]);
+
+  useEffect(() => {
+    const controller = new AbortController();
+    getUserPhotos(userId, { page, size: photosPageSize }, { signal: controller.signal })
+      .then((res) => {
+        setData(res.items);
+        setTotal(res.total);
+        setIsData(res.total > 0);
+      })
+      .catch((err) => {
+        if (!isCancel(err)) setIsData(false);
+      });
+    return () => controller.abort();
+  }, [userId, page]);
 
   return (
     <div className={css.outerDiv}>
       {isData ? (
-        <div className={css.innerDiv}>
-          {data.map((item) => {
-            return <SmallCardImg imgSrc={item.imgSrc} key={item.id} />;
-          })}
-        </div>
+        <>
+          <div className={css.innerDiv}>
+            {data.map((item) => {
+              return <SmallCardImg imgSrc={item.src} link={item.restaurant ? `${item.restaurant.link}/photos` : "#"} key={item.id} />;
+            })}
+          </div>
+          <Pagination page={page} total={total} size={photosPageSize} label="photos" onChange={setPage} />
+        </>
       ) : (
         <UserProfileNoData hashId={hashId} />
       )}
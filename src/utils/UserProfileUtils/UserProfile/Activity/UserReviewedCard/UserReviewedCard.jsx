@@ -1,88 +1,87 @@
 import {useState} from 'react'
+import { Link } from 'react-router-dom'
 
 import css from './UserReviewedCard.module.css'
 
 import downArrowImg from '/icons/down-arrow.png'
 import starImg from '/icons/star.png'
-import shareImg from '/icons/share.png'
-import likeImg from '/icons/like.png'
-import likedImg from '/icons/liked.png'
-import comment from '/icons/message.png'
 import close from '/icons/close.png'
 
-const UserReviewedCard = (props) => {
-    let {imgSrc, title, address, stars, days, votes, comments, id, userImg} = props?.data;
-    let [alertBoxCss, setAlertBoxCss] = useState([css.alertBox, css.dnone].join(' '));
-    let [liked, setLiked] = useState(false);
+import ReviewContentUtil from '../../../../RestaurantUtils/ReviewContentUtil/ReviewContentUtil'
+import ReviewReplyUtil from '../../../../RestaurantUtils/ReviewReplyUtil/ReviewReplyUtil'
+import ReviewActionsUtil from '../../../../RestaurantUtils/ReviewActionsUtil/ReviewActionsUtil'
+import ReviewModal from '../../../../../Modals/ReviewModal/ReviewModal'
+import DeleteModal from '../../../../../Modals/DeleteModal/DeleteModal'
+
+import { useAuth } from '../../../../../context/AuthContext/AuthContext'
+import { getDaysAgo, getReviewTypeLabel } from '../../../../../helpers/reviews'
+import { deleteReview } from '../../../../../services/reviewService'
+
+const UserReviewedCard = ({data, onChange, onDeleted}) => {
+    const {user} = useAuth();
+    let [alertTxt, setAlertTxt] = useState("");
     let [toggleDropDown, setToggleDropDown] = useState(false);
-    let [toggleCommentBox, setToggleCommentBox] = useState(false);
+    let [modal, setModal] = useState("");
+
+    const isOwner = !!user && user.id === data.user?.id;
+    const restaurant = data.restaurant;
 
     let toggleDropdown = () => {
         setToggleDropDown(val=>!val);
     }
 
-    let shareURL = () => {
-        navigator.clipboard.writeText(document.URL);
-        setAlertBoxCss(css.alertBox);
+    let showAlert = (txt) => {
+        setAlertTxt(txt);
         setTimeout(() => {
-            setAlertBoxCss([css.alertBox, css.dnone].join(' '));
+            setAlertTxt("");
         }, 5000)
     }
 
-    let closeAlert = () => {
-        setAlertBoxCss([css.alertBox, css.dnone].join(' '));
+    let openModal = (name) => {
+        setToggleDropDown(false);
+        setModal(name);
+    }
+
+    let removeReview = () => {
+        deleteReview(data.id)
+            .then(() => onDeleted?.(data.id))
+            .catch(err => showAlert(err.message));
     }
 
   return (
     <>
-    <div className={alertBoxCss}><span>Review link copied to clipboard</span> <span onClick={closeAlert}><img src={close} alt='close button' className={css.closeImg}  /></span></div>
+    <div className={alertTxt ? css.alertBox : [css.alertBox, css.dnone].join(' ')}><span>{alertTxt}</span> <span onClick={() => setAlertTxt("")}><img src={close} alt='close button' className={css.closeImg}  /></span></div>
     <div className={css.outerDiv}>
         <div className={css.innerDiv}>
             <div className={css.sec1}>
                 <div className={css.leftBox}>
-                    <div className={css.imgBox}><img className={css.hotelImg} src={imgSrc} alt='hotel image' /></div>
+                    <div className={css.imgBox}><img className={css.hotelImg} src={restaurant?.thumb} alt='hotel image' /></div>
                     <div className={css.txtBox1}>
-                        <div className={css.title}>{title}</div>
-                        <div className={css.address}>{address}</div>
+                        {restaurant ? <Link to={restaurant.link} className={css.title}>{restaurant.name}</Link> : <div className={css.title}>Restaurant unavailable</div>}
+                        <div className={css.address}>{restaurant?.address}</div>
                     </div>
                 </div>
-                <div className={css.rightBox}>
+                {isOwner ? <div className={css.rightBox}>
                     <div className={css.downArrow} onClick={toggleDropdown}><img className={css.downArrowImg} src={downArrowImg} alt='down arrow' /></div>
                     {toggleDropDown ? <div className={css.dropDown}>
-                        <div className={css.opt}>Edit</div>
-                        <div className={css.opt}>Delete</div>
+                        <div className={css.opt} onClick={() => openModal("edit")}>Edit</div>
+                        <div className={css.opt} onClick={() => openModal("delete")}>Delete</div>
                     </div>:null}
-                </div>
+                </div> : null}
             </div>
             <div  className={css.sec}>
-                <span className={css.delivery}> <div className={css.starDiv}>{stars} <img src={starImg} className={css.starIcon} alt='star' /></div> <span className={css.delTxt}>Delivery</span></span>
-                <span className={css.days}>{days} days</span>
-            </div>
-            <div className={css.sec}>
-                <div className={css.txt}>{votes} Votes for helpful, {comments} Comments</div>
-            </div>
-            <div className={css.sec}>
-                <div className={css.txtBox2} onClick={() => setLiked(val => !val)}>
-                    <img src={liked ? likedImg : likeImg} alt='thumbs up' className={css.icon} />
-                    <span className={css.txt2}>Helpful</span>
-                </div>
-                <div className={css.txtBox2} onClick={() => setToggleCommentBox(val => !val)}>
-                    <img src={comment} alt='comment' className={css.icon} />
-                    <span className={css.txt2}>Comment</span>
-                </div>
-                <div className={css.txtBox2} onClick={shareURL}>
-                    <img src={shareImg} alt='share' className={css.icon} />
-                    <span className={css.txt2}>Share</span>
-                </div>
+                <span className={css.delivery}> <div className={css.starDiv}>{data.rating} <img src={starImg} className={css.starIcon} alt='star' /></div> <span className={css.delTxt}>{getReviewTypeLabel(data.type)}</span></span>
+                <span className={css.days}>{getDaysAgo(data.createdAt)}</span>
             </div>
+            <ReviewContentUtil review={data} />
+            <ReviewReplyUtil review={data} onChange={onChange} showAlert={showAlert} />
+            <ReviewActionsUtil review={data} showAlert={showAlert} />
         </div>
     </div>
-    {toggleCommentBox ? <div className={css.commentBox}>
-        <div className={css.userImgBox}><img src={userImg} className={css.userImg} alt="user profile pic" /></div>
-        <div className={css.inputBox}><input type='text' className={css.inptTxtBox} placeholder="Write your comment" /></div>
-    </div>: null}
+    {modal === "edit" && restaurant ? <ReviewModal setModal={setModal} restaurant={restaurant} review={data} onSaved={onChange} /> : ""}
+    {modal === "delete" ? <DeleteModal txt="Are you sure you want to delete this review?" setModal={setModal} onConfirm={removeReview} /> : ""}
     </>
   )
 }
 
-export default UserReviewedCard
\ No newline at end of file
+export default UserReviewedCard
@@ -0,0 +1,67 @@
+import { useEffect, useState } from "react";
+import { useParams } from "react-router-dom";
+import React from "react";
+
+import css from "./UserReviews.module.css";
+
+import UserReviewedCard from "../UserReviewedCard/UserReviewedCard";
+
+import UserProfileNoData from "../../UserProfileNoData/UserProfileNoData";
+import Pagination from "../../../../Pagination/Pagination";
+
+import { reviewsPageSize } from "../../../../../helpers/constants";
+import { getUserReviews } from "../../../../../services/reviewService";
+import { isCancel } from "../../../../../services/apiClient";
+
+const UserReviews = ({ hashId }) => {
+  let { userId } = useParams();
+  let [data, setData] = useState([]);
+  let [isData, setIsData] = useState(true);
+  let [page, setPage] = useState(1);
+  let [total, setTotal] = useState(0);
+  let [version, setVersion] = useState(0);
+
+  useEffect(() => {
+    setPage(1);
+  }, [userId]);
+
+  useEffect(() => {
+    const controller = new AbortController();
+    getUserReviews(userId, { page, size: reviewsPageSize }, { signal: controller.signal })
+      .then((res) => {
+        setData(res.items);
+        setTotal(res.total);
+        setIsData(res.total > 0);
+      })
+      .catch((err) => {
+        if (!isCancel(err)) setIsData(false);
+      });
+    return () => controller.abort();
+  }, [userId, page, version]);
+
+  const replaceReview = (review) => {
+    setData((val) => val.map((item) => (item.id === review.id ? review : item)));
+  };
+
+  // Refetched so the page fills up again and the total stays right
+  const removeReview = () => {
+    setVersion((val) => val + 1);
+  };
+
+  return (
+    <div className={css.outerDiv}>
+      {isData ? (
+        <>
+          {data.map((item) => {
+            return <UserReviewedCard data={item} key={item.id} onChange={replaceReview} onDeleted={removeReview} />;
+          })}
+          <Pagination page={page} total={total} size={reviewsPageSize} label="reviews" onChange={setPage} />
+        </>
+      ) : (
+        <UserProfileNoData hashId={hashId} />
+      )}
+    </div>
+  );
+};
+
+export default UserReviews;
@@ -1,57 +1,59 @@
-import {useState} from 'react'
+import {useEffect, useState} from 'react'
+import {useParams} from 'react-router-dom'
+import React from 'react'
 
 import css from './FavoriteOrders.module.css'
 
-import orderonlineImg from '/images/orderonline.jpg'
-
 import OrderHistoryCard from '../../../../Cards/OrderHistoryCard/OrderHistoryCard'
 import UserProfileNoData from "../../UserProfileNoData/UserProfileNoData";
 import OrderDetails from '../../../../../Modals/OrderDetailsModal/OrderDetails'
 
 import Pagination from '../../../../Pagination/Pagination'
 
-const FavoriteOrders = () => {
+import { useAuth } from '../../../../../context/AuthContext/AuthContext'
+import { ordersPageSize } from '../../../../../helpers/constants'
+import { getFavouriteOrders } from '../../../../../services/orderService'
+import { isCancel } from '../../../../../services/apiClient'
+
+const FavoriteOrders = ({hashId}) => {
     let [viewDet, setViewDet] = useState(false);
     let [orderId, setOrderId] = useState();
+    let {userId} = useParams();
+    const {user} = useAuth();
 
-    let [data, setData] = useState([
-        {
-            id:1,
-            imgSrc: orderonlineImg,
-            name:"Paradise Biryani",
-            address:"Kukatpally, Hyd",
-            orderNum:"211",
-            items:[{
-                itemName: "Panner Biryani",
-                qty: 1
-            },
-            {
-              itemName: "Mini chicken Biryani ( Serves - Small Hunger)",
-              qty: 1
-            }],
-            orderedOn: new Intl.DateTimeFormat("en" , {
-              timeStyle: "medium",
-              dateStyle: "short"
-            })?.format(new Date()),
-            itemTotal:"150.00",
-            coupon: {
-                couponName:"TryNew",
-                discount:"50"
-            },
-            taxesandcharges:"30.00",
-            totalSavings:"75.00",
-            grandTotal:"105.00",
-            paymentType:"Using Card",
-            orderStatus: "Delivered",
-            phoneNum:"8074786491",
-            deliveredTo:"My home, kuakpally, hyderabad",
-            fssaiNo:"13618013000777",
-            fav: true,
-            summaryLinkId:"#"
-        },
-    ]);
-
+    let [data, setData] = useState([]);
     let [isData, setIsData] = useState(true);
+    let [page, setPage] = useState(1);
+    let [total, setTotal] = useState(0);
+    let [reload, setReload] = useState(0);
+
+    useEffect(() => {
+      setPage(1);
+    }, [userId])
+
+    useEffect(() => {
+      const controller = new AbortController();
+      getFavouriteOrders(userId, {page, size: ordersPageSize}, {signal: controller.signal})
+        .then(res => {
+          setData(res.items);
+          setTotal(res.total);
+          setIsData(res.total > 0);
+        })
+        .catch(err => {
+          if(!isCancel(err)) setIsData(false);
+        });
+      return () => controller.abort()
+    }, [userId, page, reload, user?.id])
+
+    // Un-favourited orders stay listed until the modal closes so it doesn't vanish underneath the user
+    const updateOrder = (order) => {
+      setData(val => val.map(item => item.id === order.id ? order : item));
+    }
+
+    const closeDetails = (val) => {
+      setViewDet(val);
+      if(data.some(item => !item.fav)) setReload(count => count + 1);
+    }
 
   return (
     <div className={css.outerDiv}>
@@ -61,9 +63,9 @@ const FavoriteOrders = () => {
             {data.map((item) => {
               return <OrderHistoryCard udata={item} key={item?.id} setViewDet={setViewDet} setOrderId={setOrderId} viewDet={viewDet} />
             })}
-            {viewDet ? <OrderDetails id={orderId} setViewDet={setViewDet} /> : ""}
+            {viewDet ? <OrderDetails id={orderId} setViewDet={closeDetails} onUpdate={updateOrder} /> : ""}
           </div>
-          {/* <Pagination page="1" total="31" size="10" /> */}
+          <Pagination page={page} total={total} size={ordersPageSize} label="orders" onChange={setPage} />
         </>
       ) : (
         <UserProfileNoData hashId={hashId} />
@@ -72,4 +74,4 @@ const FavoriteOrders = () => {
   );
 }
 
-export default FavoriteOrders
\ No newline at end of file
+export default FavoriteOrders
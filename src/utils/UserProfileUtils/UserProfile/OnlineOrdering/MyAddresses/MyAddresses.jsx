@@ -1,4 +1,6 @@
-import { useState } from 'react';
+import { useEffect, useState } from 'react';
+import { useParams } from 'react-router-dom';
+import React from 'react'
 
 import css from './MyAddresses.module.css'
 
@@ -8,37 +10,63 @@ import UserProfileNoData from "../../UserProfileNoData/UserProfileNoData";
 
 import AddAddressPortal from '../../../../Cards/MyAddressCards/AddAddressPortal/AddAddressPortal'
 
+import { useAuth } from '../../../../../context/AuthContext/AuthContext'
+import { formatAddress } from '../../../../../helpers/address'
+import { deleteAddress, getAddresses, setDefaultAddress } from '../../../../../services/addressService'
+import { isCancel } from '../../../../../services/apiClient'
+
 const MyAddresses = ({hashId}) => {
+    const { userId } = useParams();
+    const { user } = useAuth();
+    // Saved addresses are private, so another user's profile shows the empty state
+    const isOwnProfile = !!user && user.id === userId;
 
-    let [isData, setIsData] = useState(true)
+    let [data, setData] = useState([]);
+    let [error, setError] = useState('');
     let [addressModal, setAddressModal] = useState(false);
+    let [editing, setEditing] = useState(null);
+    let [reload, setReload] = useState(0);
+
+    useEffect(() => {
+      if(!isOwnProfile) return;
+      const controller = new AbortController();
+      getAddresses({signal: controller.signal})
+        .then(setData)
+        .catch(err => {
+          if(!isCancel(err)) setError(err.message);
+        });
+      return () => controller.abort()
+    }, [isOwnProfile, reload])
+
+    const refresh = () => setReload(val => val + 1);
+
+    const run = (action) => {
+      setError('');
+      action().then(refresh).catch(err => setError(err.message));
+    }
 
-    let data = [
-        {
-            id: 1,
-            title: "Hostel",
-            address: "Dilshuk Nagar, Hyderabad",
-        },
-        {
-            id:2,
-            title: "Hostel2",
-            address: "Manjeera Trinity, Kukatpally, Hyderabad",
-        }
-    ]
+    const openModal = (address = null) => {
+      setEditing(address);
+      setAddressModal(true);
+    }
 
   return (<div className={css.outerDiv}>
-  {isData ? (
+  {isOwnProfile ? (
     <>
-    <AddAddressCard setAddressModal={setAddressModal} />
+    {error ? <div className={css.error}>{error}</div> : ""}
+    <AddAddressCard setAddressModal={() => openModal()} />
       {data?.map(val => {
-          return <AddressCard title={val?.title} address={val?.address} key={val?.id} />
+          return <AddressCard title={val?.title} address={formatAddress(val)} isDefault={val?.isDefault} key={val?.id}
+            onEdit={() => openModal(val)}
+            onDelete={() => run(() => deleteAddress(val.id))}
+            onSetDefault={() => run(() => setDefaultAddress(val.id))} />
       }) }
     </>
   ) : (
     <UserProfileNoData hashId={hashId} />
   )}
-  {addressModal ? <AddAddressPortal setAddressModal={setAddressModal} /> : ""}
+  {addressModal ? <AddAddressPortal setAddressModal={setAddressModal} address={editing} onSaved={refresh} /> : ""}
 </div>);
 }
 
-export default MyAddresses  
\ No newline at end of file
+export default MyAddresses